@@ -0,0 +1,519 @@
+import { supabase } from '../../db/connectDB.js';
+import {
+  today,
+  yesterday,
+  affiliationsValidAt,
+  currentPrimaryInstitutionId,
+  isValidAffiliationPeriod,
+  periodsOverlap
+} from '../../utils/affiliations.js';
+
+// Select rows whose column is in a list of values (no query for an empty list)
+const selectIn = async (table, columns, column, values) => {
+  if (values.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from(table)
+    .select(columns)
+    .in(column, values);
+
+  if (error) {
+    throw new Error(`Error fetching ${table}: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Affiliation records of the given authors, grouped by author id. Authors
+// without records fall back to their single institution_id (data entered
+// before affiliation history existed).
+const loadAffiliationsByAuthor = async (authorIds) => {
+  const [affiliations, authors] = await Promise.all([
+    selectIn('author_affiliations', 'id, author_id, institution_id, start_date, end_date, is_primary', 'author_id', authorIds),
+    selectIn('authors', 'id, institution_id', 'id', authorIds),
+  ]);
+
+  const byAuthor = new Map();
+  affiliations.forEach(affiliation => {
+    const key = String(affiliation.author_id);
+    if (!byAuthor.has(key)) byAuthor.set(key, []);
+    byAuthor.get(key).push(affiliation);
+  });
+
+  authors.forEach(author => {
+    if (!byAuthor.has(String(author.id)) && author.institution_id) {
+      byAuthor.set(String(author.id), [{ id: null, author_id: author.id, institution_id: author.institution_id, is_primary: true }]);
+    }
+  });
+
+  return byAuthor;
+};
+
+// Record, for every article/author link in scope, the affiliations that were
+// valid at the article's publication date. Called whenever links, publication
+// dates or affiliation periods change; errors are logged and never thrown.
+export const syncArticleAffiliations = async ({ articleIds = [], authorIds = [] } = {}) => {
+  try {
+    const [byArticle, byAuthor] = await Promise.all([
+      selectIn('article_authors', 'article_id, author_id', 'article_id', articleIds),
+      selectIn('article_authors', 'article_id, author_id', 'author_id', authorIds),
+    ]);
+
+    const links = new Map();
+    [...byArticle, ...byAuthor].forEach(link => links.set(`${link.article_id}:${link.author_id}`, link));
+
+    const linkedArticleIds = [...new Set([...links.values()].map(link => link.article_id))];
+    const linkedAuthorIds = [...new Set([...links.values()].map(link => link.author_id))];
+
+    const [articles, affiliationsByAuthor] = await Promise.all([
+      selectIn('articles', 'id, publish_date', 'id', linkedArticleIds),
+      loadAffiliationsByAuthor(linkedAuthorIds),
+    ]);
+    const publishDates = new Map(articles.map(article => [String(article.id), article.publish_date]));
+
+    const rows = [];
+    links.forEach(link => {
+      const valid = affiliationsValidAt(
+        affiliationsByAuthor.get(String(link.author_id)) || [],
+        publishDates.get(String(link.article_id))
+      );
+      const seen = new Set();
+      valid.forEach(affiliation => {
+        if (seen.has(String(affiliation.institution_id))) return;
+        seen.add(String(affiliation.institution_id));
+        rows.push({
+          article_id: link.article_id,
+          author_id: link.author_id,
+          institution_id: affiliation.institution_id,
+          affiliation_id: affiliation.id
+        });
+      });
+    });
+
+    if (articleIds.length > 0) {
+      await supabase.from('article_author_affiliations').delete().in('article_id', articleIds);
+    }
+    if (authorIds.length > 0) {
+      await supabase.from('article_author_affiliations').delete().in('author_id', authorIds);
+    }
+
+    if (rows.length > 0) {
+      const { error } = await supabase
+        .from('article_author_affiliations')
+        .insert(rows);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Error recording article affiliations:', error);
+  }
+};
+
+// Institutions of each author at the publication of each article, keyed by
+// "<article_id>:<author_id>"
+export const getArticleAffiliations = async (articleIds) => {
+  const result = new Map();
+  if (articleIds.length === 0) return result;
+
+  const { data, error } = await supabase
+    .from('article_author_affiliations')
+    .select(`
+      article_id,
+      author_id,
+      institutions:institution_id (
+        id, name, country
+      )
+    `)
+    .in('article_id', articleIds);
+
+  if (error) {
+    console.error('Error fetching article affiliations:', error);
+    return result;
+  }
+
+  data.filter(item => item.institutions).forEach(item => {
+    const key = `${item.article_id}:${item.author_id}`;
+    if (!result.has(key)) result.set(key, []);
+    const list = result.get(key);
+    if (!list.some(institution => institution.id === item.institutions.id)) {
+      list.push(item.institutions);
+    }
+  });
+
+  return result;
+};
+
+// Ids of authors currently affiliated with any of the given institutions
+export const getCurrentAuthorIds = async (institutionIds) => {
+  const [affiliations, authors] = await Promise.all([
+    selectIn('author_affiliations', 'author_id, institution_id, start_date, end_date, is_primary', 'institution_id', institutionIds),
+    selectIn('authors', 'id', 'institution_id', institutionIds),
+  ]);
+
+  return [...new Set([
+    ...affiliationsValidAt(affiliations, today()).map(affiliation => affiliation.author_id),
+    ...authors.map(author => author.id)
+  ].map(String))];
+};
+
+// Keep authors.institution_id on the current primary affiliation
+const syncAuthorInstitution = async (authorId) => {
+  const { data, error } = await supabase
+    .from('author_affiliations')
+    .select('institution_id, start_date, end_date, is_primary')
+    .eq('author_id', authorId);
+
+  if (error) {
+    throw new Error(`Error fetching author affiliations: ${error.message}`);
+  }
+
+  const { error: updateError } = await supabase
+    .from('authors')
+    .update({ institution_id: currentPrimaryInstitutionId(data) })
+    .eq('id', authorId);
+
+  if (updateError) {
+    throw new Error(`Error updating author institution: ${updateError.message}`);
+  }
+};
+
+// Record a change of the author's institution made through the author form:
+// the open affiliations end yesterday and the new institution starts today, so
+// earlier articles keep the institution they were published under
+export const moveAuthorToInstitution = async (author, institutionId, userId) => {
+  const { data: affiliations, error } = await supabase
+    .from('author_affiliations')
+    .select('id, institution_id, start_date, end_date')
+    .eq('author_id', author.id);
+
+  if (error) {
+    throw new Error(`Error fetching author affiliations: ${error.message}`);
+  }
+
+  const day = today();
+  const lastDay = yesterday();
+  const open = affiliations.filter(affiliation => !affiliation.end_date);
+
+  const unchanged = affiliations.length === 0
+    ? String(author.institution_id) === String(institutionId)
+    : open.some(affiliation => String(affiliation.institution_id) === String(institutionId));
+  if (unchanged) return;
+
+  if (affiliations.length === 0 && author.institution_id) {
+    // Institution set before affiliation history existed
+    await supabase
+      .from('author_affiliations')
+      .insert({ author_id: author.id, institution_id: author.institution_id, end_date: lastDay, is_primary: true, updated_by: userId });
+  } else {
+    // An affiliation that only started today ends today rather than before its start
+    for (const affiliation of open) {
+      await supabase
+        .from('author_affiliations')
+        .update({ end_date: affiliation.start_date && affiliation.start_date >= day ? affiliation.start_date : lastDay })
+        .eq('id', affiliation.id);
+    }
+  }
+
+  if (institutionId) {
+    const { error: insertError } = await supabase
+      .from('author_affiliations')
+      .insert({
+        author_id: author.id,
+        institution_id: institutionId,
+        start_date: affiliations.length === 0 && !author.institution_id ? null : day,
+        is_primary: true,
+        updated_by: userId
+      });
+
+    if (insertError) {
+      throw new Error(`Error creating author affiliation: ${insertError.message}`);
+    }
+  }
+
+  await syncArticleAffiliations({ authorIds: [author.id] });
+};
+
+// Load an author and check that the user may edit it; sends the error response
+// and returns null otherwise
+const findEditableAuthor = async (req, res, authorId) => {
+  const { data: author, error } = await supabase
+    .from('authors')
+    .select('id, updated_by')
+    .eq('id', authorId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Author not found'
+      });
+      return null;
+    }
+    throw new Error(`Error checking author: ${error.message}`);
+  }
+
+  // Check permissions (only admin or the user who created the author can edit affiliations)
+  if (author.updated_by !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'You do not have permission to update this author'
+    });
+    return null;
+  }
+
+  return author;
+};
+
+// Validate an affiliation against the author's other affiliations. Returns an
+// error response ({ status, body }) or null.
+const checkAffiliation = async (authorId, affiliation, excludeId = null) => {
+  if (!isValidAffiliationPeriod(affiliation.start_date, affiliation.end_date)) {
+    return { status: 400, body: { success: false, error: 'Bad Request', message: 'end_date must not be before start_date' } };
+  }
+
+  const { data: institution, error: institutionError } = await supabase
+    .from('institutions')
+    .select('id')
+    .eq('id', affiliation.institution_id)
+    .single();
+
+  if (institutionError || !institution) {
+    return { status: 400, body: { success: false, error: 'Bad Request', message: 'Invalid institution ID' } };
+  }
+
+  let query = supabase
+    .from('author_affiliations')
+    .select('id, institution_id, start_date, end_date')
+    .eq('author_id', authorId)
+    .eq('institution_id', affiliation.institution_id);
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data: sameInstitution, error } = await query;
+
+  if (error) {
+    throw new Error(`Error checking author affiliations: ${error.message}`);
+  }
+
+  // Concurrent affiliations are allowed, but not two overlapping periods at the same institution
+  if (sameInstitution.some(other => periodsOverlap(other, affiliation))) {
+    return {
+      status: 409,
+      body: { success: false, error: 'Conflict', message: 'The author already has an affiliation with this institution in this period' }
+    };
+  }
+
+  return null;
+};
+
+export const getAuthorAffiliations = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data, error } = await supabase
+      .from('author_affiliations')
+      .select(`
+        *,
+        institutions:institution_id (
+          id, name, type, country, city, parent_id
+        )
+      `)
+      .eq('author_id', id)
+      .order('start_date', { ascending: false, nullsFirst: false });
+
+    if (error) {
+      throw new Error(`Error fetching author affiliations: ${error.message}`);
+    }
+
+    const day = today();
+    res.status(200).json({
+      success: true,
+      data: data.map(affiliation => ({
+        ...affiliation,
+        is_current: affiliationsValidAt([affiliation], day).length > 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get author affiliations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const createAuthorAffiliation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { institution_id, start_date = null, end_date = null, is_primary = false, role = null } = req.body;
+
+    if (!institution_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'institution_id is required'
+      });
+    }
+
+    const author = await findEditableAuthor(req, res, id);
+    if (!author) return;
+
+    const affiliation = { institution_id, start_date: start_date || null, end_date: end_date || null };
+    const affiliationError = await checkAffiliation(author.id, affiliation);
+    if (affiliationError) {
+      return res.status(affiliationError.status).json(affiliationError.body);
+    }
+
+    const { data, error } = await supabase
+      .from('author_affiliations')
+      .insert({
+        ...affiliation,
+        author_id: author.id,
+        is_primary: Boolean(is_primary),
+        role,
+        updated_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating author affiliation: ${error.message}`);
+    }
+
+    await syncAuthorInstitution(author.id);
+    await syncArticleAffiliations({ authorIds: [author.id] });
+
+    res.status(201).json({
+      success: true,
+      message: 'Affiliation created successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Create author affiliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const updateAuthorAffiliation = async (req, res) => {
+  try {
+    const { id, affiliationId } = req.params;
+    const { institution_id, start_date, end_date, is_primary, role } = req.body;
+
+    const author = await findEditableAuthor(req, res, id);
+    if (!author) return;
+
+    const { data: existing, error: existingError } = await supabase
+      .from('author_affiliations')
+      .select('*')
+      .eq('id', affiliationId)
+      .eq('author_id', author.id)
+      .single();
+
+    if (existingError) {
+      if (existingError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Affiliation not found'
+        });
+      }
+      throw new Error(`Error fetching affiliation: ${existingError.message}`);
+    }
+
+    const affiliation = {
+      institution_id: institution_id !== undefined ? institution_id : existing.institution_id,
+      start_date: start_date !== undefined ? start_date || null : existing.start_date,
+      end_date: end_date !== undefined ? end_date || null : existing.end_date
+    };
+    const affiliationError = await checkAffiliation(author.id, affiliation, existing.id);
+    if (affiliationError) {
+      return res.status(affiliationError.status).json(affiliationError.body);
+    }
+
+    const updateData = { ...affiliation, updated_by: req.user.id, updated_at: new Date() };
+    if (is_primary !== undefined) updateData.is_primary = Boolean(is_primary);
+    if (role !== undefined) updateData.role = role;
+
+    const { data, error } = await supabase
+      .from('author_affiliations')
+      .update(updateData)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating author affiliation: ${error.message}`);
+    }
+
+    await syncAuthorInstitution(author.id);
+    await syncArticleAffiliations({ authorIds: [author.id] });
+
+    res.status(200).json({
+      success: true,
+      message: 'Affiliation updated successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Update author affiliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const deleteAuthorAffiliation = async (req, res) => {
+  try {
+    const { id, affiliationId } = req.params;
+
+    const author = await findEditableAuthor(req, res, id);
+    if (!author) return;
+
+    const { data: deleted, error } = await supabase
+      .from('author_affiliations')
+      .delete()
+      .eq('id', affiliationId)
+      .eq('author_id', author.id)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Error deleting author affiliation: ${error.message}`);
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Affiliation not found'
+      });
+    }
+
+    await syncAuthorInstitution(author.id);
+    await syncArticleAffiliations({ authorIds: [author.id] });
+
+    res.status(200).json({
+      success: true,
+      message: 'Affiliation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete author affiliation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
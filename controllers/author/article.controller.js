@@ -2,8 +2,39 @@ import fs from 'fs';
 import path from 'path';
 import multer from 'multer';
 import { supabase } from '../../db/connectDB.js';
-import { uploadToCloudinary, deleteFromCloudinary, extractPublicIdFromUrl } from '../../middlewares/cloudinary.config.js';
-import mammoth from 'mammoth'; // For extracting text from .docx files
+import { uploadToCloudinary, deleteFromCloudinary, extractPublicIdFromUrl, downloadFromCloudinary } from '../../middlewares/cloudinary.config.js';
+import mammoth from 'mammoth'; // For converting .docx files to JATS
+import { CITATION_FORMATS, resolveCitationFormat, formatCitations } from '../../utils/citationExport.js';
+import { CITATION_STYLES, resolveCitationStyles, formatCitation, articleToCitationItem } from '../../utils/citationStyles.js';
+import { normalizeDoi, isValidDoi } from '../../utils/identifiers.js';
+import { buildArticleDeposit } from '../../utils/crossrefDeposit.js';
+import { buildJatsArticle } from '../../utils/jatsExport.js';
+import {
+  parseBibtex,
+  parseRis,
+  buildAuthorIndex,
+  addAuthorToIndex,
+  matchAuthor,
+  buildJournalIndex,
+  addJournalToIndex,
+  matchJournal
+} from '../../utils/citationImport.js';
+import { saveDocumentReferences, linkIncomingReferences, getCitationCounts } from './reference.controller.js';
+import { markAuthorMetricsStale } from './author.controller.js';
+import { syncArticleAffiliations, getArticleAffiliations } from './affiliation.controller.js';
+import { parseArticleAuthors, sortByPosition, withAuthorRole } from '../../utils/articleAuthors.js';
+import { articlePlacement } from '../../utils/journalIssues.js';
+import { applyArticleVisibility } from '../../utils/articleStatus.js';
+import { canViewArticle } from './articleStatus.controller.js';
+import { getNoticesForArticles, attachArticleNotices, deleteArticleNotices } from './articleNotice.controller.js';
+import { noticeFlags } from '../../utils/articleNotices.js';
+import { recordFileVersion, preserveFileVersion, deleteFileVersions } from '../fileVersion.controller.js';
+import { indexArticle, removeArticleFromIndex, parseArticleSearch, searchArticles, rankArticles, attachSearchHighlights } from './articleSearch.controller.js';
+import { ARTICLE_FACETS, loadArticleFacetRecords, filterByFacets } from './facet.controller.js';
+import { normalizeArticleKeywords, expandKeywords } from './keyword.controller.js';
+import { queueArticleSimilarities, removeArticleSimilarities, getRelatedArticles } from './articleSimilarity.controller.js';
+import { parseFacetValues, activeFacetFilters, withoutFacetFilters, countFacets } from '../../utils/facets.js';
+import { DOCUMENT_MIME_TYPES, documentFileType, readDocument, documentFileFields, documentWarning } from '../../utils/documentText.js';
 
 // Configure multer for temporary file storage
 const storage = multer.diskStorage({
@@ -22,18 +53,34 @@ const storage = multer.diskStorage({
 
 // Limit file types to only .docx, .doc, and .pdf files
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
-    'application/msword', // .doc
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error('Only .doc, .docx, and .pdf files are allowed'), false);
   }
 };
 
+// Limit citation imports to BibTeX and RIS files (their MIME types are not reliable)
+const importFileFilter = (req, file, cb) => {
+  const allowedExtensions = ['.bib', '.ris'];
+
+  if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only .bib and .ris files are allowed'), false);
+  }
+};
+
+// Configure citation import upload
+export const importUpload = multer({
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: importFileFilter,
+});
+
+// Maximum number of articles returned by a single bulk citation export
+const MAX_CITATION_EXPORT = 1000;
+
 // Configure upload
 export const upload = multer({
   storage: storage,
@@ -41,118 +88,244 @@ export const upload = multer({
   fileFilter: fileFilter,
 });
 
-export const getArticles = async (req, res) => {
-  try {
-    const { 
-      page = 1, 
-      limit = 10, 
-      search, 
-      language, 
-      journal_id,
-      author_id,
-      start_date,
-      end_date,
-      sort_by = 'created_at',
-      sort_order = 'desc'
-    } = req.query;
-    
-    const offset = (page - 1) * limit;
+// Build the filtered articles query shared by getArticles and the bulk citation export,
+// limited to the articles the user may see. The query builder is thenable, so it is
+// returned as `{ query }`, together with the parsed `search` query when one is given
+// (see parseArticleSearch) and `select`, which builds the same filtered query for
+// other columns. Search results come ranked by relevance unless another order is
+// applied. Language and journal filters accept several comma-separated values.
+export const buildArticlesQuery = (filters, user) => {
+  const {
+    search,
+    language,
+    journal_id,
+    author_id,
+    start_date,
+    end_date
+  } = filters;
+
+  // Full-text search filter, if provided
+  const searchQuery = parseArticleSearch(search);
+
+  const journalIds = parseFacetValues(journal_id);
+  const languages = parseFacetValues(language);
+
+  // Journal and author filters restrict the articles to those with a matching
+  // link (the empty embeds are left out of the response)
+  const embeds = [
+    journalIds.length > 0 && 'journal_filter:article_journals!inner()',
+    author_id && 'author_filter:article_authors!inner()'
+  ].filter(Boolean);
+
+  const select = (columns = '*') => {
+    const selected = [columns, ...embeds].join(', ');
 
     // Build query
-    let query = supabase
-      .from('articles')
-      .select('*', { count: 'exact' });
+    let query = applyArticleVisibility(
+      searchQuery
+        ? searchArticles(searchQuery, selected)
+        : supabase
+          .from('articles')
+          .select(selected, { count: 'exact' }),
+      user
+    );
 
-    // Add search filter if provided
-    if (search) {
-      query = query.or(`title.ilike.%${search}%, abstract.ilike.%${search}%`);
+    // Filter by journal if provided
+    if (journalIds.length > 0) {
+      query = query.in('journal_filter.journal_id', journalIds);
+    }
+
+    // Filter by author if provided
+    if (author_id) {
+      query = query.eq('author_filter.author_id', author_id);
     }
 
     // Add language filter if provided
-    if (language) {
-      query = query.eq('language', language);
+    if (languages.length > 0) {
+      query = query.in('language', languages);
     }
 
     // Add date range filters if provided
     if (start_date) {
       query = query.gte('publish_date', start_date);
     }
-    
+
     if (end_date) {
       query = query.lte('publish_date', end_date);
     }
 
-    // Filter by journal if provided
-    if (journal_id) {
-      // Get article IDs associated with this journal
-      const { data: articleJournals, error: journalError } = await supabase
-        .from('article_journals')
-        .select('article_id')
-        .eq('journal_id', journal_id);
+    return query;
+  };
 
-      if (journalError) {
-        throw new Error(`Error fetching articles by journal: ${journalError.message}`);
-      }
+  return { query: select(), select, search: searchQuery };
+};
 
-      if (articleJournals && articleJournals.length > 0) {
-        const articleIds = articleJournals.map(item => item.article_id);
-        query = query.in('id', articleIds);
-      } else {
-        // No articles found for this journal
-        return res.status(200).json({
-          success: true,
-          data: [],
-          pagination: {
-            total: 0,
-            page: parseInt(page),
-            limit: parseInt(limit),
-            pages: 0
-          }
-        });
-      }
-    }
+// Issue of an article_journals link, with its volume
+const ISSUE_PLACEMENT_SELECT = `
+  journal_issues:issue_id (
+    id, issue_number, year, publication_date,
+    journal_volumes:volume_id (
+      id, volume_number
+    )
+  )
+`;
+
+// Replace the author links of an article with parsed links (see parseArticleAuthors)
+const saveArticleAuthors = async (articleId, links, { replace = false } = {}) => {
+  if (replace) {
+    await supabase
+      .from('article_authors')
+      .delete()
+      .eq('article_id', articleId);
+  }
 
-    // Filter by author if provided
-    if (author_id) {
-      // Get article IDs associated with this author
-      const { data: articleAuthors, error: authorError } = await supabase
-        .from('article_authors')
-        .select('article_id')
-        .eq('author_id', author_id);
-
-      if (authorError) {
-        throw new Error(`Error fetching articles by author: ${authorError.message}`);
-      }
+  if (links.length === 0) return;
 
-      if (articleAuthors && articleAuthors.length > 0) {
-        const articleIds = articleAuthors.map(item => item.article_id);
-        query = query.in('id', articleIds);
-      } else {
-        // No articles found for this author
-        return res.status(200).json({
-          success: true,
-          data: [],
-          pagination: {
-            total: 0,
-            page: parseInt(page),
-            limit: parseInt(limit),
-            pages: 0
-          }
-        });
-      }
-    }
+  const { error } = await supabase
+    .from('article_authors')
+    .insert(links.map(link => ({ ...link, article_id: articleId })));
 
-    // Add sorting
-    query = query.order(sort_by, { ascending: sort_order === 'asc' });
+  if (error) {
+    console.error(`Error associating article with authors: ${error.message}`);
+  }
+};
+
+// Show an author with the institutions recorded when the article was published.
+// Links recorded before affiliation history existed keep the current institution.
+const withPublicationAffiliations = (articleId, author, affiliations) => {
+  const institutions = affiliations.get(`${articleId}:${author.id}`);
+  if (!institutions || institutions.length === 0) {
+    return author;
+  }
+  return { ...author, institutions: institutions[0], affiliations: institutions };
+};
+
+// Attach `authors` and `journals` arrays to a list of article rows using batched queries
+const attachArticleRelations = async (articles) => {
+  if (!articles || articles.length === 0) {
+    return [];
+  }
+
+  const articleIds = articles.map(article => article.id);
+
+  const { data: articleAuthors, error: authorsError } = await supabase
+    .from('article_authors')
+    .select(`
+      article_id, position, is_corresponding, equal_contribution, contributor_roles,
+      authors:author_id (
+        id, first_name, last_name, academic_title, email, orcid_id,
+        institutions:institution_id (
+          id, name, country
+        )
+      )
+    `)
+    .in('article_id', articleIds);
+
+  if (authorsError) {
+    console.error('Error fetching article authors:', authorsError);
+  }
+
+  const { data: articleJournals, error: journalsError } = await supabase
+    .from('article_journals')
+    .select(`
+      article_id, first_page, last_page, article_number,
+      journals:journal_id (
+        id, name, type, issn, e_issn, language
+      ),
+      ${ISSUE_PLACEMENT_SELECT}
+    `)
+    .in('article_id', articleIds);
+
+  if (journalsError) {
+    console.error('Error fetching article journals:', journalsError);
+  }
+
+  const affiliations = await getArticleAffiliations(articleIds);
+  const notices = await getNoticesForArticles(articleIds);
+
+  return articles.map(article => ({
+    ...article,
+    // Corrections and retractions are carried into every export
+    ...noticeFlags(article, notices.get(String(article.id))),
+    // Volume, issue and pages come from the first journal the article is placed in
+    ...articlePlacement((articleJournals || []).find(item => item.article_id === article.id && item.journal_issues)),
+    authors: sortByPosition((articleAuthors || []).filter(item => item.article_id === article.id && item.authors))
+      .map(item => withAuthorRole(withPublicationAffiliations(article.id, item.authors, affiliations), item)),
+    journals: (articleJournals || [])
+      .filter(item => item.article_id === article.id && item.journals)
+      .map(item => item.journals)
+  }));
+};
+
+// Find another article registered with the same (normalized) DOI
+const findArticleByDoi = async (doi, excludeId = null) => {
+  let query = supabase
+    .from('articles')
+    .select('id, title, doi')
+    .eq('doi', normalizeDoi(doi));
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data, error } = await query.limit(1);
+
+  if (error) {
+    throw new Error(`Error checking article DOI: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+// Postgres error code of a unique index violation: the DOI was registered by a
+// concurrent request after findArticleByDoi checked it
+const UNIQUE_VIOLATION = '23505';
+
+export const getArticles = async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 10, 
+      sort_by,
+      sort_order = 'desc'
+    } = req.query;
+    
+    const offset = (page - 1) * limit;
+    const withFacets = req.query.facets === 'true';
+
+    // Facets are counted on the other filters, then the facet filters are applied
+    const facetFilters = activeFacetFilters(req.query, ARTICLE_FACETS);
+    const built = buildArticlesQuery(withoutFacetFilters(req.query, ARTICLE_FACETS), req.user);
+
+    // Facet values of the articles matching the other filters
+    const facets = withFacets
+      ? countFacets(await loadArticleFacetRecords(built.select), ARTICLE_FACETS, facetFilters)
+      : null;
+
+    let query = filterByFacets(built.select, 'article', facetFilters, '*');
+
+    let data;
+    let count;
+
+    // Add sorting (search results are already ordered by relevance)
+    if (!built.search || sort_by) {
+      query = query.order(sort_by || 'created_at', { ascending: sort_order === 'asc' });
+    }
 
     // Add pagination
     query = query.range(offset, offset + limit - 1);
 
     // Execute query
-    const { data, error, count } = await query;
+    const result = await query;
 
-    if (error) {
-      throw new Error(`Error fetching articles: ${error.message}`);
+    if (result.error) {
+      throw new Error(`Error fetching articles: ${result.error.message}`);
+    }
+
+    ({ data, count } = result);
+
+    if (built.search) {
+      data = await attachSearchHighlights(rankArticles(data, built.search), built.search);
     }
 
     // Get document counts for each article
@@ -179,7 +352,7 @@ export const getArticles = async (req, res) => {
     }
     
     // Add document count to each article
-    const articlesWithCounts = data.map(article => ({
+    const articlesWithCounts = (await attachArticleNotices(data)).map(article => ({
       ...article,
       document_count: countMap[article.id] || 0
     }));
@@ -192,7 +365,8 @@ export const getArticles = async (req, res) => {
         page: parseInt(page),
         limit: parseInt(limit),
         pages: Math.ceil(count / limit)
-      }
+      },
+      ...(withFacets && { facets })
     });
   } catch (error) {
     console.error('Get all articles error:', error);
@@ -226,14 +400,24 @@ export const getArticleById = async (req, res) => {
       throw new Error(`Error fetching article: ${error.message}`);
     }
 
+    // Unpublished articles are only visible to their author, editors and admins
+    if (!(await canViewArticle(article, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
     // Get associated journals
     const { data: articleJournals, error: journalsError } = await supabase
       .from('article_journals')
       .select(`
-        journal_id,
+        journal_id, first_page, last_page, article_number,
         journals:journal_id (
-          id, name, type, issn
-        )
+          id, name, type, issn, e_issn
+        ),
+        ${ISSUE_PLACEMENT_SELECT}
       `)
       .eq('article_id', id);
 
@@ -245,9 +429,9 @@ export const getArticleById = async (req, res) => {
     const { data: articleAuthors, error: authorsError } = await supabase
       .from('article_authors')
       .select(`
-        author_id,
+        author_id, position, is_corresponding, equal_contribution, contributor_roles,
         authors:author_id (
-          id, first_name, last_name, academic_title, email,
+          id, first_name, last_name, academic_title, email, orcid_id,
           institutions:institution_id (
             id, name, country
           )
@@ -271,6 +455,13 @@ export const getArticleById = async (req, res) => {
       console.error('Error fetching article files:', filesError);
     }
 
+    // Reference and citation counts from the citation graph
+    const citationCounts = await getCitationCounts(id);
+
+    // Corrections, expressions of concern and retraction notices
+    const notices = await getNoticesForArticles([article.id]);
+    const flags = noticeFlags(article, notices.get(String(article.id)));
+
     // Format the response data
     const journals = articleJournals 
       ? articleJournals
@@ -278,19 +469,27 @@ export const getArticleById = async (req, res) => {
           .map(item => item.journals)
       : [];
 
+    const affiliations = await getArticleAffiliations([article.id]);
     const authors = articleAuthors 
-      ? articleAuthors
-          .filter(item => item.authors)
-          .map(item => item.authors)
+      ? sortByPosition(articleAuthors.filter(item => item.authors))
+          .map(item => withAuthorRole(withPublicationAffiliations(article.id, item.authors, affiliations), item))
       : [];
 
+    // Most similar articles the user may see (`related_limit`, at most 20)
+    const relatedArticles = await getRelatedArticles(article.id, req.user, req.query.related_limit);
+
     res.status(200).json({
       success: true,
       data: {
         ...article,
+        ...articlePlacement((articleJournals || []).find(item => item.journal_issues)),
         journals,
         authors,
-        files: files || []
+        files: files || [],
+        ...citationCounts,
+        ...flags,
+        retraction: flags.notices.find(notice => notice.notice_type === 'retraction') || null,
+        related_articles: relatedArticles
       }
     });
   } catch (error) {
@@ -303,6 +502,399 @@ export const getArticleById = async (req, res) => {
   }
 };
 
+// Send serialized citations with the content type and file name of the chosen format
+const sendCitations = (res, articles, format, fileName) => {
+  const { contentType, extension } = CITATION_FORMATS[format];
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${extension}"`);
+  res.status(200).send(formatCitations(articles, format));
+};
+
+export const exportArticleCitation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = resolveCitationFormat(req.query.format);
+
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Unsupported format. Supported formats: ${Object.keys(CITATION_FORMATS).join(', ')}`
+      });
+    }
+
+    // Get article
+    const { data: article, error } = await supabase
+      .from('articles')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Article not found'
+        });
+      }
+      throw new Error(`Error fetching article: ${error.message}`);
+    }
+
+    // Unpublished articles are only visible to their author, editors and admins
+    if (!(await canViewArticle(article, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    const [articleWithRelations] = await attachArticleRelations([article]);
+
+    sendCitations(res, [articleWithRelations], format, `article-${id}`);
+  } catch (error) {
+    console.error('Export article citation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const exportArticleCitations = async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 100, 
+      sort_by = 'created_at',
+      sort_order = 'desc'
+    } = req.query;
+    const format = resolveCitationFormat(req.query.format);
+
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Unsupported format. Supported formats: ${Object.keys(CITATION_FORMATS).join(', ')}`
+      });
+    }
+
+    // Cap bulk exports to keep the response size reasonable
+    const pageSize = Math.min(parseInt(limit) || 100, MAX_CITATION_EXPORT);
+    const offset = (page - 1) * pageSize;
+
+    // Apply the same filters as getArticles
+    const facetFilters = activeFacetFilters(req.query, ARTICLE_FACETS);
+    const built = buildArticlesQuery(withoutFacetFilters(req.query, ARTICLE_FACETS), req.user);
+    const query = filterByFacets(built.select, 'article', facetFilters, '*');
+
+    const { data, error } = await query
+      .order(sort_by, { ascending: sort_order === 'asc' })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) {
+      throw new Error(`Error fetching articles: ${error.message}`);
+    }
+
+    const articles = await attachArticleRelations(data);
+
+    sendCitations(res, articles, format, 'articles');
+  } catch (error) {
+    console.error('Export article citations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const getArticleFormattedCitations = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const styles = resolveCitationStyles(req.query.style);
+
+    if (!styles) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Unsupported style. Supported styles: ${CITATION_STYLES.join(', ')}`
+      });
+    }
+
+    // Get article
+    const { data: article, error } = await supabase
+      .from('articles')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Article not found'
+        });
+      }
+      throw new Error(`Error fetching article: ${error.message}`);
+    }
+
+    // Unpublished articles are only visible to their author, editors and admins
+    if (!(await canViewArticle(article, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    const [articleWithRelations] = await attachArticleRelations([article]);
+    const item = articleToCitationItem(articleWithRelations);
+
+    const citations = {};
+    styles.forEach(style => {
+      citations[style] = formatCitation(item, style);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        article_id: article.id,
+        citations
+      }
+    });
+  } catch (error) {
+    console.error('Get article formatted citations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const getArticleByDoi = async (req, res) => {
+  try {
+    const { doi } = req.params;
+
+    if (!isValidDoi(doi)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid DOI format. It should look like: 10.1234/example'
+      });
+    }
+
+    const { data: article, error } = await supabase
+      .from('articles')
+      .select('*')
+      .eq('doi', normalizeDoi(doi))
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Article not found'
+        });
+      }
+      throw new Error(`Error fetching article: ${error.message}`);
+    }
+
+    // Unpublished articles are only visible to their author, editors and admins
+    if (!(await canViewArticle(article, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    const [articleWithRelations] = await attachArticleRelations([article]);
+
+    res.status(200).json({
+      success: true,
+      data: articleWithRelations
+    });
+  } catch (error) {
+    console.error('Get article by DOI error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const exportArticleCrossref = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Get article
+    const { data: article, error } = await supabase
+      .from('articles')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Article not found'
+        });
+      }
+      throw new Error(`Error fetching article: ${error.message}`);
+    }
+
+    // Unpublished articles are only visible to their author, editors and admins
+    if (!(await canViewArticle(article, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    if (!article.doi) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Article has no DOI to register'
+      });
+    }
+
+    const [articleWithRelations] = await attachArticleRelations([article]);
+
+    if (articleWithRelations.journals.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Article must belong to a journal to be deposited as a journal article'
+      });
+    }
+
+    const resourceUrl = `${process.env.CLIENT_URL}/articles/${article.id}`;
+    const xml = buildArticleDeposit(articleWithRelations, resourceUrl);
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="crossref-article-${article.id}.xml"`);
+    res.status(200).send(xml);
+  } catch (error) {
+    console.error('Export article Crossref deposit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const exportArticleJats = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const validateOnly = req.query.validate === 'true';
+
+    // Get article
+    const { data: article, error } = await supabase
+      .from('articles')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Article not found'
+        });
+      }
+      throw new Error(`Error fetching article: ${error.message}`);
+    }
+
+    // Unpublished articles are only visible to their author, editors and admins
+    if (!(await canViewArticle(article, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    const [articleWithRelations] = await attachArticleRelations([article]);
+
+    // Latest .docx document of the article
+    const { data: documents, error: filesError } = await supabase
+      .from('files')
+      .select('*')
+      .eq('content_type', 'article')
+      .eq('content_id', id)
+      .eq('file_type', 'docx')
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (filesError) {
+      console.error('Error fetching article files:', filesError);
+    }
+
+    // Private documents are only converted for admins, the uploader and the article owner
+    const document = documents && documents[0];
+    const canReadDocument = document && (
+      document.is_public ||
+      req.user.role === 'admin' ||
+      document.uploaded_by === req.user.id ||
+      article.updated_by === req.user.id
+    );
+
+    let documentHtml = null;
+    if (canReadDocument) {
+      try {
+        const buffer = await downloadFromCloudinary(document.file_path);
+        const result = await mammoth.convertToHtml({ buffer });
+        documentHtml = result.value;
+      } catch (conversionError) {
+        console.error('Error converting article document to JATS body:', conversionError);
+      }
+    }
+
+    const { xml, errors, missing } = buildJatsArticle(articleWithRelations, { documentHtml });
+
+    if (validateOnly || errors.length > 0) {
+      return res.status(errors.length > 0 ? 422 : 200).json({
+        success: errors.length === 0,
+        data: {
+          well_formed: errors.length === 0,
+          errors,
+          missing_elements: missing,
+          source_document: document && canReadDocument ? { id: document.id, file_name: document.file_name } : null,
+          ...(validateOnly ? { xml } : {})
+        }
+      });
+    }
+
+    if (missing.length > 0) {
+      res.setHeader('X-JATS-Missing-Elements', [...new Set(missing.map(item => item.element))].join(', '));
+    }
+    res.setHeader('Content-Type', 'application/jats+xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="article-${article.id}.jats.xml"`);
+    res.status(200).send(xml);
+  } catch (error) {
+    console.error('Export article JATS error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
 export const createArticle = async (req, res) => {
   try {
     const { 
@@ -311,8 +903,10 @@ export const createArticle = async (req, res) => {
       keywords, 
       language, 
       publish_date,
+      doi,
       journal_id,
-      author_ids = []
+      author_ids = [],
+      authors
     } = req.body;
     
     // Validate required fields
@@ -324,12 +918,41 @@ export const createArticle = async (req, res) => {
       });
     }
 
-    // Process keywords if they're provided as a string
-    let processedKeywords = keywords;
-    if (typeof keywords === 'string') {
-      processedKeywords = keywords.split(',').map(k => k.trim());
+    // Validate DOI format if provided
+    if (doi && !isValidDoi(doi)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid DOI format. It should look like: 10.1234/example'
+      });
+    }
+
+    // Author order, corresponding authors and contributor roles
+    const parsedAuthors = parseArticleAuthors({ authors, author_ids });
+    if (parsedAuthors && parsedAuthors.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: parsedAuthors.error
+      });
+    }
+
+    // Check for an existing article with the same DOI
+    if (doi) {
+      const duplicate = await findArticleByDoi(doi);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'An article with this DOI already exists',
+          data: duplicate
+        });
+      }
     }
 
+    // Map keywords (an array or a comma-separated string) to vocabulary terms
+    const processedKeywords = keywords !== undefined ? await normalizeArticleKeywords(keywords) : undefined;
+
     // Create article record
     const { data: article, error } = await supabase
       .from('articles')
@@ -339,12 +962,21 @@ export const createArticle = async (req, res) => {
         keywords: processedKeywords,
         language,
         publish_date,
+        doi: normalizeDoi(doi),
+        status: 'draft',
         updated_by: req.user.id
       })
       .select()
       .single();
 
     if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'An article with this DOI already exists'
+        });
+      }
       throw new Error(`Error creating article: ${error.message}`);
     }
 
@@ -363,24 +995,16 @@ export const createArticle = async (req, res) => {
     }
 
     // Associate with authors if provided
-    if (author_ids && author_ids.length > 0) {
-      // Convert to array if it's a string
-      const authorIdsArray = Array.isArray(author_ids) ? author_ids : [author_ids];
-      
-      const authorAssociations = authorIdsArray.map(author_id => ({
-        article_id: article.id,
-        author_id
-      }));
-
-      const { error: authorsError } = await supabase
-        .from('article_authors')
-        .insert(authorAssociations);
-
-      if (authorsError) {
-        console.error(`Error associating article with authors: ${authorsError.message}`);
-      }
+    if (parsedAuthors) {
+      await saveArticleAuthors(article.id, parsedAuthors.links);
     }
 
+    // Link existing references that cite this article
+    await linkIncomingReferences(article);
+    await markAuthorMetricsStale({ articleIds: [article.id] });
+    await syncArticleAffiliations({ articleIds: [article.id] });
+    await indexArticle(article.id);
+
     res.status(201).json({
       success: true,
       message: 'Article created successfully',
@@ -405,8 +1029,10 @@ export const updateArticle = async (req, res) => {
       keywords, 
       language, 
       publish_date,
+      doi,
       journal_id,
-      author_ids
+      author_ids,
+      authors
     } = req.body;
 
     // Check if article exists
@@ -445,12 +1071,41 @@ export const updateArticle = async (req, res) => {
       });
     }
 
-    // Process keywords if they're provided as a string
-    let processedKeywords = keywords;
-    if (typeof keywords === 'string') {
-      processedKeywords = keywords.split(',').map(k => k.trim());
+    // Validate DOI format if provided
+    if (doi && !isValidDoi(doi)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid DOI format. It should look like: 10.1234/example'
+      });
+    }
+
+    // Author order, corresponding authors and contributor roles
+    const parsedAuthors = parseArticleAuthors({ authors, author_ids });
+    if (parsedAuthors && parsedAuthors.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: parsedAuthors.error
+      });
+    }
+
+    // Check if the DOI is already used by another article
+    if (doi) {
+      const duplicate = await findArticleByDoi(doi, id);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'Another article with this DOI already exists',
+          data: duplicate
+        });
+      }
     }
 
+    // Map keywords (an array or a comma-separated string) to vocabulary terms
+    const processedKeywords = keywords !== undefined ? await normalizeArticleKeywords(keywords) : undefined;
+
     // Update article data
     const updateData = {
       title,
@@ -463,6 +1118,14 @@ export const updateArticle = async (req, res) => {
     if (processedKeywords !== undefined) updateData.keywords = processedKeywords;
     if (language !== undefined) updateData.language = language;
     if (publish_date !== undefined) updateData.publish_date = publish_date;
+    if (doi !== undefined) updateData.doi = normalizeDoi(doi);
+
+    // Authors, journal and publish date feed the author metrics; current
+    // authors are flagged before the associations are replaced
+    const affectsMetrics = parsedAuthors !== null || journal_id !== undefined || publish_date !== undefined;
+    if (affectsMetrics) {
+      await markAuthorMetricsStale({ articleIds: [id] });
+    }
 
     const { data: updatedArticle, error: updateError } = await supabase
       .from('articles')
@@ -472,6 +1135,13 @@ export const updateArticle = async (req, res) => {
       .single();
 
     if (updateError) {
+      if (updateError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'Another article with this DOI already exists'
+        });
+      }
       throw new Error(`Error updating article: ${updateError.message}`);
     }
 
@@ -498,32 +1168,30 @@ export const updateArticle = async (req, res) => {
       }
     }
 
-    // Update author associations if provided
-    if (author_ids !== undefined) {
-      // First, remove existing author associations
-      await supabase
-        .from('article_authors')
-        .delete()
-        .eq('article_id', id);
+    // Replace author associations if provided
+    if (parsedAuthors) {
+      await saveArticleAuthors(id, parsedAuthors.links, { replace: true });
+    }
 
-      // Then, add the new author associations if author_ids is not empty
-      if (author_ids && author_ids.length > 0) {
-        // Convert to array if it's a string
-        const authorIdsArray = Array.isArray(author_ids) ? author_ids : [author_ids];
-        
-        const authorAssociations = authorIdsArray.map(author_id => ({
-          article_id: id,
-          author_id
-        }));
+    // A new title or DOI may resolve references that cite this article
+    if (title || doi) {
+      await linkIncomingReferences(updatedArticle);
+    }
+
+    if (parsedAuthors) {
+      await markAuthorMetricsStale({ articleIds: [id] });
+    }
 
-        const { error: authorsError } = await supabase
-          .from('article_authors')
-          .insert(authorAssociations);
+    // Affiliations are recorded as of the publication date
+    if (parsedAuthors || publish_date !== undefined) {
+      await syncArticleAffiliations({ articleIds: [id] });
+    }
 
-        if (authorsError) {
-          console.error(`Error updating article author associations: ${authorsError.message}`);
-        }
-      }
+    if (title !== undefined || abstract !== undefined || processedKeywords !== undefined) {
+      await indexArticle(id);
+    } else if (parsedAuthors || journal_id !== undefined) {
+      // Shared authors and journals count towards related articles
+      await queueArticleSimilarities(id);
     }
 
     res.status(200).json({
@@ -548,7 +1216,7 @@ export const deleteArticle = async (req, res) => {
     // Check if article exists
     const { data: existingArticle, error: checkError } = await supabase
       .from('articles')
-      .select('id, updated_by')
+      .select('id, status, updated_by')
       .eq('id', id)
       .single();
 
@@ -572,6 +1240,15 @@ export const deleteArticle = async (req, res) => {
       });
     }
 
+    // Retracted articles stay reachable with their retraction notice
+    if (existingArticle.status === 'retracted') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Retracted articles cannot be deleted'
+      });
+    }
+
     // Get associated files to delete from Cloudinary
     const { data: files, error: filesError } = await supabase
       .from('files')
@@ -596,6 +1273,8 @@ export const deleteArticle = async (req, res) => {
         }
       }
 
+      await deleteFileVersions({ contentType: 'article', contentId: id });
+
       // Delete file records from database
       const { error: deleteFilesError } = await supabase
         .from('files')
@@ -608,6 +1287,18 @@ export const deleteArticle = async (req, res) => {
       }
     }
 
+    // Authors of this article and of the articles it cites lose publications
+    // and citations
+    const { data: citedReferences } = await supabase
+      .from('article_references')
+      .select('cited_article_id')
+      .eq('article_id', id)
+      .not('cited_article_id', 'is', null);
+
+    await markAuthorMetricsStale({
+      articleIds: [id, ...(citedReferences || []).map(reference => reference.cited_article_id)]
+    });
+
     // Delete article associations
     await supabase
       .from('article_journals')
@@ -619,6 +1310,26 @@ export const deleteArticle = async (req, res) => {
       .delete()
       .eq('article_id', id);
 
+    await supabase
+      .from('article_author_affiliations')
+      .delete()
+      .eq('article_id', id);
+
+    await deleteArticleNotices(id);
+    await removeArticleFromIndex(id);
+    await removeArticleSimilarities(id);
+
+    // Delete its reference list and unlink references citing it
+    await supabase
+      .from('article_references')
+      .delete()
+      .eq('article_id', id);
+
+    await supabase
+      .from('article_references')
+      .update({ cited_article_id: null, match_method: null })
+      .eq('cited_article_id', id);
+
     // Delete article
     const { error: deleteError } = await supabase
       .from('articles')
@@ -700,31 +1411,21 @@ export const uploadArticleDocument = async (req, res) => {
     // Check if a file with the same version already exists
     const { data: existingFile, error: fileError } = await supabase
       .from('files')
-      .select('id, file_path')
+      .select('*')
       .eq('content_type', 'article')
       .eq('content_id', articleId)
       .eq('version', version)
       .single();
 
-    // If file exists with same version, delete the old file from Cloudinary
+    // Keep the content being replaced in the version history
     if (existingFile && !fileError) {
-      const publicId = extractPublicIdFromUrl(existingFile.file_path);
-      if (publicId) {
-        await deleteFromCloudinary(publicId);
-      }
+      await preserveFileVersion(existingFile);
     }
 
-    // Extract text content from .docx for indexing or preview
-    let textContent = '';
-    try {
-      if (req.file.mimetype.includes('word')) {
-        const result = await mammoth.extractRawText({ path: req.file.path });
-        textContent = result.value.substring(0, 5000); // Limit text preview to 5000 chars
-      }
-    } catch (error) {
-      console.error('Error extracting text from document:', error);
-      // Continue even if text extraction fails
-    }
+    // Extract the text of the .docx or .pdf for indexing and preview, with the
+    // page count and metadata of PDFs (continues even if extraction fails)
+    const document = await readDocument(req.file);
+    const fullText = document.text || '';
 
     // Upload file to Cloudinary
     const uploadResult = await uploadToCloudinary(
@@ -733,12 +1434,7 @@ export const uploadArticleDocument = async (req, res) => {
     );
 
     // Determine file type based on mimetype
-    let fileType = 'other';
-    if (req.file.mimetype === 'application/pdf') {
-      fileType = 'pdf';
-    } else if (req.file.mimetype.includes('word')) {
-      fileType = 'docx';
-    }
+    const fileType = documentFileType(req.file.mimetype);
 
     // Create file record in database
     const fileData = {
@@ -752,7 +1448,7 @@ export const uploadArticleDocument = async (req, res) => {
       version: version,
       is_public: isPublic === 'true' || isPublic === true,
       uploaded_by: req.user.id,
-      text_preview: textContent
+      ...documentFileFields(document)
     };
 
     let fileRecord;
@@ -786,6 +1482,17 @@ export const uploadArticleDocument = async (req, res) => {
       fileRecord = newFile;
     }
 
+    await recordFileVersion(fileRecord, { fullText, userId: req.user.id });
+    await indexArticle(article.id);
+
+    // Store the reference list found in the document
+    let references = [];
+    try {
+      references = await saveDocumentReferences(article.id, fullText);
+    } catch (error) {
+      console.error('Error saving document references:', error);
+    }
+
     // Clean up the temporary file
     fs.unlinkSync(req.file.path);
 
@@ -797,7 +1504,9 @@ export const uploadArticleDocument = async (req, res) => {
         article: {
           id: article.id,
           title: article.title
-        }
+        },
+        reference_count: references.length,
+        warning: documentWarning(document)
       }
     });
   } catch (error) {
@@ -832,8 +1541,10 @@ export const createArticleWithDocument = async (req, res) => {
       keywords, 
       language, 
       publish_date,
+      doi,
       journal_id,
       author_ids,
+      authors,
       version = '1.0', 
       isPublic = false 
     } = req.body;
@@ -850,12 +1561,50 @@ export const createArticleWithDocument = async (req, res) => {
       });
     }
 
-    // Process keywords if they're provided as a string
-    let processedKeywords = keywords;
-    if (typeof keywords === 'string') {
-      processedKeywords = keywords.split(',').map(k => k.trim());
+    // Validate DOI format if provided
+    if (doi && !isValidDoi(doi)) {
+      // Clean up the uploaded file
+      fs.unlinkSync(req.file.path);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid DOI format. It should look like: 10.1234/example'
+      });
+    }
+
+    // Author order, corresponding authors and contributor roles
+    const parsedAuthors = parseArticleAuthors({ authors, author_ids });
+    if (parsedAuthors && parsedAuthors.error) {
+      // Clean up the uploaded file
+      fs.unlinkSync(req.file.path);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: parsedAuthors.error
+      });
+    }
+
+    // Check for an existing article with the same DOI
+    if (doi) {
+      const duplicate = await findArticleByDoi(doi);
+      if (duplicate) {
+        // Clean up the uploaded file
+        fs.unlinkSync(req.file.path);
+
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'An article with this DOI already exists',
+          data: duplicate
+        });
+      }
     }
 
+    // Map keywords (an array or a comma-separated string) to vocabulary terms
+    const processedKeywords = keywords !== undefined ? await normalizeArticleKeywords(keywords) : undefined;
+
     // 1. Create the article record
     const { data: article, error: articleError } = await supabase
       .from('articles')
@@ -865,6 +1614,8 @@ export const createArticleWithDocument = async (req, res) => {
         keywords: processedKeywords,
         language,
         publish_date,
+        doi: normalizeDoi(doi),
+        status: 'draft',
         updated_by: req.user.id
       })
       .select()
@@ -873,7 +1624,14 @@ export const createArticleWithDocument = async (req, res) => {
     if (articleError) {
       // Clean up the uploaded file
       fs.unlinkSync(req.file.path);
-      
+
+      if (articleError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'An article with this DOI already exists'
+        });
+      }
       throw new Error(`Error creating article record: ${articleError.message}`);
     }
 
@@ -892,34 +1650,14 @@ export const createArticleWithDocument = async (req, res) => {
     }
 
     // 3. Associate with authors if provided
-    if (author_ids && author_ids.length > 0) {
-      // Convert to array if it's a string
-      const authorIdsArray = Array.isArray(author_ids) ? author_ids : [author_ids];
-      
-      const authorAssociations = authorIdsArray.map(author_id => ({
-        article_id: article.id,
-        author_id
-      }));
-
-      const { error: authorsError } = await supabase
-        .from('article_authors')
-        .insert(authorAssociations);
-
-      if (authorsError) {
-        console.error(`Error associating article with authors: ${authorsError.message}`);
-      }
+    if (parsedAuthors) {
+      await saveArticleAuthors(article.id, parsedAuthors.links);
     }
 
-    // 4. Extract text content from .docx for indexing or preview
-    let textContent = '';
-    try {
-      if (req.file.mimetype.includes('word')) {
-        const result = await mammoth.extractRawText({ path: req.file.path });
-        textContent = result.value.substring(0, 5000); // Limit text preview to 5000 chars
-      }
-    } catch (error) {
-      console.error('Error extracting text from document:', error);
-    }
+    // 4. Extract the text of the .docx or .pdf for indexing and preview, with
+    // the page count and metadata of PDFs
+    const document = await readDocument(req.file);
+    const fullText = document.text || '';
 
     // 5. Upload file to Cloudinary
     const uploadResult = await uploadToCloudinary(
@@ -928,12 +1666,7 @@ export const createArticleWithDocument = async (req, res) => {
     );
 
     // Determine file type based on mimetype
-    let fileType = 'other';
-    if (req.file.mimetype === 'application/pdf') {
-      fileType = 'pdf';
-    } else if (req.file.mimetype.includes('word')) {
-      fileType = 'docx';
-    }
+    const fileType = documentFileType(req.file.mimetype);
 
     // 6. Create file record in database
     const fileData = {
@@ -947,7 +1680,7 @@ export const createArticleWithDocument = async (req, res) => {
       version: version,
       is_public: isPublic === 'true' || isPublic === true,
       uploaded_by: req.user.id,
-      text_preview: textContent
+      ...documentFileFields(document)
     };
 
     const { data: fileRecord, error: fileError } = await supabase
@@ -960,6 +1693,21 @@ export const createArticleWithDocument = async (req, res) => {
       throw new Error(`Error creating file record: ${fileError.message}`);
     }
 
+    await recordFileVersion(fileRecord, { fullText, userId: req.user.id });
+
+    // 7. Store the reference list found in the document and link existing
+    // references that cite this article
+    let references = [];
+    try {
+      references = await saveDocumentReferences(article.id, fullText);
+      await linkIncomingReferences(article);
+    } catch (error) {
+      console.error('Error saving document references:', error);
+    }
+    await markAuthorMetricsStale({ articleIds: [article.id] });
+    await syncArticleAffiliations({ articleIds: [article.id] });
+    await indexArticle(article.id);
+
     // Clean up the temporary file
     fs.unlinkSync(req.file.path);
 
@@ -968,7 +1716,9 @@ export const createArticleWithDocument = async (req, res) => {
       message: 'Article created with document successfully',
       data: {
         article,
-        file: fileRecord
+        file: fileRecord,
+        reference_count: references.length,
+        warning: documentWarning(document)
       }
     });
   } catch (error) {
@@ -994,11 +1744,12 @@ export const getArticleDocuments = async (req, res) => {
     // Check if the article exists
     const { data: article, error: articleError } = await supabase
       .from('articles')
-      .select('id, title')
+      .select('id, title, status, updated_by')
       .eq('id', articleId)
       .single();
 
-    if (articleError) {
+    // Unpublished articles are only visible to their author, editors and admins
+    if (articleError || !(await canViewArticle(article, req.user))) {
       return res.status(404).json({
         success: false,
         error: 'Not Found',
@@ -1021,7 +1772,10 @@ export const getArticleDocuments = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        article,
+        article: {
+          id: article.id,
+          title: article.title
+        },
         documents: documents || []
       }
     });
@@ -1170,6 +1924,9 @@ export const deleteDocument = async (req, res) => {
       }
     }
 
+    // Delete older versions of the document
+    await deleteFileVersions({ fileIds: [fileId] });
+
     // Delete file record from database
     const { error: deleteError } = await supabase
       .from('files')
@@ -1180,6 +1937,10 @@ export const deleteDocument = async (req, res) => {
       throw new Error(`Error deleting document record: ${deleteError.message}`);
     }
 
+    if (file.content_type === 'article') {
+      await indexArticle(file.content_id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Document deleted successfully'
@@ -1378,21 +2139,19 @@ export const searchArticlesByKeywords = async (req, res) => {
     
     const offset = (page - 1) * limit;
     
-    // Split keywords into array
-    const keywordArray = keywords.split(',').map(k => k.trim().toLowerCase());
+    // Expand the keywords with their vocabulary terms, synonyms and translations
+    const keywordArray = await expandKeywords(keywords.split(','));
     
     // Build query to search in keywords array
-    let query = supabase
-      .from('articles')
-      .select('*', { count: 'exact' });
-    
-    // Create a filter for each keyword
-    const filters = keywordArray.map(keyword => 
-      `keywords.cs.{${keyword}}`
+    let query = applyArticleVisibility(
+      supabase
+        .from('articles')
+        .select('*', { count: 'exact' }),
+      req.user
     );
     
-    // Combine filters with OR
-    query = query.or(filters.join(','));
+    // Match articles tagged with any of the keywords
+    query = query.overlaps('keywords', keywordArray);
     
     // Add pagination
     query = query
@@ -1408,7 +2167,7 @@ export const searchArticlesByKeywords = async (req, res) => {
     
     res.status(200).json({
       success: true,
-      data,
+      data: await attachArticleNotices(data),
       pagination: {
         total: count,
         page: parseInt(page),
@@ -1474,10 +2233,13 @@ export const getArticlesByAuthor = async (req, res) => {
     // Get the articles
     const articleIds = articleAuthors.map(item => item.article_id);
     
-    const { data: articles, error: fetchError, count } = await supabase
-      .from('articles')
-      .select('*', { count: 'exact' })
-      .in('id', articleIds)
+    const { data: articles, error: fetchError, count } = await applyArticleVisibility(
+      supabase
+        .from('articles')
+        .select('*', { count: 'exact' })
+        .in('id', articleIds),
+      req.user
+    )
       .range(offset, offset + limit - 1)
       .order('created_at', { ascending: false });
 
@@ -1487,7 +2249,7 @@ export const getArticlesByAuthor = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: articles,
+      data: await attachArticleNotices(articles),
       author,
       pagination: {
         total: count,
@@ -1504,4 +2266,357 @@ export const getArticlesByAuthor = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Escape LIKE wildcards so a title can be compared case-insensitively but literally
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Rows read per request when every author or journal is loaded for matching
+// (responses are capped at 1000 rows)
+const MATCHING_PAGE_SIZE = 1000;
+
+// Every row of a table, page by page in ID order
+const fetchAllRows = async (table, columns) => {
+  const rows = [];
+  for (let offset = 0; ; offset += MATCHING_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .order('id', { ascending: true })
+      .range(offset, offset + MATCHING_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Error fetching ${table}: ${error.message}`);
+    }
+
+    rows.push(...data);
+    if (data.length < MATCHING_PAGE_SIZE) return rows;
+  }
+};
+
+// Delete the authors and journal created for an imported entry whose article
+// could not be created. Never throws.
+const removeImportRecords = async (authors, journal) => {
+  if (authors.length > 0) {
+    const { error } = await supabase
+      .from('authors')
+      .delete()
+      .in('id', authors.map(author => author.id));
+
+    if (error) {
+      console.error('Error removing imported authors:', error);
+    }
+  }
+
+  if (journal) {
+    const { error } = await supabase
+      .from('journals')
+      .delete()
+      .eq('id', journal.id);
+
+    if (error) {
+      console.error('Error removing imported journal:', error);
+    }
+  }
+};
+
+export const importArticles = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'No citation file uploaded'
+      });
+    }
+
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+
+    // Parse the uploaded file, then remove the temporary copy
+    const content = fs.readFileSync(req.file.path, 'utf8').replace(/^\uFEFF/, '');
+    fs.unlinkSync(req.file.path);
+
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    const entries = extension === '.ris' ? parseRis(content) : parseBibtex(content);
+
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'No entries found in the uploaded file'
+      });
+    }
+
+    // Load existing authors and journals once for matching
+    const existingAuthors = await fetchAllRows('authors', 'id, first_name, last_name, email, orcid_id');
+    const existingJournals = await fetchAllRows('journals', 'id, name, issn, e_issn');
+
+    const authorIndex = buildAuthorIndex(existingAuthors);
+    const journalIndex = buildJournalIndex(existingJournals);
+    const results = [];
+
+    for (const [index, entry] of entries.entries()) {
+      const result = {
+        index,
+        source_key: entry.source_key,
+        title: entry.title,
+        action: 'create',
+        article_id: null,
+        authors: [],
+        journal: null,
+        issues: []
+      };
+      results.push(result);
+
+      if (!entry.title) {
+        result.action = 'conflict';
+        result.issues.push('Entry has no title');
+        continue;
+      }
+
+      // An article with the same DOI is treated as already imported
+      const entryDoi = isValidDoi(entry.doi) ? normalizeDoi(entry.doi) : null;
+      if (entryDoi) {
+        const sameDoi = await findArticleByDoi(entryDoi);
+        if (sameDoi) {
+          result.action = 'match';
+          result.article_id = sameDoi.id;
+          continue;
+        }
+      }
+
+      // As is an article with the same title
+      const { data: sameTitle, error: titleError } = await supabase
+        .from('articles')
+        .select('id, title')
+        .ilike('title', escapeLikePattern(entry.title))
+        .limit(1);
+
+      if (titleError) {
+        throw new Error(`Error checking existing articles: ${titleError.message}`);
+      }
+
+      if (sameTitle && sameTitle.length > 0) {
+        result.action = 'match';
+        result.article_id = sameTitle[0].id;
+        continue;
+      }
+
+      // Resolve authors and journal. Records planned earlier in the same file are
+      // in the indexes too, so repeated names are only created once.
+      const authorMatches = entry.authors.map(source => ({ source, ...matchAuthor(authorIndex, source) }));
+      const journalMatch = entry.journal ? matchJournal(journalIndex, entry.journal) : null;
+
+      result.authors = authorMatches.map(match => ({
+        name: [match.source.last_name, match.source.first_name].filter(Boolean).join(', '),
+        action: match.action,
+        matched_by: match.matched_by,
+        author_id: match.author ? match.author.id : null,
+        reason: match.reason,
+        candidates: match.candidates ? match.candidates.map(candidate => candidate.id) : undefined
+      }));
+
+      if (journalMatch) {
+        result.journal = {
+          name: entry.journal.name,
+          issn: entry.journal.issn,
+          action: journalMatch.action,
+          matched_by: journalMatch.matched_by,
+          journal_id: journalMatch.journal ? journalMatch.journal.id : null,
+          reason: journalMatch.reason,
+          candidates: journalMatch.candidates ? journalMatch.candidates.map(candidate => candidate.id) : undefined
+        };
+      }
+
+      const conflicts = [
+        ...authorMatches.filter(match => match.action === 'conflict').map(match => match.reason),
+        ...(journalMatch && journalMatch.action === 'conflict' ? [journalMatch.reason] : [])
+      ];
+
+      if (conflicts.length > 0) {
+        result.action = 'conflict';
+        result.issues.push(...conflicts);
+        continue;
+      }
+
+      if (dryRun) {
+        // Register planned records so later entries report them as matches
+        authorMatches
+          .filter(match => match.action === 'create')
+          .forEach(match => addAuthorToIndex(authorIndex, { ...match.source, id: null }));
+        if (journalMatch && journalMatch.action === 'create') {
+          addJournalToIndex(journalIndex, { ...entry.journal, id: null });
+        }
+        continue;
+      }
+
+      // Authors and journal created for this entry, removed again if its
+      // article cannot be created
+      const createdAuthors = [];
+      let createdJournal = null;
+
+      try {
+        // Create missing authors
+        const authorIds = [];
+        for (const [position, match] of authorMatches.entries()) {
+          if (match.action === 'match') {
+            authorIds.push(match.author.id);
+            continue;
+          }
+
+          const { data: newAuthor, error: createAuthorError } = await supabase
+            .from('authors')
+            .insert({
+              first_name: match.source.first_name,
+              last_name: match.source.last_name,
+              email: match.source.email,
+              orcid_id: match.source.orcid_id,
+              updated_by: req.user.id
+            })
+            .select('id, first_name, last_name, email, orcid_id')
+            .single();
+
+          if (createAuthorError) {
+            throw new Error(`Error creating author: ${createAuthorError.message}`);
+          }
+
+          createdAuthors.push(newAuthor);
+          result.authors[position].author_id = newAuthor.id;
+          authorIds.push(newAuthor.id);
+        }
+
+        // Create the journal if it is missing
+        let journalId = journalMatch && journalMatch.action === 'match' ? journalMatch.journal.id : null;
+        if (journalMatch && journalMatch.action === 'create') {
+          const { data: newJournal, error: createJournalError } = await supabase
+            .from('journals')
+            .insert({
+              name: entry.journal.name,
+              issn: entry.journal.issn,
+              updated_by: req.user.id
+            })
+            .select('id, name, issn, e_issn')
+            .single();
+
+          if (createJournalError) {
+            throw new Error(`Error creating journal: ${createJournalError.message}`);
+          }
+
+          createdJournal = newJournal;
+          result.journal.journal_id = newJournal.id;
+          journalId = newJournal.id;
+        }
+
+        // Create the article and its associations
+        const { data: article, error: articleError } = await supabase
+          .from('articles')
+          .insert({
+            title: entry.title,
+            abstract: entry.abstract,
+            keywords: entry.keywords ? await normalizeArticleKeywords(entry.keywords) : entry.keywords,
+            language: entry.language,
+            publish_date: entry.publish_date,
+            doi: entryDoi,
+            status: 'draft',
+            updated_by: req.user.id
+          })
+          .select()
+          .single();
+
+        if (articleError) {
+          throw new Error(`Error creating article: ${articleError.message}`);
+        }
+
+        result.article_id = article.id;
+
+        // Later entries match the records created for this one
+        createdAuthors.forEach(author => addAuthorToIndex(authorIndex, author));
+        if (createdJournal) {
+          addJournalToIndex(journalIndex, createdJournal);
+        }
+
+        if (journalId) {
+          const { error: journalError } = await supabase
+            .from('article_journals')
+            .insert({
+              article_id: article.id,
+              journal_id: journalId
+            });
+
+          if (journalError) {
+            console.error(`Error associating article with journal: ${journalError.message}`);
+          }
+        }
+
+        if (authorIds.length > 0) {
+          const { error: associationError } = await supabase
+            .from('article_authors')
+            .insert([...new Set(authorIds)].map((author_id, i) => ({
+              article_id: article.id,
+              author_id,
+              position: i + 1
+            })));
+
+          if (associationError) {
+            console.error(`Error associating article with authors: ${associationError.message}`);
+          }
+        }
+
+        await linkIncomingReferences(article);
+        await markAuthorMetricsStale({ articleIds: [article.id] });
+        await syncArticleAffiliations({ articleIds: [article.id] });
+        await indexArticle(article.id, { similarities: false });
+      } catch (entryError) {
+        console.error(`Error importing entry ${index}:`, entryError);
+        result.action = 'error';
+        result.issues.push(entryError.message);
+
+        if (!result.article_id) {
+          await removeImportRecords(createdAuthors, createdJournal);
+          result.authors.forEach(author => {
+            if (author.action === 'create') author.author_id = null;
+          });
+          if (createdJournal) {
+            result.journal.journal_id = null;
+          }
+        }
+      }
+    }
+
+    // Related articles of the imported articles, queued together
+    if (!dryRun) {
+      await queueArticleSimilarities(results
+        .filter(result => result.action !== 'match' && result.article_id)
+        .map(result => result.article_id));
+    }
+
+    // Summarize the outcome per action
+    const summary = results.reduce((acc, result) => {
+      acc[result.action] = (acc[result.action] || 0) + 1;
+      return acc;
+    }, { total: results.length, create: 0, match: 0, conflict: 0 });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun ? 'Import preview generated successfully' : 'Articles imported successfully',
+      data: {
+        dry_run: dryRun,
+        summary,
+        entries: results
+      }
+    });
+  } catch (error) {
+    console.error('Import articles error:', error);
+
+    // Clean up the temporary file if it exists
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
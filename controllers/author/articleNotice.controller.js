@@ -0,0 +1,533 @@
+import fs from 'fs';
+import { supabase } from '../../db/connectDB.js';
+import { uploadToCloudinary, deleteFromCloudinary, extractPublicIdFromUrl } from '../../middlewares/cloudinary.config.js';
+import { normalizeDoi, isValidDoi } from '../../utils/identifiers.js';
+import { PUBLIC_ARTICLE_STATUSES } from '../../utils/articleStatus.js';
+import { NOTICE_TYPES, NOTICE_LABELS, EDITORIAL_NOTICE_TYPES, noticeFlags } from '../../utils/articleNotices.js';
+import { buildNoticeDeposit } from '../../utils/crossrefDeposit.js';
+import { getArticleRoles, canViewArticle, advanceArticleStatus } from './articleStatus.controller.js';
+
+const NOTICE_SELECT = `
+  id, article_id, notice_type, notice_date, title, content, doi, file_id, created_by, created_at, updated_at,
+  files:file_id (
+    id, file_name, file_path, mime_type
+  )
+`;
+
+const noticeUrl = (notice) => `${process.env.CLIENT_URL}/articles/${notice.article_id}#notice-${notice.id}`;
+
+const formatNotice = ({ files, ...notice }) => ({
+  ...notice,
+  url: noticeUrl(notice),
+  document: files || null
+});
+
+// Notices of several articles, keyed by article ID
+export const getNoticesForArticles = async (articleIds) => {
+  const notices = new Map();
+  if (!articleIds || articleIds.length === 0) {
+    return notices;
+  }
+
+  const { data, error } = await supabase
+    .from('article_notices')
+    .select(NOTICE_SELECT)
+    .in('article_id', articleIds);
+
+  if (error) {
+    console.error('Error fetching article notices:', error);
+    return notices;
+  }
+
+  (data || []).forEach(notice => {
+    const key = String(notice.article_id);
+    notices.set(key, [...(notices.get(key) || []), formatNotice(notice)]);
+  });
+  return notices;
+};
+
+// Add `notices`, `is_retracted` and `has_expression_of_concern` to article rows
+export const attachArticleNotices = async (articles) => {
+  if (!articles || articles.length === 0) {
+    return articles || [];
+  }
+
+  const notices = await getNoticesForArticles(articles.map(article => article.id));
+  return articles.map(article => ({
+    ...article,
+    ...noticeFlags(article, notices.get(String(article.id)))
+  }));
+};
+
+// Load an article, or send a 404 response and return null
+const findArticle = async (res, id) => {
+  const { data: article, error } = await supabase
+    .from('articles')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+      return null;
+    }
+    throw new Error(`Error fetching article: ${error.message}`);
+  }
+
+  return article;
+};
+
+// Load a notice of an article, or send a 404 response and return null
+const findNotice = async (res, articleId, noticeId) => {
+  const { data: notice, error } = await supabase
+    .from('article_notices')
+    .select(NOTICE_SELECT)
+    .eq('id', noticeId)
+    .eq('article_id', articleId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Notice not found'
+      });
+      return null;
+    }
+    throw new Error(`Error fetching notice: ${error.message}`);
+  }
+
+  return notice;
+};
+
+// Authors, editors and admins may issue corrections and errata; expressions of
+// concern and retractions are editorial decisions
+const canManageNotice = (roles, noticeType) => {
+  if (EDITORIAL_NOTICE_TYPES.includes(noticeType)) {
+    return roles.includes('editor') || roles.includes('admin');
+  }
+  return roles.length > 0;
+};
+
+// Upload the notice document and record it in `files`
+const saveNoticeDocument = async (file, notice, userId) => {
+  const uploadResult = await uploadToCloudinary(file.path, `articles/${notice.article_id}/notices`);
+
+  const { data: fileRecord, error } = await supabase
+    .from('files')
+    .insert({
+      file_name: file.originalname,
+      file_path: uploadResult.url,
+      file_type: file.mimetype === 'application/pdf' ? 'pdf' : (file.mimetype.includes('word') ? 'docx' : 'other'),
+      file_size: file.size,
+      mime_type: file.mimetype,
+      content_type: 'article_notice',
+      content_id: notice.id,
+      is_public: true,
+      uploaded_by: userId
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Error creating file record: ${error.message}`);
+  }
+
+  return fileRecord;
+};
+
+const removeNoticeDocument = async (fileId) => {
+  const { data: file } = await supabase
+    .from('files')
+    .select('id, file_path')
+    .eq('id', fileId)
+    .single();
+
+  if (!file) return;
+
+  const publicId = extractPublicIdFromUrl(file.file_path);
+  if (publicId) {
+    await deleteFromCloudinary(publicId);
+  }
+
+  await supabase
+    .from('files')
+    .delete()
+    .eq('id', file.id);
+};
+
+// Remove the notices of a deleted article with their documents
+export const deleteArticleNotices = async (articleId) => {
+  const { data: notices, error } = await supabase
+    .from('article_notices')
+    .select('id, file_id')
+    .eq('article_id', articleId);
+
+  if (error) {
+    console.error('Error fetching article notices:', error);
+    return;
+  }
+
+  for (const notice of notices || []) {
+    if (notice.file_id) {
+      await removeNoticeDocument(notice.file_id);
+    }
+  }
+
+  await supabase
+    .from('article_notices')
+    .delete()
+    .eq('article_id', articleId);
+};
+
+const cleanUpUpload = (req) => {
+  if (req.file && fs.existsSync(req.file.path)) {
+    fs.unlinkSync(req.file.path);
+  }
+};
+
+export const getArticleNotices = async (req, res) => {
+  try {
+    const article = await findArticle(res, req.params.id);
+    if (!article) return;
+
+    if (!(await canViewArticle(article, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    const notices = await getNoticesForArticles([article.id]);
+
+    res.status(200).json({
+      success: true,
+      data: noticeFlags(article, notices.get(String(article.id)))
+    });
+  } catch (error) {
+    console.error('Get article notices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const createArticleNotice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notice_type, notice_date, title, content, doi } = req.body;
+
+    if (!NOTICE_TYPES.includes(notice_type)) {
+      cleanUpUpload(req);
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `notice_type must be one of: ${NOTICE_TYPES.join(', ')}`
+      });
+    }
+
+    if (!content) {
+      cleanUpUpload(req);
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Notice content is required'
+      });
+    }
+
+    if (doi && !isValidDoi(doi)) {
+      cleanUpUpload(req);
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid DOI format. It should look like: 10.1234/example'
+      });
+    }
+
+    const article = await findArticle(res, id);
+    if (!article) {
+      cleanUpUpload(req);
+      return;
+    }
+
+    const roles = await getArticleRoles(article, req.user);
+    if (!canManageNotice(roles, notice_type)) {
+      cleanUpUpload(req);
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `You do not have permission to issue a ${NOTICE_LABELS[notice_type].toLowerCase()} for this article`
+      });
+    }
+
+    // Notices concern the published record
+    if (!PUBLIC_ARTICLE_STATUSES.includes(article.status)) {
+      cleanUpUpload(req);
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Notices can only be issued for published articles'
+      });
+    }
+
+    if (notice_type === 'retraction' && article.status === 'retracted') {
+      cleanUpUpload(req);
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'This article has already been retracted'
+      });
+    }
+
+    const { data: notice, error } = await supabase
+      .from('article_notices')
+      .insert({
+        article_id: article.id,
+        notice_type,
+        notice_date: notice_date || new Date().toISOString().slice(0, 10),
+        title: title || `${NOTICE_LABELS[notice_type]}: ${article.title}`,
+        content,
+        doi: doi ? normalizeDoi(doi) : null,
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      cleanUpUpload(req);
+      throw new Error(`Error creating notice: ${error.message}`);
+    }
+
+    if (req.file) {
+      const fileRecord = await saveNoticeDocument(req.file, notice, req.user.id);
+      await supabase
+        .from('article_notices')
+        .update({ file_id: fileRecord.id })
+        .eq('id', notice.id);
+      fs.unlinkSync(req.file.path);
+    }
+
+    if (notice_type === 'retraction') {
+      await advanceArticleStatus(article.id, 'retracted', req.user.id, notice.title);
+    }
+
+    const created = await findNotice(res, article.id, notice.id);
+    if (!created) return;
+
+    res.status(201).json({
+      success: true,
+      message: `${NOTICE_LABELS[notice_type]} issued successfully`,
+      data: formatNotice(created)
+    });
+  } catch (error) {
+    console.error('Create article notice error:', error);
+    cleanUpUpload(req);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const updateArticleNotice = async (req, res) => {
+  try {
+    const { id, noticeId } = req.params;
+    const { notice_date, title, content, doi } = req.body;
+
+    if (doi && !isValidDoi(doi)) {
+      cleanUpUpload(req);
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid DOI format. It should look like: 10.1234/example'
+      });
+    }
+
+    const article = await findArticle(res, id);
+    if (!article) {
+      cleanUpUpload(req);
+      return;
+    }
+
+    const notice = await findNotice(res, article.id, noticeId);
+    if (!notice) {
+      cleanUpUpload(req);
+      return;
+    }
+
+    const roles = await getArticleRoles(article, req.user);
+    if (!canManageNotice(roles, notice.notice_type)) {
+      cleanUpUpload(req);
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You do not have permission to update this notice'
+      });
+    }
+
+    // The notice type is fixed: a retraction moved the article to retracted
+    const updateData = { updated_at: new Date() };
+    if (notice_date !== undefined) updateData.notice_date = notice_date;
+    if (title !== undefined) updateData.title = title;
+    if (content !== undefined) updateData.content = content;
+    if (doi !== undefined) updateData.doi = doi ? normalizeDoi(doi) : null;
+
+    if (req.file) {
+      const fileRecord = await saveNoticeDocument(req.file, notice, req.user.id);
+      updateData.file_id = fileRecord.id;
+      fs.unlinkSync(req.file.path);
+    }
+
+    const { error } = await supabase
+      .from('article_notices')
+      .update(updateData)
+      .eq('id', notice.id);
+
+    if (error) {
+      throw new Error(`Error updating notice: ${error.message}`);
+    }
+
+    // A replaced document is removed
+    if (req.file && notice.file_id) {
+      await removeNoticeDocument(notice.file_id);
+    }
+
+    const updated = await findNotice(res, article.id, notice.id);
+    if (!updated) return;
+
+    res.status(200).json({
+      success: true,
+      message: 'Notice updated successfully',
+      data: formatNotice(updated)
+    });
+  } catch (error) {
+    console.error('Update article notice error:', error);
+    cleanUpUpload(req);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const deleteArticleNotice = async (req, res) => {
+  try {
+    const { id, noticeId } = req.params;
+
+    const article = await findArticle(res, id);
+    if (!article) return;
+
+    const notice = await findNotice(res, article.id, noticeId);
+    if (!notice) return;
+
+    const roles = await getArticleRoles(article, req.user);
+    if (!canManageNotice(roles, notice.notice_type)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You do not have permission to delete this notice'
+      });
+    }
+
+    // Retractions are permanent; correct the notice text instead
+    if (notice.notice_type === 'retraction') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Retraction notices cannot be deleted'
+      });
+    }
+
+    const { error } = await supabase
+      .from('article_notices')
+      .delete()
+      .eq('id', notice.id);
+
+    if (error) {
+      throw new Error(`Error deleting notice: ${error.message}`);
+    }
+
+    if (notice.file_id) {
+      await removeNoticeDocument(notice.file_id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notice deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete article notice error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Crossref deposit registering the notice DOI as an update (Crossmark) of the article DOI
+export const exportNoticeCrossref = async (req, res) => {
+  try {
+    const { id, noticeId } = req.params;
+
+    const article = await findArticle(res, id);
+    if (!article) return;
+
+    const notice = await findNotice(res, article.id, noticeId);
+    if (!notice) return;
+
+    if (!notice.doi || !article.doi) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Both the notice and the article need a DOI to deposit an update'
+      });
+    }
+
+    const { data: articleJournals, error: journalsError } = await supabase
+      .from('article_journals')
+      .select(`
+        journals:journal_id (
+          id, name, issn, e_issn, language
+        )
+      `)
+      .eq('article_id', article.id);
+
+    if (journalsError) {
+      throw new Error(`Error fetching article journals: ${journalsError.message}`);
+    }
+
+    const journals = (articleJournals || []).filter(item => item.journals).map(item => item.journals);
+    if (journals.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Article must belong to a journal to deposit a notice'
+      });
+    }
+
+    const xml = buildNoticeDeposit(formatNotice(notice), { ...article, journals }, noticeUrl(notice));
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="crossref-notice-${notice.id}.xml"`);
+    res.status(200).send(xml);
+  } catch (error) {
+    console.error('Export notice Crossref deposit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,333 @@
+import { supabase } from '../../db/connectDB.js';
+import {
+  buildSearchDocument,
+  parseSearchQuery,
+  scoreSearchMatch,
+  highlightSnippet
+} from '../../utils/fullTextSearch.js';
+import { buildTermVector } from '../../utils/textSimilarity.js';
+import { queueArticleSimilarities, rebuildArticleSimilarities } from './articleSimilarity.controller.js';
+
+// Articles indexed per batch when the whole index is rebuilt
+const REINDEX_BATCH_SIZE = 100;
+
+// Time a request spends on a rebuild before it returns, to stay within the
+// time limit of a serverless function; the cron route picks up from there
+const REINDEX_TIME_BUDGET_MS = 8000;
+
+// Postgres error code of a unique index violation: a rebuild is already running
+const UNIQUE_VIOLATION = '23505';
+
+// Full text of the current documents of an article: the text extracted when
+// each document was uploaded, or its preview for documents uploaded before
+// versions were kept
+const getArticleDocumentText = async (articleId) => {
+  const { data: files, error } = await supabase
+    .from('files')
+    .select('id, file_path, text_preview')
+    .eq('content_type', 'article')
+    .eq('content_id', articleId);
+
+  if (error) {
+    throw new Error(`Error fetching article documents: ${error.message}`);
+  }
+
+  if (!files || files.length === 0) return '';
+
+  const { data: versions, error: versionsError } = await supabase
+    .from('file_versions')
+    .select('file_id, file_path, extracted_text')
+    .in('file_id', files.map(file => file.id));
+
+  if (versionsError) {
+    throw new Error(`Error fetching document versions: ${versionsError.message}`);
+  }
+
+  return files
+    .map(file => {
+      const current = (versions || []).filter(version =>
+        String(version.file_id) === String(file.id) && version.file_path === file.file_path
+      ).pop();
+      return current && current.extracted_text ? current.extracted_text : file.text_preview;
+    })
+    .filter(Boolean)
+    .join('\n');
+};
+
+// Rebuild the search document and term vector of an article from its metadata
+// and documents, then queue its similarities with other articles for
+// recomputation (unless `similarities` is false). Call after the article or
+// its documents change. Never throws.
+export const indexArticle = async (articleId, { similarities = true } = {}) => {
+  try {
+    const { data: article, error } = await supabase
+      .from('articles')
+      .select('id, title, abstract, keywords')
+      .eq('id', articleId)
+      .single();
+
+    if (error) {
+      throw new Error(`Error fetching article: ${error.message}`);
+    }
+
+    const body = await getArticleDocumentText(articleId);
+    const entry = {
+      article_id: article.id,
+      body,
+      ...buildSearchDocument({ ...article, body }),
+      terms: buildTermVector({ ...article, body }),
+      updated_at: new Date()
+    };
+
+    const { data: existing } = await supabase
+      .from('article_search_index')
+      .select('article_id')
+      .eq('article_id', article.id);
+
+    const { error: saveError } = existing && existing.length > 0
+      ? await supabase
+        .from('article_search_index')
+        .update(entry)
+        .eq('article_id', article.id)
+      : await supabase
+        .from('article_search_index')
+        .insert(entry);
+
+    if (saveError) {
+      throw new Error(`Error saving article search index: ${saveError.message}`);
+    }
+
+    if (similarities) {
+      await queueArticleSimilarities(article.id);
+    }
+  } catch (error) {
+    console.error('Index article error:', error);
+  }
+};
+
+export const removeArticleFromIndex = async (articleId) => {
+  const { error } = await supabase
+    .from('article_search_index')
+    .delete()
+    .eq('article_id', articleId);
+
+  if (error) {
+    console.error('Error removing article from search index:', error);
+  }
+};
+
+// Parsed search query, or null when it has nothing to search for
+export const parseArticleSearch = (search) => {
+  if (!search) return null;
+  const parsed = parseSearchQuery(search);
+  return parsed.isEmpty ? null : parsed;
+};
+
+// Query of the articles matching a parsed search query in the index (title,
+// abstract, keywords and document text, diacritic-insensitive), for the given
+// columns. The search_articles database function ranks the matches, most
+// relevant first, so that further filters and a range keep that order as long
+// as no other order is applied.
+export const searchArticles = (parsed, columns = '*') => {
+  return supabase
+    .rpc('search_articles', { search_query: parsed.query }, { count: 'exact' })
+    .select(columns);
+};
+
+// Add the `search_rank` of each article for a parsed query, keeping their order
+export const rankArticles = (articles, parsed) => {
+  return articles.map(article => ({ ...article, search_rank: scoreSearchMatch(article, parsed) }));
+};
+
+// Add `highlights` (HTML snippets with <mark>ed matches) of the title,
+// abstract, keywords and document text to a page of search results
+export const attachSearchHighlights = async (articles, parsed) => {
+  if (!articles || articles.length === 0) return [];
+
+  const { data: entries, error } = await supabase
+    .from('article_search_index')
+    .select('article_id, body')
+    .in('article_id', articles.map(article => article.id));
+
+  if (error) {
+    console.error('Error fetching article search index:', error);
+  }
+
+  return articles.map(article => {
+    const entry = (entries || []).find(item => String(item.article_id) === String(article.id));
+    return {
+      ...article,
+      highlights: {
+        title: highlightSnippet(article.title, parsed, { whole: true }),
+        abstract: highlightSnippet(article.abstract, parsed),
+        keywords: (article.keywords || [])
+          .map(keyword => highlightSnippet(keyword, parsed, { whole: true }))
+          .filter(Boolean),
+        body: entry ? highlightSnippet(entry.body, parsed) : null
+      }
+    };
+  });
+};
+
+// The latest rebuild of the whole index, or null
+const getLatestReindexJob = async () => {
+  const { data, error } = await supabase
+    .from('article_reindex_jobs')
+    .select('*')
+    .order('started_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Error fetching search index rebuilds: ${error.message}`);
+  }
+
+  return data[0] || null;
+};
+
+const updateReindexJob = async (job, changes) => {
+  const { data, error } = await supabase
+    .from('article_reindex_jobs')
+    .update({ ...changes, updated_at: new Date() })
+    .eq('id', job.id)
+    .eq('last_article_id', job.last_article_id)
+    .select();
+
+  if (error) {
+    throw new Error(`Error updating search index rebuild: ${error.message}`);
+  }
+
+  return data[0] || null;
+};
+
+// Index the next batch of articles of a running rebuild and save its
+// progress. After the last batch the similarities of every article are queued
+// for recomputation and the job is completed. The progress is only saved if
+// no one else saved the same batch meanwhile (indexing it twice is harmless).
+// Returns the updated job, or null when another run advanced it first.
+const runReindexBatch = async (job) => {
+  const { data: articles, error } = await supabase
+    .from('articles')
+    .select('id')
+    .gt('id', job.last_article_id)
+    .order('id', { ascending: true })
+    .limit(REINDEX_BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Error fetching articles: ${error.message}`);
+  }
+
+  for (const article of articles) {
+    await indexArticle(article.id, { similarities: false });
+  }
+
+  if (articles.length < REINDEX_BATCH_SIZE) {
+    await rebuildArticleSimilarities();
+  }
+
+  return updateReindexJob(job, {
+    last_article_id: articles.length > 0 ? articles[articles.length - 1].id : job.last_article_id,
+    indexed: job.indexed + articles.length,
+    ...(articles.length < REINDEX_BATCH_SIZE && { status: 'completed', finished_at: new Date() })
+  });
+};
+
+// Advance the running rebuild, if any, batch by batch until it completes or
+// the time budget is spent. A failed batch fails the job. Returns the latest job.
+export const advanceReindexJob = async (timeBudget = REINDEX_TIME_BUDGET_MS) => {
+  const deadline = Date.now() + timeBudget;
+  let job = await getLatestReindexJob();
+
+  while (job && job.status === 'running' && Date.now() < deadline) {
+    try {
+      job = await runReindexBatch(job) || await getLatestReindexJob();
+    } catch (error) {
+      console.error('Reindex articles error:', error);
+      job = await updateReindexJob(job, {
+        status: 'failed',
+        error: error.message,
+        finished_at: new Date()
+      }) || await getLatestReindexJob();
+    }
+  }
+
+  return job;
+};
+
+// Controller to rebuild the search index and the similarities of every
+// article (admin only), e.g. for articles created before full-text search or
+// related articles existed. The rebuild is saved in article_reindex_jobs and
+// runs batch by batch: first in this request, for as long as the time budget
+// allows, then from the cron route (runReindexJob). Its progress is returned
+// by getReindexStatus.
+export const reindexArticles = async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('article_reindex_jobs')
+      .insert({ status: 'running', started_by: req.user.id });
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'The search index is already being rebuilt',
+          data: await getLatestReindexJob()
+        });
+      }
+      throw new Error(`Error starting search index rebuild: ${error.message}`);
+    }
+
+    const job = await advanceReindexJob();
+
+    res.status(job && job.status === 'running' ? 202 : 200).json({
+      success: true,
+      message: job && job.status === 'running' ? 'Search index rebuild started' : 'Search index rebuilt',
+      data: job
+    });
+  } catch (error) {
+    console.error('Reindex articles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Controller for the cron route: continue the running search index rebuild
+export const runReindexJob = async (req, res) => {
+  try {
+    const job = await advanceReindexJob();
+
+    res.status(200).json({
+      success: true,
+      data: job || { status: 'idle' }
+    });
+  } catch (error) {
+    console.error('Run reindex job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Controller to get the progress of the last search index rebuild (admin only)
+export const getReindexStatus = async (req, res) => {
+  try {
+    const job = await getLatestReindexJob();
+
+    res.status(200).json({
+      success: true,
+      data: job || { status: 'idle' }
+    });
+  } catch (error) {
+    console.error('Get reindex status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
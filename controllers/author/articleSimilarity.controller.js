@@ -0,0 +1,489 @@
+import { supabase } from '../../db/connectDB.js';
+import { applyArticleVisibility } from '../../utils/articleStatus.js';
+import {
+  buildTermVector,
+  weighTerms,
+  keywordSet,
+  articleSimilarity
+} from '../../utils/textSimilarity.js';
+
+// Pairs of articles scoring at least this similarity are stored (in both
+// directions) in article_similarities
+const MIN_SIMILARITY = 0.1;
+
+// Related articles returned with an article, by default and at most
+const DEFAULT_RELATED_LIMIT = 5;
+const MAX_RELATED_LIMIT = 20;
+
+// Similar articles considered before the ones the user may not see are dropped
+const MAX_RELATED_CANDIDATES = 100;
+
+// Most frequent terms of an article (or text) used to find candidates sharing
+// its subject, and candidates found per signal (terms, authors, keywords)
+const MAX_QUERY_TERMS = 30;
+const MAX_CANDIDATES = 100;
+
+// Articles whose similarities are recomputed per round of the queue
+const QUEUE_BATCH_SIZE = 20;
+
+// IDs per `in` filter, to keep request URLs short
+const ID_BATCH_SIZE = 100;
+
+// Rows inserted per request
+const INSERT_BATCH_SIZE = 500;
+
+const RELATED_ARTICLE_SELECT = 'id, title, abstract, publish_date, doi, language, keywords, status';
+
+// Time a run of the queue spends before it returns, to stay within the time
+// limit of a serverless function; the next scheduled run picks up from there
+const QUEUE_TIME_BUDGET_MS = 8000;
+
+// Run a query for each batch of IDs and concatenate the rows
+const fetchInBatches = async (ids, label, fetchBatch) => {
+  const rows = [];
+  for (let start = 0; start < ids.length; start += ID_BATCH_SIZE) {
+    const { data, error } = await fetchBatch(ids.slice(start, start + ID_BATCH_SIZE));
+    if (error) {
+      throw new Error(`Error fetching ${label}: ${error.message}`);
+    }
+    rows.push(...(data || []));
+  }
+  return rows;
+};
+
+// IDs linked to each article, as Sets
+const groupIds = (links, column) => {
+  const groups = new Map();
+  links.forEach(link => {
+    const id = String(link.article_id);
+    if (!groups.has(id)) groups.set(id, new Set());
+    groups.get(id).add(String(link[column]));
+  });
+  return groups;
+};
+
+// Stored term vectors, keywords, authors and journals of the given articles,
+// as a Map of items keyed by article ID (articles that no longer exist are
+// left out)
+const loadItems = async (articleIds) => {
+  const ids = [...new Set(articleIds.map(String))];
+  const [entries, articles, authorLinks, journalLinks] = await Promise.all([
+    fetchInBatches(ids, 'article term vectors', batch => supabase
+      .from('article_search_index')
+      .select('article_id, terms')
+      .in('article_id', batch)),
+    fetchInBatches(ids, 'articles', batch => supabase
+      .from('articles')
+      .select('id, keywords')
+      .in('id', batch)),
+    fetchInBatches(ids, 'article authors', batch => supabase
+      .from('article_authors')
+      .select('article_id, author_id')
+      .in('article_id', batch)),
+    fetchInBatches(ids, 'article journals', batch => supabase
+      .from('article_journals')
+      .select('article_id, journal_id')
+      .in('article_id', batch))
+  ]);
+
+  const vectors = new Map(entries.map(entry => [String(entry.article_id), entry.terms || {}]));
+  const authors = groupIds(authorLinks, 'author_id');
+  const journals = groupIds(journalLinks, 'journal_id');
+
+  return new Map(articles.map(article => {
+    const id = String(article.id);
+    return [id, {
+      id: article.id,
+      vector: vectors.get(id) || {},
+      keywords: article.keywords || [],
+      authors: authors.get(id) || new Set(),
+      journals: journals.get(id) || new Set()
+    }];
+  }));
+};
+
+// Most frequent terms of a term vector
+const queryTerms = (vector) => {
+  return Object.entries(vector)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_QUERY_TERMS)
+    .map(([term]) => term);
+};
+
+// IDs of the articles that may be similar to an item: those matching its most
+// frequent terms in the search index (best matches first), sharing one of its
+// authors or one of its keywords
+const findCandidateIds = async (item) => {
+  const terms = queryTerms(item.vector);
+  const [termMatches, authorLinks, keywordMatches] = await Promise.all([
+    terms.length > 0
+      ? supabase.rpc('rank_articles_by_terms', { search_terms: terms, max_results: MAX_CANDIDATES })
+      : { data: [] },
+    item.authors.size > 0
+      ? supabase
+        .from('article_authors')
+        .select('article_id')
+        .in('author_id', [...item.authors])
+        .limit(MAX_CANDIDATES)
+      : { data: [] },
+    item.keywords.length > 0
+      ? supabase
+        .from('articles')
+        .select('id')
+        .overlaps('keywords', item.keywords)
+        .limit(MAX_CANDIDATES)
+      : { data: [] }
+  ]);
+
+  [termMatches, authorLinks, keywordMatches].forEach(({ error }) => {
+    if (error) {
+      throw new Error(`Error finding similar articles: ${error.message}`);
+    }
+  });
+
+  const ids = [
+    ...termMatches.data.map(match => match.article_id),
+    ...authorLinks.data.map(link => link.article_id),
+    ...keywordMatches.data.map(article => article.id)
+  ].map(String);
+
+  return [...new Set(ids)].filter(id => id !== String(item.id));
+};
+
+// Document frequencies of the terms of the given vectors, with the number of
+// indexed articles, read from the counts the database keeps up to date
+const loadTermStatistics = async (vectors) => {
+  const terms = [...new Set(vectors.flatMap(vector => Object.keys(vector)))];
+
+  const [frequencies, documents] = await Promise.all([
+    terms.length > 0
+      ? supabase.rpc('term_document_frequencies', { search_terms: terms })
+      : { data: {} },
+    supabase
+      .from('article_search_index')
+      .select('article_id', { count: 'exact', head: true })
+  ]);
+
+  if (frequencies.error) {
+    throw new Error(`Error fetching term frequencies: ${frequencies.error.message}`);
+  }
+
+  if (documents.error) {
+    throw new Error(`Error counting indexed articles: ${documents.error.message}`);
+  }
+
+  return {
+    frequencies: new Map(Object.entries(frequencies.data || {})),
+    documentCount: documents.count || 0
+  };
+};
+
+// Articles similar to an item ({ id, vector, keywords, authors, journals }),
+// most similar first, scored against the candidates sharing its subject,
+// authors or keywords rather than the whole corpus
+const findSimilar = async (item) => {
+  const candidates = await loadItems(await findCandidateIds(item));
+  if (candidates.size === 0) return [];
+
+  const { frequencies, documentCount } = await loadTermStatistics([item.vector, ...[...candidates.values()].map(candidate => candidate.vector)]);
+  const weigh = (entry) => ({
+    id: entry.id,
+    terms: weighTerms(entry.vector, frequencies, documentCount),
+    keywords: keywordSet(entry.keywords),
+    authors: entry.authors,
+    journals: entry.journals
+  });
+
+  const weighed = weigh(item);
+  const similar = [];
+  candidates.forEach(candidate => {
+    const { score, details } = articleSimilarity(weighed, weigh(candidate));
+    if (score >= MIN_SIMILARITY) {
+      similar.push({ id: candidate.id, score, details });
+    }
+  });
+  return similar.sort((a, b) => b.score - a.score);
+};
+
+const insertSimilarities = async (rows) => {
+  for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('article_similarities')
+      .insert(rows.slice(start, start + INSERT_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Error saving article similarities: ${error.message}`);
+    }
+  }
+};
+
+const similarityRow = (articleId, relatedId, { score, details }) => ({
+  article_id: articleId,
+  related_article_id: relatedId,
+  score,
+  details,
+  updated_at: new Date()
+});
+
+const deleteSimilarities = async (articleId) => {
+  const { error } = await supabase
+    .from('article_similarities')
+    .delete()
+    .eq('article_id', articleId);
+
+  if (error) {
+    throw new Error(`Error deleting article similarities: ${error.message}`);
+  }
+
+  const { error: relatedError } = await supabase
+    .from('article_similarities')
+    .delete()
+    .eq('related_article_id', articleId);
+
+  if (relatedError) {
+    throw new Error(`Error deleting article similarities: ${relatedError.message}`);
+  }
+};
+
+// Recompute the similarities of one article with the others, in both directions
+const computeArticleSimilarities = async (articleId) => {
+  const item = (await loadItems([articleId])).get(String(articleId));
+
+  await deleteSimilarities(articleId);
+  if (!item) return;
+
+  const rows = (await findSimilar(item)).flatMap(similar => [
+    similarityRow(item.id, similar.id, similar),
+    similarityRow(similar.id, item.id, similar)
+  ]);
+  await insertSimilarities(rows);
+};
+
+// Recompute the similarities of the queued articles, a batch at a time, until
+// the queue is empty or the time budget is spent. An article queued again
+// while it was processed stays in the queue. Stops at the first error; the
+// articles left are processed on the next run. Returns the number of articles
+// processed. Never throws.
+export const processSimilarityQueue = async (timeBudget = QUEUE_TIME_BUDGET_MS) => {
+  const deadline = Date.now() + timeBudget;
+  let processed = 0;
+
+  try {
+    while (Date.now() < deadline) {
+      const { data: queued, error } = await supabase
+        .from('article_similarity_queue')
+        .select('article_id, queued_at')
+        .order('queued_at', { ascending: true })
+        .limit(QUEUE_BATCH_SIZE);
+
+      if (error) {
+        throw new Error(`Error fetching the similarity queue: ${error.message}`);
+      }
+
+      if (queued.length === 0) break;
+
+      for (const entry of queued) {
+        await computeArticleSimilarities(entry.article_id);
+
+        const { error: dequeueError } = await supabase
+          .from('article_similarity_queue')
+          .delete()
+          .eq('article_id', entry.article_id)
+          .eq('queued_at', entry.queued_at);
+
+        if (dequeueError) {
+          throw new Error(`Error updating the similarity queue: ${dequeueError.message}`);
+        }
+        processed++;
+      }
+    }
+  } catch (error) {
+    console.error('Process similarity queue error:', error);
+  }
+
+  return processed;
+};
+
+// Controller for the cron route: recompute the similarities of the queued
+// articles, for as long as the time budget allows
+export const runSimilarityQueue = async (req, res) => {
+  try {
+    const processed = await processSimilarityQueue();
+
+    const { count, error } = await supabase
+      .from('article_similarity_queue')
+      .select('article_id', { count: 'exact', head: true });
+
+    if (error) {
+      throw new Error(`Error counting the similarity queue: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { processed, queued: count || 0 }
+    });
+  } catch (error) {
+    console.error('Run similarity queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+const enqueue = async (ids) => {
+  const queuedAt = new Date();
+  for (let start = 0; start < ids.length; start += INSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('article_similarity_queue')
+      .upsert(ids.slice(start, start + INSERT_BATCH_SIZE).map(id => ({ article_id: id, queued_at: queuedAt })));
+
+    if (error) {
+      throw new Error(`Error queuing article similarities: ${error.message}`);
+    }
+  }
+};
+
+// Queue one or more articles to have their similarities recomputed. Call after
+// their text, keywords, authors or journal change (indexArticle does it for
+// text changes). The queue is processed by the scheduled cron route
+// (runSimilarityQueue). Never throws.
+export const queueArticleSimilarities = async (articleIds) => {
+  try {
+    const ids = [...new Set([].concat(articleIds).filter(Boolean).map(String))];
+    if (ids.length === 0) return;
+
+    await enqueue(ids);
+  } catch (error) {
+    console.error('Queue article similarities error:', error);
+  }
+};
+
+export const removeArticleSimilarities = async (articleId) => {
+  try {
+    await deleteSimilarities(articleId);
+  } catch (error) {
+    console.error('Error removing article similarities:', error);
+  }
+};
+
+// Queue every article to have its similarities recomputed, e.g. after the
+// search index was rebuilt. Returns the number of articles queued.
+export const rebuildArticleSimilarities = async () => {
+  let queued = 0;
+  for (let offset = 0; ; offset += INSERT_BATCH_SIZE) {
+    const { data: articles, error } = await supabase
+      .from('articles')
+      .select('id')
+      .order('id', { ascending: true })
+      .range(offset, offset + INSERT_BATCH_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Error fetching articles: ${error.message}`);
+    }
+
+    await enqueue(articles.map(article => article.id));
+    queued += articles.length;
+
+    if (articles.length < INSERT_BATCH_SIZE) break;
+  }
+
+  return queued;
+};
+
+// The ranked articles ({ id, score, details }) the user may see, in rank
+// order, with their `similarity` score and its `similarity_details`
+const visibleRankedArticles = async (ranked, user, limit) => {
+  if (ranked.length === 0) return [];
+
+  const { data: articles, error } = await applyArticleVisibility(
+    supabase
+      .from('articles')
+      .select(RELATED_ARTICLE_SELECT),
+    user
+  ).in('id', ranked.map(item => item.id));
+
+  if (error) {
+    throw new Error(`Error fetching related articles: ${error.message}`);
+  }
+
+  return ranked
+    .map(item => {
+      const article = (articles || []).find(candidate => String(candidate.id) === String(item.id));
+      return article ? { ...article, similarity: item.score, similarity_details: item.details } : null;
+    })
+    .filter(Boolean)
+    .slice(0, limit);
+};
+
+const clampLimit = (limit) => {
+  return Math.min(Math.max(parseInt(limit) || DEFAULT_RELATED_LIMIT, 1), MAX_RELATED_LIMIT);
+};
+
+// Articles most similar to an article, among those the user may see. Returns
+// an empty list when they cannot be fetched.
+export const getRelatedArticles = async (articleId, user, limit) => {
+  try {
+    const { data: pairs, error } = await supabase
+      .from('article_similarities')
+      .select('related_article_id, score, details')
+      .eq('article_id', articleId)
+      .order('score', { ascending: false })
+      .limit(MAX_RELATED_CANDIDATES);
+
+    if (error) {
+      throw new Error(`Error fetching article similarities: ${error.message}`);
+    }
+
+    const ranked = (pairs || []).map(pair => ({ id: pair.related_article_id, score: pair.score, details: pair.details }));
+    return await visibleRankedArticles(ranked, user, clampLimit(limit));
+  } catch (error) {
+    console.error('Get related articles error:', error);
+    return [];
+  }
+};
+
+// Controller to find the articles most similar to an arbitrary text ("more
+// like this"), optionally with keywords. `exclude_id` leaves out an article,
+// e.g. the one being edited.
+export const getMoreLikeThis = async (req, res) => {
+  try {
+    const { text, keywords, exclude_id, limit } = req.body;
+
+    if ((!text || !String(text).trim()) && (!keywords || keywords.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Text or keywords are required'
+      });
+    }
+
+    const keywordList = (Array.isArray(keywords) ? keywords : String(keywords || '').split(','))
+      .map(keyword => String(keyword).trim())
+      .filter(Boolean);
+    const similar = await findSimilar({
+      id: null,
+      vector: buildTermVector({ body: text, keywords: keywordList }),
+      keywords: keywordList,
+      authors: new Set(),
+      journals: new Set()
+    });
+
+    const ranked = similar
+      .filter(item => !exclude_id || String(item.id) !== String(exclude_id))
+      .slice(0, MAX_RELATED_CANDIDATES);
+
+    res.status(200).json({
+      success: true,
+      data: await visibleRankedArticles(ranked, req.user, clampLimit(limit))
+    });
+  } catch (error) {
+    console.error('More like this error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,264 @@
+import { supabase } from '../../db/connectDB.js';
+import {
+  ARTICLE_STATUSES,
+  PUBLIC_ARTICLE_STATUSES,
+  articleRoles,
+  isAllowedTransition,
+  canTransition,
+  availableTransitions
+} from '../../utils/articleStatus.js';
+import { markAuthorMetricsStale } from './author.controller.js';
+
+// Whether the user is an editor (see journal_editors) of a journal the article
+// is submitted to. Editor rights come only from these admin-assigned editors:
+// linking an article to a journal grants none, and the article's author or
+// submitter is never its editor.
+export const isArticleEditor = async (articleId, user) => {
+  if (!user) return false;
+
+  const [{ data: article, error: articleError }, { data: submissions, error: submissionsError }] = await Promise.all([
+    supabase
+      .from('articles')
+      .select('updated_by')
+      .eq('id', articleId)
+      .single(),
+    supabase
+      .from('submissions')
+      .select('submitted_by, journals:journal_id (journal_editors (user_id))')
+      .eq('article_id', articleId)
+      .neq('status', 'rejected')
+  ]);
+
+  if (articleError && articleError.code !== 'PGRST116') {
+    throw new Error(`Error fetching article: ${articleError.message}`);
+  }
+  if (submissionsError) {
+    throw new Error(`Error fetching article submissions: ${submissionsError.message}`);
+  }
+
+  if (!article || String(article.updated_by) === String(user.id)) return false;
+
+  return (submissions || []).some(submission => String(submission.submitted_by) !== String(user.id)
+    && ((submission.journals && submission.journals.journal_editors) || [])
+      .some(editor => String(editor.user_id) === String(user.id)));
+};
+
+// Roles of the user on an article (see ARTICLE_TRANSITIONS)
+export const getArticleRoles = async (article, user) => {
+  if (!user) return [];
+  return articleRoles(user, {
+    isOwner: String(article.updated_by) === String(user.id),
+    isEditor: await isArticleEditor(article.id, user)
+  });
+};
+
+// Public articles are visible to everyone; others to their author, editors and admins
+export const canViewArticle = async (article, user) => {
+  if (PUBLIC_ARTICLE_STATUSES.includes(article.status)) return true;
+  return (await getArticleRoles(article, user)).length > 0;
+};
+
+// Move an article to a new status and record the transition. Publishing fills
+// in a missing publish date.
+const applyTransition = async (article, status, actorId, note = null) => {
+  const now = new Date();
+  const updateData = { status, status_updated_at: now };
+  if (status === 'published' && !article.publish_date) {
+    updateData.publish_date = now.toISOString().slice(0, 10);
+  }
+
+  const { data: updated, error } = await supabase
+    .from('articles')
+    .update(updateData)
+    .eq('id', article.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Error updating article status: ${error.message}`);
+  }
+
+  const { error: historyError } = await supabase
+    .from('article_status_history')
+    .insert({
+      article_id: article.id,
+      from_status: article.status,
+      to_status: status,
+      actor_id: actorId,
+      note,
+      created_at: now
+    });
+
+  if (historyError) {
+    console.error('Error recording article status history:', historyError);
+  }
+
+  // Author metrics count only public articles, so publishing or unpublishing
+  // changes those of the article's authors and of the authors it cites
+  if (PUBLIC_ARTICLE_STATUSES.includes(article.status) !== PUBLIC_ARTICLE_STATUSES.includes(status)) {
+    const { data: references, error: referencesError } = await supabase
+      .from('article_references')
+      .select('cited_article_id')
+      .eq('article_id', article.id)
+      .not('cited_article_id', 'is', null);
+
+    if (referencesError) {
+      console.error('Error fetching cited articles:', referencesError);
+    }
+
+    await markAuthorMetricsStale({
+      articleIds: [article.id, ...(references || []).map(reference => reference.cited_article_id)]
+    });
+  }
+
+  return updated;
+};
+
+// Follow the editorial workflow from other modules (e.g. submissions): move the
+// article when the transition is allowed from its current status, otherwise
+// leave it as it is. Never throws.
+export const advanceArticleStatus = async (articleId, status, actorId, note = null) => {
+  try {
+    const { data: article, error } = await supabase
+      .from('articles')
+      .select('id, status, publish_date')
+      .eq('id', articleId)
+      .single();
+
+    if (error) {
+      throw new Error(`Error fetching article: ${error.message}`);
+    }
+
+    if (isAllowedTransition(article.status, status)) {
+      await applyTransition(article, status, actorId, note);
+    }
+  } catch (error) {
+    console.error('Advance article status error:', error);
+  }
+};
+
+// Load an article for a status request, or send a 404 response and return null
+const findArticle = async (res, id) => {
+  const { data: article, error } = await supabase
+    .from('articles')
+    .select('id, title, status, publish_date, updated_by')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+      return null;
+    }
+    throw new Error(`Error fetching article: ${error.message}`);
+  }
+
+  return article;
+};
+
+export const updateArticleStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note = null } = req.body;
+
+    if (!ARTICLE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `status must be one of: ${ARTICLE_STATUSES.join(', ')}`
+      });
+    }
+
+    const article = await findArticle(res, id);
+    if (!article) return;
+
+    if (!isAllowedTransition(article.status, status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `An article cannot move from ${article.status} to ${status}`
+      });
+    }
+
+    const roles = await getArticleRoles(article, req.user);
+    if (!canTransition(article.status, status, roles)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `You do not have permission to move this article from ${article.status} to ${status}`
+      });
+    }
+
+    const updated = await applyTransition(article, status, req.user.id, note);
+
+    res.status(200).json({
+      success: true,
+      message: `Article status changed to ${status}`,
+      data: {
+        ...updated,
+        available_transitions: availableTransitions(updated.status, roles)
+      }
+    });
+  } catch (error) {
+    console.error('Update article status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const getArticleStatusHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const article = await findArticle(res, id);
+    if (!article) return;
+
+    const roles = await getArticleRoles(article, req.user);
+    if (!PUBLIC_ARTICLE_STATUSES.includes(article.status) && roles.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    const { data: history, error } = await supabase
+      .from('article_status_history')
+      .select(`
+        id, from_status, to_status, note, created_at,
+        users:actor_id (
+          id, username
+        )
+      `)
+      .eq('article_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error fetching article status history: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        article_id: article.id,
+        status: article.status,
+        available_transitions: availableTransitions(article.status, roles),
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get article status history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
@@ -1,46 +1,314 @@
 import { supabase } from '../../db/connectDB.js';
+import { AUTHOR_METRIC_FIELDS, buildAuthorMetrics } from '../../utils/authorMetrics.js';
+import { normalizeOrcid, isValidOrcid, identifierLikePattern } from '../../utils/identifiers.js';
+import { PUBLIC_ARTICLE_STATUSES, applyEmbeddedArticleVisibility } from '../../utils/articleStatus.js';
+import { getInstitutionDescendantIds } from './institution.controller.js';
+import { syncArticleAffiliations, getCurrentAuthorIds, moveAuthorToInstitution } from './affiliation.controller.js';
+import { normalizeContributorRoles, sortByPosition } from '../../utils/articleAuthors.js';
+import { AUTHOR_FACETS, loadAuthorFacetRecords, filterByFacets } from './facet.controller.js';
+import { parseFacetValues, activeFacetFilters, withoutFacetFilters, countFacets } from '../../utils/facets.js';
+import { containsPattern } from '../../utils/postgrestFilters.js';
+
+// Max number of stale authors refreshed before sorting a list by a metric
+const METRICS_REFRESH_BATCH = 200;
+
+// IDs per `in` filter, to keep request URLs short and each response under the
+// API row limit
+const ID_BATCH_SIZE = 100;
+
+// Select rows whose column is in a list of values, one query per batch of
+// values (no query for an empty list). `filter` adds conditions to each query.
+const selectIn = async (table, columns, column, values, filter = query => query) => {
+  const rows = [];
+
+  for (let start = 0; start < values.length; start += ID_BATCH_SIZE) {
+    const { data, error } = await filter(supabase
+      .from(table)
+      .select(columns)
+      .in(column, values.slice(start, start + ID_BATCH_SIZE)));
+
+    if (error) {
+      throw new Error(`Error fetching ${table}: ${error.message}`);
+    }
+
+    rows.push(...data);
+  }
+
+  return rows;
+};
+
+// Author links of an article in byline order
+const getArticleAuthorLinks = async (articleId) => {
+  const { data, error } = await supabase
+    .from('article_authors')
+    .select('id, position')
+    .eq('article_id', articleId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Error fetching article authors: ${error.message}`);
+  }
+
+  return sortByPosition(data);
+};
+
+// Store consecutive positions, from `firstPosition`, for author links given in byline order
+const saveAuthorPositions = async (links, firstPosition = 1) => {
+  for (const [i, link] of links.entries()) {
+    if (link.position === firstPosition + i) continue;
+
+    const { error } = await supabase
+      .from('article_authors')
+      .update({ position: firstPosition + i })
+      .eq('id', link.id);
+
+    if (error) {
+      throw new Error(`Error updating author order: ${error.message}`);
+    }
+  }
+};
+
+// Find an author with the same ORCID, whatever hyphenation the stored value uses
+const findAuthorByOrcid = async (orcid, excludeId = null) => {
+  const normalized = normalizeOrcid(orcid);
+
+  let query = supabase
+    .from('authors')
+    .select('id, first_name, last_name, orcid_id')
+    .ilike('orcid_id', identifierLikePattern(normalized.replace(/-/g, '')));
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data, error } = await query.limit(20);
+
+  if (error) {
+    throw new Error(`Error checking author ORCID: ${error.message}`);
+  }
+
+  return data.find(author => normalizeOrcid(author.orcid_id) === normalized) || null;
+};
+
+// Postgres error code of a unique index violation: the ORCID was registered by
+// a concurrent request after findAuthorByOrcid checked it
+const UNIQUE_VIOLATION = '23505';
+
+const pickMetrics = (author) => ({
+  ...Object.fromEntries(AUTHOR_METRIC_FIELDS.map(field => [field, author[field] || 0])),
+  publications_by_year: author.publications_by_year || [],
+  computed_at: author.metrics_updated_at || null
+});
+
+// Recompute and cache the metrics of the given authors from article_authors,
+// author_books, article_journals and the article citation graph
+export const refreshAuthorMetrics = async (authorIds) => {
+  const ids = [...new Set(authorIds.map(String))];
+  const results = new Map();
+  if (ids.length === 0) return results;
+
+  const [articleLinks, bookLinks] = await Promise.all([
+    selectIn('article_authors', 'author_id, article_id', 'author_id', ids),
+    selectIn('author_books', 'author_id, book_id', 'author_id', ids),
+  ]);
+
+  const bookIds = [...new Set(bookLinks.map(link => link.book_id))];
+
+  // Only published (or retracted) articles count, as publications and as citations
+  const [articles, books, bookAuthors] = await Promise.all([
+    selectIn('articles', 'id, publish_date', 'id', [...new Set(articleLinks.map(link => link.article_id))],
+      query => query.in('status', PUBLIC_ARTICLE_STATUSES)),
+    selectIn('books', 'id, publish_date', 'id', bookIds),
+    selectIn('author_books', 'book_id, author_id', 'book_id', bookIds),
+  ]);
+
+  const articleIds = articles.map(article => article.id);
+
+  const [articleAuthors, articleJournals, citations] = await Promise.all([
+    selectIn('article_authors', 'article_id, author_id', 'article_id', articleIds),
+    selectIn('article_journals', 'article_id, journal_id', 'article_id', articleIds),
+    selectIn('article_references', 'article_id, cited_article_id, citing_article:article_id!inner (status)', 'cited_article_id', articleIds,
+      query => query.in('citing_article.status', PUBLIC_ARTICLE_STATUSES)),
+  ]);
+
+  const groupBy = (rows, key, value) => {
+    const map = new Map();
+    rows.forEach(row => {
+      const group = String(row[key]);
+      if (!map.has(group)) map.set(group, new Set());
+      map.get(group).add(row[value]);
+    });
+    return map;
+  };
+
+  const authorsByArticle = groupBy(articleAuthors, 'article_id', 'author_id');
+  const journalsByArticle = groupBy(articleJournals, 'article_id', 'journal_id');
+  // Each citing article counts once per cited article
+  const citingByArticle = groupBy(citations, 'cited_article_id', 'article_id');
+  const authorsByBook = groupBy(bookAuthors, 'book_id', 'author_id');
+
+  const articleInfo = new Map(articles.map(article => [String(article.id), {
+    ...article,
+    author_ids: [...(authorsByArticle.get(String(article.id)) || [])],
+    journal_ids: [...(journalsByArticle.get(String(article.id)) || [])],
+    citation_count: (citingByArticle.get(String(article.id)) || new Set()).size
+  }]));
+  const bookInfo = new Map(books.map(book => [String(book.id), {
+    ...book,
+    author_ids: [...(authorsByBook.get(String(book.id)) || [])]
+  }]));
+
+  const metricsUpdatedAt = new Date();
+
+  for (const authorId of ids) {
+    const authorArticles = articleLinks
+      .filter(link => String(link.author_id) === authorId)
+      .map(link => articleInfo.get(String(link.article_id)))
+      .filter(Boolean);
+    const authorBooks = bookLinks
+      .filter(link => String(link.author_id) === authorId)
+      .map(link => bookInfo.get(String(link.book_id)))
+      .filter(Boolean);
+
+    const metrics = buildAuthorMetrics(authorId, authorArticles, authorBooks);
+
+    const { error } = await supabase
+      .from('authors')
+      .update({
+        ...metrics,
+        metrics_updated_at: metricsUpdatedAt,
+        metrics_stale: false
+      })
+      .eq('id', authorId);
+
+    if (error) {
+      console.error(`Error caching metrics for author ${authorId}:`, error);
+    }
+
+    results.set(authorId, { ...metrics, computed_at: metricsUpdatedAt });
+  }
+
+  return results;
+};
+
+// Flag cached metrics as outdated for the given authors and for the authors of
+// the given articles and books. Metrics are recomputed the next time they are read.
+export const markAuthorMetricsStale = async ({ authorIds = [], articleIds = [], bookIds = [] } = {}) => {
+  try {
+    const [articleLinks, bookLinks] = await Promise.all([
+      selectIn('article_authors', 'author_id', 'article_id', articleIds),
+      selectIn('author_books', 'author_id', 'book_id', bookIds),
+    ]);
+
+    const ids = [...new Set([
+      ...authorIds,
+      ...articleLinks.map(link => link.author_id),
+      ...bookLinks.map(link => link.author_id)
+    ].filter(Boolean).map(String))];
+
+    if (ids.length === 0) return;
+
+    const { error } = await supabase
+      .from('authors')
+      .update({ metrics_stale: true })
+      .in('id', ids);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+  } catch (error) {
+    console.error('Error marking author metrics as stale:', error);
+  }
+};
+
+// Refresh the oldest stale (or never computed) metrics so lists sorted by a
+// metric use current values
+const refreshStaleAuthorMetrics = async () => {
+  const { data, error } = await supabase
+    .from('authors')
+    .select('id')
+    .or('metrics_stale.eq.true,metrics_updated_at.is.null')
+    .limit(METRICS_REFRESH_BATCH);
+
+  if (error) {
+    console.error('Error fetching stale author metrics:', error);
+    return;
+  }
+
+  await refreshAuthorMetrics(data.map(author => author.id));
+};
+
+const AUTHOR_LIST_SELECT = `
+  *,
+  institutions:institution_id (
+    id, name, country
+  )
+`;
+
+// Build the filtered authors query shared by getAuthors and the global search, for
+// the given columns. Institution and academic title filters accept several
+// comma-separated values.
+export const buildAuthorsQuery = (filters, columns = AUTHOR_LIST_SELECT) => {
+  const { search, institution_id, academic_title } = filters;
+  const institutionIds = parseFacetValues(institution_id);
+  const academicTitles = parseFacetValues(academic_title);
+
+  // Build query
+  let query = supabase
+    .from('authors')
+    .select(columns, { count: 'exact' });
+
+  // Add search filter if provided
+  if (search) {
+    const pattern = containsPattern(search);
+    query = query.or(`first_name.ilike.${pattern}, last_name.ilike.${pattern}, email.ilike.${pattern}`);
+  }
+
+  // Add institution filter if provided
+  if (institutionIds.length > 0) {
+    query = query.in('institution_id', institutionIds);
+  }
+
+  // Add academic title filter if provided
+  if (academicTitles.length > 0) {
+    query = query.in('academic_title', academicTitles);
+  }
+
+  return query;
+};
 
 export const getAuthors = async (req, res) => {
   try {
     const { 
       page = 1, 
       limit = 10, 
-      search, 
-      institution_id,
-      academic_title,
       sort_by = 'last_name',
       sort_order = 'asc'
     } = req.query;
     
     const offset = (page - 1) * limit;
+    const withFacets = req.query.facets === 'true';
 
-    // Build query
-    let query = supabase
-      .from('authors')
-      .select(`
-        *,
-        institutions:institution_id (
-          id, name, country
-        )
-      `, { count: 'exact' });
+    // Facets are counted on the other filters, then the facet filters are applied
+    const facetFilters = activeFacetFilters(req.query, AUTHOR_FACETS);
+    const filters = withoutFacetFilters(req.query, AUTHOR_FACETS);
+    const select = columns => buildAuthorsQuery(filters, columns);
 
-    // Add search filter if provided
-    if (search) {
-      query = query.or(`first_name.ilike.%${search}%, last_name.ilike.%${search}%, email.ilike.%${search}%`);
-    }
+    // Facet values of the authors matching the other filters
+    const facets = withFacets
+      ? countFacets(await loadAuthorFacetRecords(select), AUTHOR_FACETS, facetFilters)
+      : null;
 
-    // Add institution filter if provided
-    if (institution_id) {
-      query = query.eq('institution_id', institution_id);
-    }
+    let query = filterByFacets(select, 'author', facetFilters, AUTHOR_LIST_SELECT);
 
-    // Add academic title filter if provided
-    if (academic_title) {
-      query = query.eq('academic_title', academic_title);
+    // Sorting by a metric needs up-to-date cached values
+    const sortByMetric = AUTHOR_METRIC_FIELDS.includes(sort_by);
+    if (sortByMetric) {
+      await refreshStaleAuthorMetrics();
     }
 
     // Add sorting
-    query = query.order(sort_by, { ascending: sort_order === 'asc' });
+    query = query.order(sort_by, { ascending: sort_order === 'asc', ...(sortByMetric ? { nullsFirst: false } : {}) });
 
     // Add pagination
     query = query.range(offset, offset + limit - 1);
@@ -52,6 +320,12 @@ export const getAuthors = async (req, res) => {
       throw new Error(`Error fetching authors: ${error.message}`);
     }
 
+    // Refresh outdated metrics of the authors on this page
+    const staleIds = data
+      .filter(author => author.metrics_stale || !author.metrics_updated_at)
+      .map(author => author.id);
+    const refreshedMetrics = await refreshAuthorMetrics(staleIds);
+
     // Get article counts for each author
     const authorIds = data.map(author => author.id);
     
@@ -74,10 +348,11 @@ export const getAuthors = async (req, res) => {
       });
     }
     
-    // Add article count to each author
+    // Add article count and metrics to each author
     const authorsWithCounts = data.map(author => ({
       ...author,
-      article_count: countMap[author.id] || 0
+      article_count: countMap[author.id] || 0,
+      metrics: refreshedMetrics.get(String(author.id)) || pickMetrics(author)
     }));
 
     res.status(200).json({
@@ -88,7 +363,8 @@ export const getAuthors = async (req, res) => {
         page: parseInt(page),
         limit: parseInt(limit),
         pages: Math.ceil(count / limit)
-      }
+      },
+      ...(withFacets && { facets })
     });
   } catch (error) {
     console.error('Get all authors error:', error);
@@ -127,38 +403,82 @@ export const getAuthorById = async (req, res) => {
       throw new Error(`Error fetching author: ${error.message}`);
     }
 
-    // Get associated articles
-    const { data: articleAuthors, error: articlesError } = await supabase
-      .from('article_authors')
-      .select(`
-        article_id,
-        articles:article_id (
-          id, title, publish_date, language
-        )
-      `)
-      .eq('author_id', id)
-      .order('created_at', { ascending: false });
+    // Get associated articles the user may see
+    const { data: articleAuthors, error: articlesError } = await applyEmbeddedArticleVisibility(
+      supabase
+        .from('article_authors')
+        .select(`
+          article_id, position, is_corresponding, equal_contribution, contributor_roles,
+          articles:article_id!inner (
+            id, title, publish_date, language, status
+          )
+        `)
+        .eq('author_id', id),
+      req.user
+    ).order('created_at', { ascending: false });
 
     if (articlesError) {
       console.error('Error fetching author articles:', articlesError);
     }
 
-    // Format the response data
+    // Format the response data, with the author's place in each byline
     const articles = articleAuthors 
       ? articleAuthors
           .filter(item => item.articles)
-          .map(item => item.articles)
+          .map(item => ({
+            ...item.articles,
+            author_position: item.position ?? null,
+            is_corresponding: Boolean(item.is_corresponding),
+            equal_contribution: Boolean(item.equal_contribution),
+            contributor_roles: item.contributor_roles || []
+          }))
       : [];
 
     // Get article count
     const articleCount = articles.length;
 
+    // Names of authors merged into this one
+    const { data: aliases, error: aliasesError } = await supabase
+      .from('author_aliases')
+      .select('id, first_name, last_name, merge_id, created_at')
+      .eq('author_id', id);
+
+    if (aliasesError) {
+      console.error('Error fetching author aliases:', aliasesError);
+    }
+
+    // Affiliation history, most recent first
+    const { data: affiliations, error: affiliationsError } = await supabase
+      .from('author_affiliations')
+      .select(`
+        id, start_date, end_date, is_primary, role,
+        institutions:institution_id (
+          id, name, type, country, city
+        )
+      `)
+      .eq('author_id', id)
+      .order('start_date', { ascending: false, nullsFirst: false });
+
+    if (affiliationsError) {
+      console.error('Error fetching author affiliations:', affiliationsError);
+    }
+
+    // Use cached metrics unless associations changed since they were computed
+    let metrics = pickMetrics(author);
+    if (author.metrics_stale || !author.metrics_updated_at) {
+      const refreshed = await refreshAuthorMetrics([author.id]);
+      metrics = refreshed.get(String(author.id));
+    }
+
     res.status(200).json({
       success: true,
       data: {
         ...author,
         articles,
-        article_count: articleCount
+        article_count: articleCount,
+        aliases: aliases || [],
+        affiliations: affiliations || [],
+        metrics
       }
     });
   } catch (error) {
@@ -211,12 +531,12 @@ export const createAuthor = async (req, res) => {
       });
     }
 
-    // Validate ORCID format if provided
-    if (orcid_id && !validateOrcid(orcid_id)) {
+    // Validate ORCID format and check digit if provided
+    if (orcid_id && !isValidOrcid(orcid_id)) {
       return res.status(400).json({
         success: false,
         error: 'Bad Request',
-        message: 'Invalid ORCID format. It should be in the format: 0000-0000-0000-0000'
+        message: 'Invalid ORCID. It should be in the format 0000-0000-0000-0000 with a valid check digit'
       });
     }
 
@@ -254,6 +574,19 @@ export const createAuthor = async (req, res) => {
       }
     }
 
+    // Check if ORCID is already in use
+    if (orcid_id) {
+      const duplicate = await findAuthorByOrcid(orcid_id);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'An author with this ORCID already exists',
+          data: duplicate
+        });
+      }
+    }
+
     // Create author record
     const { data: author, error } = await supabase
       .from('authors')
@@ -264,7 +597,7 @@ export const createAuthor = async (req, res) => {
         email,
         institution_id,
         bio,
-        orcid_id,
+        orcid_id: normalizeOrcid(orcid_id),
         research_interests,
         updated_by: req.user.id
       })
@@ -272,9 +605,21 @@ export const createAuthor = async (req, res) => {
       .single();
 
     if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'An author with this ORCID already exists'
+        });
+      }
       throw new Error(`Error creating author: ${error.message}`);
     }
 
+    // The institution becomes the author's first (open-ended) affiliation
+    if (institution_id) {
+      await moveAuthorToInstitution({ id: author.id, institution_id: null }, institution_id, req.user.id);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Author created successfully',
@@ -307,7 +652,7 @@ export const updateAuthor = async (req, res) => {
     // Check if author exists
     const { data: existingAuthor, error: checkError } = await supabase
       .from('authors')
-      .select('id, updated_by')
+      .select('id, institution_id, updated_by')
       .eq('id', id)
       .single();
 
@@ -349,12 +694,12 @@ export const updateAuthor = async (req, res) => {
       });
     }
 
-    // Validate ORCID format if provided
-    if (orcid_id && !validateOrcid(orcid_id)) {
+    // Validate ORCID format and check digit if provided
+    if (orcid_id && !isValidOrcid(orcid_id)) {
       return res.status(400).json({
         success: false,
         error: 'Bad Request',
-        message: 'Invalid ORCID format. It should be in the format: 0000-0000-0000-0000'
+        message: 'Invalid ORCID. It should be in the format 0000-0000-0000-0000 with a valid check digit'
       });
     }
 
@@ -393,6 +738,19 @@ export const updateAuthor = async (req, res) => {
       }
     }
 
+    // Check if ORCID is already in use by another author
+    if (orcid_id) {
+      const duplicate = await findAuthorByOrcid(orcid_id, id);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'Another author with this ORCID already exists',
+          data: duplicate
+        });
+      }
+    }
+
     // Update author data
     const updateData = {
       updated_by: req.user.id,
@@ -406,7 +764,7 @@ export const updateAuthor = async (req, res) => {
     if (email !== undefined) updateData.email = email;
     if (institution_id !== undefined) updateData.institution_id = institution_id;
     if (bio !== undefined) updateData.bio = bio;
-    if (orcid_id !== undefined) updateData.orcid_id = orcid_id;
+    if (orcid_id !== undefined) updateData.orcid_id = normalizeOrcid(orcid_id);
     if (research_interests !== undefined) updateData.research_interests = research_interests;
 
     // Only update if there are changes
@@ -426,9 +784,21 @@ export const updateAuthor = async (req, res) => {
       .single();
 
     if (updateError) {
+      if (updateError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'Another author with this ORCID already exists'
+        });
+      }
       throw new Error(`Error updating author: ${updateError.message}`);
     }
 
+    // A new institution closes the current affiliation instead of rewriting it
+    if (institution_id !== undefined) {
+      await moveAuthorToInstitution(existingAuthor, institution_id || null, req.user.id);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Author updated successfully',
@@ -490,6 +860,22 @@ export const deleteAuthor = async (req, res) => {
       });
     }
 
+    // Delete aliases left by merges into this author and the affiliation history
+    await supabase
+      .from('author_aliases')
+      .delete()
+      .eq('author_id', id);
+
+    await supabase
+      .from('author_affiliations')
+      .delete()
+      .eq('author_id', id);
+
+    await supabase
+      .from('article_author_affiliations')
+      .delete()
+      .eq('author_id', id);
+
     // Delete author
     const { error: deleteError } = await supabase
       .from('authors')
@@ -636,7 +1022,7 @@ export const getAuthorStats = async (req, res) => {
 export const getAuthorsByInstitution = async (req, res) => {
   try {
     const { institutionId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, include_sub_units } = req.query;
     const offset = (page - 1) * limit;
 
     // Check if institution exists
@@ -654,11 +1040,24 @@ export const getAuthorsByInstitution = async (req, res) => {
       });
     }
 
+    // Optionally include authors of faculties, departments and other sub-units
+    const institutionIds = include_sub_units === 'true'
+      ? await getInstitutionDescendantIds(institution.id)
+      : [institution.id];
+
+    // Authors currently affiliated, including secondary affiliations
+    const currentAuthorIds = await getCurrentAuthorIds(institutionIds);
+
     // Get authors for this institution with pagination
     const { data, error, count } = await supabase
       .from('authors')
-      .select('*', { count: 'exact' })
-      .eq('institution_id', institutionId)
+      .select(`
+        *,
+        institutions:institution_id (
+          id, name
+        )
+      `, { count: 'exact' })
+      .in('id', currentAuthorIds)
       .range(offset, offset + limit - 1)
       .order('last_name', { ascending: true });
 
@@ -756,6 +1155,23 @@ export const searchAuthors = async (req, res) => {
       });
     }
     
+    const pattern = containsPattern(query);
+
+    // Authors merged into another one are found through their old names
+    const { data: aliases, error: aliasesError } = await supabase
+      .from('author_aliases')
+      .select('author_id')
+      .or(`first_name.ilike.${pattern}, last_name.ilike.${pattern}`)
+      .limit(limit);
+
+    if (aliasesError) {
+      console.error('Error searching author aliases:', aliasesError);
+    }
+
+    const aliasFilter = aliases && aliases.length > 0
+      ? `, id.in.(${[...new Set(aliases.map(alias => alias.author_id))].join(',')})`
+      : '';
+
     // Search authors by name or email
     const { data, error } = await supabase
       .from('authors')
@@ -765,7 +1181,7 @@ export const searchAuthors = async (req, res) => {
           id, name, country
         )
       `)
-      .or(`first_name.ilike.%${query}%, last_name.ilike.%${query}%, email.ilike.%${query}%`)
+      .or(`first_name.ilike.${pattern}, last_name.ilike.${pattern}, email.ilike.${pattern}${aliasFilter}`)
       .order('last_name', { ascending: true })
       .limit(limit);
     
@@ -789,7 +1205,14 @@ export const searchAuthors = async (req, res) => {
 
 export const associateArticle = async (req, res) => {
   try {
-    const { authorId, articleId } = req.body;
+    const {
+      authorId,
+      articleId,
+      position,
+      is_corresponding = false,
+      equal_contribution = false,
+      contributor_roles
+    } = req.body;
     
     // Validate required fields
     if (!authorId || !articleId) {
@@ -800,6 +1223,23 @@ export const associateArticle = async (req, res) => {
       });
     }
 
+    if (position !== undefined && position !== null && !(Number.isInteger(Number(position)) && Number(position) >= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'position must be a positive integer'
+      });
+    }
+
+    const { roles, invalid: invalidRoles } = normalizeContributorRoles(contributor_roles);
+    if (invalidRoles.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Unknown CRediT contributor roles: ${invalidRoles.join(', ')}`
+      });
+    }
+
     // Check if author exists
     const { data: author, error: authorError } = await supabase
       .from('authors')
@@ -846,12 +1286,23 @@ export const associateArticle = async (req, res) => {
       });
     }
 
+    // Without a position the author is added at the end of the byline;
+    // authors at or after the position move down by one
+    const links = await getArticleAuthorLinks(articleId);
+    const index = position ? Math.min(Number(position), links.length + 1) - 1 : links.length;
+    await saveAuthorPositions(links.slice(0, index));
+    await saveAuthorPositions(links.slice(index), index + 2);
+
     // Create association
     const { data: association, error: associationError } = await supabase
       .from('article_authors')
       .insert({
         author_id: authorId,
-        article_id: articleId
+        article_id: articleId,
+        position: index + 1,
+        is_corresponding: is_corresponding === true || is_corresponding === 'true',
+        equal_contribution: equal_contribution === true || equal_contribution === 'true',
+        contributor_roles: roles
       })
       .select()
       .single();
@@ -860,6 +1311,10 @@ export const associateArticle = async (req, res) => {
       throw new Error(`Error associating author with article: ${associationError.message}`);
     }
 
+    // Co-author counts change for everyone on the article
+    await markAuthorMetricsStale({ articleIds: [articleId] });
+    await syncArticleAffiliations({ articleIds: [articleId] });
+
     res.status(201).json({
       success: true,
       message: 'Author associated with article successfully',
@@ -895,6 +1350,9 @@ export const disassociateArticle = async (req, res) => {
       });
     }
 
+    // Co-author counts change for everyone on the article, including the removed author
+    await markAuthorMetricsStale({ articleIds: [articleId] });
+
     // Delete association
     const { error: deleteError } = await supabase
       .from('article_authors')
@@ -906,6 +1364,11 @@ export const disassociateArticle = async (req, res) => {
       throw new Error(`Error disassociating author from article: ${deleteError.message}`);
     }
 
+    // Close the gap left in the byline
+    await saveAuthorPositions(await getArticleAuthorLinks(articleId));
+
+    await syncArticleAffiliations({ articleIds: [articleId] });
+
     res.status(200).json({
       success: true,
       message: 'Author disassociated from article successfully'
@@ -923,9 +1386,4 @@ export const disassociateArticle = async (req, res) => {
 function validateEmail(email) {
   const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   return re.test(String(email).toLowerCase());
-}
-
-function validateOrcid(orcid) {
-  const re = /^\d{4}-\d{4}-\d{4}-\d{4}$/;
-  return re.test(String(orcid));
 }
\ No newline at end of file
@@ -0,0 +1,575 @@
+import { supabase } from '../../db/connectDB.js';
+import { findDuplicateCandidates, DEFAULT_MIN_SCORE } from '../../utils/authorDuplicates.js';
+import { normalizeOrcid } from '../../utils/identifiers.js';
+import { markAuthorMetricsStale } from './author.controller.js';
+import { syncArticleAffiliations } from './affiliation.controller.js';
+
+// Target fields filled from merged authors when the target has no value
+const MERGE_FILL_FIELDS = ['email', 'orcid_id', 'institution_id', 'academic_title', 'bio', 'research_interests', 'user_id'];
+
+// Rows read per request when whole tables are scanned for duplicates
+const PAGE_SIZE = 1000;
+
+// Every row of a table, page by page in the given column order (the API
+// returns at most 1000 rows per request)
+const loadAllRows = async (table, columns, orderColumns) => {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase.from(table).select(columns);
+    orderColumns.forEach(column => {
+      query = query.order(column, { ascending: true });
+    });
+
+    const { data, error } = await query.range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Error fetching ${table}: ${error.message}`);
+    }
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+};
+
+// Co-author ids of every author, from articles and books
+const loadCoauthors = async () => {
+  const [articleLinks, bookLinks] = await Promise.all([
+    loadAllRows('article_authors', 'article_id, author_id', ['article_id', 'author_id']),
+    loadAllRows('author_books', 'book_id, author_id', ['book_id', 'author_id']),
+  ]);
+
+  const byWork = new Map();
+  const addLink = (key, authorId) => {
+    if (!byWork.has(key)) byWork.set(key, []);
+    byWork.get(key).push(String(authorId));
+  };
+  articleLinks.forEach(link => addLink(`article:${link.article_id}`, link.author_id));
+  bookLinks.forEach(link => addLink(`book:${link.book_id}`, link.author_id));
+
+  const coauthors = new Map();
+  byWork.forEach(authorIds => {
+    authorIds.forEach(authorId => {
+      if (!coauthors.has(authorId)) coauthors.set(authorId, new Set());
+      authorIds
+        .filter(other => other !== authorId)
+        .forEach(other => coauthors.get(authorId).add(other));
+    });
+  });
+
+  return coauthors;
+};
+
+export const getDuplicateAuthors = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, min_score, author_id } = req.query;
+    const offset = (page - 1) * limit;
+    const minScore = min_score !== undefined ? parseFloat(min_score) : DEFAULT_MIN_SCORE;
+
+    if (Number.isNaN(minScore) || minScore < 0 || minScore > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'min_score must be a number between 0 and 1'
+      });
+    }
+
+    const authors = await loadAllRows('authors', 'id, first_name, last_name, academic_title, email, orcid_id, institution_id', ['id']);
+    const coauthors = await loadCoauthors();
+    const candidates = findDuplicateCandidates(
+      authors.map(author => ({ ...author, coauthor_ids: coauthors.get(String(author.id)) || new Set() })),
+      { minScore, authorId: author_id || null }
+    );
+
+    const data = candidates
+      .slice(offset, offset + parseInt(limit))
+      .map(candidate => ({
+        score: candidate.score,
+        signals: candidate.signals,
+        authors: candidate.authors.map(({ coauthor_ids, ...author }) => author)
+      }));
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: {
+        total: candidates.length,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(candidates.length / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get duplicate authors error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const mergeAuthors = async (req, res) => {
+  try {
+    const { target_id, source_ids } = req.body;
+
+    if (!target_id || !Array.isArray(source_ids) || source_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'target_id and a non-empty source_ids array are required'
+      });
+    }
+
+    const sourceIds = [...new Set(source_ids.map(String))];
+    if (sourceIds.includes(String(target_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'An author cannot be merged into itself'
+      });
+    }
+
+    const { data: authors, error: authorsError } = await supabase
+      .from('authors')
+      .select('*')
+      .in('id', [target_id, ...sourceIds]);
+
+    if (authorsError) {
+      throw new Error(`Error fetching authors: ${authorsError.message}`);
+    }
+
+    const target = authors.find(author => String(author.id) === String(target_id));
+    const sources = authors.filter(author => sourceIds.includes(String(author.id)));
+
+    if (!target || sources.length !== sourceIds.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Target or source author not found'
+      });
+    }
+
+    // Different ORCIDs or user accounts mean different people
+    const orcids = new Set(authors.map(author => normalizeOrcid(author.orcid_id)).filter(Boolean));
+    if (orcids.size > 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Authors with different ORCIDs cannot be merged'
+      });
+    }
+
+    const userIds = new Set(authors.map(author => author.user_id).filter(Boolean));
+    if (userIds.size > 1) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Authors linked to different user accounts cannot be merged'
+      });
+    }
+
+    // Links of the merged authors, and the works the target already has
+    const [sourceArticles, sourceBooks, targetArticles, targetBooks, sourceAliases, sourceAffiliations] = await Promise.all([
+      supabase.from('article_authors').select('*').in('author_id', sourceIds),
+      supabase.from('author_books').select('*').in('author_id', sourceIds),
+      supabase.from('article_authors').select('article_id').eq('author_id', target.id),
+      supabase.from('author_books').select('book_id').eq('author_id', target.id),
+      supabase.from('author_aliases').select('id, author_id').in('author_id', sourceIds),
+      supabase.from('author_affiliations').select('id, author_id').in('author_id', sourceIds),
+    ]);
+
+    const fetchError = [sourceArticles, sourceBooks, targetArticles, targetBooks, sourceAliases, sourceAffiliations]
+      .find(result => result.error);
+    if (fetchError) {
+      throw new Error(`Error fetching author links: ${fetchError.error.message}`);
+    }
+
+    // A work shared by the target and a merged author keeps the target's link
+    const linkedArticles = new Set(targetArticles.data.map(link => String(link.article_id)));
+    const movedArticleLinks = [];
+    sourceArticles.data.forEach(link => {
+      if (linkedArticles.has(String(link.article_id))) return;
+      linkedArticles.add(String(link.article_id));
+      movedArticleLinks.push(link);
+    });
+
+    const linkedBooks = new Set(targetBooks.data.map(link => String(link.book_id)));
+    const movedBookLinks = [];
+    sourceBooks.data.forEach(link => {
+      if (linkedBooks.has(String(link.book_id))) return;
+      linkedBooks.add(String(link.book_id));
+      movedBookLinks.push(link);
+    });
+
+    // Values the target is missing are taken from the merged authors
+    const targetUpdate = {};
+    const targetBefore = {};
+    MERGE_FILL_FIELDS.forEach(field => {
+      if (target[field]) return;
+      const source = sources.find(author => author[field]);
+      if (!source) return;
+      targetUpdate[field] = source[field];
+      targetBefore[field] = target[field] ?? null;
+    });
+
+    // Record the merge first so every later step can be undone from it
+    const { data: merge, error: mergeError } = await supabase
+      .from('author_merges')
+      .insert({
+        target_author_id: target.id,
+        source_author_ids: sources.map(author => author.id),
+        source_authors: sources,
+        article_links: sourceArticles.data,
+        book_links: sourceBooks.data,
+        moved_article_ids: movedArticleLinks.map(link => link.article_id),
+        moved_book_ids: movedBookLinks.map(link => link.book_id),
+        moved_aliases: sourceAliases.data,
+        moved_affiliations: sourceAffiliations.data,
+        target_before: targetBefore,
+        merged_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (mergeError) {
+      throw new Error(`Error recording author merge: ${mergeError.message}`);
+    }
+
+    // Move article and book links to the target
+    if (movedArticleLinks.length > 0) {
+      const { error } = await supabase
+        .from('article_authors')
+        .insert(movedArticleLinks.map(({ id, ...link }) => ({ ...link, author_id: target.id })));
+
+      if (error) {
+        throw new Error(`Error moving article links: ${error.message}`);
+      }
+    }
+
+    if (movedBookLinks.length > 0) {
+      const { error } = await supabase
+        .from('author_books')
+        .insert(movedBookLinks.map(({ id, ...link }) => ({ ...link, author_id: target.id })));
+
+      if (error) {
+        throw new Error(`Error moving book links: ${error.message}`);
+      }
+    }
+
+    const { error: articleLinksError } = await supabase
+      .from('article_authors')
+      .delete()
+      .in('author_id', sourceIds);
+
+    if (articleLinksError) {
+      throw new Error(`Error removing article links of merged authors: ${articleLinksError.message}`);
+    }
+
+    const { error: bookLinksError } = await supabase
+      .from('author_books')
+      .delete()
+      .in('author_id', sourceIds);
+
+    if (bookLinksError) {
+      throw new Error(`Error removing book links of merged authors: ${bookLinksError.message}`);
+    }
+
+    // Keep the names of the merged authors (and their own aliases) as aliases of the target
+    if (sourceAliases.data.length > 0) {
+      const { error } = await supabase
+        .from('author_aliases')
+        .update({ author_id: target.id })
+        .in('id', sourceAliases.data.map(alias => alias.id));
+
+      if (error) {
+        throw new Error(`Error moving author aliases: ${error.message}`);
+      }
+    }
+
+    // The target inherits the affiliation history of the merged authors
+    if (sourceAffiliations.data.length > 0) {
+      const { error } = await supabase
+        .from('author_affiliations')
+        .update({ author_id: target.id })
+        .in('id', sourceAffiliations.data.map(affiliation => affiliation.id));
+
+      if (error) {
+        throw new Error(`Error moving author affiliations: ${error.message}`);
+      }
+    }
+
+    const { error: aliasError } = await supabase
+      .from('author_aliases')
+      .insert(sources.map(author => ({
+        author_id: target.id,
+        first_name: author.first_name,
+        last_name: author.last_name,
+        merge_id: merge.id
+      })));
+
+    if (aliasError) {
+      throw new Error(`Error saving author aliases: ${aliasError.message}`);
+    }
+
+    // Remove the merged authors before copying their unique values (email, ORCID)
+    const { error: deleteError } = await supabase
+      .from('authors')
+      .delete()
+      .in('id', sourceIds);
+
+    if (deleteError) {
+      throw new Error(`Error deleting merged authors: ${deleteError.message}`);
+    }
+
+    let mergedAuthor = target;
+    if (Object.keys(targetUpdate).length > 0) {
+      const { data: updated, error: updateError } = await supabase
+        .from('authors')
+        .update({ ...targetUpdate, updated_at: new Date() })
+        .eq('id', target.id)
+        .select()
+        .single();
+
+      if (updateError) {
+        throw new Error(`Error updating merged author: ${updateError.message}`);
+      }
+      mergedAuthor = updated;
+    }
+
+    await markAuthorMetricsStale({ authorIds: [target.id] });
+    await syncArticleAffiliations({ authorIds: [target.id, ...sourceIds] });
+
+    res.status(200).json({
+      success: true,
+      message: 'Authors merged successfully',
+      data: {
+        merge_id: merge.id,
+        author: mergedAuthor,
+        merged_author_ids: sources.map(author => author.id),
+        moved_articles: movedArticleLinks.length,
+        moved_books: movedBookLinks.length
+      }
+    });
+  } catch (error) {
+    console.error('Merge authors error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const getAuthorMerges = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, author_id } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('author_merges')
+      .select(`
+        id, target_author_id, source_author_ids, source_authors, moved_article_ids, moved_book_ids,
+        merged_by, created_at, undone_at, undone_by,
+        target:target_author_id (
+          id, first_name, last_name
+        )
+      `, { count: 'exact' });
+
+    if (author_id) {
+      query = query.eq('target_author_id', author_id);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (error) {
+      throw new Error(`Error fetching author merges: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: data.map(({ source_authors, ...merge }) => ({
+        ...merge,
+        merged_authors: (source_authors || []).map(author => ({
+          id: author.id,
+          first_name: author.first_name,
+          last_name: author.last_name
+        }))
+      })),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get author merges error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const undoAuthorMerge = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: merge, error: mergeError } = await supabase
+      .from('author_merges')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (mergeError) {
+      if (mergeError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Author merge not found'
+        });
+      }
+      throw new Error(`Error fetching author merge: ${mergeError.message}`);
+    }
+
+    if (merge.undone_at) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'This merge has already been undone'
+      });
+    }
+
+    // Later merges involving the target must be undone first
+    const { data: laterMerges, error: laterError } = await supabase
+      .from('author_merges')
+      .select('id, target_author_id, source_author_ids')
+      .is('undone_at', null)
+      .gt('created_at', merge.created_at);
+
+    if (laterError) {
+      throw new Error(`Error checking later merges: ${laterError.message}`);
+    }
+
+    const targetId = String(merge.target_author_id);
+    const blocking = laterMerges.find(later => String(later.target_author_id) === targetId
+      || (later.source_author_ids || []).map(String).includes(targetId));
+
+    if (blocking) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `Merge ${blocking.id} involves the same author and must be undone first`
+      });
+    }
+
+    // Restore the target's own values before its merged authors get theirs back
+    const targetBefore = merge.target_before || {};
+    if (Object.keys(targetBefore).length > 0) {
+      const { error } = await supabase
+        .from('authors')
+        .update({ ...targetBefore, updated_at: new Date() })
+        .eq('id', merge.target_author_id);
+
+      if (error) {
+        throw new Error(`Error restoring merged author: ${error.message}`);
+      }
+    }
+
+    const { error: restoreError } = await supabase
+      .from('authors')
+      .insert(merge.source_authors);
+
+    if (restoreError) {
+      throw new Error(`Error restoring authors: ${restoreError.message}`);
+    }
+
+    // Give the moved links back to their original authors
+    if ((merge.moved_article_ids || []).length > 0) {
+      const { error } = await supabase
+        .from('article_authors')
+        .delete()
+        .eq('author_id', merge.target_author_id)
+        .in('article_id', merge.moved_article_ids);
+      if (error) {
+        throw new Error(`Error removing moved article links: ${error.message}`);
+      }
+    }
+    if ((merge.moved_book_ids || []).length > 0) {
+      const { error } = await supabase
+        .from('author_books')
+        .delete()
+        .eq('author_id', merge.target_author_id)
+        .in('book_id', merge.moved_book_ids);
+      if (error) {
+        throw new Error(`Error removing moved book links: ${error.message}`);
+      }
+    }
+
+    if ((merge.article_links || []).length > 0) {
+      const { error } = await supabase.from('article_authors').insert(merge.article_links);
+      if (error) {
+        throw new Error(`Error restoring article links: ${error.message}`);
+      }
+    }
+    if ((merge.book_links || []).length > 0) {
+      const { error } = await supabase.from('author_books').insert(merge.book_links);
+      if (error) {
+        throw new Error(`Error restoring book links: ${error.message}`);
+      }
+    }
+
+    // Drop the aliases created by the merge and return the moved aliases and affiliations
+    await supabase
+      .from('author_aliases')
+      .delete()
+      .eq('merge_id', merge.id);
+
+    for (const alias of merge.moved_aliases || []) {
+      await supabase
+        .from('author_aliases')
+        .update({ author_id: alias.author_id })
+        .eq('id', alias.id);
+    }
+
+    for (const affiliation of merge.moved_affiliations || []) {
+      await supabase
+        .from('author_affiliations')
+        .update({ author_id: affiliation.author_id })
+        .eq('id', affiliation.id);
+    }
+
+    const { data: undone, error: undoError } = await supabase
+      .from('author_merges')
+      .update({ undone_at: new Date(), undone_by: req.user.id })
+      .eq('id', merge.id)
+      .select()
+      .single();
+
+    if (undoError) {
+      throw new Error(`Error updating author merge: ${undoError.message}`);
+    }
+
+    await markAuthorMetricsStale({ authorIds: [merge.target_author_id, ...merge.source_author_ids] });
+    await syncArticleAffiliations({ authorIds: [merge.target_author_id, ...merge.source_author_ids] });
+
+    res.status(200).json({
+      success: true,
+      message: 'Author merge undone successfully',
+      data: {
+        merge_id: undone.id,
+        restored_author_ids: merge.source_author_ids
+      }
+    });
+  } catch (error) {
+    console.error('Undo author merge error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
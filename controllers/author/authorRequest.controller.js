@@ -0,0 +1,638 @@
+import fs from 'fs';
+import { supabase } from '../../db/connectDB.js';
+import { uploadToCloudinary, deleteFromCloudinary } from '../../middlewares/cloudinary.config.js';
+import { sendAdminAuthorRequestNotification, sendAuthorApprovalEmail, sendAuthorRejectionEmail } from '../../mail/email.js';
+import { normalizeOrcid, isValidOrcid, identifierLikePattern } from '../../utils/identifiers.js';
+import { moveAuthorToInstitution } from './affiliation.controller.js';
+import { containsPattern } from '../../utils/postgrestFilters.js';
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Postgres error code of a unique index violation (an author with the same ORCID)
+const UNIQUE_VIOLATION = '23505';
+
+const REQUEST_SELECT = `
+  *,
+  users:user_id (
+    id, username, email, role
+  ),
+  institutions:institution_id (
+    id, name, country
+  )
+`;
+
+const cleanUpUploads = (req) => {
+  (req.files || []).forEach(file => {
+    if (file.path && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+// Supporting documents of several requests, keyed by request ID
+const getRequestFiles = async (requestIds) => {
+  const files = new Map();
+  if (requestIds.length === 0) return files;
+
+  const { data, error } = await supabase
+    .from('files')
+    .select('id, content_id, file_name, file_path, file_type, mime_type, file_size, created_at')
+    .eq('content_type', 'author_request')
+    .in('content_id', requestIds);
+
+  if (error) {
+    console.error('Error fetching author request files:', error);
+    return files;
+  }
+
+  (data || []).forEach(file => {
+    const key = String(file.content_id);
+    files.set(key, [...(files.get(key) || []), file]);
+  });
+  return files;
+};
+
+// Upload the supporting documents of a request to Cloudinary. Done before the
+// request is created, so a failed upload leaves no request behind.
+const uploadRequestFiles = async (uploadedFiles) => {
+  const uploads = [];
+  try {
+    for (const file of uploadedFiles) {
+      const result = await uploadToCloudinary(file.path, 'author_requests');
+      fs.unlinkSync(file.path);
+      uploads.push({ file, result });
+    }
+  } catch (error) {
+    await deleteUploads(uploads);
+    throw error;
+  }
+  return uploads;
+};
+
+const deleteUploads = async (uploads) => {
+  for (const { result } of uploads) {
+    try {
+      await deleteFromCloudinary(result.public_id);
+    } catch (error) {
+      console.error('Error deleting uploaded author request file:', error);
+    }
+  }
+};
+
+// Record the uploaded documents of a request in `files`
+const saveRequestFiles = async (uploads, requestId, userId) => {
+  if (uploads.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('files')
+    .insert(uploads.map(({ file, result }) => ({
+      file_name: file.originalname,
+      file_path: result.url,
+      file_type: file.mimetype === 'application/pdf' ? 'pdf' : (file.mimetype.startsWith('image/') ? 'image' : (file.mimetype.includes('word') ? 'docx' : 'other')),
+      file_size: file.size,
+      mime_type: file.mimetype,
+      content_type: 'author_request',
+      content_id: requestId,
+      version: '1.0',
+      is_public: false,
+      uploaded_by: userId
+    })))
+    .select();
+
+  if (error) {
+    throw new Error(`Error saving file information: ${error.message}`);
+  }
+  return data;
+};
+
+// Load a request, or send a 404 response and return null
+const findRequest = async (res, id) => {
+  const { data: request, error } = await supabase
+    .from('author_requests')
+    .select(REQUEST_SELECT)
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Author request not found'
+      });
+      return null;
+    }
+    throw new Error(`Error fetching author request: ${error.message}`);
+  }
+
+  return request;
+};
+
+// Existing author records matching the ORCID or email of a request, shown to
+// admins so they can choose one to link (see approveAuthorRequest). Matches are
+// never linked automatically: the requester declared the ORCID themselves.
+const findMatchingAuthors = async (request) => {
+  const matches = new Map();
+  const addMatches = (authors, field) => {
+    authors.forEach(author => {
+      const match = matches.get(String(author.id)) || { ...author, matched_by: [] };
+      match.matched_by.push(field);
+      matches.set(String(author.id), match);
+    });
+  };
+
+  if (request.orcid_id) {
+    const normalized = normalizeOrcid(request.orcid_id);
+    const { data, error } = await supabase
+      .from('authors')
+      .select('id, first_name, last_name, email, orcid_id, user_id')
+      .ilike('orcid_id', identifierLikePattern(normalized.replace(/-/g, '')))
+      .limit(20);
+
+    if (error) {
+      throw new Error(`Error fetching authors by ORCID: ${error.message}`);
+    }
+    addMatches(data.filter(author => normalizeOrcid(author.orcid_id) === normalized), 'orcid');
+  }
+
+  if (request.users && request.users.email) {
+    const { data, error } = await supabase
+      .from('authors')
+      .select('id, first_name, last_name, email, orcid_id, user_id')
+      .eq('email', request.users.email)
+      .limit(20);
+
+    if (error) {
+      throw new Error(`Error fetching authors by email: ${error.message}`);
+    }
+    addMatches(data, 'email');
+  }
+
+  return [...matches.values()];
+};
+
+// The author record to link on approval: the one chosen by the admin,
+// otherwise a new one. A new record cannot take an ORCID that an existing
+// record already has; the admin has to choose that record instead.
+const linkAuthorRecord = async (request, authorId, adminId) => {
+  if (authorId) {
+    const { data: author, error } = await supabase
+      .from('authors')
+      .select('id, user_id')
+      .eq('id', authorId)
+      .single();
+
+    if (error) {
+      return { error: 'Invalid author ID' };
+    }
+    if (author.user_id && String(author.user_id) !== String(request.user_id)) {
+      return { error: 'This author record is already linked to another user' };
+    }
+    return { author };
+  }
+
+  const orcidConflict = {
+    error: 'An author record with this ORCID already exists. Choose it with author_id to link it',
+    conflict: true
+  };
+
+  const matches = await findMatchingAuthors(request);
+  if (matches.some(author => author.matched_by.includes('orcid'))) {
+    return { ...orcidConflict, matches };
+  }
+
+  const { data: author, error } = await supabase
+    .from('authors')
+    .insert({
+      first_name: request.first_name,
+      last_name: request.last_name,
+      academic_title: request.academic_title,
+      email: request.users ? request.users.email : null,
+      institution_id: request.institution_id,
+      orcid_id: request.orcid_id,
+      updated_by: adminId
+    })
+    .select('id, user_id')
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return { ...orcidConflict, matches: await findMatchingAuthors(request) };
+    }
+    throw new Error(`Error creating author: ${error.message}`);
+  }
+
+  // The institution becomes the author's first (open-ended) affiliation
+  if (request.institution_id) {
+    await moveAuthorToInstitution({ id: author.id, institution_id: null }, request.institution_id, adminId);
+  }
+
+  return { author, created: true };
+};
+
+export const createAuthorRequest = async (req, res) => {
+  try {
+    const {
+      first_name,
+      last_name,
+      academic_title,
+      institution_id,
+      orcid_id,
+      reason_for_request
+    } = req.body;
+
+    if (!first_name || !last_name || !reason_for_request) {
+      cleanUpUploads(req);
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'First name, last name and reason for request are required'
+      });
+    }
+
+    if (orcid_id && !isValidOrcid(orcid_id)) {
+      cleanUpUploads(req);
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid ORCID. It should be in the format 0000-0000-0000-0000 with a valid check digit'
+      });
+    }
+
+    if (['author', 'admin'].includes(req.user.role)) {
+      cleanUpUploads(req);
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'You already have author access'
+      });
+    }
+
+    if (institution_id) {
+      const { error: institutionError } = await supabase
+        .from('institutions')
+        .select('id')
+        .eq('id', institution_id)
+        .single();
+
+      if (institutionError) {
+        cleanUpUploads(req);
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: 'Invalid institution ID'
+        });
+      }
+    }
+
+    // One open request per user
+    const { data: pending, error: pendingError } = await supabase
+      .from('author_requests')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .eq('status', 'pending')
+      .limit(1);
+
+    if (pendingError) {
+      throw new Error(`Error checking author requests: ${pendingError.message}`);
+    }
+
+    if (pending && pending.length > 0) {
+      cleanUpUploads(req);
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'You already have a pending author request'
+      });
+    }
+
+    const uploads = await uploadRequestFiles(req.files || []);
+
+    const { data: request, error } = await supabase
+      .from('author_requests')
+      .insert({
+        user_id: req.user.id,
+        first_name,
+        last_name,
+        academic_title,
+        institution_id: institution_id || null,
+        orcid_id: orcid_id ? normalizeOrcid(orcid_id) : null,
+        reason_for_request,
+        status: 'pending'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      await deleteUploads(uploads);
+      throw new Error(`Error creating author request: ${error.message}`);
+    }
+
+    // Without its documents the request is withdrawn, so the user can submit it again
+    let files;
+    try {
+      files = await saveRequestFiles(uploads, request.id, req.user.id);
+    } catch (filesError) {
+      await deleteUploads(uploads);
+      await supabase.from('author_requests').delete().eq('id', request.id);
+      throw filesError;
+    }
+
+    // Notify every admin
+    const { data: admins, error: adminsError } = await supabase
+      .from('users')
+      .select('email')
+      .eq('role', 'admin');
+
+    if (adminsError) {
+      console.error('Error fetching admin emails:', adminsError);
+    }
+
+    await sendAdminAuthorRequestNotification(
+      (admins || []).map(admin => admin.email).filter(Boolean),
+      request,
+      `${process.env.CLIENT_URL}/admin/author-requests/${request.id}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Author request submitted successfully',
+      data: { ...request, files }
+    });
+  } catch (error) {
+    console.error('Create author request error:', error);
+    cleanUpUploads(req);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Requests of the current user
+export const getMyAuthorRequests = async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('author_requests')
+      .select(REQUEST_SELECT)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error fetching author requests: ${error.message}`);
+    }
+
+    const files = await getRequestFiles(data.map(request => request.id));
+
+    res.status(200).json({
+      success: true,
+      data: data.map(request => ({ ...request, files: files.get(String(request.id)) || [] }))
+    });
+  } catch (error) {
+    console.error('Get my author requests error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Admin list of requests, pending first by default
+export const getAuthorRequests = async (req, res) => {
+  try {
+    const { status = 'pending', search, page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    if (status !== 'all' && !REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `status must be one of: all, ${REQUEST_STATUSES.join(', ')}`
+      });
+    }
+
+    let query = supabase
+      .from('author_requests')
+      .select(REQUEST_SELECT, { count: 'exact' });
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    if (search) {
+      const pattern = containsPattern(search);
+      query = query.or(`first_name.ilike.${pattern},last_name.ilike.${pattern}`);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: status === 'pending' })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Error fetching author requests: ${error.message}`);
+    }
+
+    const files = await getRequestFiles(data.map(request => request.id));
+
+    res.status(200).json({
+      success: true,
+      data: data.map(request => ({ ...request, files: files.get(String(request.id)) || [] })),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get author requests error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const getAuthorRequestById = async (req, res) => {
+  try {
+    const request = await findRequest(res, req.params.id);
+    if (!request) return;
+
+    // Only admins and the requesting user can see a request
+    if (String(request.user_id) !== String(req.user.id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You do not have permission to view this request'
+      });
+    }
+
+    const files = await getRequestFiles([request.id]);
+
+    // Admins reviewing a pending request see the author records it may belong to
+    const matchingAuthors = req.user.role === 'admin' && request.status === 'pending'
+      ? await findMatchingAuthors(request)
+      : undefined;
+
+    res.status(200).json({
+      success: true,
+      data: { ...request, files: files.get(String(request.id)) || [], matching_authors: matchingAuthors }
+    });
+  } catch (error) {
+    console.error('Get author request by ID error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Approve a request: the user becomes an author and is linked to an author record
+export const approveAuthorRequest = async (req, res) => {
+  try {
+    const { author_id } = req.body;
+
+    const request = await findRequest(res, req.params.id);
+    if (!request) return;
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `This request has already been ${request.status}`
+      });
+    }
+
+    const { author, created, error: linkError, conflict, matches } = await linkAuthorRecord(request, author_id, req.user.id);
+    if (linkError) {
+      return res.status(conflict ? 409 : 400).json({
+        success: false,
+        error: conflict ? 'Conflict' : 'Bad Request',
+        message: linkError,
+        data: matches ? { matching_authors: matches } : undefined
+      });
+    }
+
+    const { error: authorError } = await supabase
+      .from('authors')
+      .update({ user_id: request.user_id })
+      .eq('id', author.id);
+
+    if (authorError) {
+      throw new Error(`Error linking author record: ${authorError.message}`);
+    }
+
+    // Admins keep their role
+    if (request.users && request.users.role !== 'admin') {
+      const { error: roleError } = await supabase
+        .from('users')
+        .update({ role: 'author' })
+        .eq('id', request.user_id);
+
+      if (roleError) {
+        throw new Error(`Error updating user role: ${roleError.message}`);
+      }
+    }
+
+    const { data: updated, error } = await supabase
+      .from('author_requests')
+      .update({
+        status: 'approved',
+        author_id: author.id,
+        reviewed_by: req.user.id,
+        reviewed_at: new Date(),
+        updated_at: new Date()
+      })
+      .eq('id', request.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating author request: ${error.message}`);
+    }
+
+    try {
+      await sendAuthorApprovalEmail(request.users.email, request.first_name, `${process.env.CLIENT_URL}/login`);
+    } catch (emailError) {
+      console.error('Error sending author approval email:', emailError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: created ? 'Author request approved and author record created' : 'Author request approved and linked to an existing author record',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Approve author request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const rejectAuthorRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'A rejection reason is required'
+      });
+    }
+
+    const request = await findRequest(res, req.params.id);
+    if (!request) return;
+
+    if (request.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `This request has already been ${request.status}`
+      });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('author_requests')
+      .update({
+        status: 'rejected',
+        rejection_reason: reason,
+        reviewed_by: req.user.id,
+        reviewed_at: new Date(),
+        updated_at: new Date()
+      })
+      .eq('id', request.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating author request: ${error.message}`);
+    }
+
+    try {
+      await sendAuthorRejectionEmail(request.users.email, request.first_name, reason);
+    } catch (emailError) {
+      console.error('Error sending author rejection email:', emailError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Author request rejected',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Reject author request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
@@ -3,7 +3,15 @@ import path from 'path';
 import multer from 'multer';
 import { supabase } from '../../db/connectDB.js';
 import { uploadToCloudinary, deleteFromCloudinary, extractPublicIdFromUrl } from '../../middlewares/cloudinary.config.js';
-import mammoth from 'mammoth'; // For extracting text from .docx files
+import { CITATION_STYLES, resolveCitationStyles, formatCitation, bookToCitationItem } from '../../utils/citationStyles.js';
+import { normalizeDoi, isValidDoi, normalizeIsbn, isValidIsbn, isbn13To10, identifierLikePattern } from '../../utils/identifiers.js';
+import { buildBookDeposit } from '../../utils/crossrefDeposit.js';
+import { markAuthorMetricsStale } from './author.controller.js';
+import { recordFileVersion, preserveFileVersion, deleteFileVersions } from '../fileVersion.controller.js';
+import { BOOK_FACETS, loadBookFacetRecords, filterByFacets } from './facet.controller.js';
+import { parseFacetValues, activeFacetFilters, withoutFacetFilters, countFacets } from '../../utils/facets.js';
+import { DOCUMENT_MIME_TYPES, documentFileType, readDocument, documentFileFields, documentWarning } from '../../utils/documentText.js';
+import { containsPattern } from '../../utils/postgrestFilters.js';
 
 // Configure multer for temporary file storage
 const storage = multer.diskStorage({
@@ -20,17 +28,12 @@ const storage = multer.diskStorage({
   },
 });
 
-// Limit file types to only .docx files
+// Limit file types to only .docx, .doc, and .pdf files
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
-    'application/msword', // .doc
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Only .doc and .docx files are allowed'), false);
+    cb(new Error('Only .doc, .docx, and .pdf files are allowed'), false);
   }
 };
 
@@ -41,25 +44,119 @@ export const upload = multer({
   fileFilter: fileFilter,
 });
 
+// Find another book registered with the same (normalized) DOI
+const findBookByDoi = async (doi, excludeId = null) => {
+  let query = supabase
+    .from('books')
+    .select('id, title, doi')
+    .eq('doi', normalizeDoi(doi));
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data, error } = await query.limit(1);
+
+  if (error) {
+    throw new Error(`Error checking book DOI: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+// Postgres error code of a unique index violation: the DOI was registered by a
+// concurrent request after findBookByDoi checked it
+const UNIQUE_VIOLATION = '23505';
+
+// Find a book with the same ISBN. ISBN-10 and ISBN-13 forms of the same
+// number match, whatever hyphenation the stored value uses.
+const findBookByIsbn = async (isbn, excludeId = null) => {
+  const normalized = normalizeIsbn(isbn);
+  const isbn10 = isbn13To10(normalized);
+  const patterns = [normalized, isbn10].filter(Boolean).map(value => `isbn.ilike.${identifierLikePattern(value)}`);
+
+  let query = supabase
+    .from('books')
+    .select('id, title, isbn')
+    .or(patterns.join(','));
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data, error } = await query.limit(20);
+
+  if (error) {
+    throw new Error(`Error checking book ISBN: ${error.message}`);
+  }
+
+  return data.find(book => normalizeIsbn(book.isbn) === normalized) || null;
+};
+
+const BOOK_LIST_SELECT = '*, author_books(author_id, authors(id, first_name, last_name, academic_title))';
+
+// Build the filtered books query shared by getBooks and the global search, for
+// the given columns. The language filter accepts several comma-separated values.
+export const buildBooksQuery = (filters, columns = BOOK_LIST_SELECT) => {
+  const { search, language } = filters;
+  const languages = parseFacetValues(language);
+
+  // Build query
+  let query = supabase
+    .from('books')
+    .select(columns, { count: 'exact' });
+
+  // Add search filter if provided
+  if (search) {
+    // ISBNs are stored as compact ISBN-13, so a hyphenated or ISBN-10 search is normalized first
+    const isbnFilter = isValidIsbn(search) ? `, isbn.eq.${normalizeIsbn(search)}` : '';
+    const pattern = containsPattern(search);
+    query = query.or(`title.ilike.${pattern}, isbn.ilike.${pattern}, publisher.ilike.${pattern}${isbnFilter}`);
+  }
+
+  // Add language filter if provided
+  if (languages.length > 0) {
+    query = query.in('language', languages);
+  }
+
+  return query;
+};
+
+// Replace the nested author_books of a book row with an `authors` array
+export const formatBookAuthors = (book) => {
+  // Extract authors from the nested structure
+  const authors = book.author_books
+    ? book.author_books
+        .filter(item => item.authors)
+        .map(item => item.authors)
+    : [];
+
+  // Remove the nested author_books from the response
+  const { author_books, ...bookData } = book;
+
+  return {
+    ...bookData,
+    authors
+  };
+};
+
 export const getBooks = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, language } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
+    const withFacets = req.query.facets === 'true';
 
-    // Build query
-    let query = supabase
-      .from('books')
-      .select('*, author_books(author_id, authors(id, first_name, last_name, academic_title))', { count: 'exact' });
+    // Facets are counted on the other filters, then the facet filters are applied
+    const facetFilters = activeFacetFilters(req.query, BOOK_FACETS);
+    const filters = withoutFacetFilters(req.query, BOOK_FACETS);
+    const select = columns => buildBooksQuery(filters, columns);
 
-    // Add search filter if provided
-    if (search) {
-      query = query.or(`title.ilike.%${search}%, isbn.ilike.%${search}%, publisher.ilike.%${search}%`);
-    }
+    // Facet values of the books matching the other filters
+    const facets = withFacets
+      ? countFacets(await loadBookFacetRecords(select), BOOK_FACETS, facetFilters)
+      : null;
 
-    // Add language filter if provided
-    if (language) {
-      query = query.eq('language', language);
-    }
+    let query = filterByFacets(select, 'book', facetFilters, BOOK_LIST_SELECT);
 
     // Add pagination
     query = query
@@ -74,22 +171,7 @@ export const getBooks = async (req, res) => {
     }
 
     // Format the response data
-    const formattedBooks = data.map(book => {
-      // Extract authors from the nested structure
-      const authors = book.author_books
-        ? book.author_books
-            .filter(item => item.authors)
-            .map(item => item.authors)
-        : [];
-
-      // Remove the nested author_books from the response
-      const { author_books, ...bookData } = book;
-
-      return {
-        ...bookData,
-        authors
-      };
-    });
+    const formattedBooks = data.map(formatBookAuthors);
 
     res.status(200).json({
       success: true,
@@ -99,7 +181,8 @@ export const getBooks = async (req, res) => {
         page: parseInt(page),
         limit: parseInt(limit),
         pages: Math.ceil(count / limit)
-      }
+      },
+      ...(withFacets && { facets })
     });
   } catch (error) {
     console.error('Get all books error:', error);
@@ -173,9 +256,121 @@ export const getBookById = async (req, res) => {
   }
 };
 
+export const getBookFormattedCitations = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const styles = resolveCitationStyles(req.query.style);
+
+    if (!styles) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Unsupported style. Supported styles: ${CITATION_STYLES.join(', ')}`
+      });
+    }
+
+    // Get book with authors
+    const { data: book, error } = await supabase
+      .from('books')
+      .select('*, author_books(author_id, authors(id, first_name, last_name, academic_title))')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Book not found'
+        });
+      }
+      throw new Error(`Error fetching book: ${error.message}`);
+    }
+
+    const authors = book.author_books
+      ? book.author_books
+          .filter(item => item.authors)
+          .map(item => item.authors)
+      : [];
+
+    const item = bookToCitationItem({ ...book, authors });
+
+    const citations = {};
+    styles.forEach(style => {
+      citations[style] = formatCitation(item, style);
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        book_id: book.id,
+        citations
+      }
+    });
+  } catch (error) {
+    console.error('Get book formatted citations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const exportBookCrossref = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Get book with authors and their institutions
+    const { data: book, error } = await supabase
+      .from('books')
+      .select('*, author_books(author_id, authors(id, first_name, last_name, orcid_id, institutions:institution_id(id, name, country)))')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Book not found'
+        });
+      }
+      throw new Error(`Error fetching book: ${error.message}`);
+    }
+
+    if (!book.doi) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Book has no DOI to register'
+      });
+    }
+
+    const { author_books, ...bookData } = book;
+    const authors = (author_books || [])
+      .filter(item => item.authors)
+      .map(item => item.authors);
+
+    const resourceUrl = `${process.env.CLIENT_URL}/books/${book.id}`;
+    const xml = buildBookDeposit({ ...bookData, authors }, resourceUrl);
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="crossref-book-${book.id}.xml"`);
+    res.status(200).send(xml);
+  } catch (error) {
+    console.error('Export book Crossref deposit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
 export const createBook = async (req, res) => {
   try {
-    const { title, isbn, language, publish_date, publisher, authors } = req.body;
+    const { title, isbn, language, publish_date, publisher, doi, authors } = req.body;
     
     // Validate required fields
     if (!title) {
@@ -186,21 +381,73 @@ export const createBook = async (req, res) => {
       });
     }
 
+    // Validate DOI format if provided
+    if (doi && !isValidDoi(doi)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid DOI format. It should look like: 10.1234/example'
+      });
+    }
+
+    // Validate ISBN-10/ISBN-13 check digit if provided
+    if (isbn && !isValidIsbn(isbn)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid ISBN. It should be a valid ISBN-10 or ISBN-13'
+      });
+    }
+
+    // Check for an existing book with the same DOI
+    if (doi) {
+      const duplicate = await findBookByDoi(doi);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'A book with this DOI already exists',
+          data: duplicate
+        });
+      }
+    }
+
+    // Check for an existing book with the same ISBN
+    if (isbn) {
+      const duplicate = await findBookByIsbn(isbn);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'A book with this ISBN already exists',
+          data: duplicate
+        });
+      }
+    }
+
     // Create book record
     const { data: book, error } = await supabase
       .from('books')
       .insert({
         title,
-        isbn,
+        isbn: normalizeIsbn(isbn),
         language,
         publish_date,
         publisher,
+        doi: normalizeDoi(doi),
         updated_by: req.user.id
       })
       .select()
       .single();
 
     if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'A book with this DOI already exists'
+        });
+      }
       throw new Error(`Error creating book: ${error.message}`);
     }
 
@@ -218,6 +465,8 @@ export const createBook = async (req, res) => {
       if (authorError) {
         console.error('Error associating authors with book:', authorError);
       }
+
+      await markAuthorMetricsStale({ authorIds: authors });
     }
 
     res.status(201).json({
@@ -238,7 +487,7 @@ export const createBook = async (req, res) => {
 export const updateBook = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, isbn, language, publish_date, publisher, authors } = req.body;
+    const { title, isbn, language, publish_date, publisher, doi, authors } = req.body;
 
     // Check if book exists
     const { data: existingBook, error: checkError } = await supabase
@@ -267,13 +516,58 @@ export const updateBook = async (req, res) => {
       });
     }
 
+    // Validate DOI format if provided
+    if (doi && !isValidDoi(doi)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid DOI format. It should look like: 10.1234/example'
+      });
+    }
+
+    // Check if the DOI is already used by another book
+    if (doi) {
+      const duplicate = await findBookByDoi(doi, id);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'Another book with this DOI already exists',
+          data: duplicate
+        });
+      }
+    }
+
+    // Validate ISBN-10/ISBN-13 check digit if provided
+    if (isbn && !isValidIsbn(isbn)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid ISBN. It should be a valid ISBN-10 or ISBN-13'
+      });
+    }
+
+    // Check if the ISBN is already used by another book
+    if (isbn) {
+      const duplicate = await findBookByIsbn(isbn, id);
+      if (duplicate) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'Another book with this ISBN already exists',
+          data: duplicate
+        });
+      }
+    }
+
     // Update book data
     const updateData = {};
     if (title) updateData.title = title;
-    if (isbn !== undefined) updateData.isbn = isbn;
+    if (isbn !== undefined) updateData.isbn = normalizeIsbn(isbn);
     if (language) updateData.language = language;
     if (publish_date) updateData.publish_date = publish_date;
     if (publisher) updateData.publisher = publisher;
+    if (doi !== undefined) updateData.doi = normalizeDoi(doi);
     updateData.updated_by = req.user.id;
     updateData.updated_at = new Date();
 
@@ -285,9 +579,21 @@ export const updateBook = async (req, res) => {
       .single();
 
     if (updateError) {
+      if (updateError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'Another book with this DOI already exists'
+        });
+      }
       throw new Error(`Error updating book: ${updateError.message}`);
     }
 
+    // Current authors lose or change a publication; new ones are flagged below
+    if ((authors && Array.isArray(authors)) || publish_date !== undefined) {
+      await markAuthorMetricsStale({ bookIds: [id] });
+    }
+
     // Update authors if provided
     if (authors && Array.isArray(authors)) {
       // First, remove all existing author associations
@@ -314,6 +620,8 @@ export const updateBook = async (req, res) => {
         if (insertError) {
           console.error('Error adding new author associations:', insertError);
         }
+
+        await markAuthorMetricsStale({ authorIds: authors });
       }
     }
 
@@ -387,6 +695,8 @@ export const deleteBook = async (req, res) => {
         }
       }
 
+      await deleteFileVersions({ contentType: 'book', contentId: id });
+
       // Delete file records from database
       const { error: deleteFilesError } = await supabase
         .from('files')
@@ -399,6 +709,8 @@ export const deleteBook = async (req, res) => {
       }
     }
 
+    await markAuthorMetricsStale({ bookIds: [id] });
+
     // Delete author associations
     const { error: deleteAuthorsError } = await supabase
       .from('author_books')
@@ -516,29 +828,21 @@ export const uploadBookDocument = async (req, res) => {
     // Check if a file with the same version already exists
     const { data: existingFile, error: fileError } = await supabase
       .from('files')
-      .select('id, file_path')
+      .select('*')
       .eq('content_type', 'book')
       .eq('content_id', bookId)
       .eq('version', version)
       .single();
 
-    // If file exists with same version, delete the old file from Cloudinary
+    // Keep the content being replaced in the version history
     if (existingFile && !fileError) {
-      const publicId = extractPublicIdFromUrl(existingFile.file_path);
-      if (publicId) {
-        await deleteFromCloudinary(publicId);
-      }
+      await preserveFileVersion(existingFile);
     }
 
-    // Extract text content from .docx for indexing or preview
-    let textContent = '';
-    try {
-      const result = await mammoth.extractRawText({ path: req.file.path });
-      textContent = result.value.substring(0, 5000); // Limit text preview to 5000 chars
-    } catch (error) {
-      console.error('Error extracting text from document:', error);
-      // Continue even if text extraction fails
-    }
+    // Extract the text of the .docx or .pdf for indexing and preview, with the
+    // page count and metadata of PDFs (continues even if extraction fails)
+    const document = await readDocument(req.file);
+    const fullText = document.text || '';
 
     // Upload file to Cloudinary
     const uploadResult = await uploadToCloudinary(
@@ -550,7 +854,7 @@ export const uploadBookDocument = async (req, res) => {
     const fileData = {
       file_name: req.file.originalname,
       file_path: uploadResult.url,
-      file_type: 'docx',
+      file_type: documentFileType(req.file.mimetype),
       file_size: req.file.size,
       mime_type: req.file.mimetype,
       content_type: 'book',
@@ -558,7 +862,7 @@ export const uploadBookDocument = async (req, res) => {
       version: version,
       is_public: isPublic === 'true' || isPublic === true,
       uploaded_by: req.user.id,
-      text_preview: textContent
+      ...documentFileFields(document)
     };
 
     let fileRecord;
@@ -592,6 +896,8 @@ export const uploadBookDocument = async (req, res) => {
       fileRecord = newFile;
     }
 
+    await recordFileVersion(fileRecord, { fullText, userId: req.user.id });
+
     // Clean up the temporary file
     fs.unlinkSync(req.file.path);
 
@@ -603,7 +909,8 @@ export const uploadBookDocument = async (req, res) => {
         book: {
           id: book.id,
           title: book.title
-        }
+        },
+        warning: documentWarning(document)
       }
     });
   } catch (error) {
@@ -638,6 +945,7 @@ export const createBookWithDocument = async (req, res) => {
       language, 
       publish_date, 
       publisher,
+      doi,
       authors, // JSON string of author IDs array
       version = '1.0', 
       isPublic = false 
@@ -655,6 +963,62 @@ export const createBookWithDocument = async (req, res) => {
       });
     }
 
+    // Validate DOI format if provided
+    if (doi && !isValidDoi(doi)) {
+      // Clean up the uploaded file
+      fs.unlinkSync(req.file.path);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid DOI format. It should look like: 10.1234/example'
+      });
+    }
+
+    // Check for an existing book with the same DOI
+    if (doi) {
+      const duplicate = await findBookByDoi(doi);
+      if (duplicate) {
+        // Clean up the uploaded file
+        fs.unlinkSync(req.file.path);
+
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'A book with this DOI already exists',
+          data: duplicate
+        });
+      }
+    }
+
+    // Validate ISBN-10/ISBN-13 check digit if provided
+    if (isbn && !isValidIsbn(isbn)) {
+      // Clean up the uploaded file
+      fs.unlinkSync(req.file.path);
+
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid ISBN. It should be a valid ISBN-10 or ISBN-13'
+      });
+    }
+
+    // Check for an existing book with the same ISBN
+    if (isbn) {
+      const duplicate = await findBookByIsbn(isbn);
+      if (duplicate) {
+        // Clean up the uploaded file
+        fs.unlinkSync(req.file.path);
+
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'A book with this ISBN already exists',
+          data: duplicate
+        });
+      }
+    }
+
     // Parse authors array
     let authorIds = [];
     try {
@@ -675,10 +1039,11 @@ export const createBookWithDocument = async (req, res) => {
       .from('books')
       .insert({
         title,
-        isbn,
+        isbn: normalizeIsbn(isbn),
         language,
         publish_date,
         publisher,
+        doi: normalizeDoi(doi),
         updated_by: req.user.id
       })
       .select()
@@ -687,7 +1052,14 @@ export const createBookWithDocument = async (req, res) => {
     if (bookError) {
       // Clean up the uploaded file
       fs.unlinkSync(req.file.path);
-      
+
+      if (bookError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'A book with this DOI already exists'
+        });
+      }
       throw new Error(`Error creating book record: ${bookError.message}`);
     }
 
@@ -705,17 +1077,15 @@ export const createBookWithDocument = async (req, res) => {
       if (authorBooksError) {
         console.error('Error associating authors with book:', authorBooksError);
       }
-    }
 
-    // 3. Extract text content from .docx for indexing or preview
-    let textContent = '';
-    try {
-      const result = await mammoth.extractRawText({ path: req.file.path });
-      textContent = result.value.substring(0, 5000); // Limit text preview to 5000 chars
-    } catch (error) {
-      console.error('Error extracting text from document:', error);
+      await markAuthorMetricsStale({ authorIds });
     }
 
+    // 3. Extract the text of the .docx or .pdf for indexing and preview, with
+    // the page count and metadata of PDFs
+    const document = await readDocument(req.file);
+    const fullText = document.text || '';
+
     // 4. Upload file to Cloudinary
     const uploadResult = await uploadToCloudinary(
       req.file.path, 
@@ -726,7 +1096,7 @@ export const createBookWithDocument = async (req, res) => {
     const fileData = {
       file_name: req.file.originalname,
       file_path: uploadResult.url,
-      file_type: 'docx',
+      file_type: documentFileType(req.file.mimetype),
       file_size: req.file.size,
       mime_type: req.file.mimetype,
       content_type: 'book',
@@ -734,7 +1104,7 @@ export const createBookWithDocument = async (req, res) => {
       version: version,
       is_public: isPublic === 'true' || isPublic === true,
       uploaded_by: req.user.id,
-      text_preview: textContent
+      ...documentFileFields(document)
     };
 
     const { data: fileRecord, error: fileError } = await supabase
@@ -747,6 +1117,8 @@ export const createBookWithDocument = async (req, res) => {
       throw new Error(`Error creating file record: ${fileError.message}`);
     }
 
+    await recordFileVersion(fileRecord, { fullText, userId: req.user.id });
+
     // Clean up the temporary file
     fs.unlinkSync(req.file.path);
 
@@ -771,7 +1143,8 @@ export const createBookWithDocument = async (req, res) => {
           ...book,
           authors: authorDetails
         },
-        file: fileRecord
+        file: fileRecord,
+        warning: documentWarning(document)
       }
     });
   } catch (error) {
@@ -973,6 +1346,9 @@ export const deleteDocument = async (req, res) => {
       }
     }
 
+    // Delete older versions of the document
+    await deleteFileVersions({ fileIds: [fileId] });
+
     // Delete file record from database
     const { error: deleteError } = await supabase
       .from('files')
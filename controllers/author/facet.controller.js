@@ -0,0 +1,164 @@
+import { splitDate } from '../../utils/normalizeText.js';
+
+// Facets returned by each list endpoint
+export const ARTICLE_FACETS = ['language', 'year', 'journal', 'institution', 'country', 'academic_title', 'keyword', 'file_type'];
+export const BOOK_FACETS = ['language', 'year', 'institution', 'country', 'academic_title', 'file_type'];
+export const AUTHOR_FACETS = ['institution', 'country', 'academic_title'];
+
+// Records read per request when facet values are counted
+const PAGE_SIZE = 1000;
+
+const AUTHOR_FACET_SELECT = `
+  academic_title,
+  institutions:institution_id (
+    id, name, country
+  )
+`;
+
+// Facet values of articles and books come from computed relationships (see
+// db/migrations): facet_authors, facet_institutions (of the authors) and
+// facet_files, defined for both tables
+const CONTRIBUTION_FACET_SELECT = `
+  facet_authors (academic_title),
+  facet_institutions (id, name, country),
+  facet_files (file_type)
+`;
+
+const inFilter = (column) => (query, values) => query.in(column, values);
+
+// Publication years as publish_date ranges; a year that is not a number matches nothing
+const yearFilter = (query, values) => {
+  const years = values.map(value => parseInt(value)).filter(year => !isNaN(year));
+  if (years.length === 0) {
+    return query.in('id', []);
+  }
+  return query.or(years.map(year => `and(publish_date.gte.${year}-01-01,publish_date.lt.${year + 1}-01-01)`).join(','));
+};
+
+// Facets whose values are found through linked records (authors, journals,
+// files) filter on an embedded resource: `!inner` keeps only the records with
+// a matching link, and the empty embed is left out of the response
+const embeddedFilter = (alias, relation, column) => ({
+  embed: `${alias}:${relation}!inner()`,
+  apply: (query, values) => query.in(`${alias}.${column}`, values)
+});
+
+const CONTRIBUTION_FACET_FILTERS = {
+  language: { apply: inFilter('language') },
+  year: { apply: yearFilter },
+  institution: embeddedFilter('institution_facet', 'facet_institutions', 'id'),
+  country: embeddedFilter('country_facet', 'facet_institutions', 'country'),
+  academic_title: embeddedFilter('academic_title_facet', 'facet_authors', 'academic_title'),
+  file_type: embeddedFilter('file_type_facet', 'facet_files', 'file_type')
+};
+
+// How each facet filter restricts the list query of each kind of record
+const FACET_FILTERS = {
+  article: {
+    ...CONTRIBUTION_FACET_FILTERS,
+    journal: embeddedFilter('journal_facet', 'article_journals', 'journal_id'),
+    keyword: { apply: (query, values) => query.overlaps('keywords', values) }
+  },
+  book: CONTRIBUTION_FACET_FILTERS,
+  author: {
+    institution: { apply: inFilter('institution_id') },
+    country: embeddedFilter('country_facet', 'institutions', 'country'),
+    academic_title: { apply: inFilter('academic_title') }
+  }
+};
+
+// List query (built by `select` for the given columns) restricted to the
+// records matching the active facet filters of a kind of record (article,
+// book or author)
+export const filterByFacets = (select, kind, active, columns) => {
+  const filters = Object.entries(active).map(([facet, values]) => [FACET_FILTERS[kind][facet], values]);
+  const embeds = filters.map(([filter]) => filter.embed).filter(Boolean);
+
+  let query = select([columns, ...embeds].join(', '));
+  filters.forEach(([filter, values]) => {
+    query = filter.apply(query, values);
+  });
+  return query;
+};
+
+const valueOf = (value, label = value) => (value === null || value === undefined || value === '' ? [] : [{ value: String(value), label }]);
+
+// Institution, country and academic title facets of the authors of a record
+// and of their institutions
+const contributionFacetValues = (authors, institutions) => ({
+  institution: institutions.flatMap(institution => valueOf(institution.id, institution.name)),
+  country: institutions.flatMap(institution => valueOf(institution.country)),
+  academic_title: authors.flatMap(author => valueOf(author.academic_title))
+});
+
+const yearOf = (publishDate) => {
+  const date = splitDate(publishDate);
+  return date ? valueOf(date.year) : [];
+};
+
+// Every record of a filtered list query, page by page
+const loadRecords = async (query, label) => {
+  const records = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await query()
+      .order('id', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Error fetching ${label} facets: ${error.message}`);
+    }
+
+    records.push(...data);
+    if (data.length < PAGE_SIZE) return records;
+  }
+};
+
+// Facet values of the articles of a filtered query (see buildArticlesQuery)
+export const loadArticleFacetRecords = async (select) => {
+  const articles = await loadRecords(() => select(`
+    id, language, publish_date, keywords,
+    article_journals (
+      journals:journal_id (id, name)
+    ),
+    ${CONTRIBUTION_FACET_SELECT}
+  `), 'article');
+
+  return articles.map(article => ({
+    id: article.id,
+    facets: {
+      language: valueOf(article.language),
+      year: yearOf(article.publish_date),
+      journal: (article.article_journals || [])
+        .filter(link => link.journals)
+        .flatMap(link => valueOf(link.journals.id, link.journals.name)),
+      ...contributionFacetValues(article.facet_authors || [], article.facet_institutions || []),
+      keyword: (article.keywords || []).flatMap(keyword => valueOf(String(keyword).trim())),
+      file_type: (article.facet_files || []).flatMap(file => valueOf(file.file_type))
+    }
+  }));
+};
+
+// Facet values of the books of a filtered query (see buildBooksQuery)
+export const loadBookFacetRecords = async (select) => {
+  const books = await loadRecords(() => select(`id, language, publish_date, ${CONTRIBUTION_FACET_SELECT}`), 'book');
+
+  return books.map(book => ({
+    id: book.id,
+    facets: {
+      language: valueOf(book.language),
+      year: yearOf(book.publish_date),
+      ...contributionFacetValues(book.facet_authors || [], book.facet_institutions || []),
+      file_type: (book.facet_files || []).flatMap(file => valueOf(file.file_type))
+    }
+  }));
+};
+
+// Facet values of the authors of a filtered query (see buildAuthorsQuery)
+export const loadAuthorFacetRecords = async (select) => {
+  const authors = await loadRecords(() => select(`id, ${AUTHOR_FACET_SELECT}`), 'author');
+
+  return authors.map(author => ({
+    id: author.id,
+    facets: contributionFacetValues([author], author.institutions ? [author.institutions] : [])
+  }));
+};
@@ -1,29 +1,152 @@
 import { supabase } from '../../db/connectDB.js';
+import { collectDescendantIds, collectAncestors, wouldCreateCycle, buildInstitutionTree } from '../../utils/institutionTree.js';
+import { today, affiliationsValidAt } from '../../utils/affiliations.js';
+import { containsPattern } from '../../utils/postgrestFilters.js';
+
+// Flat list of all institutions with their parent, used to walk the hierarchy
+const loadInstitutionHierarchy = async () => {
+  const { data, error } = await supabase
+    .from('institutions')
+    .select('id, name, type, parent_id');
+
+  if (error) {
+    throw new Error(`Error fetching institution hierarchy: ${error.message}`);
+  }
 
-export const getInstitutions = async (req, res) => {
-  try {
-    const { page = 1, limit = 10, search, country, type } = req.query;
-    const offset = (page - 1) * limit;
+  return data;
+};
 
-    // Build query
-    let query = supabase
-      .from('institutions')
-      .select('*', { count: 'exact' });
+// Ids of an institution and all of its sub-units
+export const getInstitutionDescendantIds = async (institutionId) => {
+  const hierarchy = await loadInstitutionHierarchy();
+  return collectDescendantIds(institutionId, hierarchy);
+};
 
-    // Add search filter if provided
-    if (search) {
-      query = query.or(`name.ilike.%${search}%, city.ilike.%${search}%`);
-    }
+// Validate a requested parent: it must exist and must not be the institution
+// itself or one of its sub-units. Returns an error message or null.
+const checkParentInstitution = (institutionId, parentId, hierarchy) => {
+  if (!hierarchy.some(institution => String(institution.id) === String(parentId))) {
+    return 'Parent institution not found';
+  }
+  if (institutionId && wouldCreateCycle(institutionId, parentId, hierarchy)) {
+    return 'An institution cannot be placed under itself or one of its sub-units';
+  }
+  return null;
+};
 
-    // Add country filter if provided
-    if (country) {
-      query = query.eq('country', country);
-    }
+// Current authors and distinct publications (articles and books) of each institution
+const countInstitutionPublications = async (institutionIds) => {
+  const [affiliationsResult, authorsResult] = await Promise.all([
+    supabase
+      .from('author_affiliations')
+      .select('author_id, institution_id, start_date, end_date, is_primary')
+      .in('institution_id', institutionIds),
+    supabase
+      .from('authors')
+      .select('id, institution_id')
+      .in('institution_id', institutionIds),
+  ]);
 
-    // Add type filter if provided
-    if (type) {
-      query = query.eq('type', type);
-    }
+  if (affiliationsResult.error) {
+    throw new Error(`Error fetching institution affiliations: ${affiliationsResult.error.message}`);
+  }
+  if (authorsResult.error) {
+    throw new Error(`Error fetching institution authors: ${authorsResult.error.message}`);
+  }
+
+  // Authors without affiliation history count with an open-ended affiliation
+  // to their current institution
+  const affiliations = [...affiliationsResult.data];
+  const withHistory = new Set(affiliations.map(affiliation => String(affiliation.author_id)));
+  authorsResult.data
+    .filter(author => !withHistory.has(String(author.id)))
+    .forEach(author => affiliations.push({ author_id: author.id, institution_id: author.institution_id }));
+
+  const authorIds = [...new Set(affiliations.map(affiliation => affiliation.author_id))];
+  const [articleLinks, bookLinks] = authorIds.length > 0
+    ? await Promise.all([
+        supabase.from('article_authors').select('author_id, article_id, articles:article_id (publish_date)').in('author_id', authorIds),
+        supabase.from('author_books').select('author_id, book_id, books:book_id (publish_date)').in('author_id', authorIds),
+      ])
+    : [{ data: [] }, { data: [] }];
+
+  if (articleLinks.error) {
+    throw new Error(`Error fetching institution articles: ${articleLinks.error.message}`);
+  }
+  if (bookLinks.error) {
+    throw new Error(`Error fetching institution books: ${bookLinks.error.message}`);
+  }
+
+  const affiliationsByAuthor = new Map();
+  affiliations.forEach(affiliation => {
+    const key = String(affiliation.author_id);
+    if (!affiliationsByAuthor.has(key)) affiliationsByAuthor.set(key, []);
+    affiliationsByAuthor.get(key).push(affiliation);
+  });
+
+  const counts = new Map();
+  const entry = (institutionId) => {
+    const key = String(institutionId);
+    if (!counts.has(key)) counts.set(key, { authorIds: new Set(), publicationKeys: new Set() });
+    return counts.get(key);
+  };
+
+  // Authors count where they are affiliated today
+  affiliationsValidAt(affiliations, today())
+    .forEach(affiliation => entry(affiliation.institution_id).authorIds.add(String(affiliation.author_id)));
+
+  // Publications count where their authors were affiliated when they were published
+  const addPublication = (authorId, publishDate, key) => {
+    affiliationsValidAt(affiliationsByAuthor.get(String(authorId)) || [], publishDate)
+      .forEach(affiliation => entry(affiliation.institution_id).publicationKeys.add(key));
+  };
+  articleLinks.data.forEach(link => addPublication(link.author_id, link.articles && link.articles.publish_date, `article:${link.article_id}`));
+  bookLinks.data.forEach(link => addPublication(link.author_id, link.books && link.books.publish_date, `book:${link.book_id}`));
+
+  return counts;
+};
+
+// Build the filtered institutions query shared by getInstitutions and the global search
+export const buildInstitutionsQuery = (filters) => {
+  const { search, country, type, parent_id } = filters;
+
+  // Build query
+  let query = supabase
+    .from('institutions')
+    .select('*', { count: 'exact' });
+
+  // Add parent filter if provided ("root" lists top-level institutions)
+  if (parent_id === 'root') {
+    query = query.is('parent_id', null);
+  } else if (parent_id) {
+    query = query.eq('parent_id', parent_id);
+  }
+
+  // Add search filter if provided
+  if (search) {
+    const pattern = containsPattern(search);
+    query = query.or(`name.ilike.${pattern}, city.ilike.${pattern}`);
+  }
+
+  // Add country filter if provided
+  if (country) {
+    query = query.eq('country', country);
+  }
+
+  // Add type filter if provided
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  return query;
+};
+
+export const getInstitutions = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = buildInstitutionsQuery(req.query);
 
     // Add pagination
     query = query
@@ -88,10 +211,22 @@ export const getInstitutionById = async (req, res) => {
       console.error('Error fetching institution authors:', authorsError);
     }
 
+    // Sub-units with their own and rolled-up author and publication counts
+    const hierarchy = await loadInstitutionHierarchy();
+    const subtreeIds = collectDescendantIds(institution.id, hierarchy);
+    const counts = await countInstitutionPublications(subtreeIds);
+    const { children, ...tree } = buildInstitutionTree(institution.id, hierarchy, counts);
+
     res.status(200).json({
       success: true,
       data: {
         ...institution,
+        ancestors: collectAncestors(institution.id, hierarchy).reverse(),
+        author_count: tree.author_count,
+        publication_count: tree.publication_count,
+        total_author_count: tree.total_author_count,
+        total_publication_count: tree.total_publication_count,
+        children,
         authors: authors || []
       }
     });
@@ -116,7 +251,7 @@ export const createInstitution = async (req, res) => {
       });
     }
 
-    const { name, type, country, city } = req.body;
+    const { name, type, country, city, parent_id } = req.body;
     
     // Validate required fields
     if (!name) {
@@ -127,6 +262,18 @@ export const createInstitution = async (req, res) => {
       });
     }
 
+    // Check the parent institution if provided
+    if (parent_id) {
+      const parentError = checkParentInstitution(null, parent_id, await loadInstitutionHierarchy());
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: parentError
+        });
+      }
+    }
+
     // Create institution record
     const { data: institution, error } = await supabase
       .from('institutions')
@@ -135,6 +282,7 @@ export const createInstitution = async (req, res) => {
         type,
         country,
         city,
+        parent_id: parent_id || null,
         updated_by: req.user.id
       })
       .select()
@@ -170,7 +318,7 @@ export const updateInstitution = async (req, res) => {
       });
     }
     const { id } = req.params;
-    const { name, type, country, city } = req.body;
+    const { name, type, country, city, parent_id } = req.body;
 
     // Check if institution exists
     const { data: existingInstitution, error: checkError } = await supabase
@@ -208,6 +356,18 @@ export const updateInstitution = async (req, res) => {
       });
     }
 
+    // Check the new parent if provided (null moves the institution to the top level)
+    if (parent_id) {
+      const parentError = checkParentInstitution(id, parent_id, await loadInstitutionHierarchy());
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: parentError
+        });
+      }
+    }
+
     // Update institution data
     const updateData = {
       name,
@@ -219,6 +379,7 @@ export const updateInstitution = async (req, res) => {
     if (type !== undefined) updateData.type = type;
     if (country !== undefined) updateData.country = country;
     if (city !== undefined) updateData.city = city;
+    if (parent_id !== undefined) updateData.parent_id = parent_id || null;
 
     const { data: updatedInstitution, error: updateError } = await supabase
       .from('institutions')
@@ -292,6 +453,36 @@ export const deleteInstitution = async (req, res) => {
       });
     }
 
+    // Check if institution appears in affiliation histories
+    const { data: affiliations, error: affiliationsError } = await supabase
+      .from('author_affiliations')
+      .select('id')
+      .eq('institution_id', id)
+      .limit(1);
+
+    if (!affiliationsError && affiliations && affiliations.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Cannot delete institution because it appears in author affiliations'
+      });
+    }
+
+    // Check if institution has sub-units
+    const { data: children, error: childrenError } = await supabase
+      .from('institutions')
+      .select('id')
+      .eq('parent_id', id)
+      .limit(1);
+
+    if (!childrenError && children && children.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Cannot delete institution because it has sub-units'
+      });
+    }
+
     // Delete institution
     const { error: deleteError } = await supabase
       .from('institutions')
@@ -475,4 +666,142 @@ export const getUniqueTypes = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+export const mergeInstitutions = async (req, res) => {
+  try {
+    const { target_id, source_ids } = req.body;
+
+    if (!target_id || !Array.isArray(source_ids) || source_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'target_id and a non-empty source_ids array are required'
+      });
+    }
+
+    const sourceIds = [...new Set(source_ids.map(String))];
+    if (sourceIds.includes(String(target_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'An institution cannot be merged into itself'
+      });
+    }
+
+    const hierarchy = await loadInstitutionHierarchy();
+    const byId = new Map(hierarchy.map(institution => [String(institution.id), institution]));
+    const target = byId.get(String(target_id));
+
+    if (!target || sourceIds.some(sourceId => !byId.has(sourceId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Target or source institution not found'
+      });
+    }
+
+    // A target nested under a duplicate takes the first ancestor that is kept
+    let parentId = target.parent_id;
+    while (parentId !== null && parentId !== undefined && sourceIds.includes(String(parentId))) {
+      parentId = byId.get(String(parentId)).parent_id;
+    }
+
+    // Sub-units of the duplicates move under the target; this must not make the
+    // target one of its own sub-units
+    const merged = hierarchy
+      .filter(institution => !sourceIds.includes(String(institution.id)))
+      .map(institution => (
+        String(institution.id) !== String(target.id) && sourceIds.includes(String(institution.parent_id))
+          ? { ...institution, parent_id: target.id }
+          : institution
+      ));
+
+    if (wouldCreateCycle(target.id, parentId, merged)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'The target is nested below a sub-unit of a merged institution; move it first'
+      });
+    }
+
+    // Repoint authors of the duplicates
+    const { data: movedAuthors, error: authorsError } = await supabase
+      .from('authors')
+      .update({ institution_id: target.id, updated_at: new Date() })
+      .in('institution_id', sourceIds)
+      .select('id');
+
+    if (authorsError) {
+      throw new Error(`Error moving institution authors: ${authorsError.message}`);
+    }
+
+    // Affiliation histories and the affiliations recorded on articles follow
+    const { error: affiliationsError } = await supabase
+      .from('author_affiliations')
+      .update({ institution_id: target.id })
+      .in('institution_id', sourceIds);
+
+    if (affiliationsError) {
+      throw new Error(`Error moving institution affiliations: ${affiliationsError.message}`);
+    }
+
+    const { error: articleAffiliationsError } = await supabase
+      .from('article_author_affiliations')
+      .update({ institution_id: target.id })
+      .in('institution_id', sourceIds);
+
+    if (articleAffiliationsError) {
+      throw new Error(`Error moving article affiliations: ${articleAffiliationsError.message}`);
+    }
+
+    const { data: movedChildren, error: childrenError } = await supabase
+      .from('institutions')
+      .update({ parent_id: target.id })
+      .in('parent_id', sourceIds)
+      .neq('id', target.id)
+      .select('id');
+
+    if (childrenError) {
+      throw new Error(`Error moving sub-units: ${childrenError.message}`);
+    }
+
+    if (String(parentId) !== String(target.parent_id)) {
+      const { error: parentError } = await supabase
+        .from('institutions')
+        .update({ parent_id: parentId ?? null })
+        .eq('id', target.id);
+
+      if (parentError) {
+        throw new Error(`Error updating target institution: ${parentError.message}`);
+      }
+    }
+
+    const { error: deleteError } = await supabase
+      .from('institutions')
+      .delete()
+      .in('id', sourceIds);
+
+    if (deleteError) {
+      throw new Error(`Error deleting merged institutions: ${deleteError.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Institutions merged successfully',
+      data: {
+        institution_id: target.id,
+        merged_institution_ids: sourceIds.map(sourceId => byId.get(sourceId).id),
+        moved_authors: movedAuthors.length,
+        moved_sub_units: movedChildren.length
+      }
+    });
+  } catch (error) {
+    console.error('Merge institutions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
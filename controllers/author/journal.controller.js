@@ -3,7 +3,12 @@ import path from 'path';
 import multer from 'multer';
 import { supabase } from '../../db/connectDB.js';
 import { uploadToCloudinary, deleteFromCloudinary, extractPublicIdFromUrl } from '../../middlewares/cloudinary.config.js';
-import mammoth from 'mammoth';
+import { normalizeIssn, isValidIssn, identifierLikePattern } from '../../utils/identifiers.js';
+import { applyEmbeddedArticleVisibility } from '../../utils/articleStatus.js';
+import { recordFileVersion, preserveFileVersion, deleteFileVersions } from '../fileVersion.controller.js';
+import { queueArticleSimilarities } from './articleSimilarity.controller.js';
+import { DOCUMENT_MIME_TYPES, documentFileType, readDocument, documentFileFields, documentWarning } from '../../utils/documentText.js';
+import { containsPattern } from '../../utils/postgrestFilters.js';
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -19,14 +24,9 @@ const storage = multer.diskStorage({
   },
 });
 
-// Limit file types to only .docx files
+// Limit file types to only .docx, .doc, and .pdf files
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
-    'application/msword', // .doc
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error('Only .doc, .docx, and .pdf files are allowed'), false);
@@ -40,30 +40,119 @@ export const upload = multer({
   fileFilter: fileFilter,
 });
 
-export const getJournals = async (req, res) => {
-  try {
-    const { page = 1, limit = 10, search, language, type } = req.query;
-    const offset = (page - 1) * limit;
+// Print (issn) and electronic (e_issn) ISSN fields of a journal
+const ISSN_FIELDS = ['issn', 'e_issn'];
+const ISSN_LABELS = { issn: 'print ISSN', e_issn: 'electronic ISSN' };
 
-    // Build query
-    let query = supabase
-      .from('journals')
-      .select('*', { count: 'exact' });
+// Find a journal that already uses an ISSN, as print or electronic ISSN,
+// whatever hyphenation the stored value uses
+const findJournalByIssn = async (issn, excludeId = null) => {
+  const normalized = normalizeIssn(issn);
+  const pattern = identifierLikePattern(normalized.replace('-', ''));
 
-    // Add search filter if provided
-    if (search) {
-      query = query.or(`name.ilike.%${search}%, issn.ilike.%${search}%`);
-    }
+  let query = supabase
+    .from('journals')
+    .select('id, name, issn, e_issn')
+    .or(`issn.ilike.${pattern},e_issn.ilike.${pattern}`);
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data, error } = await query.limit(20);
+
+  if (error) {
+    throw new Error(`Error checking journal ISSN: ${error.message}`);
+  }
+
+  return data.find(journal => ISSN_FIELDS.some(field => normalizeIssn(journal[field]) === normalized)) || null;
+};
+
+// Postgres error code of a unique index violation: the ISSN was registered by
+// a concurrent request after findJournalByIssn checked it
+const UNIQUE_VIOLATION = '23505';
+
+// Validate the ISSNs of a request body and look for journals already using
+// them. Returns an error response ({ status, body }) or null.
+const checkJournalIssns = async (values, excludeId = null) => {
+  for (const field of ISSN_FIELDS) {
+    if (!values[field]) continue;
 
-    // Add language filter if provided
-    if (language) {
-      query = query.eq('language', language);
+    if (!isValidIssn(values[field])) {
+      return {
+        status: 400,
+        body: {
+          success: false,
+          error: 'Bad Request',
+          message: `Invalid ${ISSN_LABELS[field]}. It should be in the format 1234-567X with a valid check digit`
+        }
+      };
     }
 
-    // Add type filter if provided
-    if (type) {
-      query = query.eq('type', type);
+    const duplicate = await findJournalByIssn(values[field], excludeId);
+    if (duplicate) {
+      return {
+        status: 409,
+        body: {
+          success: false,
+          error: 'Conflict',
+          message: `A journal with this ${ISSN_LABELS[field]} already exists`,
+          data: duplicate
+        }
+      };
     }
+  }
+
+  if (values.issn && values.e_issn && normalizeIssn(values.issn) === normalizeIssn(values.e_issn)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Bad Request',
+        message: 'Print and electronic ISSN must be different'
+      }
+    };
+  }
+
+  return null;
+};
+
+// Build the filtered journals query shared by getJournals and the global search
+export const buildJournalsQuery = (filters) => {
+  const { search, language, type } = filters;
+
+  // Build query
+  let query = supabase
+    .from('journals')
+    .select('*', { count: 'exact' });
+
+  // Add search filter if provided
+  if (search) {
+    // An ISSN typed without hyphen still finds the stored "1234-5679" form
+    const issnFilter = isValidIssn(search) ? `, issn.eq.${normalizeIssn(search)}, e_issn.eq.${normalizeIssn(search)}` : '';
+    const pattern = containsPattern(search);
+    query = query.or(`name.ilike.${pattern}, issn.ilike.${pattern}, e_issn.ilike.${pattern}${issnFilter}`);
+  }
+
+  // Add language filter if provided
+  if (language) {
+    query = query.eq('language', language);
+  }
+
+  // Add type filter if provided
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  return query;
+};
+
+export const getJournals = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = buildJournalsQuery(req.query);
 
     // Add pagination
     query = query
@@ -148,16 +237,19 @@ export const getJournalById = async (req, res) => {
       throw new Error(`Error fetching journal: ${error.message}`);
     }
 
-    // Get associated articles
-    const { data: articleJournals, error: articlesError } = await supabase
-      .from('article_journals')
-      .select(`
-        article_id,
-        articles:article_id (
-          id, title, publish_date, language
-        )
-      `)
-      .eq('journal_id', id);
+    // Get associated articles the user may see
+    const { data: articleJournals, error: articlesError } = await applyEmbeddedArticleVisibility(
+      supabase
+        .from('article_journals')
+        .select(`
+          article_id,
+          articles:article_id!inner (
+            id, title, publish_date, language, status
+          )
+        `)
+        .eq('journal_id', id),
+      req.user
+    );
 
     if (articlesError) {
       console.error('Error fetching journal articles:', articlesError);
@@ -211,7 +303,7 @@ export const createJournal = async (req, res) => {
       });
     }
     
-    const { name, type, issn, language, publish_date } = req.body;
+    const { name, type, issn, e_issn, language, publish_date } = req.body;
     
     // Validate required fields
     if (!name) {
@@ -222,13 +314,20 @@ export const createJournal = async (req, res) => {
       });
     }
 
+    // Validate ISSNs and reject journals already registered under them
+    const issnError = await checkJournalIssns({ issn, e_issn });
+    if (issnError) {
+      return res.status(issnError.status).json(issnError.body);
+    }
+
     // Create journal record
     const { data: journal, error } = await supabase
       .from('journals')
       .insert({
         name,
         type,
-        issn,
+        issn: normalizeIssn(issn),
+        e_issn: normalizeIssn(e_issn),
         language,
         publish_date,
         updated_by: req.user.id
@@ -237,6 +336,13 @@ export const createJournal = async (req, res) => {
       .single();
 
     if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'A journal with this ISSN already exists'
+        });
+      }
       throw new Error(`Error creating journal: ${error.message}`);
     }
 
@@ -258,7 +364,7 @@ export const createJournal = async (req, res) => {
 export const updateJournal = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, type, issn, language, publish_date } = req.body;
+    const { name, type, issn, e_issn, language, publish_date } = req.body;
 
     // Check if journal exists
     const { data: existingJournal, error: checkError } = await supabase
@@ -296,6 +402,12 @@ export const updateJournal = async (req, res) => {
       });
     }
 
+    // Validate ISSNs and reject ones used by another journal
+    const issnError = await checkJournalIssns({ issn, e_issn }, id);
+    if (issnError) {
+      return res.status(issnError.status).json(issnError.body);
+    }
+
     // Update journal data
     const updateData = {
       name,
@@ -305,7 +417,8 @@ export const updateJournal = async (req, res) => {
 
     // Only include optional fields if they are provided
     if (type !== undefined) updateData.type = type;
-    if (issn !== undefined) updateData.issn = issn;
+    if (issn !== undefined) updateData.issn = normalizeIssn(issn);
+    if (e_issn !== undefined) updateData.e_issn = normalizeIssn(e_issn);
     if (language !== undefined) updateData.language = language;
     if (publish_date !== undefined) updateData.publish_date = publish_date;
 
@@ -317,6 +430,13 @@ export const updateJournal = async (req, res) => {
       .single();
 
     if (updateError) {
+      if (updateError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'Another journal with this ISSN already exists'
+        });
+      }
       throw new Error(`Error updating journal: ${updateError.message}`);
     }
 
@@ -381,6 +501,17 @@ export const deleteJournal = async (req, res) => {
       });
     }
 
+    // Delete its (now empty) issues and volumes
+    await supabase
+      .from('journal_issues')
+      .delete()
+      .eq('journal_id', id);
+
+    await supabase
+      .from('journal_volumes')
+      .delete()
+      .eq('journal_id', id);
+
     // Get associated files to delete from Cloudinary
     const { data: files, error: filesError } = await supabase
       .from('files')
@@ -405,6 +536,8 @@ export const deleteJournal = async (req, res) => {
         }
       }
 
+      await deleteFileVersions({ contentType: 'journal', contentId: id });
+
       // Delete file records from database
       const { error: deleteFilesError } = await supabase
         .from('files')
@@ -498,31 +631,21 @@ export const uploadJournalDocument = async (req, res) => {
     // Check if a file with the same version already exists
     const { data: existingFile, error: fileError } = await supabase
       .from('files')
-      .select('id, file_path')
+      .select('*')
       .eq('content_type', 'journal')
       .eq('content_id', journalId)
       .eq('version', version)
       .single();
 
-    // If file exists with same version, delete the old file from Cloudinary
+    // Keep the content being replaced in the version history
     if (existingFile && !fileError) {
-      const publicId = extractPublicIdFromUrl(existingFile.file_path);
-      if (publicId) {
-        await deleteFromCloudinary(publicId);
-      }
+      await preserveFileVersion(existingFile);
     }
 
-    // Extract text content from .docx for indexing or preview
-    let textContent = '';
-    try {
-      if (req.file.mimetype.includes('word')) {
-        const result = await mammoth.extractRawText({ path: req.file.path });
-        textContent = result.value.substring(0, 5000); // Limit text preview to 5000 chars
-      }
-    } catch (error) {
-      console.error('Error extracting text from document:', error);
-      // Continue even if text extraction fails
-    }
+    // Extract the text of the .docx or .pdf for indexing and preview, with the
+    // page count and metadata of PDFs (continues even if extraction fails)
+    const document = await readDocument(req.file);
+    const fullText = document.text || '';
 
     // Upload file to Cloudinary
     const uploadResult = await uploadToCloudinary(
@@ -531,12 +654,7 @@ export const uploadJournalDocument = async (req, res) => {
     );
 
     // Determine file type based on mimetype
-    let fileType = 'other';
-    if (req.file.mimetype === 'application/pdf') {
-      fileType = 'pdf';
-    } else if (req.file.mimetype.includes('word')) {
-      fileType = 'docx';
-    }
+    const fileType = documentFileType(req.file.mimetype);
 
     // Create file record in database
     const fileData = {
@@ -550,7 +668,7 @@ export const uploadJournalDocument = async (req, res) => {
       version: version,
       is_public: isPublic === 'true' || isPublic === true,
       uploaded_by: req.user.id,
-      text_preview: textContent
+      ...documentFileFields(document)
     };
 
     let fileRecord;
@@ -584,6 +702,8 @@ export const uploadJournalDocument = async (req, res) => {
       fileRecord = newFile;
     }
 
+    await recordFileVersion(fileRecord, { fullText, userId: req.user.id });
+
     // Clean up the temporary file
     fs.unlinkSync(req.file.path);
 
@@ -595,7 +715,8 @@ export const uploadJournalDocument = async (req, res) => {
         journal: {
           id: journal.id,
           name: journal.name
-        }
+        },
+        warning: documentWarning(document)
       }
     });
   } catch (error) {
@@ -628,6 +749,7 @@ export const createJournalWithDocument = async (req, res) => {
       name, 
       type, 
       issn, 
+      e_issn,
       language, 
       publish_date,
       version = '1.0', 
@@ -646,13 +768,23 @@ export const createJournalWithDocument = async (req, res) => {
       });
     }
 
+    // Validate ISSNs and reject journals already registered under them
+    const issnError = await checkJournalIssns({ issn, e_issn });
+    if (issnError) {
+      // Clean up the uploaded file
+      fs.unlinkSync(req.file.path);
+
+      return res.status(issnError.status).json(issnError.body);
+    }
+
     // 1. Create the journal record
     const { data: journal, error: journalError } = await supabase
       .from('journals')
       .insert({
         name,
         type,
-        issn,
+        issn: normalizeIssn(issn),
+        e_issn: normalizeIssn(e_issn),
         language,
         publish_date,
         updated_by: req.user.id
@@ -663,21 +795,22 @@ export const createJournalWithDocument = async (req, res) => {
     if (journalError) {
       // Clean up the uploaded file
       fs.unlinkSync(req.file.path);
-      
-      throw new Error(`Error creating journal record: ${journalError.message}`);
-    }
 
-    // 2. Extract text content from .docx for indexing or preview
-    let textContent = '';
-    try {
-      if (req.file.mimetype.includes('word')) {
-        const result = await mammoth.extractRawText({ path: req.file.path });
-        textContent = result.value.substring(0, 5000); // Limit text preview to 5000 chars
+      if (journalError.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: 'A journal with this ISSN already exists'
+        });
       }
-    } catch (error) {
-      console.error('Error extracting text from document:', error);
+      throw new Error(`Error creating journal record: ${journalError.message}`);
     }
 
+    // 2. Extract the text of the .docx or .pdf for indexing and preview, with
+    // the page count and metadata of PDFs
+    const document = await readDocument(req.file);
+    const fullText = document.text || '';
+
     // 3. Upload file to Cloudinary
     const uploadResult = await uploadToCloudinary(
       req.file.path, 
@@ -685,12 +818,7 @@ export const createJournalWithDocument = async (req, res) => {
     );
 
     // Determine file type based on mimetype
-    let fileType = 'other';
-    if (req.file.mimetype === 'application/pdf') {
-      fileType = 'pdf';
-    } else if (req.file.mimetype.includes('word')) {
-      fileType = 'docx';
-    }
+    const fileType = documentFileType(req.file.mimetype);
 
     // 4. Create file record in database
     const fileData = {
@@ -704,7 +832,7 @@ export const createJournalWithDocument = async (req, res) => {
       version: version,
       is_public: isPublic === 'true' || isPublic === true,
       uploaded_by: req.user.id,
-      text_preview: textContent
+      ...documentFileFields(document)
     };
 
     const { data: fileRecord, error: fileError } = await supabase
@@ -717,6 +845,8 @@ export const createJournalWithDocument = async (req, res) => {
       throw new Error(`Error creating file record: ${fileError.message}`);
     }
 
+    await recordFileVersion(fileRecord, { fullText, userId: req.user.id });
+
     // Clean up the temporary file
     fs.unlinkSync(req.file.path);
 
@@ -725,7 +855,8 @@ export const createJournalWithDocument = async (req, res) => {
       message: 'Journal created with document successfully',
       data: {
         journal,
-        file: fileRecord
+        file: fileRecord,
+        warning: documentWarning(document)
       }
     });
   } catch (error) {
@@ -927,6 +1058,9 @@ export const deleteDocument = async (req, res) => {
       }
     }
 
+    // Delete older versions of the document
+    await deleteFileVersions({ fileIds: [fileId] });
+
     // Delete file record from database
     const { error: deleteError } = await supabase
       .from('files')
@@ -1143,6 +1277,8 @@ export const associateArticle = async (req, res) => {
       throw new Error(`Error associating article with journal: ${associationError.message}`);
     }
 
+    await queueArticleSimilarities(articleId);
+
     res.status(201).json({
       success: true,
       message: 'Article associated with journal successfully',
@@ -1189,6 +1325,8 @@ export const disassociateArticle = async (req, res) => {
       throw new Error(`Error disassociating article from journal: ${deleteError.message}`);
     }
 
+    await queueArticleSimilarities(articleId);
+
     res.status(200).json({
       success: true,
       message: 'Article disassociated from journal successfully'
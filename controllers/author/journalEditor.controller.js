@@ -0,0 +1,179 @@
+import { supabase } from '../../db/connectDB.js';
+
+// User IDs of the editors assigned to a journal, as strings
+export const getJournalEditorIds = async (journalId) => {
+  const { data, error } = await supabase
+    .from('journal_editors')
+    .select('user_id')
+    .eq('journal_id', journalId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Error fetching journal editors: ${error.message}`);
+  }
+
+  return data.map(editor => String(editor.user_id));
+};
+
+// Load a journal or send a 404 response and return null
+const findJournal = async (res, journalId) => {
+  const { data: journal, error } = await supabase
+    .from('journals')
+    .select('id, name')
+    .eq('id', journalId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Journal not found'
+      });
+      return null;
+    }
+    throw new Error(`Error fetching journal: ${error.message}`);
+  }
+
+  return journal;
+};
+
+export const getJournalEditors = async (req, res) => {
+  try {
+    const journal = await findJournal(res, req.params.journalId);
+    if (!journal) return;
+
+    const { data, error } = await supabase
+      .from('journal_editors')
+      .select(`
+        user_id, created_at,
+        users:user_id (
+          id, username, email
+        )
+      `)
+      .eq('journal_id', journal.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error fetching journal editors: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get journal editors error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Controller for admins to make a user an editor of a journal, who then
+// handles its submissions and the lifecycle of the articles submitted to it
+export const addJournalEditor = async (req, res) => {
+  try {
+    const { user_id } = req.body;
+
+    if (!user_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'user_id is required'
+      });
+    }
+
+    const journal = await findJournal(res, req.params.journalId);
+    if (!journal) return;
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', user_id)
+      .single();
+
+    if (userError || !user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Invalid user ID'
+      });
+    }
+
+    const editorIds = await getJournalEditorIds(journal.id);
+    if (editorIds.includes(String(user.id))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'This user is already an editor of this journal'
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('journal_editors')
+      .insert({
+        journal_id: journal.id,
+        user_id: user.id,
+        assigned_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error adding journal editor: ${error.message}`);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Journal editor added successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Add journal editor error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const removeJournalEditor = async (req, res) => {
+  try {
+    const { journalId, userId } = req.params;
+
+    const { data, error } = await supabase
+      .from('journal_editors')
+      .delete()
+      .eq('journal_id', journalId)
+      .eq('user_id', userId)
+      .select('user_id');
+
+    if (error) {
+      throw new Error(`Error removing journal editor: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'This user is not an editor of this journal'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Journal editor removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove journal editor error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,889 @@
+import { supabase } from '../../db/connectDB.js';
+import { sortByPosition } from '../../utils/articleAuthors.js';
+import { ISSUE_STATUSES, checkArticlePlacement, formatPages, sortTableOfContents } from '../../utils/journalIssues.js';
+import { queueArticleSimilarities } from './articleSimilarity.controller.js';
+import { isArticleEditor } from './articleStatus.controller.js';
+import { applyEmbeddedArticleVisibility } from '../../utils/articleStatus.js';
+
+const ISSUE_SELECT = `
+  *,
+  journal_volumes:volume_id (
+    id, volume_number, year, title
+  )
+`;
+
+// Load a journal and check that the user may edit its volumes and issues;
+// sends the error response and returns null otherwise
+const findEditableJournal = async (req, res, journalId) => {
+  const { data: journal, error } = await supabase
+    .from('journals')
+    .select('id, updated_by')
+    .eq('id', journalId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Journal not found'
+      });
+      return null;
+    }
+    throw new Error(`Error checking journal: ${error.message}`);
+  }
+
+  // Check permissions (only admin or the user who created the journal can edit its issues)
+  if (journal.updated_by !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'You do not have permission to update this journal'
+    });
+    return null;
+  }
+
+  return journal;
+};
+
+// Load a row by id or send a 404 response and return null
+const findOr404 = async (res, table, id, label) => {
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: `${label} not found`
+      });
+      return null;
+    }
+    throw new Error(`Error fetching ${label.toLowerCase()}: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Whether the user may place an article in an issue of a journal they edit:
+// admins may place any article, others only the articles accepted through a
+// submission to this journal and those they created or edit
+const canPlaceArticle = async (article, journal, user) => {
+  if (user.role === 'admin' || String(article.updated_by) === String(user.id)) return true;
+
+  const { data: accepted, error } = await supabase
+    .from('submissions')
+    .select('id')
+    .eq('article_id', article.id)
+    .eq('journal_id', journal.id)
+    .eq('status', 'accepted')
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Error checking article submissions: ${error.message}`);
+  }
+
+  if (accepted && accepted.length > 0) return true;
+
+  return isArticleEditor(article.id, user);
+};
+
+// Volume numbers are unique within a journal
+const findVolumeByNumber = async (journalId, volumeNumber, excludeId = null) => {
+  let query = supabase
+    .from('journal_volumes')
+    .select('id, volume_number')
+    .eq('journal_id', journalId)
+    .eq('volume_number', volumeNumber);
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data, error } = await query.limit(1);
+
+  if (error) {
+    throw new Error(`Error checking journal volumes: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+// Issue numbers are unique within a volume, or within a year for journals
+// without volumes
+const findIssueByNumber = async (journalId, { volume_id, year, issue_number }, excludeId = null) => {
+  let query = supabase
+    .from('journal_issues')
+    .select('id, issue_number')
+    .eq('journal_id', journalId)
+    .eq('issue_number', issue_number);
+
+  query = volume_id ? query.eq('volume_id', volume_id) : query.is('volume_id', null).eq('year', year);
+
+  if (excludeId) {
+    query = query.neq('id', excludeId);
+  }
+
+  const { data, error } = await query.limit(1);
+
+  if (error) {
+    throw new Error(`Error checking journal issues: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+// Validate issue fields against the journal's volumes. Returns an error
+// response ({ status, body }) or null; fills `year` from the volume or the
+// publication date when it is not given.
+const checkIssue = async (journalId, issue, excludeId = null) => {
+  if (!issue.issue_number) {
+    return { status: 400, body: { success: false, error: 'Bad Request', message: 'issue_number is required' } };
+  }
+
+  if (!ISSUE_STATUSES.includes(issue.status)) {
+    return {
+      status: 400,
+      body: { success: false, error: 'Bad Request', message: `status must be one of: ${ISSUE_STATUSES.join(', ')}` }
+    };
+  }
+
+  if (issue.volume_id) {
+    const { data: volume, error } = await supabase
+      .from('journal_volumes')
+      .select('id, journal_id, year')
+      .eq('id', issue.volume_id)
+      .single();
+
+    if (error || !volume || String(volume.journal_id) !== String(journalId)) {
+      return { status: 400, body: { success: false, error: 'Bad Request', message: 'Invalid volume ID for this journal' } };
+    }
+
+    if (!issue.year && volume.year) {
+      issue.year = volume.year;
+    }
+  }
+
+  if (!issue.year && issue.publication_date) {
+    issue.year = Number(String(issue.publication_date).slice(0, 4));
+  }
+
+  if (!issue.volume_id && !issue.year) {
+    return { status: 400, body: { success: false, error: 'Bad Request', message: 'An issue needs a volume or a year' } };
+  }
+
+  const duplicate = await findIssueByNumber(journalId, issue, excludeId);
+  if (duplicate) {
+    return {
+      status: 409,
+      body: { success: false, error: 'Conflict', message: 'This journal already has an issue with this number', data: duplicate }
+    };
+  }
+
+  return null;
+};
+
+// Number of articles placed in each of the given issues
+const countIssueArticles = async (issueIds) => {
+  const counts = new Map();
+  if (issueIds.length === 0) return counts;
+
+  const { data, error } = await supabase
+    .from('article_journals')
+    .select('issue_id')
+    .in('issue_id', issueIds);
+
+  if (error) {
+    console.error('Error counting issue articles:', error);
+    return counts;
+  }
+
+  data.forEach(link => counts.set(String(link.issue_id), (counts.get(String(link.issue_id)) || 0) + 1));
+  return counts;
+};
+
+export const getJournalVolumes = async (req, res) => {
+  try {
+    const { journalId } = req.params;
+
+    const { data, error } = await supabase
+      .from('journal_volumes')
+      .select('*')
+      .eq('journal_id', journalId)
+      .order('year', { ascending: false })
+      .order('volume_number', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error fetching journal volumes: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get journal volumes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const createJournalVolume = async (req, res) => {
+  try {
+    const { journalId } = req.params;
+    const { volume_number, year, title } = req.body;
+
+    if (!volume_number) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'volume_number is required'
+      });
+    }
+
+    const journal = await findEditableJournal(req, res, journalId);
+    if (!journal) return;
+
+    const duplicate = await findVolumeByNumber(journal.id, volume_number);
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'This journal already has a volume with this number',
+        data: duplicate
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('journal_volumes')
+      .insert({
+        journal_id: journal.id,
+        volume_number,
+        year,
+        title,
+        updated_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating journal volume: ${error.message}`);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Volume created successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Create journal volume error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const updateJournalVolume = async (req, res) => {
+  try {
+    const { volumeId } = req.params;
+    const { volume_number, year, title } = req.body;
+
+    const volume = await findOr404(res, 'journal_volumes', volumeId, 'Volume');
+    if (!volume) return;
+
+    const journal = await findEditableJournal(req, res, volume.journal_id);
+    if (!journal) return;
+
+    if (volume_number !== undefined) {
+      const duplicate = volume_number ? await findVolumeByNumber(journal.id, volume_number, volume.id) : null;
+      if (!volume_number || duplicate) {
+        return res.status(volume_number ? 409 : 400).json({
+          success: false,
+          error: volume_number ? 'Conflict' : 'Bad Request',
+          message: volume_number ? 'This journal already has a volume with this number' : 'volume_number is required'
+        });
+      }
+    }
+
+    const updateData = { updated_by: req.user.id, updated_at: new Date() };
+    if (volume_number !== undefined) updateData.volume_number = volume_number;
+    if (year !== undefined) updateData.year = year;
+    if (title !== undefined) updateData.title = title;
+
+    const { data, error } = await supabase
+      .from('journal_volumes')
+      .update(updateData)
+      .eq('id', volume.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating journal volume: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Volume updated successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Update journal volume error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const deleteJournalVolume = async (req, res) => {
+  try {
+    const { volumeId } = req.params;
+
+    const volume = await findOr404(res, 'journal_volumes', volumeId, 'Volume');
+    if (!volume) return;
+
+    const journal = await findEditableJournal(req, res, volume.journal_id);
+    if (!journal) return;
+
+    // Check if the volume still has issues
+    const { data: issues, error: issuesError } = await supabase
+      .from('journal_issues')
+      .select('id')
+      .eq('volume_id', volume.id)
+      .limit(1);
+
+    if (!issuesError && issues && issues.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Cannot delete volume because it has issues'
+      });
+    }
+
+    const { error } = await supabase
+      .from('journal_volumes')
+      .delete()
+      .eq('id', volume.id);
+
+    if (error) {
+      throw new Error(`Error deleting journal volume: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Volume deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete journal volume error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const getJournalIssues = async (req, res) => {
+  try {
+    const { journalId } = req.params;
+    const { volume_id, year, status } = req.query;
+
+    let query = supabase
+      .from('journal_issues')
+      .select(ISSUE_SELECT)
+      .eq('journal_id', journalId);
+
+    if (volume_id) {
+      query = query.eq('volume_id', volume_id);
+    }
+    if (year) {
+      query = query.eq('year', year);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query
+      .order('year', { ascending: false })
+      .order('issue_number', { ascending: false });
+
+    if (error) {
+      throw new Error(`Error fetching journal issues: ${error.message}`);
+    }
+
+    const articleCounts = await countIssueArticles(data.map(issue => issue.id));
+
+    res.status(200).json({
+      success: true,
+      data: data.map(issue => ({
+        ...issue,
+        article_count: articleCounts.get(String(issue.id)) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get journal issues error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Issue with its table of contents: the placed articles in reading order, with
+// pages and authors in byline order
+export const getIssueTableOfContents = async (req, res) => {
+  try {
+    const { issueId } = req.params;
+
+    const { data: issue, error } = await supabase
+      .from('journal_issues')
+      .select(`
+        ${ISSUE_SELECT},
+        journals:journal_id (
+          id, name, issn, e_issn
+        )
+      `)
+      .eq('id', issueId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Issue not found'
+        });
+      }
+      throw new Error(`Error fetching issue: ${error.message}`);
+    }
+
+    // Only the articles the user may see are listed
+    const { data: links, error: linksError } = await applyEmbeddedArticleVisibility(
+      supabase
+        .from('article_journals')
+        .select(`
+          article_id, first_page, last_page, article_number, toc_order,
+          articles:article_id!inner (
+            id, title, doi, publish_date, language, status
+          )
+        `)
+        .eq('issue_id', issue.id),
+      req.user
+    );
+
+    if (linksError) {
+      throw new Error(`Error fetching issue articles: ${linksError.message}`);
+    }
+
+    const articleIds = links.map(link => link.article_id);
+    const { data: articleAuthors, error: authorsError } = articleIds.length > 0
+      ? await supabase
+          .from('article_authors')
+          .select('article_id, position, authors:author_id (id, first_name, last_name)')
+          .in('article_id', articleIds)
+      : { data: [] };
+
+    if (authorsError) {
+      console.error('Error fetching issue article authors:', authorsError);
+    }
+
+    const articles = sortTableOfContents(links.filter(link => link.articles))
+      .map(link => ({
+        ...link.articles,
+        first_page: link.first_page,
+        last_page: link.last_page,
+        pages: formatPages(link.first_page, link.last_page),
+        article_number: link.article_number,
+        toc_order: link.toc_order,
+        authors: sortByPosition((articleAuthors || []).filter(item => item.article_id === link.article_id && item.authors))
+          .map(item => item.authors)
+      }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...issue,
+        articles
+      }
+    });
+  } catch (error) {
+    console.error('Get issue table of contents error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const createJournalIssue = async (req, res) => {
+  try {
+    const { journalId } = req.params;
+    const {
+      volume_id = null,
+      issue_number,
+      year = null,
+      publication_date = null,
+      title = null,
+      cover_image = null,
+      status = 'planned'
+    } = req.body;
+
+    const journal = await findEditableJournal(req, res, journalId);
+    if (!journal) return;
+
+    const issue = { volume_id: volume_id || null, issue_number, year, publication_date: publication_date || null, status };
+    if (issue.status === 'published' && !issue.publication_date) {
+      issue.publication_date = new Date().toISOString().slice(0, 10);
+    }
+
+    const issueError = await checkIssue(journal.id, issue);
+    if (issueError) {
+      return res.status(issueError.status).json(issueError.body);
+    }
+
+    const { data, error } = await supabase
+      .from('journal_issues')
+      .insert({
+        ...issue,
+        journal_id: journal.id,
+        title,
+        cover_image,
+        updated_by: req.user.id
+      })
+      .select(ISSUE_SELECT)
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating journal issue: ${error.message}`);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Issue created successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Create journal issue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const updateJournalIssue = async (req, res) => {
+  try {
+    const { issueId } = req.params;
+    const { volume_id, issue_number, year, publication_date, title, cover_image, status } = req.body;
+
+    const existing = await findOr404(res, 'journal_issues', issueId, 'Issue');
+    if (!existing) return;
+
+    const journal = await findEditableJournal(req, res, existing.journal_id);
+    if (!journal) return;
+
+    const issue = {
+      volume_id: volume_id !== undefined ? volume_id || null : existing.volume_id,
+      issue_number: issue_number !== undefined ? issue_number : existing.issue_number,
+      year: year !== undefined ? year : existing.year,
+      publication_date: publication_date !== undefined ? publication_date || null : existing.publication_date,
+      status: status !== undefined ? status : existing.status
+    };
+
+    // A published issue carries its publication date
+    if (issue.status === 'published' && !issue.publication_date) {
+      issue.publication_date = new Date().toISOString().slice(0, 10);
+    }
+
+    const issueError = await checkIssue(journal.id, issue, existing.id);
+    if (issueError) {
+      return res.status(issueError.status).json(issueError.body);
+    }
+
+    const updateData = { ...issue, updated_by: req.user.id, updated_at: new Date() };
+    if (title !== undefined) updateData.title = title;
+    if (cover_image !== undefined) updateData.cover_image = cover_image;
+
+    const { data, error } = await supabase
+      .from('journal_issues')
+      .update(updateData)
+      .eq('id', existing.id)
+      .select(ISSUE_SELECT)
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating journal issue: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Issue updated successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Update journal issue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const deleteJournalIssue = async (req, res) => {
+  try {
+    const { issueId } = req.params;
+
+    const issue = await findOr404(res, 'journal_issues', issueId, 'Issue');
+    if (!issue) return;
+
+    const journal = await findEditableJournal(req, res, issue.journal_id);
+    if (!journal) return;
+
+    // Check if articles are still placed in the issue
+    const { data: articles, error: articlesError } = await supabase
+      .from('article_journals')
+      .select('article_id')
+      .eq('issue_id', issue.id)
+      .limit(1);
+
+    if (!articlesError && articles && articles.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Cannot delete issue because articles are assigned to it'
+      });
+    }
+
+    const { error } = await supabase
+      .from('journal_issues')
+      .delete()
+      .eq('id', issue.id);
+
+    if (error) {
+      throw new Error(`Error deleting journal issue: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Issue deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete journal issue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Place an article in an issue (linking it to the issue's journal when needed)
+// with its pages or article number and table-of-contents position
+export const assignArticleToIssue = async (req, res) => {
+  try {
+    const { issueId, articleId } = req.params;
+    const { first_page = null, last_page = null, article_number = null, toc_order = null } = req.body;
+
+    const placementError = checkArticlePlacement({ first_page, last_page, article_number });
+    if (placementError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: placementError
+      });
+    }
+
+    const issue = await findOr404(res, 'journal_issues', issueId, 'Issue');
+    if (!issue) return;
+
+    const journal = await findEditableJournal(req, res, issue.journal_id);
+    if (!journal) return;
+
+    const article = await findOr404(res, 'articles', articleId, 'Article');
+    if (!article) return;
+
+    if (!(await canPlaceArticle(article, journal, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only articles accepted by this journal, or that you created or edit, can be placed in its issues'
+      });
+    }
+
+    const placement = {
+      issue_id: issue.id,
+      first_page: first_page || null,
+      last_page: last_page || null,
+      article_number: article_number || null,
+      toc_order: toc_order === null || toc_order === '' ? null : Number(toc_order)
+    };
+
+    const { data: existingLink, error: linkError } = await supabase
+      .from('article_journals')
+      .select('id')
+      .eq('article_id', article.id)
+      .eq('journal_id', journal.id)
+      .single();
+
+    if (linkError && linkError.code !== 'PGRST116') {
+      throw new Error(`Error checking article journal: ${linkError.message}`);
+    }
+
+    const { data, error } = existingLink
+      ? await supabase
+          .from('article_journals')
+          .update(placement)
+          .eq('id', existingLink.id)
+          .select()
+          .single()
+      : await supabase
+          .from('article_journals')
+          .insert({ ...placement, article_id: article.id, journal_id: journal.id })
+          .select()
+          .single();
+
+    if (error) {
+      throw new Error(`Error assigning article to issue: ${error.message}`);
+    }
+
+    // A new journal link counts towards related articles
+    if (!existingLink) {
+      await queueArticleSimilarities(article.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Article assigned to issue successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Assign article to issue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Take an article out of an issue; it stays linked to the journal
+export const removeArticleFromIssue = async (req, res) => {
+  try {
+    const { issueId, articleId } = req.params;
+
+    const issue = await findOr404(res, 'journal_issues', issueId, 'Issue');
+    if (!issue) return;
+
+    const journal = await findEditableJournal(req, res, issue.journal_id);
+    if (!journal) return;
+
+    const { data, error } = await supabase
+      .from('article_journals')
+      .update({ issue_id: null, first_page: null, last_page: null, article_number: null, toc_order: null })
+      .eq('issue_id', issue.id)
+      .eq('article_id', articleId)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Error removing article from issue: ${error.message}`);
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article is not assigned to this issue'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Article removed from issue successfully'
+    });
+  } catch (error) {
+    console.error('Remove article from issue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Set the table-of-contents order of an issue from an ordered list of article ids
+export const reorderIssueArticles = async (req, res) => {
+  try {
+    const { issueId } = req.params;
+    const { article_ids } = req.body;
+
+    if (!Array.isArray(article_ids) || article_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'article_ids must be a non-empty array'
+      });
+    }
+
+    const issue = await findOr404(res, 'journal_issues', issueId, 'Issue');
+    if (!issue) return;
+
+    const journal = await findEditableJournal(req, res, issue.journal_id);
+    if (!journal) return;
+
+    const { data: links, error: linksError } = await supabase
+      .from('article_journals')
+      .select('id, article_id')
+      .eq('issue_id', issue.id);
+
+    if (linksError) {
+      throw new Error(`Error fetching issue articles: ${linksError.message}`);
+    }
+
+    const linkByArticle = new Map(links.map(link => [String(link.article_id), link]));
+    const unknown = article_ids.filter(articleId => !linkByArticle.has(String(articleId)));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Articles not assigned to this issue: ${unknown.join(', ')}`
+      });
+    }
+
+    for (const [i, articleId] of article_ids.entries()) {
+      const { error } = await supabase
+        .from('article_journals')
+        .update({ toc_order: i + 1 })
+        .eq('id', linkByArticle.get(String(articleId)).id);
+
+      if (error) {
+        throw new Error(`Error updating table of contents: ${error.message}`);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Table of contents updated successfully'
+    });
+  } catch (error) {
+    console.error('Reorder issue articles error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
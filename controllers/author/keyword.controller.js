@@ -0,0 +1,819 @@
+import { supabase } from '../../db/connectDB.js';
+import {
+  KEYWORD_LANGUAGES,
+  cleanKeyword,
+  normalizeKeyword,
+  parseKeywordList,
+  canonicalizeKeywords,
+  storedKeywordForms
+} from '../../utils/keywords.js';
+import { PUBLIC_ARTICLE_STATUSES } from '../../utils/articleStatus.js';
+import { indexArticle } from './articleSearch.controller.js';
+
+const KEYWORD_SELECT = `
+  id, term, language, translation_id, created_at, updated_at,
+  keyword_synonyms (
+    id, synonym
+  )
+`;
+
+// Maximum number of autocomplete suggestions
+const MAX_SUGGESTIONS = 20;
+
+// Articles read per request when their keywords are rewritten
+const ARTICLE_PAGE_SIZE = 500;
+
+// Postgres error code of a unique index violation: the term was added by a
+// concurrent request after findConflicts checked it
+const UNIQUE_VIOLATION = '23505';
+
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Map the lookup form of the given keywords to their canonical term, for the
+// keywords that are vocabulary terms or synonyms
+const loadVocabulary = async (keywords) => {
+  const vocabulary = new Map();
+  const forms = [...new Set(parseKeywordList(keywords).map(normalizeKeyword))];
+  if (forms.length === 0) return vocabulary;
+
+  const [{ data: terms, error: termsError }, { data: synonyms, error: synonymsError }] = await Promise.all([
+    supabase
+      .from('keywords')
+      .select('term, normalized_term')
+      .in('normalized_term', forms),
+    supabase
+      .from('keyword_synonyms')
+      .select('normalized_synonym, keywords:keyword_id (term)')
+      .in('normalized_synonym', forms)
+  ]);
+
+  if (termsError) {
+    throw new Error(`Error fetching keywords: ${termsError.message}`);
+  }
+  if (synonymsError) {
+    throw new Error(`Error fetching keyword synonyms: ${synonymsError.message}`);
+  }
+
+  (synonyms || [])
+    .filter(item => item.keywords)
+    .forEach(item => vocabulary.set(item.normalized_synonym, item.keywords.term));
+  (terms || []).forEach(item => vocabulary.set(item.normalized_term, item.term));
+
+  return vocabulary;
+};
+
+// Keywords of an article as canonical vocabulary terms, without duplicates
+// (accepts an array or a comma-separated string)
+export const normalizeArticleKeywords = async (keywords) => {
+  return canonicalizeKeywords(keywords, await loadVocabulary(keywords));
+};
+
+// Everything a keyword search should match: the searched keywords with the
+// canonical term, synonyms and translation of the vocabulary entries they
+// belong to, in the forms stored on articles
+export const expandKeywords = async (keywords) => {
+  const searched = parseKeywordList(keywords);
+  const vocabulary = await loadVocabulary(searched);
+  const canonicalTerms = [...new Set(searched.map(keyword => vocabulary.get(normalizeKeyword(keyword))).filter(Boolean))];
+  if (canonicalTerms.length === 0) {
+    return storedKeywordForms(searched);
+  }
+
+  const { data: entries, error } = await supabase
+    .from('keywords')
+    .select(KEYWORD_SELECT)
+    .in('term', canonicalTerms);
+
+  if (error) {
+    throw new Error(`Error fetching keywords: ${error.message}`);
+  }
+
+  const translations = await getTranslations(entries || []);
+  const related = [...(entries || []), ...translations.values()]
+    .flatMap(entry => [entry.term, ...(entry.keyword_synonyms || []).map(item => item.synonym)]);
+
+  return storedKeywordForms([...searched, ...related]);
+};
+
+// Translation entries of a list of keywords, by ID
+const getTranslations = async (keywords) => {
+  const ids = [...new Set(keywords.map(keyword => keyword.translation_id).filter(Boolean))];
+  const translations = new Map();
+  if (ids.length === 0) return translations;
+
+  const { data, error } = await supabase
+    .from('keywords')
+    .select(KEYWORD_SELECT)
+    .in('id', ids);
+
+  if (error) {
+    throw new Error(`Error fetching keyword translations: ${error.message}`);
+  }
+
+  (data || []).forEach(keyword => translations.set(String(keyword.id), keyword));
+  return translations;
+};
+
+const formatKeyword = (keyword, translations) => {
+  const { keyword_synonyms, ...data } = keyword;
+  const translation = keyword.translation_id ? translations.get(String(keyword.translation_id)) : null;
+  return {
+    ...data,
+    synonyms: (keyword_synonyms || []).map(item => item.synonym),
+    translation: translation
+      ? { id: translation.id, term: translation.term, language: translation.language }
+      : null
+  };
+};
+
+const formatKeywords = async (keywords) => {
+  const translations = await getTranslations(keywords);
+  return keywords.map(keyword => formatKeyword(keyword, translations));
+};
+
+// Number of articles (visible to the user, see applyArticleVisibility) tagged
+// with each of the given terms, as a Map from term to count, in one query
+const countKeywordUsage = async (terms, user) => {
+  const usage = new Map(terms.map(term => [term, 0]));
+  if (terms.length === 0) return usage;
+
+  const isAdmin = user && user.role === 'admin';
+  const { data, error } = await supabase.rpc('keyword_usage_counts', {
+    search_terms: [...usage.keys()],
+    visible_statuses: isAdmin ? null : PUBLIC_ARTICLE_STATUSES,
+    owner_id: user && !isAdmin ? user.id : null
+  });
+
+  if (error) {
+    throw new Error(`Error counting keyword usage: ${error.message}`);
+  }
+
+  data.forEach(row => usage.set(row.term, Number(row.usage_count)));
+  return usage;
+};
+
+const findKeyword = async (res, id) => {
+  const { data: keyword, error } = await supabase
+    .from('keywords')
+    .select(KEYWORD_SELECT)
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Keyword not found'
+      });
+      return null;
+    }
+    throw new Error(`Error fetching keyword: ${error.message}`);
+  }
+
+  return keyword;
+};
+
+// Terms or synonyms already used by other vocabulary entries
+const findConflicts = async (terms, excludeIds = []) => {
+  const forms = [...new Set(terms.map(normalizeKeyword))];
+  const exclude = excludeIds.map(String);
+
+  const [{ data: keywords, error: keywordsError }, { data: synonyms, error: synonymsError }] = await Promise.all([
+    supabase
+      .from('keywords')
+      .select('id, term')
+      .in('normalized_term', forms),
+    supabase
+      .from('keyword_synonyms')
+      .select('keyword_id, synonym')
+      .in('normalized_synonym', forms)
+  ]);
+
+  if (keywordsError) {
+    throw new Error(`Error checking keywords: ${keywordsError.message}`);
+  }
+  if (synonymsError) {
+    throw new Error(`Error checking keyword synonyms: ${synonymsError.message}`);
+  }
+
+  return [
+    ...(keywords || []).filter(item => !exclude.includes(String(item.id))).map(item => item.term),
+    ...(synonyms || []).filter(item => !exclude.includes(String(item.keyword_id))).map(item => item.synonym)
+  ];
+};
+
+// Synonyms of a keyword without duplicates or its own term
+const cleanSynonyms = (term, synonyms) => {
+  const seen = new Set([normalizeKeyword(term)]);
+  return parseKeywordList(synonyms).filter(synonym => {
+    const key = normalizeKeyword(synonym);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const replaceSynonyms = async (keywordId, synonyms) => {
+  await supabase
+    .from('keyword_synonyms')
+    .delete()
+    .eq('keyword_id', keywordId);
+
+  if (synonyms.length === 0) return;
+
+  const { error } = await supabase
+    .from('keyword_synonyms')
+    .insert(synonyms.map(synonym => ({
+      keyword_id: keywordId,
+      synonym,
+      normalized_synonym: normalizeKeyword(synonym)
+    })));
+
+  if (error) {
+    throw new Error(`Error saving keyword synonyms: ${error.message}`);
+  }
+};
+
+// Pair two keywords as translations of each other (or unpair a keyword when
+// translationId is null); previous partners of both are unpaired
+const setTranslation = async (keywordId, translationId) => {
+  const paired = [keywordId, translationId].filter(Boolean);
+
+  await supabase
+    .from('keywords')
+    .update({ translation_id: null })
+    .in('translation_id', paired);
+
+  await supabase
+    .from('keywords')
+    .update({ translation_id: translationId || null })
+    .eq('id', keywordId);
+
+  if (translationId) {
+    await supabase
+      .from('keywords')
+      .update({ translation_id: keywordId })
+      .eq('id', translationId);
+  }
+};
+
+// Check the translation of a keyword: an existing, different keyword in the
+// other language. Returns an error message or null.
+const checkTranslation = async (keywordId, language, translationId) => {
+  if (!translationId) return null;
+  if (keywordId && String(keywordId) === String(translationId)) {
+    return 'A keyword cannot be its own translation';
+  }
+
+  const { data: translation, error } = await supabase
+    .from('keywords')
+    .select('id, language')
+    .eq('id', translationId)
+    .single();
+
+  if (error || !translation) {
+    return 'Translation keyword not found';
+  }
+  if (language && translation.language && language === translation.language) {
+    return 'A keyword and its translation must be in different languages';
+  }
+
+  return null;
+};
+
+// Re-normalize the keywords of the articles tagged with any of the given terms
+// (`renames` maps the lookup form of renamed terms to their new term).
+// Returns the number of articles changed.
+const rewriteArticleKeywords = async (terms, renames = new Map()) => {
+  const forms = storedKeywordForms(terms);
+  if (forms.length === 0) return 0;
+
+  // Articles are read in id order, a page at a time
+  let updated = 0;
+  let lastId = 0;
+  for (;;) {
+    const { data: articles, error } = await supabase
+      .from('articles')
+      .select('id, keywords')
+      .overlaps('keywords', forms)
+      .gt('id', lastId)
+      .order('id', { ascending: true })
+      .limit(ARTICLE_PAGE_SIZE);
+
+    if (error) {
+      throw new Error(`Error fetching articles by keyword: ${error.message}`);
+    }
+
+    if (articles.length === 0) return updated;
+    lastId = articles[articles.length - 1].id;
+
+    const vocabulary = await loadVocabulary(articles.flatMap(article => article.keywords || []));
+    renames.forEach((term, form) => vocabulary.set(form, term));
+
+    for (const article of articles) {
+      const keywords = canonicalizeKeywords(article.keywords, vocabulary);
+      if (JSON.stringify(keywords) === JSON.stringify(article.keywords)) continue;
+
+      const { error: updateError } = await supabase
+        .from('articles')
+        .update({ keywords })
+        .eq('id', article.id);
+
+      if (updateError) {
+        console.error(`Error updating keywords of article ${article.id}:`, updateError);
+        continue;
+      }
+
+      await indexArticle(article.id);
+      updated++;
+    }
+
+    if (articles.length < ARTICLE_PAGE_SIZE) return updated;
+  }
+};
+
+export const getKeywords = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, language } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('keywords')
+      .select(KEYWORD_SELECT, { count: 'exact' });
+
+    // Add search filter if provided
+    if (search) {
+      query = query.ilike('normalized_term', `%${escapeLikePattern(normalizeKeyword(search))}%`);
+    }
+
+    // Add language filter if provided
+    if (language) {
+      query = query.eq('language', language);
+    }
+
+    const { data, error, count } = await query
+      .order('term', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Error fetching keywords: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await formatKeywords(data),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get keywords error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const getKeywordById = async (req, res) => {
+  try {
+    const keyword = await findKeyword(res, req.params.id);
+    if (!keyword) return;
+
+    const [formatted] = await formatKeywords([keyword]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatted,
+        usage_count: (await countKeywordUsage([keyword.term], req.user)).get(keyword.term)
+      }
+    });
+  } catch (error) {
+    console.error('Get keyword error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Controller to suggest vocabulary keywords whose term or a synonym contains
+// the typed text, most used first
+export const autocompleteKeywords = async (req, res) => {
+  try {
+    const { q, language } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_SUGGESTIONS);
+    const typed = normalizeKeyword(q);
+
+    if (!typed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Query parameter q is required'
+      });
+    }
+
+    const pattern = `%${escapeLikePattern(typed)}%`;
+    let termsQuery = supabase
+      .from('keywords')
+      .select('id, term, normalized_term, language, translation_id')
+      .ilike('normalized_term', pattern)
+      .limit(MAX_SUGGESTIONS);
+    if (language) {
+      termsQuery = termsQuery.eq('language', language);
+    }
+
+    const [{ data: terms, error: termsError }, { data: synonyms, error: synonymsError }] = await Promise.all([
+      termsQuery,
+      supabase
+        .from('keyword_synonyms')
+        .select('synonym, keywords:keyword_id (id, term, normalized_term, language, translation_id)')
+        .ilike('normalized_synonym', pattern)
+        .limit(MAX_SUGGESTIONS)
+    ]);
+
+    if (termsError) {
+      throw new Error(`Error fetching keywords: ${termsError.message}`);
+    }
+    if (synonymsError) {
+      throw new Error(`Error fetching keyword synonyms: ${synonymsError.message}`);
+    }
+
+    // One suggestion per keyword, noting the synonym that matched
+    const suggestions = new Map();
+    (terms || []).forEach(keyword => suggestions.set(String(keyword.id), { ...keyword, matched_synonym: null }));
+    (synonyms || [])
+      .filter(item => item.keywords && (!language || item.keywords.language === language))
+      .forEach(item => {
+        if (!suggestions.has(String(item.keywords.id))) {
+          suggestions.set(String(item.keywords.id), { ...item.keywords, matched_synonym: item.synonym });
+        }
+      });
+
+    const keywords = [...suggestions.values()];
+    const translations = await getTranslations(keywords);
+    const usageCounts = await countKeywordUsage(keywords.map(keyword => keyword.term), req.user);
+
+    const data = keywords
+      .map(({ normalized_term, translation_id, ...keyword }) => {
+        const translation = translation_id ? translations.get(String(translation_id)) : null;
+        return {
+          ...keyword,
+          translation: translation ? { id: translation.id, term: translation.term, language: translation.language } : null,
+          usage_count: usageCounts.get(keyword.term),
+          starts_with: normalized_term.startsWith(typed)
+        };
+      })
+      .sort((a, b) =>
+        b.usage_count - a.usage_count ||
+        Number(b.starts_with) - Number(a.starts_with) ||
+        a.term.localeCompare(b.term)
+      )
+      .slice(0, limit)
+      .map(({ starts_with, ...suggestion }) => suggestion);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Autocomplete keywords error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const createKeyword = async (req, res) => {
+  try {
+    const { language = null, translation_id = null } = req.body;
+    const term = cleanKeyword(req.body.term);
+
+    if (!term) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Term is required'
+      });
+    }
+
+    if (language && !KEYWORD_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Language must be one of: ${KEYWORD_LANGUAGES.join(', ')}`
+      });
+    }
+
+    const synonyms = cleanSynonyms(term, req.body.synonyms);
+    const conflicts = await findConflicts([term, ...synonyms]);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `Already in the vocabulary: ${conflicts.join(', ')}`
+      });
+    }
+
+    const translationError = await checkTranslation(null, language, translation_id);
+    if (translationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: translationError
+      });
+    }
+
+    const { data: keyword, error } = await supabase
+      .from('keywords')
+      .insert({
+        term,
+        normalized_term: normalizeKeyword(term),
+        language,
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: `Already in the vocabulary: ${term}`
+        });
+      }
+      throw new Error(`Error creating keyword: ${error.message}`);
+    }
+
+    await replaceSynonyms(keyword.id, synonyms);
+    if (translation_id) {
+      await setTranslation(keyword.id, translation_id);
+    }
+
+    // Articles tagged with a variant of the new entry now use its term
+    const articlesUpdated = await rewriteArticleKeywords([term, ...parseKeywordList(req.body.synonyms)]);
+
+    const created = await findKeyword(res, keyword.id);
+    if (!created) return;
+    const [formatted] = await formatKeywords([created]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Keyword created successfully',
+      data: {
+        ...formatted,
+        articles_updated: articlesUpdated
+      }
+    });
+  } catch (error) {
+    console.error('Create keyword error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const updateKeyword = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { language, translation_id, synonyms } = req.body;
+
+    const keyword = await findKeyword(res, id);
+    if (!keyword) return;
+
+    const term = req.body.term !== undefined ? cleanKeyword(req.body.term) : keyword.term;
+    if (!term) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Term cannot be empty'
+      });
+    }
+
+    if (language && !KEYWORD_LANGUAGES.includes(language)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Language must be one of: ${KEYWORD_LANGUAGES.join(', ')}`
+      });
+    }
+
+    const newSynonyms = cleanSynonyms(term, synonyms !== undefined
+      ? synonyms
+      : (keyword.keyword_synonyms || []).map(item => item.synonym));
+    const conflicts = await findConflicts([term, ...newSynonyms], [id]);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `Already in the vocabulary: ${conflicts.join(', ')}`
+      });
+    }
+
+    const newLanguage = language !== undefined ? language || null : keyword.language;
+    const newTranslationId = translation_id !== undefined ? translation_id || null : keyword.translation_id;
+    const translationError = await checkTranslation(id, newLanguage, newTranslationId);
+    if (translationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: translationError
+      });
+    }
+
+    const { error } = await supabase
+      .from('keywords')
+      .update({
+        term,
+        normalized_term: normalizeKeyword(term),
+        language: newLanguage,
+        updated_at: new Date()
+      })
+      .eq('id', id);
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: `Already in the vocabulary: ${term}`
+        });
+      }
+      throw new Error(`Error updating keyword: ${error.message}`);
+    }
+
+    await replaceSynonyms(id, newSynonyms);
+    if (translation_id !== undefined) {
+      await setTranslation(id, newTranslationId);
+    }
+
+    // A renamed term is replaced on the articles still using the old one
+    const renames = new Map();
+    if (normalizeKeyword(keyword.term) !== normalizeKeyword(term)) {
+      renames.set(normalizeKeyword(keyword.term), term);
+    }
+    const articlesUpdated = await rewriteArticleKeywords([keyword.term, term, ...newSynonyms], renames);
+
+    const updated = await findKeyword(res, id);
+    if (!updated) return;
+    const [formatted] = await formatKeywords([updated]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Keyword updated successfully',
+      data: {
+        ...formatted,
+        articles_updated: articlesUpdated
+      }
+    });
+  } catch (error) {
+    console.error('Update keyword error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Controller to delete a vocabulary entry; articles keep the term as a free keyword
+export const deleteKeyword = async (req, res) => {
+  try {
+    const keyword = await findKeyword(res, req.params.id);
+    if (!keyword) return;
+
+    await setTranslation(keyword.id, null);
+    await replaceSynonyms(keyword.id, []);
+
+    const { error } = await supabase
+      .from('keywords')
+      .delete()
+      .eq('id', keyword.id);
+
+    if (error) {
+      throw new Error(`Error deleting keyword: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Keyword deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete keyword error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Controller to merge keywords into another one: their terms and synonyms
+// become synonyms of the target, and the articles using them are rewritten
+export const mergeKeywords = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const sourceIds = [...new Set([].concat(req.body.source_ids || []).map(String))]
+      .filter(sourceId => sourceId !== String(id));
+
+    if (sourceIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'source_ids must list the keywords to merge into this one'
+      });
+    }
+
+    const target = await findKeyword(res, id);
+    if (!target) return;
+
+    const { data: sources, error: sourcesError } = await supabase
+      .from('keywords')
+      .select(KEYWORD_SELECT)
+      .in('id', sourceIds);
+
+    if (sourcesError) {
+      throw new Error(`Error fetching keywords: ${sourcesError.message}`);
+    }
+
+    if (!sources || sources.length !== sourceIds.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'One or more keywords to merge were not found'
+      });
+    }
+
+    const mergedTerms = sources.flatMap(source => [
+      source.term,
+      ...(source.keyword_synonyms || []).map(item => item.synonym)
+    ]);
+    const synonyms = cleanSynonyms(target.term, [
+      ...(target.keyword_synonyms || []).map(item => item.synonym),
+      ...mergedTerms
+    ]);
+
+    // The target keeps its translation, or takes over the first one of a source
+    const inheritedTranslation = target.translation_id
+      ? null
+      : (sources.find(source => source.translation_id && !sourceIds.includes(String(source.translation_id))) || {}).translation_id;
+
+    // Articles are rewritten while the sources still exist, so a failed merge
+    // can be retried; the merged terms are mapped to the target meanwhile
+    const renames = new Map(mergedTerms.map(term => [normalizeKeyword(term), target.term]));
+    const articlesUpdated = await rewriteArticleKeywords(mergedTerms, renames);
+
+    // The synonyms of the sources are released before the target takes them over
+    for (const source of sources) {
+      await setTranslation(source.id, null);
+      await replaceSynonyms(source.id, []);
+    }
+
+    await replaceSynonyms(target.id, synonyms);
+    if (inheritedTranslation) {
+      await setTranslation(target.id, inheritedTranslation);
+    }
+
+    const { error: deleteError } = await supabase
+      .from('keywords')
+      .delete()
+      .in('id', sourceIds);
+
+    if (deleteError) {
+      throw new Error(`Error deleting merged keywords: ${deleteError.message}`);
+    }
+
+    const merged = await findKeyword(res, target.id);
+    if (!merged) return;
+    const [formatted] = await formatKeywords([merged]);
+
+    res.status(200).json({
+      success: true,
+      message: `${sources.length} keywords merged into ${target.term}`,
+      data: {
+        ...formatted,
+        merged: sources.map(source => ({ id: source.id, term: source.term })),
+        articles_updated: articlesUpdated
+      }
+    });
+  } catch (error) {
+    console.error('Merge keywords error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
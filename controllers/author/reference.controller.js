@@ -0,0 +1,518 @@
+import { supabase } from '../../db/connectDB.js';
+import { parseReference, parseReferencesFromText, normalizeTitle } from '../../utils/referenceParser.js';
+import { normalizeDoi, isValidDoi } from '../../utils/identifiers.js';
+import { markAuthorMetricsStale } from './author.controller.js';
+import { canViewArticle } from './articleStatus.controller.js';
+import { PUBLIC_ARTICLE_STATUSES, applyArticleVisibility } from '../../utils/articleStatus.js';
+
+const MAX_REFERENCES = 500;
+
+// Rows per request when reading all the citations of an article
+const CITATION_PAGE_SIZE = 1000;
+
+const escapeLikePattern = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Loose ILIKE pattern built from the first significant words of a title;
+// candidates are then compared on the normalized title
+const titlePattern = (title) => {
+  const words = String(title)
+    .split(/\s+/)
+    .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(word => word.length > 2)
+    .slice(0, 4);
+
+  return words.length > 0 ? `%${words.map(escapeLikePattern).join('%')}%` : null;
+};
+
+const findArticleByTitle = async (title, excludeId) => {
+  const key = normalizeTitle(title);
+  const pattern = titlePattern(title);
+  if (key.length < 10 || !pattern) return null;
+
+  const { data, error } = await supabase
+    .from('articles')
+    .select('id, title')
+    .ilike('title', pattern)
+    .limit(20);
+
+  if (error) {
+    console.error('Error matching reference title:', error);
+    return null;
+  }
+
+  return data.find(article => String(article.id) !== String(excludeId) && normalizeTitle(article.title) === key) || null;
+};
+
+// Resolve references to existing articles, first by DOI then by title
+const resolveReferences = async (references, articleId) => {
+  const dois = [...new Set(references.map(reference => reference.doi).filter(Boolean))];
+  const articlesByDoi = new Map();
+
+  if (dois.length > 0) {
+    const { data, error } = await supabase
+      .from('articles')
+      .select('id, doi')
+      .in('doi', dois);
+
+    if (error) {
+      console.error('Error matching reference DOIs:', error);
+    } else {
+      data
+        .filter(article => String(article.id) !== String(articleId))
+        .forEach(article => articlesByDoi.set(article.doi, article.id));
+    }
+  }
+
+  const resolved = [];
+  for (const reference of references) {
+    let citedArticleId = reference.doi ? articlesByDoi.get(reference.doi) || null : null;
+    let matchMethod = citedArticleId ? 'doi' : null;
+
+    if (!citedArticleId && reference.title) {
+      const match = await findArticleByTitle(reference.title, articleId);
+      if (match) {
+        citedArticleId = match.id;
+        matchMethod = 'title';
+      }
+    }
+
+    resolved.push({ ...reference, cited_article_id: citedArticleId, match_method: matchMethod });
+  }
+
+  return resolved;
+};
+
+// Replace all references of an article with a new list
+const replaceArticleReferences = async (articleId, references, source) => {
+  const resolved = await resolveReferences(references, articleId);
+
+  // Articles cited before or after the change get different citation counts
+  const { data: previous } = await supabase
+    .from('article_references')
+    .select('cited_article_id')
+    .eq('article_id', articleId)
+    .not('cited_article_id', 'is', null);
+
+  const citedArticleIds = [
+    ...(previous || []).map(reference => reference.cited_article_id),
+    ...resolved.map(reference => reference.cited_article_id).filter(Boolean)
+  ];
+  await markAuthorMetricsStale({ articleIds: [...new Set(citedArticleIds)] });
+
+  const { error: deleteError } = await supabase
+    .from('article_references')
+    .delete()
+    .eq('article_id', articleId);
+
+  if (deleteError) {
+    throw new Error(`Error removing article references: ${deleteError.message}`);
+  }
+
+  if (resolved.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('article_references')
+    .insert(resolved.map((reference, i) => ({
+      article_id: articleId,
+      position: i + 1,
+      raw_text: reference.raw_text,
+      authors: reference.authors || [],
+      title: reference.title || null,
+      container: reference.container || null,
+      year: reference.year || null,
+      volume: reference.volume || null,
+      issue: reference.issue || null,
+      pages: reference.pages || null,
+      doi: reference.doi || null,
+      cited_article_id: reference.cited_article_id,
+      match_method: reference.match_method,
+      source
+    })))
+    .select();
+
+  if (error) {
+    throw new Error(`Error saving article references: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Parse the reference section of an uploaded document and store it. References
+// entered manually are never overwritten by a document upload.
+export const saveDocumentReferences = async (articleId, text) => {
+  const references = parseReferencesFromText(text).slice(0, MAX_REFERENCES);
+  if (references.length === 0) return [];
+
+  const { count, error } = await supabase
+    .from('article_references')
+    .select('id', { count: 'exact', head: true })
+    .eq('article_id', articleId)
+    .eq('source', 'manual');
+
+  if (error) {
+    throw new Error(`Error checking article references: ${error.message}`);
+  }
+  if (count > 0) return [];
+
+  return replaceArticleReferences(articleId, references, 'document');
+};
+
+// Returns the number of references linked by title
+const linkIncomingReferencesByTitle = async (article) => {
+  const key = normalizeTitle(article.title);
+  const pattern = titlePattern(article.title || '');
+  if (key.length < 10 || !pattern) return 0;
+
+  const { data: candidates, error: candidatesError } = await supabase
+    .from('article_references')
+    .select('id, article_id, title')
+    .is('cited_article_id', null)
+    .ilike('title', pattern)
+    .limit(200);
+
+  if (candidatesError) {
+    console.error('Error finding references by title:', candidatesError);
+    return 0;
+  }
+
+  const ids = candidates
+    .filter(reference => String(reference.article_id) !== String(article.id) && normalizeTitle(reference.title) === key)
+    .map(reference => reference.id);
+
+  if (ids.length > 0) {
+    const { error } = await supabase
+      .from('article_references')
+      .update({ cited_article_id: article.id, match_method: 'title' })
+      .in('id', ids);
+
+    if (error) {
+      console.error('Error linking references by title:', error);
+      return 0;
+    }
+  }
+
+  return ids.length;
+};
+
+// Link unresolved references of other articles to a newly created or
+// updated article
+export const linkIncomingReferences = async (article) => {
+  let linked = 0;
+
+  if (article.doi) {
+    const { data, error } = await supabase
+      .from('article_references')
+      .update({ cited_article_id: article.id, match_method: 'doi' })
+      .eq('doi', article.doi)
+      .is('cited_article_id', null)
+      .neq('article_id', article.id)
+      .select('id');
+
+    if (error) {
+      console.error('Error linking references by DOI:', error);
+    } else {
+      linked += data.length;
+    }
+  }
+
+  linked += await linkIncomingReferencesByTitle(article);
+
+  // New citations change the metrics of the article's authors
+  if (linked > 0) {
+    await markAuthorMetricsStale({ articleIds: [article.id] });
+  }
+};
+
+// IDs of the published (or retracted) articles citing an article. Drafts
+// citing it are left out, and an article citing it twice appears once.
+const getCitingArticleIds = async (articleId) => {
+  const ids = new Set();
+
+  for (let offset = 0; ; offset += CITATION_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('article_references')
+      .select('id, article_id, citing_article:article_id!inner (status)')
+      .eq('cited_article_id', articleId)
+      .in('citing_article.status', PUBLIC_ARTICLE_STATUSES)
+      .order('id', { ascending: true })
+      .range(offset, offset + CITATION_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Error fetching article citations: ${error.message}`);
+    }
+
+    data.forEach(item => ids.add(String(item.article_id)));
+    if (data.length < CITATION_PAGE_SIZE) return ids;
+  }
+};
+
+// Reference and citation counts shown on article pages
+export const getCitationCounts = async (articleId) => {
+  const [references, citingIds] = await Promise.all([
+    supabase
+      .from('article_references')
+      .select('id', { count: 'exact', head: true })
+      .eq('article_id', articleId),
+    getCitingArticleIds(articleId).catch(error => {
+      console.error('Error counting article citations:', error);
+      return new Set();
+    }),
+  ]);
+
+  if (references.error) {
+    console.error('Error counting article references:', references.error);
+  }
+
+  return {
+    reference_count: references.count || 0,
+    citation_count: citingIds.size
+  };
+};
+
+export const getArticleReferences = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: article, error: articleError } = await supabase
+      .from('articles')
+      .select('id, status, updated_by')
+      .eq('id', id)
+      .single();
+
+    // Unpublished articles are only visible to their author, editors and admins
+    if (articleError || !(await canViewArticle(article, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    const { data: references, error } = await supabase
+      .from('article_references')
+      .select(`
+        *,
+        cited_article:cited_article_id (
+          id, title, publish_date, doi
+        )
+      `)
+      .eq('article_id', article.id)
+      .order('position', { ascending: true });
+
+    if (error) {
+      throw new Error(`Error fetching article references: ${error.message}`);
+    }
+
+    // References resolved to articles the user may not see keep their raw text only
+    const citedIds = [...new Set(references.map(reference => reference.cited_article_id).filter(Boolean))];
+    let visibleIds = new Set();
+    if (citedIds.length > 0) {
+      const { data: visible, error: visibleError } = await applyArticleVisibility(
+        supabase
+          .from('articles')
+          .select('id'),
+        req.user
+      ).in('id', citedIds);
+
+      if (visibleError) {
+        throw new Error(`Error fetching cited articles: ${visibleError.message}`);
+      }
+      visibleIds = new Set(visible.map(item => String(item.id)));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: references.map(reference => (
+        reference.cited_article_id && !visibleIds.has(String(reference.cited_article_id))
+          ? { ...reference, cited_article: null }
+          : reference
+      )),
+      summary: {
+        total: references.length,
+        resolved: references.filter(reference => reference.cited_article_id).length
+      }
+    });
+  } catch (error) {
+    console.error('Get article references error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const updateArticleReferences = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { references } = req.body;
+
+    if (!Array.isArray(references)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'references must be an array'
+      });
+    }
+
+    if (references.length > MAX_REFERENCES) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `An article can have at most ${MAX_REFERENCES} references`
+      });
+    }
+
+    // Check if article exists
+    const { data: article, error: articleError } = await supabase
+      .from('articles')
+      .select('id, updated_by')
+      .eq('id', id)
+      .single();
+
+    if (articleError) {
+      if (articleError.code === 'PGRST116') {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'Article not found'
+        });
+      }
+      throw new Error(`Error checking article: ${articleError.message}`);
+    }
+
+    // Check permissions (only admin or the user who created the article can edit references)
+    if (article.updated_by !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You do not have permission to update references of this article'
+      });
+    }
+
+    // Plain strings are parsed; structured entries override the parsed fields
+    const normalized = [];
+    for (const [index, item] of references.entries()) {
+      const rawText = typeof item === 'string' ? item : item && item.raw_text;
+      if (!rawText || !String(rawText).trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: `Reference #${index + 1} has no raw_text`
+        });
+      }
+
+      const parsed = parseReference(String(rawText));
+      const reference = typeof item === 'string' ? parsed : { ...parsed, ...item, raw_text: parsed.raw_text };
+
+      if (reference.doi && !isValidDoi(reference.doi)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: `Reference #${index + 1} has an invalid DOI`
+        });
+      }
+      reference.doi = normalizeDoi(reference.doi);
+      normalized.push(reference);
+    }
+
+    const saved = await replaceArticleReferences(article.id, normalized, 'manual');
+
+    res.status(200).json({
+      success: true,
+      message: 'Article references updated successfully',
+      data: saved,
+      summary: {
+        total: saved.length,
+        resolved: saved.filter(reference => reference.cited_article_id).length
+      }
+    });
+  } catch (error) {
+    console.error('Update article references error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+export const getArticleCitedBy = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { data: article, error: articleError } = await supabase
+      .from('articles')
+      .select('id, status, updated_by')
+      .eq('id', id)
+      .single();
+
+    // Unpublished articles are only visible to their author, editors and admins
+    if (articleError || !(await canViewArticle(article, req.user))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    const { data: citations, error } = await supabase
+      .from('article_references')
+      .select('article_id')
+      .eq('cited_article_id', id);
+
+    if (error) {
+      throw new Error(`Error fetching citations: ${error.message}`);
+    }
+
+    const citingIds = [...new Set(citations.map(item => item.article_id))];
+
+    if (citingIds.length === 0) {
+      return res.status(200).json({
+        success: true,
+        data: [],
+        pagination: {
+          total: 0,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: 0
+        }
+      });
+    }
+
+    // Only the citing articles the user may see are listed
+    const { data: articles, error: articlesError, count } = await applyArticleVisibility(
+      supabase
+        .from('articles')
+        .select('id, title, abstract, publish_date, doi, language', { count: 'exact' }),
+      req.user
+    )
+      .in('id', citingIds)
+      .order('publish_date', { ascending: false })
+      .range(offset, offset + parseInt(limit) - 1);
+
+    if (articlesError) {
+      throw new Error(`Error fetching citing articles: ${articlesError.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: articles,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get article cited by error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,838 @@
+import { supabase } from '../../db/connectDB.js';
+import { sendSubmissionNotification } from '../../mail/email.js';
+import { advanceArticleStatus } from './articleStatus.controller.js';
+import { getJournalEditorIds } from './journalEditor.controller.js';
+import { isAllowedTransition } from '../../utils/articleStatus.js';
+import {
+  DECISION_STATUS,
+  DECISIONS,
+  RECOMMENDATIONS,
+  OPEN_STATUSES,
+  REVISION_STATUSES,
+  PENDING_REVIEW_STATUSES,
+  reviewerLabels,
+  reviewsForAuthor,
+  timelineForAuthor
+} from '../../utils/submissions.js';
+
+const submissionUrl = (id) => `${process.env.CLIENT_URL}/submissions/${id}`;
+
+const DECISION_LABELS = {
+  accept: 'accepted',
+  minor_revision: 'returned for minor revision',
+  major_revision: 'returned for major revision',
+  reject: 'rejected',
+};
+
+// Add an event to the submission timeline (never throws)
+const recordEvent = async (submissionId, eventType, { round = null, actorId = null, details = {} } = {}) => {
+  const { error } = await supabase
+    .from('submission_events')
+    .insert({
+      submission_id: submissionId,
+      event_type: eventType,
+      round,
+      actor_id: actorId,
+      details
+    });
+
+  if (error) {
+    console.error('Error recording submission event:', error);
+  }
+};
+
+const getUser = async (userId) => {
+  if (!userId) return null;
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, username, email')
+    .eq('id', userId)
+    .single();
+
+  return error ? null : data;
+};
+
+// Email a user about a submission
+const notify = async (userId, submission, { subject, heading, message }) => {
+  const user = await getUser(userId);
+  if (!user) return;
+
+  await sendSubmissionNotification(user.email, {
+    recipientName: user.username,
+    subject,
+    heading,
+    message,
+    title: submission.title,
+    submissionURL: submissionUrl(submission.id)
+  });
+};
+
+// Load a submission with its journal and the journal's editors, or send a 404
+// response and return null
+const findSubmission = async (res, id) => {
+  const { data, error } = await supabase
+    .from('submissions')
+    .select(`
+      *,
+      journals:journal_id (
+        id, name,
+        journal_editors (
+          user_id
+        )
+      )
+    `)
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Submission not found'
+      });
+      return null;
+    }
+    throw new Error(`Error fetching submission: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Editors of a submission: admins and the editors assigned to its journal
+// (see journal_editors), never the submitting author
+const isEditor = (submission, user) => {
+  if (String(submission.submitted_by) === String(user.id)) return false;
+
+  const editorIds = ((submission.journals && submission.journals.journal_editors) || [])
+    .map(editor => String(editor.user_id));
+  return user.role === 'admin' || editorIds.includes(String(user.id));
+};
+
+const forbidden = (res, message) => res.status(403).json({
+  success: false,
+  error: 'Forbidden',
+  message
+});
+
+const badRequest = (res, message) => res.status(400).json({
+  success: false,
+  error: 'Bad Request',
+  message
+});
+
+const conflict = (res, message) => res.status(409).json({
+  success: false,
+  error: 'Conflict',
+  message
+});
+
+const getReviews = async (submissionId) => {
+  const { data, error } = await supabase
+    .from('submission_reviews')
+    .select('*')
+    .eq('submission_id', submissionId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Error fetching reviews: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Latest .docx document of an article, or the given file when it belongs to it
+const findManuscriptFile = async (articleId, fileId = null) => {
+  let query = supabase
+    .from('files')
+    .select('id, file_name, version, created_at')
+    .eq('content_type', 'article')
+    .eq('content_id', articleId);
+
+  if (fileId) {
+    query = query.eq('id', fileId);
+  }
+
+  const { data, error } = await query.order('created_at', { ascending: false }).limit(1);
+
+  if (error) {
+    throw new Error(`Error fetching manuscript file: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+export const createSubmission = async (req, res) => {
+  try {
+    const { article_id, journal_id, cover_letter = null, file_id = null } = req.body;
+
+    if (!article_id || !journal_id) {
+      return badRequest(res, 'article_id and journal_id are required');
+    }
+
+    const { data: article, error: articleError } = await supabase
+      .from('articles')
+      .select('id, title, status, updated_by')
+      .eq('id', article_id)
+      .single();
+
+    if (articleError) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Article not found'
+      });
+    }
+
+    // Only the user who created the article can submit it
+    if (article.updated_by !== req.user.id) {
+      return forbidden(res, 'You can only submit your own articles');
+    }
+
+    if (article.status !== 'draft') {
+      return conflict(res, `Only draft articles can be submitted; this article is ${article.status}`);
+    }
+
+    const { data: journal, error: journalError } = await supabase
+      .from('journals')
+      .select('id, name')
+      .eq('id', journal_id)
+      .single();
+
+    if (journalError) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Journal not found'
+      });
+    }
+
+    // The manuscript is the .docx uploaded with createArticleWithDocument
+    const file = await findManuscriptFile(article.id, file_id);
+    if (!file) {
+      return badRequest(res, 'Upload the manuscript document for this article before submitting it');
+    }
+
+    // An article is under consideration by one journal at a time
+    const { data: active, error: activeError } = await supabase
+      .from('submissions')
+      .select('id, status')
+      .eq('article_id', article.id)
+      .in('status', [...OPEN_STATUSES, ...REVISION_STATUSES])
+      .limit(1);
+
+    if (activeError) {
+      throw new Error(`Error checking submissions: ${activeError.message}`);
+    }
+
+    if (active && active.length > 0) {
+      return conflict(res, 'This article already has a submission in progress');
+    }
+
+    // The handling editor is the first editor of the journal other than the
+    // author; without one, admins handle the submission
+    const editorId = (await getJournalEditorIds(journal.id))
+      .find(userId => userId !== String(req.user.id)) || null;
+
+    const { data: submission, error } = await supabase
+      .from('submissions')
+      .insert({
+        article_id: article.id,
+        journal_id: journal.id,
+        title: article.title,
+        cover_letter,
+        status: 'submitted',
+        current_round: 1,
+        submitted_by: req.user.id,
+        editor_id: editorId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error creating submission: ${error.message}`);
+    }
+
+    await recordEvent(submission.id, 'submitted', { round: 1, actorId: req.user.id, details: { file_id: file.id } });
+    await advanceArticleStatus(article.id, 'submitted', req.user.id, `Submitted to ${journal.name}`);
+
+    await notify(editorId, submission, {
+      subject: 'New manuscript submission',
+      heading: 'New Submission',
+      message: `A new manuscript has been submitted to ${journal.name}.`
+    });
+    await notify(req.user.id, submission, {
+      subject: 'Manuscript received',
+      heading: 'Submission Received',
+      message: `Your manuscript has been submitted to ${journal.name}. You will be notified of each step of the review.`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Manuscript submitted successfully',
+      data: submission
+    });
+  } catch (error) {
+    console.error('Create submission error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Submissions of the current user: as author (default), as editor of the
+// journals they are assigned to (their own submissions excepted), or as reviewer
+export const getSubmissions = async (req, res) => {
+  try {
+    const { role = 'author', status, journal_id, page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from('submissions')
+      .select(`
+        *,
+        journals:journal_id (
+          id, name
+        )
+      `, { count: 'exact' });
+
+    if (role === 'editor') {
+      if (req.user.role !== 'admin') {
+        const { data: journals, error: journalsError } = await supabase
+          .from('journal_editors')
+          .select('journal_id')
+          .eq('user_id', req.user.id);
+
+        if (journalsError) {
+          throw new Error(`Error fetching journals: ${journalsError.message}`);
+        }
+
+        query = query.in('journal_id', journals.map(journal => journal.journal_id));
+      }
+      query = query.neq('submitted_by', req.user.id);
+    } else if (role === 'reviewer') {
+      const { data: reviews, error: reviewsError } = await supabase
+        .from('submission_reviews')
+        .select('submission_id')
+        .eq('reviewer_id', req.user.id)
+        .neq('status', 'cancelled');
+
+      if (reviewsError) {
+        throw new Error(`Error fetching reviews: ${reviewsError.message}`);
+      }
+
+      query = query.in('id', [...new Set(reviews.map(review => review.submission_id))]);
+    } else {
+      query = query.eq('submitted_by', req.user.id);
+    }
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (journal_id) {
+      query = query.eq('journal_id', journal_id);
+    }
+
+    const { data, error, count } = await query
+      .order('updated_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Error fetching submissions: ${error.message}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get submissions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Submission with its reviews, decisions and timeline. Authors see anonymous
+// reviewer labels; reviewers only see their own reviews.
+export const getSubmissionById = async (req, res) => {
+  try {
+    const submission = await findSubmission(res, req.params.id);
+    if (!submission) return;
+
+    const reviews = await getReviews(submission.id);
+    const editor = isEditor(submission, req.user);
+    const ownReviews = reviews.filter(review => String(review.reviewer_id) === String(req.user.id));
+    const author = String(submission.submitted_by) === String(req.user.id);
+
+    if (!editor && !author && ownReviews.length === 0) {
+      return forbidden(res, 'You do not have access to this submission');
+    }
+
+    const [{ data: decisions, error: decisionsError }, { data: events, error: eventsError }] = await Promise.all([
+      supabase.from('submission_decisions').select('*').eq('submission_id', submission.id).order('created_at', { ascending: true }),
+      supabase.from('submission_events').select('*').eq('submission_id', submission.id).order('created_at', { ascending: true }),
+    ]);
+
+    if (decisionsError) {
+      throw new Error(`Error fetching decisions: ${decisionsError.message}`);
+    }
+    if (eventsError) {
+      throw new Error(`Error fetching submission timeline: ${eventsError.message}`);
+    }
+
+    const { journals, ...submissionData } = submission;
+    const data = { ...submissionData, journal: { id: journals.id, name: journals.name } };
+
+    if (editor) {
+      const labels = reviewerLabels(reviews);
+      data.reviews = reviews.map(review => ({ ...review, reviewer_label: labels.get(String(review.id)) }));
+      data.decisions = decisions;
+      data.timeline = events;
+    } else if (author) {
+      data.reviews = reviewsForAuthor(reviews);
+      data.decisions = decisions.map(({ decided_by, ...decision }) => decision);
+      data.timeline = timelineForAuthor(events);
+    } else {
+      data.reviews = ownReviews;
+    }
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get submission by ID error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Editor invites a reviewer for the current round
+export const assignReviewer = async (req, res) => {
+  try {
+    const { reviewer_id, due_date = null } = req.body;
+
+    if (!reviewer_id) {
+      return badRequest(res, 'reviewer_id is required');
+    }
+
+    const submission = await findSubmission(res, req.params.id);
+    if (!submission) return;
+
+    if (!isEditor(submission, req.user)) {
+      return forbidden(res, 'Only the editor can assign reviewers');
+    }
+
+    if (!OPEN_STATUSES.includes(submission.status)) {
+      return conflict(res, `Reviewers cannot be assigned to a submission that is ${submission.status}`);
+    }
+
+    if (String(reviewer_id) === String(submission.submitted_by)) {
+      return badRequest(res, 'The submitting author cannot review their own manuscript');
+    }
+
+    const reviewer = await getUser(reviewer_id);
+    if (!reviewer) {
+      return badRequest(res, 'Invalid reviewer ID');
+    }
+
+    const reviews = await getReviews(submission.id);
+    const alreadyAssigned = reviews.some(review => review.round === submission.current_round
+      && String(review.reviewer_id) === String(reviewer_id)
+      && review.status !== 'cancelled');
+    if (alreadyAssigned) {
+      return conflict(res, 'This reviewer is already assigned to the current round');
+    }
+
+    const { data: review, error } = await supabase
+      .from('submission_reviews')
+      .insert({
+        submission_id: submission.id,
+        round: submission.current_round,
+        reviewer_id,
+        status: 'invited',
+        due_date,
+        assigned_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error assigning reviewer: ${error.message}`);
+    }
+
+    if (submission.status === 'submitted') {
+      await supabase
+        .from('submissions')
+        .update({ status: 'under_review', updated_at: new Date() })
+        .eq('id', submission.id);
+      await recordEvent(submission.id, 'review_started', { round: submission.current_round, actorId: req.user.id });
+      await advanceArticleStatus(submission.article_id, 'under_review', req.user.id);
+    }
+
+    await recordEvent(submission.id, 'reviewer_assigned', {
+      round: submission.current_round,
+      actorId: req.user.id,
+      details: { review_id: review.id, reviewer_id }
+    });
+
+    await notify(reviewer_id, submission, {
+      subject: 'Invitation to review a manuscript',
+      heading: 'Review Invitation',
+      message: `You have been invited to review a manuscript submitted to ${submission.journals.name}${due_date ? `. The review is due by ${due_date}` : ''}.`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reviewer assigned successfully',
+      data: review
+    });
+  } catch (error) {
+    console.error('Assign reviewer error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Load the current user's review of a submission, or send the error response
+const findOwnReview = async (req, res, submission) => {
+  const { data: review, error } = await supabase
+    .from('submission_reviews')
+    .select('*')
+    .eq('id', req.params.reviewId)
+    .eq('submission_id', submission.id)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Review not found'
+      });
+      return null;
+    }
+    throw new Error(`Error fetching review: ${error.message}`);
+  }
+
+  if (String(review.reviewer_id) !== String(req.user.id)) {
+    forbidden(res, 'This review is assigned to another reviewer');
+    return null;
+  }
+
+  return review;
+};
+
+// Reviewer accepts or declines an invitation
+export const respondToReviewInvitation = async (req, res) => {
+  try {
+    const { accept } = req.body;
+
+    if (typeof accept !== 'boolean') {
+      return badRequest(res, 'accept must be true or false');
+    }
+
+    const submission = await findSubmission(res, req.params.id);
+    if (!submission) return;
+
+    const review = await findOwnReview(req, res, submission);
+    if (!review) return;
+
+    if (review.status !== 'invited') {
+      return conflict(res, `This invitation has already been ${review.status}`);
+    }
+
+    const status = accept ? 'accepted' : 'declined';
+    const { data, error } = await supabase
+      .from('submission_reviews')
+      .update({ status, responded_at: new Date() })
+      .eq('id', review.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating review: ${error.message}`);
+    }
+
+    await recordEvent(submission.id, `review_${status}`, {
+      round: review.round,
+      actorId: req.user.id,
+      details: { review_id: review.id }
+    });
+
+    await notify(submission.editor_id, submission, {
+      subject: `Review invitation ${status}`,
+      heading: `Invitation ${accept ? 'Accepted' : 'Declined'}`,
+      message: `A reviewer has ${status} the invitation to review round ${review.round}.`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Invitation ${status}`,
+      data
+    });
+  } catch (error) {
+    console.error('Respond to review invitation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Reviewer submits a report and a recommendation
+export const submitReview = async (req, res) => {
+  try {
+    const { recommendation, comments_to_author = null, comments_to_editor = null } = req.body;
+
+    if (!RECOMMENDATIONS.includes(recommendation)) {
+      return badRequest(res, `recommendation must be one of: ${RECOMMENDATIONS.join(', ')}`);
+    }
+
+    if (!comments_to_author) {
+      return badRequest(res, 'comments_to_author is required');
+    }
+
+    const submission = await findSubmission(res, req.params.id);
+    if (!submission) return;
+
+    const review = await findOwnReview(req, res, submission);
+    if (!review) return;
+
+    if (!PENDING_REVIEW_STATUSES.includes(review.status) || review.round !== submission.current_round) {
+      return conflict(res, 'This review can no longer be submitted');
+    }
+
+    const { data, error } = await supabase
+      .from('submission_reviews')
+      .update({
+        status: 'submitted',
+        recommendation,
+        comments_to_author,
+        comments_to_editor,
+        submitted_at: new Date()
+      })
+      .eq('id', review.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error submitting review: ${error.message}`);
+    }
+
+    await recordEvent(submission.id, 'review_submitted', {
+      round: review.round,
+      actorId: req.user.id,
+      details: { review_id: review.id }
+    });
+
+    await notify(submission.editor_id, submission, {
+      subject: 'Review submitted',
+      heading: 'Review Submitted',
+      message: `A reviewer has submitted a report for round ${review.round} with the recommendation: ${recommendation.replace('_', ' ')}.`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Submit review error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Editor records a decision on the current round
+export const recordDecision = async (req, res) => {
+  try {
+    const { decision, comments = null } = req.body;
+
+    if (!DECISIONS.includes(decision)) {
+      return badRequest(res, `decision must be one of: ${DECISIONS.join(', ')}`);
+    }
+
+    const submission = await findSubmission(res, req.params.id);
+    if (!submission) return;
+
+    if (!isEditor(submission, req.user)) {
+      return forbidden(res, 'Only the editor can record decisions');
+    }
+
+    if (!OPEN_STATUSES.includes(submission.status)) {
+      return conflict(res, `A decision cannot be recorded on a submission that is ${submission.status}`);
+    }
+
+    if (decision === 'accept' && submission.status !== 'under_review') {
+      return conflict(res, 'A manuscript can only be accepted after it has been sent to review');
+    }
+
+    // Accepted articles await publication; otherwise the manuscript goes back
+    // to the author. The article must be able to follow the decision.
+    const articleStatus = decision === 'accept' ? 'accepted' : 'draft';
+    const { data: article, error: articleError } = await supabase
+      .from('articles')
+      .select('id, status')
+      .eq('id', submission.article_id)
+      .single();
+
+    if (articleError) {
+      throw new Error(`Error fetching article: ${articleError.message}`);
+    }
+
+    if (!isAllowedTransition(article.status, articleStatus)) {
+      return conflict(res, `The article is ${article.status} and cannot be moved to ${articleStatus} by this decision`);
+    }
+
+    const { data: recorded, error: decisionError } = await supabase
+      .from('submission_decisions')
+      .insert({
+        submission_id: submission.id,
+        round: submission.current_round,
+        decision,
+        comments,
+        decided_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (decisionError) {
+      throw new Error(`Error recording decision: ${decisionError.message}`);
+    }
+
+    // Reviews still pending in this round are no longer needed
+    await supabase
+      .from('submission_reviews')
+      .update({ status: 'cancelled' })
+      .eq('submission_id', submission.id)
+      .eq('round', submission.current_round)
+      .in('status', PENDING_REVIEW_STATUSES);
+
+    const status = DECISION_STATUS[decision];
+    const { data: updated, error } = await supabase
+      .from('submissions')
+      .update({
+        status,
+        decided_at: ['accepted', 'rejected'].includes(status) ? new Date() : null,
+        updated_at: new Date()
+      })
+      .eq('id', submission.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating submission: ${error.message}`);
+    }
+
+    await recordEvent(submission.id, 'decision', {
+      round: submission.current_round,
+      actorId: req.user.id,
+      details: { decision_id: recorded.id, decision }
+    });
+    await advanceArticleStatus(submission.article_id, articleStatus, req.user.id, `Editorial decision: ${decision.replace('_', ' ')}`);
+
+    await notify(submission.submitted_by, submission, {
+      subject: 'Decision on your manuscript',
+      heading: 'Editorial Decision',
+      message: `Your manuscript has been ${DECISION_LABELS[decision]}.${comments ? ` Editor's comments: ${comments}` : ''}`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Decision recorded successfully',
+      data: { ...updated, decision: recorded }
+    });
+  } catch (error) {
+    console.error('Record decision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Author submits a revised manuscript, which opens a new review round. The
+// revised .docx is uploaded to the article first (uploadArticleDocument).
+export const submitRevision = async (req, res) => {
+  try {
+    const { response_to_reviewers = null, file_id = null } = req.body;
+
+    const submission = await findSubmission(res, req.params.id);
+    if (!submission) return;
+
+    if (String(submission.submitted_by) !== String(req.user.id)) {
+      return forbidden(res, 'Only the submitting author can submit a revision');
+    }
+
+    if (!REVISION_STATUSES.includes(submission.status)) {
+      return conflict(res, 'No revision has been requested for this submission');
+    }
+
+    const file = await findManuscriptFile(submission.article_id, file_id);
+    if (!file) {
+      return badRequest(res, 'Upload the revised manuscript document before submitting the revision');
+    }
+
+    const round = submission.current_round + 1;
+    const { data: updated, error } = await supabase
+      .from('submissions')
+      .update({ status: 'submitted', current_round: round, updated_at: new Date() })
+      .eq('id', submission.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Error updating submission: ${error.message}`);
+    }
+
+    await recordEvent(submission.id, 'revision_submitted', {
+      round,
+      actorId: req.user.id,
+      details: { file_id: file.id, response_to_reviewers }
+    });
+    await advanceArticleStatus(submission.article_id, 'submitted', req.user.id, `Revision for round ${round}`);
+
+    await notify(submission.editor_id, submission, {
+      subject: 'Revised manuscript submitted',
+      heading: 'Revision Submitted',
+      message: `The author has submitted a revised manuscript, opening review round ${round}.`
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Revision submitted successfully',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Submit revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
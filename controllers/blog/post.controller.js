@@ -1,88 +1,123 @@
 import { supabase } from '../../db/connectDB.js';
+import { containsPattern } from '../../utils/postgrestFilters.js';
+
+// Xây dựng truy vấn bài viết đã lọc, dùng chung cho getPosts và tìm kiếm toàn cục.
+// Truy vấn được bọc trong `{ query }` vì query builder là thenable.
+// Trả về null khi không có bài viết nào có tag được lọc.
+export const buildPostsQuery = async (filters, user) => {
+    const {
+        status = 'published',
+        visibility = 'public',
+        user_id,
+        tag,
+        search
+    } = filters;
+    
+    // Bắt đầu xây dựng truy vấn
+    let query = supabase
+        .from('user_posts')
+        .select(`
+            *,
+            users:user_id (id, username, avatar_url),
+            post_tags (
+                tags:tag_id (id, name, slug)
+            )
+        `, { count: 'exact' });
+    
+    // Áp dụng các bộ lọc
+    if (status) {
+        query = query.eq('status', status);
+    }
+    
+    // Đối với người dùng chưa xác thực, chỉ hiển thị bài viết công khai
+    if (!user) {
+        query = query.eq('visibility', 'public');
+    } else if (visibility && visibility !== 'all') {
+        query = query.eq('visibility', visibility);
+    } else if (user && visibility === 'all' && user.role !== 'admin') {
+        // Nếu không phải admin, chỉ hiển thị bài viết công khai hoặc bài viết của chính người dùng
+        query = query.or(`visibility.eq.public,user_id.eq.${user.id}`);
+    }
+    
+    if (user_id) {
+        query = query.eq('user_id', user_id);
+    }
+    
+    if (tag) {
+        // Lấy ID của tag từ slug
+        const { data: tagData } = await supabase
+            .from('tags')
+            .select('id')
+            .eq('slug', tag)
+            .single();
+        
+        if (tagData) {
+            // Lấy các bài viết có tag này
+            const { data: postTags } = await supabase
+                .from('post_tags')
+                .select('post_id')
+                .eq('tag_id', tagData.id);
+            
+            if (postTags && postTags.length > 0) {
+                const postIds = postTags.map(pt => pt.post_id);
+                query = query.in('id', postIds);
+            } else {
+                // Không có bài viết nào có tag này
+                return null;
+            }
+        }
+    }
+    
+    if (search) {
+        const pattern = containsPattern(search);
+        query = query.or(`title.ilike.${pattern},content.ilike.${pattern}`);
+    }
+    
+    return { query };
+};
+
+// Thay post_tags lồng nhau bằng mảng `tags`
+export const formatPostTags = (post) => {
+    // Nhóm các thẻ
+    const tags = post.post_tags.map(pt => pt.tags);
+    
+    // Loại bỏ post_tags lồng nhau khỏi phản hồi
+    const { post_tags, ...postData } = post;
+    
+    return {
+        ...postData,
+        tags
+    };
+};
 
 export const getPosts = async (req, res) => {
     try {
         const {
             page = 1,
             limit = 10,
-            status = 'published',
-            visibility = 'public',
-            user_id,
-            tag,
-            search,
             sort_by = 'created_at',
             sort_order = 'desc'
         } = req.query;
         
         const offset = (page - 1) * limit;
         
-        // Bắt đầu xây dựng truy vấn
-        let query = supabase
-            .from('user_posts')
-            .select(`
-                *,
-                users:user_id (id, username, avatar_url),
-                post_tags (
-                    tags:tag_id (id, name, slug)
-                )
-            `, { count: 'exact' });
-        
-        // Áp dụng các bộ lọc
-        if (status) {
-            query = query.eq('status', status);
-        }
-        
-        // Đối với người dùng chưa xác thực, chỉ hiển thị bài viết công khai
-        if (!req.user) {
-            query = query.eq('visibility', 'public');
-        } else if (visibility && visibility !== 'all') {
-            query = query.eq('visibility', visibility);
-        } else if (req.user && visibility === 'all' && req.user.role !== 'admin') {
-            // Nếu không phải admin, chỉ hiển thị bài viết công khai hoặc bài viết của chính người dùng
-            query = query.or(`visibility.eq.public,user_id.eq.${req.user.id}`);
-        }
-        
-        if (user_id) {
-            query = query.eq('user_id', user_id);
-        }
-        
-        if (tag) {
-            // Lấy ID của tag từ slug
-            const { data: tagData } = await supabase
-                .from('tags')
-                .select('id')
-                .eq('slug', tag)
-                .single();
-            
-            if (tagData) {
-                // Lấy các bài viết có tag này
-                const { data: postTags } = await supabase
-                    .from('post_tags')
-                    .select('post_id')
-                    .eq('tag_id', tagData.id);
-                
-                if (postTags && postTags.length > 0) {
-                    const postIds = postTags.map(pt => pt.post_id);
-                    query = query.in('id', postIds);
-                } else {
-                    // Không có bài viết nào có tag này
-                    return res.status(200).json({
-                        success: true,
-                        data: [],
-                        pagination: {
-                            total: 0,
-                            page: parseInt(page),
-                            limit: parseInt(limit),
-                            pages: 0
-                        }
-                    });
+        const built = await buildPostsQuery(req.query, req.user);
+        
+        if (!built) {
+            // Không có bài viết nào có tag này
+            return res.status(200).json({
+                success: true,
+                data: [],
+                pagination: {
+                    total: 0,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    pages: 0
                 }
-            }
+            });
         }
         
-        if (search) {
-            query = query.or(`title.ilike.%${search}%,content.ilike.%${search}%`);
-        }
+        let { query } = built;
         
         // Thêm sắp xếp
         query = query.order(sort_by, { ascending: sort_order === 'asc' });
@@ -133,18 +168,7 @@ export const getPosts = async (req, res) => {
         }));
         
         // Định dạng phản hồi
-        const formattedPosts = postsWithCounts.map(post => {
-            // Nhóm các thẻ
-            const tags = post.post_tags.map(pt => pt.tags);
-            
-            // Loại bỏ post_tags lồng nhau khỏi phản hồi
-            const { post_tags, ...postData } = post;
-            
-            return {
-                ...postData,
-                tags
-            };
-        });
+        const formattedPosts = postsWithCounts.map(formatPostTags);
         
         res.status(200).json({
             success: true,
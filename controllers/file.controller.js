@@ -3,6 +3,9 @@ import multer from 'multer';
 import path from 'path';
 import { supabase } from '../db/connectDB.js';
 import { uploadToCloudinary, deleteFromCloudinary, extractPublicIdFromUrl } from '../middlewares/cloudinary.config.js';
+import { recordFileVersion, preserveFileVersion, deleteFileVersions } from './fileVersion.controller.js';
+import { indexArticle } from './author/articleSearch.controller.js';
+import { readDocument, documentFileFields, documentWarning } from '../utils/documentText.js';
 
 // Configure multer for temporary file storage
 const storage = multer.diskStorage({
@@ -89,6 +92,9 @@ export const uploadFile = async (req, res) => {
     // Determine folder based on content_type
     const folder = determineFolderByContentType(content_type);
     
+    // Extract the text of Word and PDF documents before the temporary file is removed
+    const document = await readDocument(req.file);
+    
     // Upload file to Cloudinary
     const cloudinaryResult = await uploadToCloudinary(filePath, folder);
     
@@ -113,7 +119,8 @@ export const uploadFile = async (req, res) => {
         content_id: content_id || null,
         version: '1.0',
         is_public: false,
-        uploaded_by: req.user.id
+        uploaded_by: req.user.id,
+        ...documentFileFields(document)
       })
       .select()
       .single();
@@ -121,11 +128,17 @@ export const uploadFile = async (req, res) => {
     if (fileError) {
       throw new Error(`Error saving file information: ${fileError.message}`);
     }
+
+    await recordFileVersion(fileData, { fullText: document.text, userId: req.user.id });
+    if (fileData.content_type === 'article') {
+      await indexArticle(fileData.content_id);
+    }
     
     res.status(201).json({
       success: true,
       message: 'File uploaded successfully',
-      data: fileData
+      data: fileData,
+      warning: documentWarning(document)
     });
   } catch (error) {
     console.error('Upload file error:', error);
@@ -214,6 +227,9 @@ export const deleteFile = async (req, res) => {
       }
     }
     
+    // Delete older versions of the file
+    await deleteFileVersions({ fileIds: [file.id] });
+    
     // Delete file record from database
     const { error: deleteError } = await supabase
       .from('files')
@@ -224,6 +240,10 @@ export const deleteFile = async (req, res) => {
       throw new Error(`Error deleting file: ${deleteError.message}`);
     }
     
+    if (file.content_type === 'article') {
+      await indexArticle(file.content_id);
+    }
+    
     res.status(200).json({
       success: true,
       message: 'File deleted successfully',
@@ -343,20 +363,12 @@ export const updateFileContent = async (req, res) => {
       });
     }
     
-    // Delete old file from Cloudinary if it has a URL
-    if (existingFile.file_path && existingFile.file_path.includes('cloudinary')) {
-      try {
-        const publicId = extractPublicIdFromUrl(existingFile.file_path);
-        if (publicId) {
-          await deleteFromCloudinary(publicId);
-        }
-      } catch (cloudinaryError) {
-        console.error('Error deleting old file from Cloudinary:', cloudinaryError);
-      }
-    }
+    // Keep the old content in the version history instead of deleting it
+    await preserveFileVersion(existingFile);
     
     // Get information about the new file
     const { originalname, mimetype, path: filePath, size } = req.file;
+    const document = await readDocument(req.file);
     
     // Determine folder based on content_type
     const folder = determineFolderByContentType(existingFile.content_type);
@@ -378,6 +390,7 @@ export const updateFileContent = async (req, res) => {
         file_size: size,
         mime_type: mimetype,
         version: (parseFloat(existingFile.version) + 0.1).toFixed(1), // Increment version by 0.1
+        ...documentFileFields(document),
         updated_at: new Date()
       })
       .eq('id', id)
@@ -387,11 +400,17 @@ export const updateFileContent = async (req, res) => {
     if (updateError) {
       throw new Error(`Error updating file information: ${updateError.message}`);
     }
+
+    await recordFileVersion(updatedFile, { fullText: document.text, userId: req.user.id });
+    if (updatedFile.content_type === 'article') {
+      await indexArticle(updatedFile.content_id);
+    }
     
     res.status(200).json({
       success: true,
       message: 'File content updated successfully',
-      data: updatedFile
+      data: updatedFile,
+      warning: documentWarning(document)
     });
   } catch (error) {
     console.error('Update file content error:', error);
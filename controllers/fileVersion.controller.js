@@ -0,0 +1,251 @@
+import { supabase } from '../db/connectDB.js';
+import { deleteFromCloudinary, extractPublicIdFromUrl } from '../middlewares/cloudinary.config.js';
+import { diffDocuments } from '../utils/textDiff.js';
+import { isArticleEditor } from './author/articleStatus.controller.js';
+
+// Tables of the content types whose documents keep a version history
+const CONTENT_TABLES = {
+  article: 'articles',
+  book: 'books',
+  journal: 'journals',
+};
+
+const VERSION_SUMMARY_SELECT = 'id, file_id, content_type, content_id, version, file_name, file_path, file_size, mime_type, text_complete, uploaded_by, created_at';
+
+// Record the content of a file row as a new version, with the full extracted text
+export const recordFileVersion = async (file, { fullText = null, userId = null } = {}) => {
+  if (!CONTENT_TABLES[file.content_type]) return;
+
+  const { error } = await supabase
+    .from('file_versions')
+    .insert({
+      file_id: file.id,
+      content_type: file.content_type,
+      content_id: file.content_id,
+      version: file.version,
+      file_name: file.file_name,
+      file_path: file.file_path,
+      file_size: file.file_size,
+      mime_type: file.mime_type,
+      extracted_text: fullText !== null ? fullText : (file.text_preview || null),
+      text_complete: fullText !== null,
+      uploaded_by: userId || file.uploaded_by
+    });
+
+  if (error) {
+    console.error('Error recording file version:', error);
+  }
+};
+
+// Before a file row is overwritten, make sure its current content is in the
+// history (files uploaded before versions were kept only have a text preview)
+export const preserveFileVersion = async (file) => {
+  if (!CONTENT_TABLES[file.content_type]) return;
+
+  const { data: recorded, error } = await supabase
+    .from('file_versions')
+    .select('id')
+    .eq('file_id', file.id)
+    .eq('file_path', file.file_path)
+    .limit(1);
+
+  if (error) {
+    console.error('Error checking file versions:', error);
+    return;
+  }
+
+  if (!recorded || recorded.length === 0) {
+    await recordFileVersion(file);
+  }
+};
+
+// Remove the history of deleted files, including the stored files of older versions
+export const deleteFileVersions = async ({ fileIds = [], contentType = null, contentId = null } = {}) => {
+  let query = supabase
+    .from('file_versions')
+    .select('id, file_path');
+
+  if (fileIds.length > 0) {
+    query = query.in('file_id', fileIds);
+  } else if (contentType && contentId) {
+    query = query.eq('content_type', contentType).eq('content_id', contentId);
+  } else {
+    return;
+  }
+
+  const { data: versions, error } = await query;
+  if (error) {
+    console.error('Error fetching file versions:', error);
+    return;
+  }
+
+  for (const version of versions || []) {
+    try {
+      const publicId = extractPublicIdFromUrl(version.file_path);
+      if (publicId) {
+        await deleteFromCloudinary(publicId);
+      }
+    } catch (cloudinaryError) {
+      console.error(`Error deleting file version from Cloudinary: ${cloudinaryError.message}`);
+    }
+  }
+
+  if (versions && versions.length > 0) {
+    await supabase
+      .from('file_versions')
+      .delete()
+      .in('id', versions.map(version => version.id));
+  }
+};
+
+// Admins, the owner of the content, uploaders of its documents and, for
+// articles, editors and reviewers of its submissions may read its versions
+const canReadVersions = async (contentType, contentId, versions, user) => {
+  if (user.role === 'admin') return true;
+  if (versions.some(version => String(version.uploaded_by) === String(user.id))) return true;
+
+  const { data: content } = await supabase
+    .from(CONTENT_TABLES[contentType])
+    .select('id, updated_by')
+    .eq('id', contentId)
+    .single();
+
+  if (content && String(content.updated_by) === String(user.id)) return true;
+  if (contentType !== 'article') return false;
+
+  if (await isArticleEditor(contentId, user)) return true;
+
+  const { data: submissions } = await supabase
+    .from('submissions')
+    .select('id')
+    .eq('article_id', contentId);
+
+  if (!submissions || submissions.length === 0) return false;
+
+  const { data: reviews } = await supabase
+    .from('submission_reviews')
+    .select('id')
+    .in('submission_id', submissions.map(submission => submission.id))
+    .eq('reviewer_id', user.id)
+    .limit(1);
+
+  return Boolean(reviews && reviews.length > 0);
+};
+
+const getContentVersions = async (contentType, contentId, { withText = false } = {}) => {
+  const { data, error } = await supabase
+    .from('file_versions')
+    .select(withText ? `${VERSION_SUMMARY_SELECT}, extracted_text` : VERSION_SUMMARY_SELECT)
+    .eq('content_type', contentType)
+    .eq('content_id', contentId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Error fetching file versions: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+const checkContentType = (res, contentType) => {
+  if (CONTENT_TABLES[contentType]) return true;
+
+  res.status(400).json({
+    success: false,
+    error: 'Bad Request',
+    message: `Version history is kept for: ${Object.keys(CONTENT_TABLES).join(', ')}`
+  });
+  return false;
+};
+
+// Controller to list every stored version of the documents of an article, book or journal
+export const getFileVersions = async (req, res) => {
+  try {
+    const { content_type, content_id } = req.params;
+    if (!checkContentType(res, content_type)) return;
+
+    const versions = await getContentVersions(content_type, content_id);
+
+    if (versions.length > 0 && !(await canReadVersions(content_type, content_id, versions, req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You do not have permission to view these document versions'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Get file versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+// Controller to compare two document versions (`from` and `to` are version IDs;
+// by default the two most recent versions are compared)
+export const compareFileVersions = async (req, res) => {
+  try {
+    const { content_type, content_id } = req.params;
+    const { from, to, include_unchanged } = req.query;
+    if (!checkContentType(res, content_type)) return;
+
+    const versions = await getContentVersions(content_type, content_id, { withText: true });
+
+    let fromVersion;
+    let toVersion;
+    if (from || to) {
+      fromVersion = versions.find(version => String(version.id) === String(from));
+      toVersion = versions.find(version => String(version.id) === String(to));
+    } else {
+      [fromVersion, toVersion] = versions.slice(-2);
+    }
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: from || to
+          ? 'Both versions must belong to this content'
+          : 'At least two document versions are needed for a comparison'
+      });
+    }
+
+    if (!(await canReadVersions(content_type, content_id, [fromVersion, toVersion], req.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You do not have permission to view these document versions'
+      });
+    }
+
+    const describe = ({ extracted_text, ...version }) => version;
+    const diff = diffDocuments(fromVersion.extracted_text, toVersion.extracted_text, {
+      includeUnchanged: include_unchanged === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: describe(fromVersion),
+        to: describe(toVersion),
+        // Versions recorded before history was kept only have a text preview
+        text_complete: Boolean(fromVersion.text_complete && toVersion.text_complete),
+        ...diff
+      }
+    });
+  } catch (error) {
+    console.error('Compare file versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,411 @@
+import { supabase } from '../db/connectDB.js';
+import { sender } from '../mail/mailtrap.config.js';
+import { el } from '../utils/xmlBuilder.js';
+import {
+  OAI_PAGE_SIZE,
+  OAI_GRANULARITY,
+  OAI_DC_FORMAT,
+  OaiError,
+  validateOaiArguments,
+  formatDatestamp,
+  parseDateRange,
+  encodeResumptionToken,
+  decodeResumptionToken,
+  repositoryIdentifier,
+  buildOaiIdentifier,
+  parseOaiIdentifier,
+  buildSetSpec,
+  parseSetSpec,
+  buildRecordHeader,
+  articleToOaiDc,
+  bookToOaiDc,
+  buildResumptionToken,
+  buildOaiResponse
+} from '../utils/oaiPmh.js';
+import { sortByPosition } from '../utils/articleAuthors.js';
+import { applyArticleVisibility } from '../utils/articleStatus.js';
+import { canViewArticle } from './author/articleStatus.controller.js';
+
+// Columns needed for each record type
+const RECORD_COLUMNS = {
+  article: 'id, title, abstract, keywords, language, publish_date, doi, status, created_at, updated_at',
+  book: 'id, title, isbn, language, publish_date, publisher, doi, created_at, updated_at',
+};
+
+const landingUrl = (type, id) => `${process.env.CLIENT_URL}/${type}s/${id}`;
+
+const datestampOf = (record) => formatDatestamp(record.updated_at || record.created_at);
+
+// Query one record type in (updated_at, id) order. Keyset pagination keeps
+// the harvest consistent when records are modified between requests. Harvesting
+// is anonymous, so only public articles are exposed.
+// A journal set keeps the articles linked to the journal through an empty
+// inner embed, which is left out of the response.
+const buildRecordsQuery = (type, filters, { columns, count = false } = {}) => {
+  const selected = [
+    columns || RECORD_COLUMNS[type],
+    filters.journalId && 'journal_filter:article_journals!inner()'
+  ].filter(Boolean).join(', ');
+
+  let query = supabase
+    .from(`${type}s`)
+    .select(selected, count ? { count: 'exact', head: true } : undefined);
+
+  if (type === 'article') query = applyArticleVisibility(query, null);
+
+  if (filters.from) query = query.gte('updated_at', filters.from);
+  if (filters.until) query = query.lte('updated_at', filters.until);
+  if (filters.journalId) query = query.eq('journal_filter.journal_id', filters.journalId);
+
+  return query;
+};
+
+const countRecords = async (type, filters) => {
+  const { count, error } = await buildRecordsQuery(type, filters, { columns: 'id', count: true });
+
+  if (error) {
+    throw new Error(`Error counting ${type}s: ${error.message}`);
+  }
+
+  return count || 0;
+};
+
+const fetchRecordsPage = async (type, filters, after, limit) => {
+  let query = buildRecordsQuery(type, filters);
+
+  if (after) {
+    query = query.or(`updated_at.gt."${after.updated_at}",and(updated_at.eq."${after.updated_at}",id.gt.${after.id})`);
+  }
+
+  const { data, error } = await query
+    .order('updated_at', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Error fetching ${type}s: ${error.message}`);
+  }
+
+  return data;
+};
+
+// Load authors (and journals for articles) for a page of records
+const attachRecordRelations = async (type, records) => {
+  if (records.length === 0) return records;
+  const ids = records.map(record => record.id);
+
+  if (type === 'book') {
+    const { data: authorBooks, error } = await supabase
+      .from('author_books')
+      .select('book_id, authors(id, first_name, last_name)')
+      .in('book_id', ids);
+
+    if (error) {
+      console.error('Error fetching book authors:', error);
+    }
+
+    return records.map(book => ({
+      ...book,
+      authors: (authorBooks || [])
+        .filter(item => String(item.book_id) === String(book.id) && item.authors)
+        .map(item => item.authors),
+      journals: [],
+    }));
+  }
+
+  const [{ data: articleAuthors, error: authorsError }, { data: articleJournals, error: journalsError }] = await Promise.all([
+    supabase
+      .from('article_authors')
+      .select('article_id, position, authors:author_id (id, first_name, last_name)')
+      .in('article_id', ids),
+    supabase
+      .from('article_journals')
+      .select('article_id, journals:journal_id (id, name, issn)')
+      .in('article_id', ids),
+  ]);
+
+  if (authorsError) {
+    console.error('Error fetching article authors:', authorsError);
+  }
+  if (journalsError) {
+    console.error('Error fetching article journals:', journalsError);
+  }
+
+  return records.map(article => ({
+    ...article,
+    authors: sortByPosition((articleAuthors || [])
+      .filter(item => String(item.article_id) === String(article.id) && item.authors))
+      .map(item => item.authors),
+    journals: (articleJournals || [])
+      .filter(item => String(item.article_id) === String(article.id) && item.journals)
+      .map(item => item.journals),
+  }));
+};
+
+const buildHeader = (type, record) => {
+  return buildRecordHeader({
+    identifier: buildOaiIdentifier(type, record.id),
+    datestamp: datestampOf(record),
+    setSpecs: (record.journals || []).map(journal => buildSetSpec(journal.id)),
+  });
+};
+
+const buildRecord = (type, record) => {
+  const metadata = type === 'article'
+    ? articleToOaiDc(record, landingUrl(type, record.id))
+    : bookToOaiDc(record, landingUrl(type, record.id));
+
+  return el('record', {}, buildHeader(type, record), metadata);
+};
+
+const checkMetadataPrefix = (metadataPrefix) => {
+  if (metadataPrefix !== OAI_DC_FORMAT.metadataPrefix) {
+    throw new OaiError('cannotDisseminateFormat', `Metadata format "${metadataPrefix}" is not supported`);
+  }
+};
+
+const getRecordById = async (identifier) => {
+  const parsed = parseOaiIdentifier(identifier);
+  if (!parsed) {
+    throw new OaiError('idDoesNotExist', `Unknown identifier "${identifier}"`);
+  }
+
+  const { data, error } = await supabase
+    .from(`${parsed.type}s`)
+    .select(RECORD_COLUMNS[parsed.type])
+    .eq('id', parsed.id)
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Error fetching ${parsed.type}: ${error.message}`);
+  }
+  if (!data || data.length === 0) {
+    throw new OaiError('idDoesNotExist', `Unknown identifier "${identifier}"`);
+  }
+
+  // Unpublished articles do not exist for harvesters
+  if (parsed.type === 'article' && !(await canViewArticle(data[0], null))) {
+    throw new OaiError('idDoesNotExist', `Unknown identifier "${identifier}"`);
+  }
+
+  const [record] = await attachRecordRelations(parsed.type, data);
+  return { type: parsed.type, record };
+};
+
+const identify = async (baseUrl) => {
+  // Earliest datestamp across articles and books
+  const earliest = await Promise.all(['article', 'book'].map(async (type) => {
+    const { data, error } = await buildRecordsQuery(type, {}, { columns: 'updated_at' })
+      .not('updated_at', 'is', null)
+      .order('updated_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Error fetching earliest datestamp: ${error.message}`);
+    }
+    return data && data[0] ? data[0].updated_at : null;
+  }));
+
+  const timestamps = earliest.filter(Boolean).map(value => new Date(value).getTime());
+  const earliestDatestamp = timestamps.length > 0 ? formatDatestamp(Math.min(...timestamps)) : formatDatestamp();
+
+  return [
+    el('repositoryName', {}, process.env.OAI_REPOSITORY_NAME || process.env.CROSSREF_DEPOSITOR_NAME || 'QuanLyBaiBao'),
+    el('baseURL', {}, baseUrl),
+    el('protocolVersion', {}, '2.0'),
+    el('adminEmail', {}, process.env.OAI_ADMIN_EMAIL || sender.email),
+    el('earliestDatestamp', {}, earliestDatestamp),
+    el('deletedRecord', {}, 'no'),
+    el('granularity', {}, OAI_GRANULARITY),
+    el('description', {},
+      el('oai-identifier', {
+        xmlns: 'http://www.openarchives.org/OAI/2.0/oai-identifier',
+        'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+        'xsi:schemaLocation': 'http://www.openarchives.org/OAI/2.0/oai-identifier http://www.openarchives.org/OAI/2.0/oai-identifier.xsd',
+      },
+        el('scheme', {}, 'oai'),
+        el('repositoryIdentifier', {}, repositoryIdentifier()),
+        el('delimiter', {}, ':'),
+        el('sampleIdentifier', {}, buildOaiIdentifier('article', 1))
+      )
+    ),
+  ];
+};
+
+const listMetadataFormats = async (args) => {
+  if (args.identifier) {
+    await getRecordById(args.identifier);
+  }
+
+  return el('metadataFormat', {},
+    el('metadataPrefix', {}, OAI_DC_FORMAT.metadataPrefix),
+    el('schema', {}, OAI_DC_FORMAT.schema),
+    el('metadataNamespace', {}, OAI_DC_FORMAT.metadataNamespace)
+  );
+};
+
+const listSets = async (args) => {
+  if (args.resumptionToken) {
+    // All sets are returned in a single response
+    throw new OaiError('badResumptionToken', 'The resumptionToken is invalid or expired');
+  }
+
+  const { data: journals, error } = await supabase
+    .from('journals')
+    .select('id, name, issn')
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new Error(`Error fetching journals: ${error.message}`);
+  }
+
+  if (journals.length === 0) {
+    throw new OaiError('noSetHierarchy', 'This repository does not have any sets');
+  }
+
+  return journals.map(journal => el('set', {},
+    el('setSpec', {}, buildSetSpec(journal.id)),
+    el('setName', {}, journal.name)
+  ));
+};
+
+// Shared implementation of ListIdentifiers and ListRecords. Articles are
+// harvested first, then books; journal sets only contain articles.
+const listRecords = async (verb, args) => {
+  let state;
+
+  if (args.resumptionToken) {
+    state = decodeResumptionToken(args.resumptionToken, verb);
+  } else {
+    checkMetadataPrefix(args.metadataPrefix);
+    const { from, until } = parseDateRange(args.from, args.until);
+
+    let journalId = null;
+    if (args.set) {
+      journalId = parseSetSpec(args.set);
+      if (!journalId) {
+        throw new OaiError('noRecordsMatch', `Unknown set "${args.set}"`);
+      }
+    }
+
+    state = {
+      verb,
+      metadataPrefix: args.metadataPrefix,
+      from,
+      until,
+      journalId,
+      type: 'article',
+      after: null,
+      cursor: 0,
+    };
+  }
+
+  const filters = { from: state.from, until: state.until, journalId: state.journalId };
+
+  // List sizes are computed on the first request and carried in the token
+  if (state.total === undefined) {
+    state.articleTotal = await countRecords('article', filters);
+    state.bookTotal = state.journalId ? 0 : await countRecords('book', filters);
+    state.total = state.articleTotal + state.bookTotal;
+  }
+
+  if (state.total === 0) {
+    throw new OaiError('noRecordsMatch', 'No records match the request');
+  }
+
+  let type = state.type;
+  let after = state.after;
+  let page = [];
+  let next = null;
+
+  while (true) {
+    const rows = await fetchRecordsPage(type, filters, after, OAI_PAGE_SIZE + 1);
+    const nextType = type === 'article' && state.bookTotal > 0 ? 'book' : null;
+
+    if (rows.length > OAI_PAGE_SIZE) {
+      page = rows.slice(0, OAI_PAGE_SIZE);
+      const last = page[page.length - 1];
+      next = { type, after: { updated_at: last.updated_at, id: last.id } };
+      break;
+    }
+
+    page = rows;
+    if (page.length === 0 && nextType) {
+      type = nextType;
+      after = null;
+      continue;
+    }
+    next = nextType ? { type: nextType, after: null } : null;
+    break;
+  }
+
+  if (page.length === 0 && state.cursor === 0) {
+    throw new OaiError('noRecordsMatch', 'No records match the request');
+  }
+
+  const records = await attachRecordRelations(type, page);
+  const items = records.map(record => (verb === 'ListRecords' ? buildRecord(type, record) : buildHeader(type, record)));
+
+  // The token is only included on incomplete lists and on the last page of a resumed list
+  let tokenElement = null;
+  if (next) {
+    const nextState = { ...state, ...next, cursor: state.cursor + page.length };
+    tokenElement = buildResumptionToken(encodeResumptionToken(nextState), { completeListSize: state.total, cursor: state.cursor });
+  } else if (args.resumptionToken) {
+    tokenElement = buildResumptionToken(null, { completeListSize: state.total, cursor: state.cursor });
+  }
+
+  return [...items, tokenElement];
+};
+
+const getRecord = async (args) => {
+  checkMetadataPrefix(args.metadataPrefix);
+  const { type, record } = await getRecordById(args.identifier);
+  return buildRecord(type, record);
+};
+
+// OAI-PMH 2.0 data provider (GET and POST)
+export const handleOaiRequest = async (req, res) => {
+  const args = req.method === 'POST' ? { ...req.body } : { ...req.query };
+  const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+  try {
+    const verb = validateOaiArguments(args);
+
+    let content;
+    switch (verb) {
+      case 'Identify':
+        content = await identify(baseUrl);
+        break;
+      case 'ListMetadataFormats':
+        content = await listMetadataFormats(args);
+        break;
+      case 'ListSets':
+        content = await listSets(args);
+        break;
+      case 'ListIdentifiers':
+      case 'ListRecords':
+        content = await listRecords(verb, args);
+        break;
+      case 'GetRecord':
+        content = await getRecord(args);
+        break;
+    }
+
+    res.setHeader('Content-Type', 'text/xml; charset=utf-8');
+    res.status(200).send(buildOaiResponse({ baseUrl, args, verb, content }));
+  } catch (error) {
+    if (error instanceof OaiError) {
+      // Protocol errors are reported in the OAI-PMH envelope with HTTP 200
+      res.setHeader('Content-Type', 'text/xml; charset=utf-8');
+      return res.status(200).send(buildOaiResponse({ baseUrl, args, error }));
+    }
+
+    console.error('OAI-PMH request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,204 @@
+import { buildArticlesQuery } from './author/article.controller.js';
+import { rankArticles, attachSearchHighlights } from './author/articleSearch.controller.js';
+import { attachArticleNotices } from './author/articleNotice.controller.js';
+import { buildBooksQuery, formatBookAuthors } from './author/book.controller.js';
+import { buildJournalsQuery } from './author/journal.controller.js';
+import { buildAuthorsQuery } from './author/author.controller.js';
+import { buildInstitutionsQuery } from './author/institution.controller.js';
+import { buildPostsQuery, formatPostTags } from './blog/post.controller.js';
+import { parseSearchQuery, scoreSearchMatch } from '../utils/fullTextSearch.js';
+
+// Maximum number of matches ranked per collection not ranked by the database;
+// later pages of a larger group keep the order they are read in
+const MAX_GROUP_CANDIDATES = 200;
+
+// Searchable collections: the filtered query of their list endpoint, the
+// column the candidates are read in (then by ID, so that the same matches are
+// ranked on every request), the weighted fields used for ranking and the
+// formatting of a page of results. Queries are returned as `{ query }` (or
+// null when nothing can match), with the parsed `search` when the database
+// ranks the matches.
+const SEARCH_GROUPS = {
+  articles: {
+    build: (filters, user) => buildArticlesQuery(filters, user),
+    order: ['publish_date', false],
+    rank: (rows, parsed) => rankArticles(rows, parsed),
+    format: async (rows, parsed) => attachSearchHighlights(await attachArticleNotices(rows), parsed)
+  },
+  books: {
+    build: async (filters) => ({ query: buildBooksQuery(filters) }),
+    order: ['title', true],
+    fields: book => book,
+    weights: { title: 4, isbn: 3, publisher: 1 },
+    format: async (rows) => rows.map(formatBookAuthors)
+  },
+  journals: {
+    build: async (filters) => ({ query: buildJournalsQuery(filters) }),
+    order: ['name', true],
+    fields: journal => journal,
+    weights: { name: 4, issn: 3, e_issn: 3 }
+  },
+  authors: {
+    build: async (filters) => ({ query: buildAuthorsQuery(filters) }),
+    order: ['last_name', true],
+    fields: author => ({ name: `${author.first_name || ''} ${author.last_name || ''}`, email: author.email }),
+    weights: { name: 4, email: 1 }
+  },
+  institutions: {
+    build: async (filters) => ({ query: buildInstitutionsQuery(filters) }),
+    order: ['name', true],
+    fields: institution => institution,
+    weights: { name: 4, city: 1 }
+  },
+  posts: {
+    // Only admins choose the status and visibility: other users search the
+    // published posts that are public or their own
+    build: (filters, user) => buildPostsQuery(
+      user && user.role === 'admin' ? filters : { ...filters, status: 'published', visibility: 'all' },
+      user
+    ),
+    order: ['created_at', false],
+    fields: post => post,
+    weights: { title: 4, content: 1 },
+    format: async (rows) => rows.map(formatPostTags)
+  }
+};
+
+// Search one collection and return a ranked page of its matches. Articles
+// are ranked by the database; the other collections rank their first matches.
+const searchGroup = async (type, filters, user, parsed, page, limit) => {
+  const group = SEARCH_GROUPS[type];
+  const offset = (page - 1) * limit;
+  const built = await group.build(filters, user);
+
+  let results = [];
+  let total = 0;
+  let topRank = 0;
+  if (built && built.search) {
+    const { data, error, count } = await built.query.range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Error searching ${type}: ${error.message}`);
+    }
+
+    total = count || 0;
+    results = group.rank(data, parsed);
+    topRank = Math.max(0, ...results.map(row => row.search_rank));
+  } else if (built) {
+    const [column, ascending] = group.order;
+    const { data, error, count } = await built.query
+      .order(column, { ascending })
+      .order('id', { ascending: true })
+      .limit(MAX_GROUP_CANDIDATES);
+
+    if (error) {
+      throw new Error(`Error searching ${type}: ${error.message}`);
+    }
+
+    total = count || 0;
+    const rows = (group.rank
+      ? group.rank(data, parsed)
+      : data.map(row => ({ ...row, search_rank: scoreSearchMatch(group.fields(row), parsed, group.weights) })))
+      .sort((a, b) => b.search_rank - a.search_rank);
+
+    results = rows.slice(offset, offset + limit);
+    topRank = rows.length > 0 ? rows[0].search_rank : 0;
+  }
+
+  return {
+    type,
+    // Relevance of the best match, used to order the groups
+    top_rank: topRank,
+    results: group.format ? await group.format(results, parsed) : results,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+const emptyGroup = (type, page, limit, error) => ({
+  type,
+  top_rank: 0,
+  results: [],
+  error,
+  pagination: {
+    total: 0,
+    page,
+    limit,
+    pages: 0
+  }
+});
+
+// Controller to search articles, books, journals, authors, institutions and
+// blog posts at once. `types` restricts the collections searched, and `page`
+// applies to each group ("see more" is a request for one type and the next
+// page). Other query parameters are the filters of the list endpoints.
+export const search = async (req, res) => {
+  try {
+    const { q, types } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 50);
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Search query (q) is required'
+      });
+    }
+
+    // `types` may be repeated in the query string (?types=a&types=b)
+    const requested = types
+      ? [].concat(types).join(',').split(',').map(type => type.trim()).filter(Boolean)
+      : Object.keys(SEARCH_GROUPS);
+    const unknown = requested.filter(type => !SEARCH_GROUPS[type]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Unknown search types: ${unknown.join(', ')}. Supported types: ${Object.keys(SEARCH_GROUPS).join(', ')}`
+      });
+    }
+
+    const filters = { ...req.query, search: q.trim() };
+    const parsed = parseSearchQuery(filters.search);
+
+    // A collection that cannot be searched is returned empty with its error
+    // instead of failing the whole search
+    const groups = await Promise.all(
+      [...new Set(requested)].map(type => searchGroup(type, filters, req.user, parsed, page, limit)
+        .catch(error => {
+          console.error(`Global search error (${type}):`, error);
+          return emptyGroup(type, page, limit, error.message);
+        }))
+    );
+
+    // Best matches first, then the largest groups
+    groups.sort((a, b) => b.top_rank - a.top_rank || b.pagination.total - a.pagination.total);
+
+    const counts = {};
+    groups.forEach(group => {
+      counts[group.type] = group.pagination.total;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        query: filters.search,
+        total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+        counts,
+        groups: groups.map(({ top_rank, ...group }) => group)
+      }
+    });
+  } catch (error) {
+    console.error('Global search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
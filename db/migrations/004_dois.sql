@@ -0,0 +1,12 @@
+-- DOIs of articles and books. The application stores them normalized
+-- (see normalizeDoi: no resolver prefix, lowercase), so the unique indexes on
+-- the plain column both reject duplicates and serve the DOI lookups.
+
+alter table articles add column if not exists doi text;
+alter table books add column if not exists doi text;
+
+drop index if exists articles_doi_idx;
+drop index if exists books_doi_idx;
+
+create unique index if not exists articles_doi_key on articles (doi);
+create unique index if not exists books_doi_key on books (doi);
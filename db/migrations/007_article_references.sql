@@ -0,0 +1,24 @@
+-- Reference lists of articles. A reference resolved to an article of the
+-- catalog links to it through cited_article_id, which forms the citation graph.
+
+create table if not exists article_references (
+  id bigint generated by default as identity primary key,
+  article_id bigint not null references articles (id) on delete cascade,
+  position integer not null,
+  raw_text text not null,
+  authors jsonb not null default '[]',
+  title text,
+  container text,
+  year integer,
+  volume text,
+  issue text,
+  pages text,
+  doi text,
+  cited_article_id bigint references articles (id) on delete set null,
+  match_method text,
+  source text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists article_references_article_idx on article_references (article_id, position);
+create index if not exists article_references_cited_idx on article_references (cited_article_id);
@@ -0,0 +1,12 @@
+-- Bibliometric metrics cached on authors, recomputed when metrics_stale is set
+-- (see refreshAuthorMetrics)
+
+alter table authors add column if not exists publication_count integer not null default 0;
+alter table authors add column if not exists total_citations integer not null default 0;
+alter table authors add column if not exists h_index integer not null default 0;
+alter table authors add column if not exists i10_index integer not null default 0;
+alter table authors add column if not exists coauthor_count integer not null default 0;
+alter table authors add column if not exists journal_count integer not null default 0;
+alter table authors add column if not exists publications_by_year jsonb not null default '[]';
+alter table authors add column if not exists metrics_updated_at timestamptz;
+alter table authors add column if not exists metrics_stale boolean not null default true;
@@ -0,0 +1,22 @@
+-- Electronic ISSN of journals, and unique indexes behind the rejection of
+-- journals and authors registered twice under the same ISSN or ORCID.
+--
+-- Older rows may store identifiers with any hyphenation or prefix, so the
+-- indexes are built on the compact form: the digits and the "X" check
+-- character. Journals or authors that already share an identifier must be
+-- merged before this migration can run. A print ISSN reused as the electronic
+-- ISSN of another journal is only rejected by the application.
+
+alter table journals add column if not exists e_issn text;
+
+create or replace function compact_identifier(value text)
+returns text
+language sql
+immutable
+as $$
+  select nullif(upper(regexp_replace(value, '[^0-9Xx]', '', 'g')), '')
+$$;
+
+create unique index if not exists journals_issn_key on journals (compact_identifier(issn));
+create unique index if not exists journals_e_issn_key on journals (compact_identifier(e_issn));
+create unique index if not exists authors_orcid_key on authors (compact_identifier(orcid_id));
@@ -0,0 +1,35 @@
+-- Author merges, kept with enough of the merged authors and their links to be
+-- undone, and the names of merged authors kept as aliases of the target.
+-- An author may be linked to the user account of the person; a merge carries
+-- the link over to the target.
+
+alter table authors add column if not exists user_id bigint references users (id) on delete set null;
+
+create table if not exists author_merges (
+  id bigint generated by default as identity primary key,
+  target_author_id bigint not null references authors (id) on delete cascade,
+  source_author_ids bigint[] not null,
+  source_authors jsonb not null,
+  article_links jsonb not null default '[]',
+  book_links jsonb not null default '[]',
+  moved_article_ids bigint[] not null default '{}',
+  moved_book_ids bigint[] not null default '{}',
+  moved_aliases jsonb not null default '[]',
+  moved_affiliations jsonb not null default '[]',
+  target_before jsonb,
+  merged_by bigint references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  undone_at timestamptz,
+  undone_by bigint references users (id) on delete set null
+);
+
+create table if not exists author_aliases (
+  id bigint generated by default as identity primary key,
+  author_id bigint not null references authors (id) on delete cascade,
+  first_name text,
+  last_name text,
+  merge_id bigint references author_merges (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists author_aliases_author_idx on author_aliases (author_id);
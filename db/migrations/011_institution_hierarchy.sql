@@ -0,0 +1,6 @@
+-- Institution hierarchy (university → faculty → department): each institution
+-- may belong to a parent institution.
+
+alter table institutions add column if not exists parent_id bigint references institutions (id) on delete set null;
+
+create index if not exists institutions_parent_idx on institutions (parent_id);
@@ -0,0 +1,31 @@
+-- Time-bounded author affiliations, several of which may be current at once,
+-- and the affiliations recorded on the article links of an author when the
+-- article is published.
+
+create table if not exists author_affiliations (
+  id bigint generated by default as identity primary key,
+  author_id bigint not null references authors (id) on delete cascade,
+  institution_id bigint not null references institutions (id) on delete cascade,
+  start_date date,
+  end_date date,
+  is_primary boolean not null default false,
+  role text,
+  updated_by bigint references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists author_affiliations_author_idx on author_affiliations (author_id);
+create index if not exists author_affiliations_institution_idx on author_affiliations (institution_id);
+
+create table if not exists article_author_affiliations (
+  id bigint generated by default as identity primary key,
+  article_id bigint not null references articles (id) on delete cascade,
+  author_id bigint not null references authors (id) on delete cascade,
+  institution_id bigint not null references institutions (id) on delete cascade,
+  affiliation_id bigint references author_affiliations (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists article_author_affiliations_article_idx on article_author_affiliations (article_id);
+create index if not exists article_author_affiliations_author_idx on article_author_affiliations (author_id);
@@ -0,0 +1,7 @@
+-- Byline position, corresponding author, equal contribution and CRediT
+-- contributor roles of the authors of an article.
+
+alter table article_authors add column if not exists position integer;
+alter table article_authors add column if not exists is_corresponding boolean not null default false;
+alter table article_authors add column if not exists equal_contribution boolean not null default false;
+alter table article_authors add column if not exists contributor_roles text[] not null default '{}';
@@ -0,0 +1,41 @@
+-- Journal volumes and issues, and the place of articles in an issue: pages or
+-- article number, and position in the table of contents.
+
+create table if not exists journal_volumes (
+  id bigint generated by default as identity primary key,
+  journal_id bigint not null references journals (id) on delete cascade,
+  volume_number text not null,
+  year integer,
+  title text,
+  updated_by bigint references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists journal_volumes_journal_idx on journal_volumes (journal_id);
+
+create table if not exists journal_issues (
+  id bigint generated by default as identity primary key,
+  journal_id bigint not null references journals (id) on delete cascade,
+  volume_id bigint references journal_volumes (id) on delete set null,
+  issue_number text,
+  year integer,
+  publication_date date,
+  status text not null default 'planned' check (status in ('planned', 'in_progress', 'published')),
+  title text,
+  cover_image text,
+  updated_by bigint references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists journal_issues_journal_idx on journal_issues (journal_id);
+create index if not exists journal_issues_volume_idx on journal_issues (volume_id);
+
+alter table article_journals add column if not exists issue_id bigint references journal_issues (id) on delete set null;
+alter table article_journals add column if not exists first_page text;
+alter table article_journals add column if not exists last_page text;
+alter table article_journals add column if not exists article_number text;
+alter table article_journals add column if not exists toc_order integer;
+
+create index if not exists article_journals_issue_idx on article_journals (issue_id);
@@ -0,0 +1,79 @@
+-- Manuscript submissions to journals, their review rounds, reviews, editorial
+-- decisions and timeline.
+
+create table if not exists submissions (
+  id bigint generated by default as identity primary key,
+  article_id bigint not null references articles (id) on delete cascade,
+  journal_id bigint not null references journals (id) on delete cascade,
+  title text,
+  cover_letter text,
+  status text not null default 'submitted'
+    check (status in ('submitted', 'under_review', 'minor_revision', 'major_revision', 'accepted', 'rejected')),
+  current_round integer not null default 1,
+  submitted_by bigint references users (id) on delete set null,
+  editor_id bigint references users (id) on delete set null,
+  decided_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists submissions_article_idx on submissions (article_id);
+create index if not exists submissions_journal_idx on submissions (journal_id);
+create index if not exists submissions_submitted_by_idx on submissions (submitted_by);
+
+create table if not exists submission_reviews (
+  id bigint generated by default as identity primary key,
+  submission_id bigint not null references submissions (id) on delete cascade,
+  round integer not null,
+  reviewer_id bigint not null references users (id) on delete cascade,
+  status text not null default 'invited'
+    check (status in ('invited', 'accepted', 'declined', 'submitted', 'cancelled')),
+  due_date date,
+  recommendation text,
+  comments_to_author text,
+  comments_to_editor text,
+  assigned_by bigint references users (id) on delete set null,
+  responded_at timestamptz,
+  submitted_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists submission_reviews_submission_idx on submission_reviews (submission_id, round);
+create index if not exists submission_reviews_reviewer_idx on submission_reviews (reviewer_id);
+
+create table if not exists submission_decisions (
+  id bigint generated by default as identity primary key,
+  submission_id bigint not null references submissions (id) on delete cascade,
+  round integer not null,
+  decision text not null,
+  comments text,
+  decided_by bigint references users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists submission_decisions_submission_idx on submission_decisions (submission_id);
+
+create table if not exists submission_events (
+  id bigint generated by default as identity primary key,
+  submission_id bigint not null references submissions (id) on delete cascade,
+  event_type text not null,
+  round integer,
+  actor_id bigint references users (id) on delete set null,
+  details jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists submission_events_submission_idx on submission_events (submission_id, created_at);
+
+-- Editors of each journal, assigned by admins. They handle the submissions to
+-- the journal, except their own.
+
+create table if not exists journal_editors (
+  journal_id bigint not null references journals (id) on delete cascade,
+  user_id bigint not null references users (id) on delete cascade,
+  assigned_by bigint references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  primary key (journal_id, user_id)
+);
+
+create index if not exists journal_editors_user_idx on journal_editors (user_id);
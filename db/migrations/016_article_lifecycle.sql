@@ -0,0 +1,32 @@
+-- Article lifecycle. Articles created before the lifecycle existed were
+-- public, so they are published; new articles start as drafts.
+
+alter table articles add column if not exists status text;
+alter table articles add column if not exists status_updated_at timestamptz;
+
+update articles set status = 'published' where status is null;
+
+alter table articles alter column status set default 'draft';
+alter table articles alter column status set not null;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'articles_status_check') then
+    alter table articles add constraint articles_status_check
+      check (status in ('draft', 'submitted', 'under_review', 'accepted', 'published', 'retracted'));
+  end if;
+end $$;
+
+create index if not exists articles_status_idx on articles (status);
+
+create table if not exists article_status_history (
+  id bigint generated by default as identity primary key,
+  article_id bigint not null references articles (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  actor_id bigint references users (id) on delete set null,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists article_status_history_article_idx on article_status_history (article_id, created_at);
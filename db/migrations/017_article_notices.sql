@@ -0,0 +1,18 @@
+-- Notices published against articles: corrections, errata, expressions of
+-- concern and retractions.
+
+create table if not exists article_notices (
+  id bigint generated by default as identity primary key,
+  article_id bigint not null references articles (id) on delete cascade,
+  notice_type text not null,
+  notice_date date not null default current_date,
+  title text not null,
+  content text,
+  doi text,
+  file_id bigint references files (id) on delete set null,
+  created_by bigint references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists article_notices_article_idx on article_notices (article_id);
@@ -0,0 +1,23 @@
+-- Requests of users to become authors, reviewed by admins. An approved request
+-- links the user to a new or existing author (authors.user_id).
+
+create table if not exists author_requests (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id) on delete cascade,
+  first_name text not null,
+  last_name text not null,
+  academic_title text,
+  institution_id bigint references institutions (id) on delete set null,
+  orcid_id text,
+  reason_for_request text,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+  author_id bigint references authors (id) on delete set null,
+  rejection_reason text,
+  reviewed_by bigint references users (id) on delete set null,
+  reviewed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists author_requests_user_idx on author_requests (user_id);
+create index if not exists author_requests_status_idx on author_requests (status, created_at);
@@ -0,0 +1,20 @@
+-- Version history of the documents of articles, books and journals, with the
+-- text extracted from each version for diffs.
+
+create table if not exists file_versions (
+  id bigint generated by default as identity primary key,
+  file_id bigint references files (id) on delete set null,
+  content_type text not null,
+  content_id bigint not null,
+  version text,
+  file_name text,
+  file_path text,
+  file_size bigint,
+  mime_type text,
+  extracted_text text,
+  text_complete boolean not null default false,
+  uploaded_by bigint references users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists file_versions_content_idx on file_versions (content_type, content_id, created_at);
@@ -0,0 +1,70 @@
+-- Ranked full-text search of articles. The search index keeps, for each
+-- article, the extracted document text (body, for highlights), its term
+-- vector (terms, for related articles) and the normalized (lowercase,
+-- diacritic-free) title, keywords, abstract and document text. search_vector
+-- weighs them from A (title) to D (document text) with the 'simple'
+-- configuration, which does no stemming and so suits Vietnamese syllables as
+-- well as mixed-language text.
+--
+-- Rebuild the index after applying (POST /api/articles/admin/search-index) to
+-- fill the search columns of existing entries.
+
+create table if not exists article_search_index (
+  article_id bigint primary key references articles (id) on delete cascade,
+  body text,
+  terms jsonb not null default '{}',
+  updated_at timestamptz not null default now()
+);
+
+alter table article_search_index add column if not exists search_title text not null default '';
+alter table article_search_index add column if not exists search_keywords text not null default '';
+alter table article_search_index add column if not exists search_abstract text not null default '';
+alter table article_search_index add column if not exists search_body text not null default '';
+alter table article_search_index drop column if exists document;
+
+alter table article_search_index add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('simple', search_title), 'A') ||
+    setweight(to_tsvector('simple', search_keywords), 'B') ||
+    setweight(to_tsvector('simple', search_abstract), 'C') ||
+    setweight(to_tsvector('simple', search_body), 'D')
+  ) stored;
+
+create index if not exists article_search_index_vector_idx on article_search_index using gin (search_vector);
+
+-- Articles matching a web search style query (see websearch_to_tsquery), most
+-- relevant first, then newest first. Called through PostgREST, which applies
+-- the visibility and list filters, the range and any other order on top.
+create or replace function search_articles(search_query text)
+returns setof articles
+language sql
+stable
+as $$
+  select articles.*
+  from articles
+  join article_search_index on article_search_index.article_id = articles.id
+  cross join websearch_to_tsquery('simple', search_query) as query
+  where article_search_index.search_vector @@ query
+  order by ts_rank(article_search_index.search_vector, query) desc,
+    articles.publish_date desc nulls last,
+    articles.id desc
+$$;
+
+-- Rebuilds of the whole search index (see reindexArticles). A running job is
+-- advanced batch by batch from last_article_id, by the request that starts it
+-- and then by the scheduled /api/cron/search-index route, so it does not
+-- depend on a request staying alive.
+create table if not exists article_reindex_jobs (
+  id bigint generated by default as identity primary key,
+  status text not null default 'running' check (status in ('running', 'completed', 'failed')),
+  last_article_id bigint not null default 0,
+  indexed integer not null default 0,
+  error text,
+  started_by bigint references users (id) on delete set null,
+  started_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+-- One running rebuild at a time
+create unique index if not exists article_reindex_jobs_running_key on article_reindex_jobs (status) where status = 'running';
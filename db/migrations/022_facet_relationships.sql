@@ -0,0 +1,85 @@
+-- Computed relationships used by the facet counts and facet filters of the
+-- article and book lists (see controllers/author/facet.controller.js).
+-- PostgREST embeds a function taking a table row as a relationship, so
+-- `facet_files!inner()` with a filter on `facet_files.file_type` keeps only the
+-- records with a matching file. Each function is defined for articles and for
+-- books under the same name.
+
+-- Authors of an article or a book
+create or replace function facet_authors(articles)
+returns setof authors
+language sql
+stable
+as $$
+  select authors.*
+  from authors
+  join article_authors on article_authors.author_id = authors.id
+  where article_authors.article_id = $1.id
+$$;
+
+create or replace function facet_authors(books)
+returns setof authors
+language sql
+stable
+as $$
+  select authors.*
+  from authors
+  join author_books on author_books.author_id = authors.id
+  where author_books.book_id = $1.id
+$$;
+
+-- Current institutions of the authors of an article or a book
+create or replace function facet_institutions(articles)
+returns setof institutions
+language sql
+stable
+as $$
+  select institutions.*
+  from institutions
+  where institutions.id in (
+    select authors.institution_id
+    from authors
+    join article_authors on article_authors.author_id = authors.id
+    where article_authors.article_id = $1.id
+  )
+$$;
+
+create or replace function facet_institutions(books)
+returns setof institutions
+language sql
+stable
+as $$
+  select institutions.*
+  from institutions
+  where institutions.id in (
+    select authors.institution_id
+    from authors
+    join author_books on author_books.author_id = authors.id
+    where author_books.book_id = $1.id
+  )
+$$;
+
+-- Documents attached to an article or a book
+create or replace function facet_files(articles)
+returns setof files
+language sql
+stable
+as $$
+  select files.*
+  from files
+  where files.content_type = 'article' and files.content_id = $1.id
+$$;
+
+create or replace function facet_files(books)
+returns setof files
+language sql
+stable
+as $$
+  select files.*
+  from files
+  where files.content_type = 'book' and files.content_id = $1.id
+$$;
+
+create index if not exists files_content_idx on files (content_type, content_id);
+create index if not exists article_authors_article_idx on article_authors (article_id);
+create index if not exists author_books_book_idx on author_books (book_id);
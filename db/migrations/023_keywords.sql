@@ -0,0 +1,51 @@
+-- Controlled keyword vocabulary: canonical terms with synonyms and an optional
+-- translation. A term or synonym belongs to one entry only; the unique indexes
+-- on their lookup forms (see normalizeKeyword) reject the duplicates of
+-- concurrent requests that the application checks could not see.
+
+create table if not exists keywords (
+  id bigint generated by default as identity primary key,
+  term text not null,
+  normalized_term text not null,
+  language text,
+  translation_id bigint references keywords (id) on delete set null,
+  created_by bigint references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+drop index if exists keywords_normalized_term_idx;
+create unique index if not exists keywords_normalized_term_key on keywords (normalized_term);
+
+create table if not exists keyword_synonyms (
+  id bigint generated by default as identity primary key,
+  keyword_id bigint not null references keywords (id) on delete cascade,
+  synonym text not null,
+  normalized_synonym text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists keyword_synonyms_keyword_idx on keyword_synonyms (keyword_id);
+drop index if exists keyword_synonyms_normalized_idx;
+create unique index if not exists keyword_synonyms_normalized_key on keyword_synonyms (normalized_synonym);
+
+-- Articles tagged with a keyword (usage counts and rewrites after a merge)
+create index if not exists articles_keywords_idx on articles using gin (keywords);
+
+-- Number of articles tagged with each of the given terms, in one query. Only
+-- articles with one of the visible statuses, or owned by owner_id, are counted;
+-- null visible_statuses counts every article (admins, see applyArticleVisibility).
+create or replace function keyword_usage_counts(search_terms text[], visible_statuses text[], owner_id bigint)
+returns table (term text, usage_count bigint)
+language sql
+stable
+as $$
+  select search_term, count(articles.id)
+  from unnest(search_terms) as search_term
+  left join articles
+    on articles.keywords @> array[search_term]
+    and (visible_statuses is null
+      or articles.status = any(visible_statuses)
+      or articles.updated_by = owner_id)
+  group by search_term
+$$;
@@ -0,0 +1,95 @@
+-- Related articles. Pairs of similar articles are stored in both directions in
+-- article_similarities. Changed articles are queued and recomputed by the
+-- scheduled /api/cron/similarity-queue route against candidate articles found
+-- in the search index (see controllers/author/articleSimilarity.controller.js)
+-- instead of against the whole corpus.
+
+create table if not exists article_similarities (
+  article_id bigint not null references articles (id) on delete cascade,
+  related_article_id bigint not null references articles (id) on delete cascade,
+  score real not null,
+  details jsonb not null default '{}',
+  updated_at timestamptz not null default now(),
+  primary key (article_id, related_article_id)
+);
+
+create index if not exists article_similarities_related_idx on article_similarities (related_article_id);
+
+-- Articles waiting to have their similarities recomputed
+create table if not exists article_similarity_queue (
+  article_id bigint primary key references articles (id) on delete cascade,
+  queued_at timestamptz not null default now()
+);
+
+create index if not exists article_similarity_queue_queued_idx on article_similarity_queue (queued_at);
+
+-- Number of indexed articles whose term vector contains each term, kept up to
+-- date by a trigger on article_search_index, for the TF-IDF weights
+create table if not exists article_term_frequencies (
+  term text primary key,
+  document_count integer not null default 0
+);
+
+create or replace function update_article_term_frequencies()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') then
+    update article_term_frequencies
+    set document_count = document_count - 1
+    where term in (select jsonb_object_keys(old.terms));
+  end if;
+
+  if tg_op in ('INSERT', 'UPDATE') then
+    insert into article_term_frequencies (term, document_count)
+    select term, 1 from jsonb_object_keys(new.terms) as term
+    on conflict (term) do update
+    set document_count = article_term_frequencies.document_count + 1;
+  end if;
+
+  return null;
+end
+$$;
+
+drop trigger if exists article_search_index_term_frequencies on article_search_index;
+create trigger article_search_index_term_frequencies
+  after insert or update of terms or delete on article_search_index
+  for each row execute function update_article_term_frequencies();
+
+-- Counts of the articles indexed before the trigger existed
+delete from article_term_frequencies;
+insert into article_term_frequencies (term, document_count)
+select term, count(*)
+from article_search_index, jsonb_object_keys(terms) as term
+group by term;
+
+-- Document frequencies of the given terms, as one { term: count } object
+create or replace function term_document_frequencies(search_terms text[])
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(jsonb_object_agg(term, document_count), '{}'::jsonb)
+  from article_term_frequencies
+  where term = any(search_terms) and document_count > 0
+$$;
+
+-- Articles whose indexed text contains any of the given terms, those matching
+-- the most of them first
+create or replace function rank_articles_by_terms(search_terms text[], max_results integer)
+returns table (article_id bigint, rank real)
+language sql
+stable
+as $$
+  with query as (
+    select to_tsquery('simple', string_agg(quote_literal(term), ' | ')) as terms
+    from unnest(search_terms) as term
+    where term ~ '^[a-z0-9]+$'
+  )
+  select article_search_index.article_id, ts_rank(article_search_index.search_vector, query.terms) as rank
+  from article_search_index, query
+  where article_search_index.search_vector @@ query.terms
+  order by rank desc, article_search_index.article_id desc
+  limit max_results
+$$;
@@ -0,0 +1,6 @@
+-- Page count, document metadata (title, author, creation date, producer) and
+-- text layer of uploaded PDF documents; has_text_layer is false for scanned PDFs.
+
+alter table files add column if not exists page_count integer;
+alter table files add column if not exists document_metadata jsonb;
+alter table files add column if not exists has_text_layer boolean;
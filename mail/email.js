@@ -2,8 +2,10 @@ import { mailtrapClient, sender } from "./mailtrap.config.js";
 import { 
     VERIFICATION_EMAIL_TEMPLATE, 
     PASSWORD_RESET_REQUEST_TEMPLATE,
+    ADMIN_AUTHOR_REQUEST_NOTIFICATION_TEMPLATE,
     APPROVE_AUTHOR_TEMPLATE, 
-    REJECT_AUTHOR_TEMPLATE
+    REJECT_AUTHOR_TEMPLATE,
+    SUBMISSION_NOTIFICATION_TEMPLATE
 } from "./emailTemplates.js";
 
 // gửi email xác thực tài khoản
@@ -126,4 +128,34 @@ export const sendAuthorRejectionEmail = async (email, firstName, rejectionReason
         console.error("Error sending author rejection email:", error);
         throw new Error(`Error sending author rejection email: ${error}`);
     }
-};
\ No newline at end of file
+};
+
+// gửi email thông báo các bước của quy trình phản biện bản thảo
+export const sendSubmissionNotification = async (email, { recipientName, subject, heading, message, title, submissionURL }) => {
+    try {
+        if (!email) {
+            console.warn("No recipient email provided for submission notification");
+            return;
+        }
+
+        const htmlContent = SUBMISSION_NOTIFICATION_TEMPLATE
+            .replace("{heading}", heading)
+            .replace("{recipientName}", recipientName || email)
+            .replace("{message}", message)
+            .replace("{title}", title)
+            .replace("{submissionURL}", submissionURL);
+
+        const response = await mailtrapClient.send({
+            from: sender,
+            to: [{ email }],
+            subject,
+            html: htmlContent,
+            category: "Submission Notification",
+        });
+
+        console.log("Submission notification email sent successfully:", response);
+    } catch (error) {
+        console.error("Error sending submission notification email:", error);
+        // Không throw error ở đây để không ảnh hưởng đến quy trình phản biện
+    }
+};
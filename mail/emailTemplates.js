@@ -172,4 +172,34 @@ export const REJECT_AUTHOR_TEMPLATE = `
   </div>
 </body>
 </html>
-`;
\ No newline at end of file
+`;
+export const SUBMISSION_NOTIFICATION_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Manuscript Update</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: linear-gradient(to right, #2c3e50, #34495e); padding: 20px; text-align: center;">
+    <h1 style="color: white; margin: 0;">{heading}</h1>
+  </div>
+  <div style="background-color: #f9f9f9; padding: 20px; border-radius: 0 0 5px 5px; box-shadow: 0 2px 5px rgba(0,0,0,0.1);">
+    <p>Hello {recipientName},</p>
+    <p>{message}</p>
+    <div style="background-color: #f8f8f8; border-left: 4px solid #2c3e50; padding: 15px; margin: 20px 0;">
+      <p style="margin: 0;"><strong>Manuscript:</strong></p>
+      <p style="margin: 10px 0 0 0;">{title}</p>
+    </div>
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="{submissionURL}" style="background-color: #2c3e50; color: white; padding: 12px 20px; text-decoration: none; border-radius: 5px; font-weight: bold;">View Submission</a>
+    </div>
+    <p>Best regards,<br>The Editorial Team</p>
+  </div>
+  <div style="text-align: center; margin-top: 20px; color: #888; font-size: 0.8em;">
+    <p>This is an automated message, please do not reply to this email.</p>
+  </div>
+</body>
+</html>
+`;
@@ -36,6 +36,19 @@ export const deleteFromCloudinary = async (publicId) => {
   }
 };
 
+// Download a previously uploaded file into memory
+export const downloadFromCloudinary = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  } catch (error) {
+    throw new Error(`Error downloading file from Cloudinary: ${error.message}`);
+  }
+};
+
 // Extract public ID from Cloudinary URL
 export const extractPublicIdFromUrl = (url) => {
   if (!url || !url.includes('cloudinary')) {
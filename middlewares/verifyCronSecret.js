@@ -0,0 +1,15 @@
+// Middleware xác thực các request của tác vụ định kỳ (Vercel Cron gửi
+// header Authorization: Bearer <CRON_SECRET>)
+export const verifyCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'Invalid cron secret'
+    });
+  }
+
+  next();
+};
@@ -81,6 +81,46 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
+// Middleware xác thực tùy chọn cho các route công khai: gán req.user nếu token
+// hợp lệ, nếu không thì tiếp tục như người dùng ẩn danh
+export const optionalVerifyToken = async (req, res, next) => {
+  try {
+    let token;
+
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      token = authHeader.split(' ')[1];
+    }
+
+    if (!token && req.cookies && req.cookies.auth_token) {
+      token = req.cookies.auth_token;
+    }
+
+    if (!token) {
+      return next();
+    }
+
+    // jwt.verify cũng từ chối token đã hết hạn
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('id, username, email, role, status, avatar_url')
+      .eq('id', decoded.userId)
+      .single();
+
+    if (!userError && userData) {
+      req.user = userData;
+      req.token = token;
+    }
+
+    next();
+  } catch (error) {
+    // Token không hợp lệ: xử lý như người dùng ẩn danh
+    next();
+  }
+};
+
 // Middleware làm mới token nếu sắp hết hạn
 export const refreshToken = async (req, res, next) => {
   try {
@@ -1,4 +1,5 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import { 
   getArticles,
   getArticleById,
@@ -14,36 +15,102 @@ import {
   getArticleStats,
   searchArticlesByKeywords,
   getArticlesByAuthor,
-  upload
+  exportArticleCitation,
+  exportArticleCitations,
+  getArticleFormattedCitations,
+  getArticleByDoi,
+  exportArticleCrossref,
+  exportArticleJats,
+  importArticles,
+  upload,
+  importUpload
 } from '../../controllers/author/article.controller.js';
-import { verifyToken } from '../../middlewares/verifyToken.js';
+import {
+  getArticleReferences,
+  updateArticleReferences,
+  getArticleCitedBy
+} from '../../controllers/author/reference.controller.js';
+import {
+  updateArticleStatus,
+  getArticleStatusHistory
+} from '../../controllers/author/articleStatus.controller.js';
+import {
+  getArticleNotices,
+  createArticleNotice,
+  updateArticleNotice,
+  deleteArticleNotice,
+  exportNoticeCrossref
+} from '../../controllers/author/articleNotice.controller.js';
+import { reindexArticles, getReindexStatus } from '../../controllers/author/articleSearch.controller.js';
+import { getMoreLikeThis } from '../../controllers/author/articleSimilarity.controller.js';
+import { verifyToken, optionalVerifyToken } from '../../middlewares/verifyToken.js';
 import { checkRole } from '../../middlewares/isAdmin.js';
 
 const router = express.Router();
 
+// "More like this" scores a free text against the indexed articles, which
+// costs far more than a list request
+const moreLikeThisLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 10, // 10 requests per signed-in user per minute
+  keyGenerator: (req) => String(req.user.id),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // ===== Article CRUD Routes =====
-router.get('/', getArticles);
-router.get('/:id', getArticleById);
+router.get('/', optionalVerifyToken, getArticles);
+router.get('/doi/:doi(*)', optionalVerifyToken, getArticleByDoi);
+router.get('/:id', optionalVerifyToken, getArticleById);
 router.post('/', verifyToken, createArticle);
 router.put('/:id', verifyToken, updateArticle);
 router.delete('/:id', verifyToken, deleteArticle);
 
+// ===== Article Lifecycle Routes =====
+router.put('/:id/status', verifyToken, updateArticleStatus);
+router.get('/:id/status-history', optionalVerifyToken, getArticleStatusHistory);
+
+// ===== Article Notice Routes (corrections, errata, expressions of concern, retractions) =====
+router.get('/:id/notices', optionalVerifyToken, getArticleNotices);
+router.post('/:id/notices', verifyToken, upload.single('document'), createArticleNotice);
+router.put('/:id/notices/:noticeId', verifyToken, upload.single('document'), updateArticleNotice);
+router.delete('/:id/notices/:noticeId', verifyToken, deleteArticleNotice);
+router.get('/:id/notices/:noticeId/crossref', verifyToken, checkRole(['admin', 'author']), exportNoticeCrossref);
+
 // ===== Article Document Routes =====
 router.post('/document', verifyToken, upload.single('document'), uploadArticleDocument);
 router.post('/with-document', verifyToken, upload.single('document'), createArticleWithDocument);
-router.get('/:articleId/documents', getArticleDocuments);
+router.get('/:articleId/documents', optionalVerifyToken, getArticleDocuments);
 router.patch('/document/:fileId', verifyToken, updateDocumentMetadata);
 router.delete('/document/:fileId', verifyToken, deleteDocument);
 router.get('/document/:fileId/download', verifyToken, downloadDocument);
 
 // ===== Article Search and Filtering Routes =====
-router.get('/search/keywords', searchArticlesByKeywords);
-router.get('/author/:authorId', getArticlesByAuthor);
+router.get('/search/keywords', optionalVerifyToken, searchArticlesByKeywords);
+router.get('/author/:authorId', optionalVerifyToken, getArticlesByAuthor);
+router.post('/more-like-this', verifyToken, moreLikeThisLimiter, getMoreLikeThis);
+
+// ===== Article Citation Export Routes =====
+router.get('/export/citations', optionalVerifyToken, exportArticleCitations);
+router.get('/:id/citation', optionalVerifyToken, exportArticleCitation);
+router.get('/:id/cite', optionalVerifyToken, getArticleFormattedCitations);
+router.get('/:id/crossref', verifyToken, checkRole(['admin', 'author']), exportArticleCrossref);
+router.get('/:id/jats', verifyToken, exportArticleJats);
+
+// ===== Article Reference Routes =====
+router.get('/:id/references', optionalVerifyToken, getArticleReferences);
+router.put('/:id/references', verifyToken, updateArticleReferences);
+router.get('/:id/cited-by', optionalVerifyToken, getArticleCitedBy);
+
+// ===== Article Citation Import Routes =====
+router.post('/import', verifyToken, checkRole(['admin', 'author']), importUpload.single('file'), importArticles);
 
 // ===== Article Statistics =====
 router.get('/stats/overview', verifyToken, getArticleStats);
 
 // ===== Admin Routes =====
 router.get('/admin/all', verifyToken, checkRole('admin'), getArticles);
+router.get('/admin/search-index', verifyToken, checkRole('admin'), getReindexStatus);
+router.post('/admin/search-index', verifyToken, checkRole('admin'), reindexArticles);
 
 export default router;
\ No newline at end of file
@@ -12,14 +12,26 @@ import {
   associateArticle,
   disassociateArticle
 } from '../../controllers/author/author.controller.js';
-import { verifyToken } from '../../middlewares/verifyToken.js';
+import {
+  getDuplicateAuthors,
+  mergeAuthors,
+  getAuthorMerges,
+  undoAuthorMerge
+} from '../../controllers/author/authorMerge.controller.js';
+import {
+  getAuthorAffiliations,
+  createAuthorAffiliation,
+  updateAuthorAffiliation,
+  deleteAuthorAffiliation
+} from '../../controllers/author/affiliation.controller.js';
+import { verifyToken, optionalVerifyToken } from '../../middlewares/verifyToken.js';
 import { checkRole } from '../../middlewares/isAdmin.js';
 
 const router = express.Router();
 
 // ===== Author CRUD Routes =====
 router.get('/', getAuthors);
-router.get('/:id', getAuthorById);
+router.get('/:id', optionalVerifyToken, getAuthorById);
 router.post('/', verifyToken, createAuthor);
 router.put('/:id', verifyToken, updateAuthor);
 router.delete('/:id', verifyToken, deleteAuthor);
@@ -32,11 +44,21 @@ router.get('/unique/academic-titles', getUniqueAcademicTitles);
 // ===== Author Statistics =====
 router.get('/stats/overview', verifyToken, getAuthorStats);
 
+// ===== Author Affiliation Routes =====
+router.get('/:id/affiliations', getAuthorAffiliations);
+router.post('/:id/affiliations', verifyToken, createAuthorAffiliation);
+router.put('/:id/affiliations/:affiliationId', verifyToken, updateAuthorAffiliation);
+router.delete('/:id/affiliations/:affiliationId', verifyToken, deleteAuthorAffiliation);
+
 // ===== Author-Article Association Routes =====
 router.post('/associate-article', verifyToken, associateArticle);
 router.delete('/:authorId/article/:articleId', verifyToken, disassociateArticle);
 
 // ===== Admin Routes =====
 router.get('/admin/all', verifyToken, checkRole('admin'), getAuthors);
+router.get('/admin/duplicates', verifyToken, checkRole('admin'), getDuplicateAuthors);
+router.post('/admin/merge', verifyToken, checkRole('admin'), mergeAuthors);
+router.get('/admin/merges', verifyToken, checkRole('admin'), getAuthorMerges);
+router.post('/admin/merges/:id/undo', verifyToken, checkRole('admin'), undoAuthorMerge);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  createAuthorRequest,
+  getMyAuthorRequests,
+  getAuthorRequests,
+  getAuthorRequestById,
+  approveAuthorRequest,
+  rejectAuthorRequest
+} from '../../controllers/author/authorRequest.controller.js';
+import { upload } from '../../controllers/file.controller.js';
+import { verifyToken } from '../../middlewares/verifyToken.js';
+import { checkRole } from '../../middlewares/isAdmin.js';
+
+const router = express.Router();
+
+// ===== User Routes =====
+router.post('/', verifyToken, upload.array('documents', 5), createAuthorRequest);
+router.get('/me', verifyToken, getMyAuthorRequests);
+router.get('/:id', verifyToken, getAuthorRequestById);
+
+// ===== Admin Routes =====
+router.get('/', verifyToken, checkRole('admin'), getAuthorRequests);
+router.put('/:id/approve', verifyToken, checkRole('admin'), approveAuthorRequest);
+router.put('/:id/reject', verifyToken, checkRole('admin'), rejectAuthorRequest);
+
+export default router;
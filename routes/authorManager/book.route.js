@@ -11,6 +11,8 @@ import {
   updateDocumentMetadata,
   deleteDocument,
   downloadDocument,
+  getBookFormattedCitations,
+  exportBookCrossref,
   upload
 } from '../../controllers/author/book.controller.js';
 import { verifyToken } from '../../middlewares/verifyToken.js';
@@ -33,6 +35,10 @@ router.patch('/document/:fileId', verifyToken, updateDocumentMetadata);
 router.delete('/document/:fileId', verifyToken, deleteDocument);
 router.get('/document/:fileId/download', verifyToken, downloadDocument);
 
+// ===== Book Citation Routes =====
+router.get('/:id/cite', getBookFormattedCitations);
+router.get('/:id/crossref', verifyToken, checkRole(['admin', 'author']), exportBookCrossref);
+
 // ===== Admin Routes =====
 router.get('/admin/all', verifyToken, checkRole('admin'), getBooks);
 
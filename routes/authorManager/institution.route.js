@@ -8,7 +8,8 @@ import {
   getInstitutionStats,
   getInstitutionsByCountry,
   getUniqueCountries,
-  getUniqueTypes
+  getUniqueTypes,
+  mergeInstitutions
 } from '../../controllers/author/institution.controller.js';
 import { verifyToken } from '../../middlewares/verifyToken.js';
 import { checkRole } from '../../middlewares/isAdmin.js';
@@ -30,5 +31,6 @@ router.get('/unique/types', getUniqueTypes);
 
 // ===== Admin Routes =====
 router.get('/admin/all', verifyToken, checkRole('admin'), getInstitutions);
+router.post('/admin/merge', verifyToken, checkRole('admin'), mergeInstitutions);
 
 export default router;
\ No newline at end of file
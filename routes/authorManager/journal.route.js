@@ -16,7 +16,26 @@ import {
   disassociateArticle,
   upload
 } from '../../controllers/author/journal.controller.js';
-import { verifyToken } from '../../middlewares/verifyToken.js';
+import {
+  getJournalVolumes,
+  createJournalVolume,
+  updateJournalVolume,
+  deleteJournalVolume,
+  getJournalIssues,
+  getIssueTableOfContents,
+  createJournalIssue,
+  updateJournalIssue,
+  deleteJournalIssue,
+  assignArticleToIssue,
+  removeArticleFromIssue,
+  reorderIssueArticles
+} from '../../controllers/author/journalIssue.controller.js';
+import {
+  getJournalEditors,
+  addJournalEditor,
+  removeJournalEditor
+} from '../../controllers/author/journalEditor.controller.js';
+import { verifyToken, optionalVerifyToken } from '../../middlewares/verifyToken.js';
 import { checkRole } from '../../middlewares/isAdmin.js';
 
 const router = express.Router();
@@ -24,7 +43,7 @@ const router = express.Router();
 // ===== Journal CRUD Routes =====
 
 router.get('/', getJournals);
-router.get('/:id', getJournalById);
+router.get('/:id', optionalVerifyToken, getJournalById);
 router.post('/', verifyToken, createJournal);
 router.put('/:id', verifyToken, updateJournal);
 router.delete('/:id', verifyToken, deleteJournal);
@@ -37,6 +56,20 @@ router.patch('/document/:fileId', verifyToken, updateDocumentMetadata);
 router.delete('/document/:fileId', verifyToken, deleteDocument);
 router.get('/document/:fileId/download', verifyToken, downloadDocument);
 
+// ===== Volume and Issue Routes =====
+router.get('/:journalId/volumes', getJournalVolumes);
+router.post('/:journalId/volumes', verifyToken, createJournalVolume);
+router.put('/volumes/:volumeId', verifyToken, updateJournalVolume);
+router.delete('/volumes/:volumeId', verifyToken, deleteJournalVolume);
+router.get('/:journalId/issues', getJournalIssues);
+router.post('/:journalId/issues', verifyToken, createJournalIssue);
+router.get('/issues/:issueId', optionalVerifyToken, getIssueTableOfContents);
+router.put('/issues/:issueId', verifyToken, updateJournalIssue);
+router.delete('/issues/:issueId', verifyToken, deleteJournalIssue);
+router.put('/issues/:issueId/toc', verifyToken, reorderIssueArticles);
+router.put('/issues/:issueId/articles/:articleId', verifyToken, assignArticleToIssue);
+router.delete('/issues/:issueId/articles/:articleId', verifyToken, removeArticleFromIssue);
+
 // ===== Journal Statistics =====
 router.get('/stats/overview', verifyToken, getJournalStats);
 
@@ -46,5 +79,8 @@ router.delete('/:journalId/article/:articleId', verifyToken, disassociateArticle
 
 // ===== Admin Routes =====
 router.get('/admin/all', verifyToken, checkRole('admin'), getJournals);
+router.get('/:journalId/editors', verifyToken, checkRole('admin'), getJournalEditors);
+router.post('/:journalId/editors', verifyToken, checkRole('admin'), addJournalEditor);
+router.delete('/:journalId/editors/:userId', verifyToken, checkRole('admin'), removeJournalEditor);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getKeywords,
+  getKeywordById,
+  autocompleteKeywords,
+  createKeyword,
+  updateKeyword,
+  deleteKeyword,
+  mergeKeywords
+} from '../../controllers/author/keyword.controller.js';
+import { verifyToken, optionalVerifyToken } from '../../middlewares/verifyToken.js';
+import { checkRole } from '../../middlewares/isAdmin.js';
+
+const router = express.Router();
+
+// ===== Keyword Vocabulary Routes =====
+router.get('/', getKeywords);
+router.get('/autocomplete', optionalVerifyToken, autocompleteKeywords);
+router.get('/:id', optionalVerifyToken, getKeywordById);
+
+// ===== Admin Routes =====
+router.post('/', verifyToken, checkRole('admin'), createKeyword);
+router.put('/:id', verifyToken, checkRole('admin'), updateKeyword);
+router.delete('/:id', verifyToken, checkRole('admin'), deleteKeyword);
+router.post('/:id/merge', verifyToken, checkRole('admin'), mergeKeywords);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  createSubmission,
+  getSubmissions,
+  getSubmissionById,
+  assignReviewer,
+  respondToReviewInvitation,
+  submitReview,
+  recordDecision,
+  submitRevision
+} from '../../controllers/author/submission.controller.js';
+import { verifyToken } from '../../middlewares/verifyToken.js';
+
+const router = express.Router();
+
+// ===== Submission Routes =====
+router.get('/', verifyToken, getSubmissions);
+router.get('/:id', verifyToken, getSubmissionById);
+router.post('/', verifyToken, createSubmission);
+router.post('/:id/revisions', verifyToken, submitRevision);
+
+// ===== Peer Review Routes =====
+router.post('/:id/reviewers', verifyToken, assignReviewer);
+router.put('/:id/reviews/:reviewId/respond', verifyToken, respondToReviewInvitation);
+router.put('/:id/reviews/:reviewId', verifyToken, submitReview);
+
+// ===== Editorial Decision Routes =====
+router.post('/:id/decisions', verifyToken, recordDecision);
+
+export default router;
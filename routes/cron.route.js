@@ -0,0 +1,12 @@
+import express from 'express';
+import { verifyCronSecret } from '../middlewares/verifyCronSecret.js';
+import { runReindexJob } from '../controllers/author/articleSearch.controller.js';
+import { runSimilarityQueue } from '../controllers/author/articleSimilarity.controller.js';
+
+const router = express.Router();
+
+// Scheduled background work (see the crons in vercel.json)
+router.get('/search-index', verifyCronSecret, runReindexJob);
+router.get('/similarity-queue', verifyCronSecret, runSimilarityQueue);
+
+export default router;
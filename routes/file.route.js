@@ -7,6 +7,7 @@ import {
   updateFileContent, 
   upload 
 } from '../controllers/file.controller.js';
+import { getFileVersions, compareFileVersions } from '../controllers/fileVersion.controller.js';
 import { verifyToken } from '../middlewares/verifyToken.js';
 
 const router = express.Router();
@@ -14,6 +15,12 @@ const router = express.Router();
 // Upload file
 router.post('/upload', verifyToken, upload.single('file'), uploadFile);
 
+// Version history of the documents of an article, book or journal
+router.get('/:content_type/:content_id/versions', verifyToken, getFileVersions);
+
+// Compare two document versions
+router.get('/:content_type/:content_id/diff', verifyToken, compareFileVersions);
+
 // Get files by content_type and content_id
 router.get('/:content_type/:content_id', verifyToken, getFilesByContent);
 
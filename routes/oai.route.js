@@ -0,0 +1,10 @@
+import express from 'express';
+import { handleOaiRequest } from '../controllers/oai.controller.js';
+
+const router = express.Router();
+
+// OAI-PMH 2.0 endpoint (harvesters may use GET or POST)
+router.get('/', handleOaiRequest);
+router.post('/', handleOaiRequest);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { search } from '../controllers/search.controller.js';
+import { optionalVerifyToken } from '../middlewares/verifyToken.js';
+
+const router = express.Router();
+
+// Search articles, books, journals, authors, institutions and blog posts
+router.get('/', optionalVerifyToken, search);
+
+export default router;
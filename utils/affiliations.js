@@ -0,0 +1,57 @@
+// Date part (YYYY-MM-DD) of a date or timestamp, compared as a string
+const toDay = (value) => (value ? String(value instanceof Date ? value.toISOString() : value).slice(0, 10) : null);
+
+export const today = () => toDay(new Date());
+
+// Last day of an affiliation ended by one starting today (end dates are inclusive)
+export const yesterday = () => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - 1);
+  return toDay(date);
+};
+
+// An affiliation is valid on a day when it started on or before it (or has no
+// start date) and has not ended before it
+export const isAffiliationValidAt = (affiliation, date) => {
+  const day = toDay(date) || today();
+  const start = toDay(affiliation.start_date);
+  const end = toDay(affiliation.end_date);
+  return (!start || start <= day) && (!end || end >= day);
+};
+
+// Affiliations valid on a date, primary ones first. Without a date the
+// current affiliations are returned.
+export const affiliationsValidAt = (affiliations, date) => {
+  return affiliations
+    .filter(affiliation => isAffiliationValidAt(affiliation, date))
+    .sort((a, b) => Number(Boolean(b.is_primary)) - Number(Boolean(a.is_primary)));
+};
+
+// Institution shown as the author's current one (authors.institution_id)
+export const currentPrimaryInstitutionId = (affiliations) => {
+  const current = affiliationsValidAt(affiliations, today());
+  return current.length > 0 ? current[0].institution_id : null;
+};
+
+// Start and end dates must be in order
+export const isValidAffiliationPeriod = (startDate, endDate) => {
+  return !startDate || !endDate || toDay(startDate) <= toDay(endDate);
+};
+
+// Two periods overlap when neither ends before the other starts
+export const periodsOverlap = (a, b) => {
+  const startA = toDay(a.start_date);
+  const endA = toDay(a.end_date);
+  const startB = toDay(b.start_date);
+  const endB = toDay(b.end_date);
+  return (!endA || !startB || startB <= endA) && (!endB || !startA || startA <= endB);
+};
+
+// Institutions of an author in an export: the affiliations at publication when
+// they were loaded, otherwise the author's current institution
+export const authorInstitutions = (author) => {
+  const institutions = Array.isArray(author.affiliations) && author.affiliations.length > 0
+    ? author.affiliations
+    : [author.institutions];
+  return institutions.filter(institution => institution && institution.name);
+};
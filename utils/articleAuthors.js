@@ -0,0 +1,128 @@
+import { normalizeName } from './normalizeText.js';
+
+// CRediT (Contributor Roles Taxonomy, ANSI/NISO Z39.104-2022) roles an author
+// can have on an article
+export const CREDIT_VOCABULARY_URI = 'https://credit.niso.org/';
+
+export const CREDIT_ROLES = [
+  { id: 'conceptualization', name: 'Conceptualization' },
+  { id: 'data-curation', name: 'Data curation' },
+  { id: 'formal-analysis', name: 'Formal analysis' },
+  { id: 'funding-acquisition', name: 'Funding acquisition' },
+  { id: 'investigation', name: 'Investigation' },
+  { id: 'methodology', name: 'Methodology' },
+  { id: 'project-administration', name: 'Project administration' },
+  { id: 'resources', name: 'Resources' },
+  { id: 'software', name: 'Software' },
+  { id: 'supervision', name: 'Supervision' },
+  { id: 'validation', name: 'Validation' },
+  { id: 'visualization', name: 'Visualization' },
+  { id: 'writing-original-draft', name: 'Writing – original draft' },
+  { id: 'writing-review-editing', name: 'Writing – review & editing' },
+];
+
+const ROLE_KEY = (value) => normalizeName(String(value).replace(/&/g, ' ')).replace(/[^a-z0-9]+/g, '');
+const ROLES_BY_KEY = new Map(CREDIT_ROLES.flatMap(role => [[ROLE_KEY(role.id), role], [ROLE_KEY(role.name), role]]));
+
+export const creditRole = (id) => CREDIT_ROLES.find(role => role.id === id) || null;
+
+export const creditRoleUri = (id) => `${CREDIT_VOCABULARY_URI}contributor-roles/${id}/`;
+
+// Map roles given as ids or names ("writing-original-draft", "Writing – original
+// draft") to CRediT ids. Unknown values are returned in `invalid`.
+export const normalizeContributorRoles = (roles) => {
+  const values = roles === undefined || roles === null || roles === ''
+    ? []
+    : (Array.isArray(roles) ? roles : String(roles).split(','));
+
+  const ids = [];
+  const invalid = [];
+  values.map(value => String(value).trim()).filter(Boolean).forEach(value => {
+    const role = ROLES_BY_KEY.get(ROLE_KEY(value));
+    if (!role) {
+      invalid.push(value);
+    } else if (!ids.includes(role.id)) {
+      ids.push(role.id);
+    }
+  });
+
+  return { roles: ids, invalid };
+};
+
+const toBoolean = (value) => value === true || value === 'true' || value === 1 || value === '1';
+
+// Parse the authors of an article from a request body. `authors` is an ordered
+// list of { author_id, is_corresponding, equal_contribution, contributor_roles }
+// (a JSON string in multipart forms); plain `author_ids` only set the order.
+// Returns { links } with 1-based positions, { error } or null when neither is given.
+export const parseArticleAuthors = ({ authors, author_ids }) => {
+  let entries;
+  if (authors !== undefined && authors !== null) {
+    let parsed = authors;
+    if (typeof parsed === 'string') {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch {
+        return { error: 'authors must be a JSON array' };
+      }
+    }
+    if (!Array.isArray(parsed)) {
+      return { error: 'authors must be an array' };
+    }
+    entries = parsed.map(entry => (entry !== null && typeof entry === 'object' ? entry : { author_id: entry }));
+  } else if (author_ids !== undefined && author_ids !== null) {
+    entries = (Array.isArray(author_ids) ? author_ids : (author_ids === '' ? [] : [author_ids]))
+      .map(author_id => ({ author_id }));
+  } else {
+    return null;
+  }
+
+  const links = [];
+  const seen = new Set();
+  for (const entry of entries) {
+    if (!entry.author_id) {
+      return { error: 'Each author needs an author_id' };
+    }
+    if (seen.has(String(entry.author_id))) {
+      return { error: `Author ${entry.author_id} is listed more than once` };
+    }
+    seen.add(String(entry.author_id));
+
+    const { roles, invalid } = normalizeContributorRoles(entry.contributor_roles);
+    if (invalid.length > 0) {
+      return { error: `Unknown CRediT contributor roles: ${invalid.join(', ')}` };
+    }
+
+    links.push({
+      author_id: entry.author_id,
+      position: links.length + 1,
+      is_corresponding: toBoolean(entry.is_corresponding),
+      equal_contribution: toBoolean(entry.equal_contribution),
+      contributor_roles: roles
+    });
+  }
+
+  return { links };
+};
+
+// Author links in byline order; links without a position (added before author
+// order was recorded) come last in their original order
+export const sortByPosition = (links) => {
+  return links
+    .map((link, index) => ({ link, index }))
+    .sort((a, b) => {
+      const positionA = a.link.position ?? Infinity;
+      const positionB = b.link.position ?? Infinity;
+      return positionA === positionB ? a.index - b.index : positionA - positionB;
+    })
+    .map(({ link }) => link);
+};
+
+// Byline details of an author on an article, merged into the author object
+export const withAuthorRole = (author, link) => ({
+  ...author,
+  position: link.position ?? null,
+  is_corresponding: Boolean(link.is_corresponding),
+  equal_contribution: Boolean(link.equal_contribution),
+  contributor_roles: link.contributor_roles || []
+});
@@ -0,0 +1,69 @@
+// Post-publication notices linked to an article: corrections, errata,
+// expressions of concern and retractions
+
+export const NOTICE_TYPES = ['correction', 'erratum', 'expression_of_concern', 'retraction'];
+
+export const NOTICE_LABELS = {
+  correction: 'Correction',
+  erratum: 'Erratum',
+  expression_of_concern: 'Expression of concern',
+  retraction: 'Retraction',
+};
+
+// Notices that only editors and admins may issue; authors may publish corrections
+export const EDITORIAL_NOTICE_TYPES = ['expression_of_concern', 'retraction'];
+
+// JATS related-article type used on the original article to point to a notice
+export const JATS_RELATED_ARTICLE_TYPES = {
+  correction: 'correction-forward',
+  erratum: 'correction-forward',
+  expression_of_concern: 'expression-of-concern-forward',
+  retraction: 'retraction-forward',
+};
+
+// Crossmark update types of a notice deposit
+export const CROSSREF_UPDATE_TYPES = {
+  correction: 'correction',
+  erratum: 'erratum',
+  expression_of_concern: 'expression_of_concern',
+  retraction: 'retraction',
+};
+
+// Notices in the order they were issued
+export const sortNotices = (notices = []) => {
+  return [...notices].sort((a, b) => String(a.notice_date || '').localeCompare(String(b.notice_date || ''))
+    || Number(a.id) - Number(b.id));
+};
+
+export const isRetracted = (article) => {
+  return article.status === 'retracted' || (article.notices || []).some(notice => notice.notice_type === 'retraction');
+};
+
+// Link to a notice: its DOI when it has one, otherwise its page URL
+export const noticeLink = (notice) => {
+  return notice.doi ? `https://doi.org/${notice.doi}` : notice.url || null;
+};
+
+// One-line summary of the notices of an article for citation notes, e.g.
+// "Retraction issued 2024-05-01 (https://doi.org/10.1/x); Correction issued 2023-11-02"
+export const noticeNote = (notices = []) => {
+  if (notices.length === 0) return null;
+
+  return sortNotices(notices)
+    .map(notice => {
+      const link = noticeLink(notice);
+      const date = notice.notice_date ? ` issued ${String(notice.notice_date).slice(0, 10)}` : '';
+      return `${NOTICE_LABELS[notice.notice_type] || notice.notice_type}${date}${link ? ` (${link})` : ''}`;
+    })
+    .join('; ');
+};
+
+// Flags shown with every article in lists and search results
+export const noticeFlags = (article, notices = []) => {
+  const sorted = sortNotices(notices);
+  return {
+    notices: sorted,
+    is_retracted: isRetracted({ ...article, notices: sorted }),
+    has_expression_of_concern: sorted.some(notice => notice.notice_type === 'expression_of_concern'),
+  };
+};
@@ -0,0 +1,81 @@
+// Article lifecycle: the states an article moves through and who may move it
+
+export const ARTICLE_STATUSES = ['draft', 'submitted', 'under_review', 'accepted', 'published', 'retracted'];
+
+// Articles anyone can see. Retracted articles stay in the public record.
+export const PUBLIC_ARTICLE_STATUSES = ['published', 'retracted'];
+
+// Allowed transitions and the roles that may perform them. `author` is the
+// user who created the article, `editor` an editor assigned by admins to a
+// journal the article is submitted to. Admins may perform every allowed
+// transition.
+export const ARTICLE_TRANSITIONS = {
+  draft: {
+    submitted: ['author', 'editor']
+  },
+  submitted: {
+    draft: ['author', 'editor'],
+    under_review: ['editor']
+  },
+  under_review: {
+    draft: ['editor'],
+    accepted: ['editor']
+  },
+  accepted: {
+    under_review: ['editor'],
+    published: ['editor']
+  },
+  published: {
+    retracted: ['editor']
+  },
+  retracted: {}
+};
+
+// Roles of a user on an article, given whether they created it and edit a journal it is submitted to
+export const articleRoles = (user, { isOwner = false, isEditor = false } = {}) => {
+  const roles = [];
+  if (!user) return roles;
+  if (isOwner) roles.push('author');
+  if (isEditor) roles.push('editor');
+  if (user.role === 'admin') roles.push('admin');
+  return roles;
+};
+
+export const isAllowedTransition = (from, to) => {
+  return Boolean(ARTICLE_TRANSITIONS[from] && ARTICLE_TRANSITIONS[from][to]);
+};
+
+export const canTransition = (from, to, roles) => {
+  if (!isAllowedTransition(from, to)) return false;
+  return roles.includes('admin') || ARTICLE_TRANSITIONS[from][to].some(role => roles.includes(role));
+};
+
+// Statuses the given roles can move an article to from its current status
+export const availableTransitions = (from, roles) => {
+  return Object.keys(ARTICLE_TRANSITIONS[from] || {}).filter(to => canTransition(from, to, roles));
+};
+
+// Restrict an articles query to what the user may list: public articles for
+// anonymous users, public articles plus their own for signed-in users, all for admins
+export const applyArticleVisibility = (query, user) => {
+  if (user && user.role === 'admin') {
+    return query;
+  }
+  if (!user) {
+    return query.in('status', PUBLIC_ARTICLE_STATUSES);
+  }
+  return query.or(`status.in.(${PUBLIC_ARTICLE_STATUSES.join(',')}),updated_by.eq.${user.id}`);
+};
+
+// The same restriction on the articles embedded (with !inner) in a query on
+// another table, e.g. article_authors: rows whose article the user may not
+// list are left out
+export const applyEmbeddedArticleVisibility = (query, user, alias = 'articles') => {
+  if (user && user.role === 'admin') {
+    return query;
+  }
+  if (!user) {
+    return query.in(`${alias}.status`, PUBLIC_ARTICLE_STATUSES);
+  }
+  return query.or(`status.in.(${PUBLIC_ARTICLE_STATUSES.join(',')}),updated_by.eq.${user.id}`, { referencedTable: alias });
+};
@@ -0,0 +1,197 @@
+import { normalizeName } from './normalizeText.js';
+import { normalizeOrcid } from './identifiers.js';
+
+// Weights of each signal in the duplicate score (the total is capped at 1)
+const WEIGHTS = {
+  name: 0.6,
+  email: 0.3,
+  orcid: 0.4,
+  institution: 0.1,
+  coauthors: 0.2,
+};
+
+// Number of shared co-authors that gives the full co-author weight
+const COAUTHORS_FOR_FULL_WEIGHT = 3;
+
+// Name blocks bigger than this are skipped; authors in them are still compared
+// through their other name keys, e-mail and ORCID
+const MAX_NAME_BLOCK_SIZE = 500;
+
+export const DEFAULT_MIN_SCORE = 0.5;
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = current;
+    }
+  }
+  return previous[b.length];
+};
+
+// Normalized name tokens, regardless of which field holds the family name
+export const nameTokens = (author) => {
+  return normalizeName(`${author.first_name || ''} ${author.last_name || ''}`)
+    .split(' ')
+    .filter(Boolean);
+};
+
+// How well two tokens match: identical, initial of the other token, or a
+// one-letter typo in a longer token
+const tokenMatch = (a, b) => {
+  if (a === b) return 1;
+  if (a.length === 1 || b.length === 1) return a[0] === b[0] ? 0.8 : 0;
+  if (Math.min(a.length, b.length) >= 4 && levenshtein(a, b) <= 1) return 0.8;
+  return 0;
+};
+
+// Diacritic- and order-insensitive similarity between two names (0..1).
+// "Nguyễn Văn A", "Nguyen Van A" and "A. Nguyen" are all similar: every token of
+// the shorter name is matched greedily against a distinct token of the longer one.
+export const nameSimilarity = (a, b) => {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const available = [...longer];
+  let matched = 0;
+  let fullTokens = 0;
+
+  // Full tokens first so that an initial does not take the token a full word needs
+  const ordered = [...shorter].sort((x, y) => y.length - x.length);
+  for (const token of ordered) {
+    let best = -1;
+    let bestScore = 0;
+    available.forEach((candidate, i) => {
+      const score = tokenMatch(token, candidate);
+      if (score > bestScore) {
+        best = i;
+        bestScore = score;
+      }
+    });
+    if (best === -1) continue;
+
+    matched += bestScore;
+    if (token.length > 1 && bestScore === 1) fullTokens++;
+    available.splice(best, 1);
+  }
+
+  // Names sharing only initials are not considered similar
+  if (fullTokens === 0) return 0;
+
+  // Missing middle names cost less than mismatched tokens
+  const coverage = matched / shorter.length;
+  const lengthPenalty = (longer.length - shorter.length) * 0.05;
+  return Math.max(0, Math.min(1, coverage - lengthPenalty));
+};
+
+const sameValue = (a, b) => Boolean(a) && Boolean(b) && a === b;
+
+// Score a pair of authors. Each author carries `coauthor_ids` (a Set).
+// Returns null for pairs that cannot be the same person (different ORCIDs).
+export const scoreAuthorPair = (a, b) => {
+  const orcidA = normalizeOrcid(a.orcid_id);
+  const orcidB = normalizeOrcid(b.orcid_id);
+  if (orcidA && orcidB && orcidA !== orcidB) return null;
+
+  const emailA = a.email ? a.email.trim().toLowerCase() : null;
+  const emailB = b.email ? b.email.trim().toLowerCase() : null;
+
+  const sharedCoauthors = [...(a.coauthor_ids || [])]
+    .filter(id => String(id) !== String(b.id) && (b.coauthor_ids || new Set()).has(id));
+
+  const signals = {
+    name: nameSimilarity(a, b),
+    email: sameValue(emailA, emailB),
+    orcid: sameValue(orcidA, orcidB),
+    institution: sameValue(a.institution_id, b.institution_id),
+    shared_coauthors: sharedCoauthors.length,
+  };
+
+  const score = signals.name * WEIGHTS.name
+    + (signals.email ? WEIGHTS.email : 0)
+    + (signals.orcid ? WEIGHTS.orcid : 0)
+    + (signals.institution ? WEIGHTS.institution : 0)
+    + Math.min(sharedCoauthors.length, COAUTHORS_FOR_FULL_WEIGHT) / COAUTHORS_FOR_FULL_WEIGHT * WEIGHTS.coauthors;
+
+  return {
+    score: Math.round(Math.min(1, score) * 100) / 100,
+    signals: { ...signals, name: Math.round(signals.name * 100) / 100 },
+  };
+};
+
+// Blocking keys of a name: each full token paired with the initial of another
+// token ("nguyen|a" for "Nguyễn Văn A" and "A. Nguyen"). A bare surname such as
+// "nguyen" would put a large share of Vietnamese authors in the same block.
+const nameKeys = (author) => {
+  const tokens = nameTokens(author);
+  const keys = new Set();
+  tokens.forEach((token, i) => {
+    if (token.length < 2) return;
+    tokens.forEach((other, j) => {
+      if (i !== j) keys.add(`name:${token}|${other[0]}`);
+    });
+  });
+  return [...keys];
+};
+
+// Find candidate duplicate pairs among authors, best first. Only pairs sharing
+// a name key, an e-mail or an ORCID are compared. With `authorId`, only pairs
+// involving that author are returned.
+export const findDuplicateCandidates = (authors, { minScore = DEFAULT_MIN_SCORE, authorId = null } = {}) => {
+  const blocks = new Map();
+  const addToBlock = (key, author) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(author);
+  };
+
+  authors.forEach(author => {
+    nameKeys(author).forEach(key => addToBlock(key, author));
+    if (author.email) addToBlock(`email:${author.email.trim().toLowerCase()}`, author);
+    if (author.orcid_id) addToBlock(`orcid:${normalizeOrcid(author.orcid_id)}`, author);
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  const compare = (a, b) => {
+    const pairKey = [String(a.id), String(b.id)].sort().join(':');
+    if (seen.has(pairKey)) return;
+    seen.add(pairKey);
+
+    const result = scoreAuthorPair(a, b);
+    if (result && result.score >= minScore) {
+      pairs.push({ authors: [a, b], ...result });
+    }
+  };
+
+  if (authorId) {
+    const target = authors.find(author => String(author.id) === String(authorId));
+    if (!target) return [];
+
+    blocks.forEach(members => {
+      if (!members.includes(target)) return;
+      members.filter(member => member !== target).forEach(member => compare(target, member));
+    });
+  } else {
+    blocks.forEach((members, key) => {
+      if (key.startsWith('name:') && members.length > MAX_NAME_BLOCK_SIZE) return;
+
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          compare(members[i], members[j]);
+        }
+      }
+    });
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+};
@@ -0,0 +1,72 @@
+import { splitDate } from './normalizeText.js';
+
+// Author fields that hold cached metrics and can be used to sort author lists
+export const AUTHOR_METRIC_FIELDS = [
+  'publication_count',
+  'total_citations',
+  'h_index',
+  'i10_index',
+  'coauthor_count',
+  'journal_count',
+];
+
+// h-index: the largest h such that h publications have at least h citations each
+export const computeHIndex = (citationCounts) => {
+  const sorted = [...citationCounts].sort((a, b) => b - a);
+  let h = 0;
+  while (h < sorted.length && sorted[h] >= h + 1) h++;
+  return h;
+};
+
+// i10-index: number of publications with at least 10 citations
+export const computeI10Index = (citationCounts) => citationCounts.filter(count => count >= 10).length;
+
+// Publication counts per year, oldest first; undated publications are grouped under year null
+const countByYear = (articles, books) => {
+  const years = new Map();
+  const bump = (item, field) => {
+    const date = splitDate(item.publish_date);
+    const year = date ? date.year : null;
+    if (!years.has(year)) years.set(year, { year, articles: 0, books: 0, total: 0 });
+    const entry = years.get(year);
+    entry[field]++;
+    entry.total++;
+  };
+
+  articles.forEach(article => bump(article, 'articles'));
+  books.forEach(book => bump(book, 'books'));
+
+  return [...years.values()].sort((a, b) => {
+    if (a.year === null) return 1;
+    if (b.year === null) return -1;
+    return a.year - b.year;
+  });
+};
+
+// Build the metrics of one author.
+// - articles: [{ id, publish_date, citation_count, journal_ids, author_ids }]
+// - books: [{ id, publish_date, author_ids }]
+// Citations only exist for articles (they come from the reference graph).
+export const buildAuthorMetrics = (authorId, articles, books) => {
+  const citationCounts = articles.map(article => article.citation_count || 0);
+
+  const coauthors = new Set();
+  [...articles, ...books].forEach(item => {
+    (item.author_ids || [])
+      .filter(id => String(id) !== String(authorId))
+      .forEach(id => coauthors.add(String(id)));
+  });
+
+  const journals = new Set();
+  articles.forEach(article => (article.journal_ids || []).forEach(id => journals.add(String(id))));
+
+  return {
+    publication_count: articles.length + books.length,
+    total_citations: citationCounts.reduce((sum, count) => sum + count, 0),
+    h_index: computeHIndex(citationCounts),
+    i10_index: computeI10Index(citationCounts),
+    coauthor_count: coauthors.size,
+    journal_count: journals.size,
+    publications_by_year: countByYear(articles, books),
+  };
+};
@@ -0,0 +1,212 @@
+import { removeDiacritics, splitDate } from './normalizeText.js';
+import { noticeNote } from './articleNotices.js';
+
+// Supported export formats and their response headers
+export const CITATION_FORMATS = {
+  bibtex: { contentType: 'application/x-bibtex; charset=utf-8', extension: 'bib' },
+  ris: { contentType: 'application/x-research-info-systems; charset=utf-8', extension: 'ris' },
+  'csl-json': { contentType: 'application/vnd.citationstyles.csl+json; charset=utf-8', extension: 'json' },
+};
+
+// Normalize format aliases coming from the query string
+export const resolveCitationFormat = (format = 'bibtex') => {
+  const value = String(format).toLowerCase();
+  if (value === 'bib') return 'bibtex';
+  if (value === 'csl' || value === 'csljson' || value === 'json') return 'csl-json';
+  return CITATION_FORMATS[value] ? value : null;
+};
+
+const toKeywordArray = (keywords) => {
+  if (!keywords) return [];
+  if (Array.isArray(keywords)) return keywords.filter(Boolean);
+  return String(keywords).split(',').map(k => k.trim()).filter(Boolean);
+};
+
+// Escape LaTeX special characters. Unicode (including Vietnamese diacritics)
+// is kept as-is because the file is served as UTF-8 and both Zotero and
+// JabRef read UTF-8 BibTeX natively.
+const escapeBibtex = (value = '') => {
+  return String(value)
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([{}&%$#_])/g, '\\$1')
+    .replace(/~/g, '\\textasciitilde{}')
+    .replace(/\^/g, '\\textasciicircum{}')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Build a stable ASCII citation key, e.g. "nguyen2024machine"
+const buildCitationKey = (article, usedKeys) => {
+  const firstAuthor = article.authors && article.authors[0];
+  const date = splitDate(article.publish_date);
+
+  const namePart = removeDiacritics(firstAuthor ? firstAuthor.last_name || '' : 'anon')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '') || 'anon';
+  const titleWord = removeDiacritics(article.title || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .map(word => word.replace(/[^a-z0-9]/g, ''))
+    .find(word => word.length > 3) || '';
+
+  const baseKey = `${namePart}${date ? date.year : ''}${titleWord}`;
+
+  // Disambiguate keys within the same export (nguyen2024machine2, ...)
+  let key = baseKey;
+  let suffix = 1;
+  while (usedKeys.has(key)) {
+    suffix++;
+    key = `${baseKey}${suffix}`;
+  }
+  usedKeys.add(key);
+
+  return key;
+};
+
+const formatIsoDate = ({ year, month, day }) => {
+  return [year, month, day]
+    .filter(Boolean)
+    .map((part, i) => (i === 0 ? String(part) : String(part).padStart(2, '0')))
+    .join('-');
+};
+
+const formatAuthorName = (author) => {
+  if (!author) return '';
+  if (author.last_name && author.first_name) return `${author.last_name}, ${author.first_name}`;
+  return author.last_name || author.first_name || '';
+};
+
+const articleToBibtex = (article, usedKeys) => {
+  const date = splitDate(article.publish_date);
+  const journal = article.journals && article.journals[0];
+  const keywords = toKeywordArray(article.keywords);
+
+  const fields = [];
+  const addField = (name, value, { raw = false } = {}) => {
+    if (value === undefined || value === null || value === '') return;
+    fields.push(`  ${name} = {${raw ? value : escapeBibtex(value)}}`);
+  };
+
+  addField('title', article.title);
+  addField('author', (article.authors || []).map(author => escapeBibtex(formatAuthorName(author))).join(' and '), { raw: true });
+  if (journal) {
+    addField('journal', journal.name);
+    addField('issn', journal.issn);
+  }
+  addField('volume', article.volume);
+  addField('number', article.issue);
+  addField('pages', article.pages && article.pages.replace('-', '--'));
+  addField('eid', article.article_number);
+  if (date) {
+    addField('year', date.year);
+    if (date.month) addField('month', date.month);
+    // biblatex `date` keeps the full publish date for round-tripping
+    addField('date', formatIsoDate(date));
+  }
+  addField('doi', article.doi, { raw: true });
+  addField('abstract', article.abstract);
+  addField('keywords', keywords.join(', '));
+  addField('language', article.language);
+  // Corrections and retractions travel with the citation
+  addField('note', noticeNote(article.notices));
+
+  const entryType = journal ? 'article' : 'misc';
+  return `@${entryType}{${buildCitationKey(article, usedKeys)},\n${fields.join(',\n')}\n}`;
+};
+
+const articleToRis = (article) => {
+  const date = splitDate(article.publish_date);
+  const journal = article.journals && article.journals[0];
+  const lines = [];
+  const addLine = (tag, value) => {
+    if (value === undefined || value === null || value === '') return;
+    lines.push(`${tag}  - ${String(value).replace(/\s+/g, ' ').trim()}`);
+  };
+
+  addLine('TY', journal ? 'JOUR' : 'GEN');
+  addLine('TI', article.title);
+  (article.authors || []).forEach(author => addLine('AU', formatAuthorName(author)));
+  if (journal) {
+    addLine('JO', journal.name);
+    addLine('T2', journal.name);
+    addLine('SN', journal.issn);
+  }
+  addLine('VL', article.volume);
+  addLine('IS', article.issue);
+  addLine('SP', article.first_page);
+  addLine('EP', article.last_page);
+  addLine('C7', article.article_number);
+  if (date) {
+    addLine('PY', date.year);
+    addLine('DA', [
+      date.year,
+      date.month ? String(date.month).padStart(2, '0') : '',
+      date.day ? String(date.day).padStart(2, '0') : '',
+      ''
+    ].join('/'));
+  }
+  addLine('DO', article.doi);
+  addLine('AB', article.abstract);
+  toKeywordArray(article.keywords).forEach(keyword => addLine('KW', keyword));
+  addLine('LA', article.language);
+  addLine('N1', noticeNote(article.notices));
+  addLine('ID', article.id);
+  lines.push('ER  - ');
+
+  return lines.join('\r\n');
+};
+
+const articleToCsl = (article) => {
+  const date = splitDate(article.publish_date);
+  const journal = article.journals && article.journals[0];
+  const keywords = toKeywordArray(article.keywords);
+
+  const item = {
+    id: String(article.id),
+    type: journal ? 'article-journal' : 'article',
+    title: article.title,
+    author: (article.authors || []).map(author => ({
+      family: author.last_name || '',
+      given: author.first_name || ''
+    })),
+  };
+
+  if (journal) {
+    item['container-title'] = journal.name;
+    if (journal.issn) item.ISSN = journal.issn;
+  }
+  if (article.volume) item.volume = article.volume;
+  if (article.issue) item.issue = article.issue;
+  if (article.pages) item.page = article.pages;
+  if (article.article_number) item.number = article.article_number;
+  if (date) {
+    item.issued = { 'date-parts': [[date.year, date.month, date.day].filter(Boolean)] };
+  }
+  if (article.doi) item.DOI = article.doi;
+  if (article.abstract) item.abstract = article.abstract;
+  if (keywords.length > 0) item.keyword = keywords.join(', ');
+  if (article.language) item.language = article.language;
+  const note = noticeNote(article.notices);
+  if (note) item.note = note;
+
+  return item;
+};
+
+// Serialize articles (with `authors` and `journals` arrays as returned by
+// getArticleById) into the requested citation format
+export const formatCitations = (articles, format) => {
+  if (format === 'bibtex') {
+    const usedKeys = new Set();
+    return articles.map(article => articleToBibtex(article, usedKeys)).join('\n\n') + '\n';
+  }
+
+  if (format === 'ris') {
+    return articles.map(articleToRis).join('\r\n\r\n') + '\r\n';
+  }
+
+  if (format === 'csl-json') {
+    return JSON.stringify(articles.map(articleToCsl), null, 2);
+  }
+
+  throw new Error(`Unsupported citation format: ${format}`);
+};
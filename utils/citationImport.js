@@ -0,0 +1,420 @@
+import { normalizeName } from './normalizeText.js';
+import { normalizeDoi, normalizeOrcid, isValidOrcid, normalizeIssn, isValidIssn } from './identifiers.js';
+
+// LaTeX accent commands mapped to Unicode combining marks
+// (\h and \d are the vntex macros for the Vietnamese hook above and dot below)
+const LATEX_ACCENTS = {
+  "'": '\u0301',
+  '`': '\u0300',
+  '^': '\u0302',
+  '~': '\u0303',
+  '"': '\u0308',
+  '=': '\u0304',
+  '.': '\u0307',
+  'u': '\u0306',
+  'v': '\u030c',
+  'H': '\u030b',
+  'r': '\u030a',
+  'c': '\u0327',
+  'h': '\u0309',
+  'd': '\u0323',
+};
+
+const LATEX_SYMBOLS = {
+  '\\textbackslash': '\\',
+  '\\textasciitilde': '~',
+  '\\textasciicircum': '^',
+  '\\DJ': 'Đ',
+  '\\dj': 'đ',
+  '\\o': 'ø',
+  '\\O': 'Ø',
+  '\\ss': 'ß',
+};
+
+// Convert LaTeX-encoded BibTeX values to plain Unicode text
+const decodeLatex = (value = '') => {
+  let text = String(value);
+
+  // Named symbols, e.g. \textbackslash{} or {\dj}
+  text = text.replace(/\\(textbackslash|textasciitilde|textasciicircum|DJ|dj|o|O|ss)(?![a-zA-Z])\s*(\{\})?/g, (match, name) => LATEX_SYMBOLS[`\\${name}`]);
+
+  // Accents: \'{e}, \'e, {\'e}, \h{a}, \d{o}; stacked accents such as \~{\^e} are
+  // resolved from the inside out
+  const accentPattern = /\\(['`^~"=.]|[uvHrchd](?=[\s{]))\s*(?:\{\\?([a-zA-Z][\u0300-\u036f]*)\}|\\?([a-zA-Z][\u0300-\u036f]*))/g;
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(accentPattern, (match, accent, braced, bare) => `${braced || bare}${LATEX_ACCENTS[accent]}`);
+  } while (text !== previous);
+
+  // Escaped special characters are shielded while grouping braces are removed
+  const escaped = [];
+  text = text.replace(/\\([&%$#_{}])/g, (match, char) => {
+    escaped.push(char);
+    return `\u0000${escaped.length - 1}\u0000`;
+  });
+
+  return text
+    .replace(/[{}]/g, '')
+    .replace(/\u0000(\d+)\u0000/g, (match, i) => escaped[i])
+    .replace(/\s+/g, ' ')
+    .trim()
+    .normalize('NFC');
+};
+
+// Split a string on a separator (a sticky regex) that is not nested inside braces or quotes
+const splitTopLevel = (text, separator) => {
+  const parts = [];
+  let depth = 0;
+  let inQuotes = false;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+    if (char === '"' && depth === 0 && text[i - 1] !== '\\') inQuotes = !inQuotes;
+    if (depth !== 0 || inQuotes) continue;
+
+    separator.lastIndex = i;
+    const match = separator.exec(text);
+    if (match) {
+      parts.push(text.slice(start, i));
+      start = i + match[0].length;
+      i = start - 1;
+    }
+  }
+  parts.push(text.slice(start));
+
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+// Parse "Last, First" or "First Last" into our authors columns
+const parsePersonName = (name) => {
+  const trimmed = name.trim();
+
+  // A fully braced name is a corporate author and must not be split
+  if (/^\{[^{}]*\}$/.test(trimmed)) {
+    return { first_name: '', last_name: decodeLatex(trimmed) };
+  }
+
+  const cleaned = decodeLatex(trimmed);
+  if (cleaned.includes(',')) {
+    const [last, ...rest] = cleaned.split(',');
+    return { first_name: rest.join(' ').trim(), last_name: last.trim() };
+  }
+
+  const words = cleaned.split(' ');
+  if (words.length === 1) {
+    return { first_name: '', last_name: words[0] };
+  }
+  return { first_name: words.slice(0, -1).join(' '), last_name: words[words.length - 1] };
+};
+
+const splitKeywords = (value) => {
+  return String(value)
+    .split(/[;,]/)
+    .map(keyword => keyword.trim())
+    .filter(Boolean);
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Build a YYYY-MM-DD publish_date from loose year/month/day parts
+const buildPublishDate = (year, month, day) => {
+  const yearMatch = String(year || '').match(/\d{4}/);
+  if (!yearMatch) return null;
+
+  let monthNumber = parseInt(month);
+  if (isNaN(monthNumber) && month) {
+    monthNumber = MONTHS.indexOf(String(month).trim().slice(0, 3).toLowerCase()) + 1;
+  }
+  if (!monthNumber || monthNumber < 1 || monthNumber > 12) monthNumber = 1;
+
+  let dayNumber = parseInt(day);
+  if (!dayNumber || dayNumber < 1 || dayNumber > 31) dayNumber = 1;
+
+  return `${yearMatch[0]}-${String(monthNumber).padStart(2, '0')}-${String(dayNumber).padStart(2, '0')}`;
+};
+
+// Sources often list print and electronic ISSNs together ("1234-5679, 2049-3630");
+// the first valid one is kept
+const firstValidIssn = (value) => {
+  if (!value) return null;
+  const issn = String(value).split(/[,;]/).find(item => isValidIssn(item));
+  return issn ? normalizeIssn(issn) : null;
+};
+
+const ORCID_PATTERN = /\d{4}-?\d{4}-?\d{4}-?\d{3}[\dX]/i;
+
+// Attach ORCIDs ("Name/0000-0000-0000-0000; ...") and e-mails to parsed authors
+const attachAuthorIdentifiers = (authors, orcidField, emailField) => {
+  if (orcidField) {
+    String(orcidField).split(';').map(item => item.trim()).filter(Boolean).forEach(item => {
+      const orcid = item.match(ORCID_PATTERN);
+      // ORCIDs with a wrong check digit are dropped rather than matched
+      if (!orcid || !isValidOrcid(orcid[0])) return;
+
+      const [name] = item.split('/');
+      const target = authors.length === 1
+        ? authors[0]
+        : authors.find(author => {
+            const parsed = parsePersonName(name);
+            return normalizeName(author.last_name) === normalizeName(parsed.last_name)
+              && normalizeName(author.first_name).startsWith(normalizeName(parsed.first_name).charAt(0));
+          });
+      if (target) target.orcid_id = normalizeOrcid(orcid[0]);
+    });
+  }
+
+  if (emailField) {
+    const emails = String(emailField).split(/[;,\s]+/).filter(email => email.includes('@'));
+    // E-mails can only be attributed when there is one per author
+    if (emails.length === authors.length) {
+      emails.forEach((email, i) => { authors[i].email = email.toLowerCase(); });
+    }
+  }
+
+  return authors;
+};
+
+// Parse a BibTeX file into normalized import entries
+export const parseBibtex = (content) => {
+  const entries = [];
+  const strings = {};
+  let position = 0;
+
+  while ((position = content.indexOf('@', position)) !== -1) {
+    const header = content.slice(position).match(/^@\s*([a-zA-Z]+)\s*([{(])/);
+    if (!header) {
+      position++;
+      continue;
+    }
+
+    const type = header[1].toLowerCase();
+    const open = header[2];
+    const close = open === '{' ? '}' : ')';
+    let depth = 0;
+    let end = position + header[0].length - 1;
+
+    // Find the matching closing delimiter of the entry
+    for (; end < content.length; end++) {
+      if (content[end] === open) depth++;
+      if (content[end] === close) depth--;
+      if (depth === 0) break;
+    }
+
+    const body = content.slice(position + header[0].length, end);
+    position = end + 1;
+
+    if (type === 'comment' || type === 'preamble') continue;
+
+    const parts = splitTopLevel(body, /,/y);
+    const hasKey = type !== 'string' && parts.length > 0 && !parts[0].includes('=');
+    const key = hasKey ? parts.shift() : null;
+    const fields = {};
+
+    parts.forEach(part => {
+      const separator = part.indexOf('=');
+      if (separator === -1) return;
+
+      const name = part.slice(0, separator).trim().toLowerCase();
+      const rawValue = part.slice(separator + 1).trim();
+
+      // Values can be {braced}, "quoted", numbers, @string macros, joined with #
+      fields[name] = splitTopLevel(rawValue, /#/y)
+        .map(piece => {
+          if (piece.startsWith('{') && piece.endsWith('}')) return piece.slice(1, -1);
+          if (piece.startsWith('"') && piece.endsWith('"')) return piece.slice(1, -1);
+          return strings[piece.toLowerCase()] !== undefined ? strings[piece.toLowerCase()] : piece;
+        })
+        .join('');
+    });
+
+    if (type === 'string') {
+      Object.assign(strings, fields);
+      continue;
+    }
+
+    const authors = fields.author
+      ? splitTopLevel(fields.author, /\s+and\s+/iy).map(parsePersonName)
+      : [];
+
+    const [dateYear, dateMonth, dateDay] = (fields.date || '').split('-');
+
+    entries.push({
+      source_key: key,
+      source_type: type,
+      title: fields.title ? decodeLatex(fields.title) : null,
+      abstract: fields.abstract ? decodeLatex(fields.abstract) : null,
+      keywords: fields.keywords ? splitKeywords(decodeLatex(fields.keywords)) : [],
+      language: fields.language ? decodeLatex(fields.language) : null,
+      // biblatex keeps `doi` verbatim, so it is not run through decodeLatex
+      doi: normalizeDoi(fields.doi),
+      publish_date: buildPublishDate(dateYear || fields.year, dateMonth || fields.month, dateDay || fields.day),
+      authors: attachAuthorIdentifiers(authors, fields['orcid-numbers'] || fields.orcid, fields['author-email'] || fields.email),
+      journal: (fields.journal || fields.journaltitle || fields.issn)
+        ? {
+            name: decodeLatex(fields.journal || fields.journaltitle || ''),
+            issn: firstValidIssn(fields.issn)
+          }
+        : null,
+    });
+  }
+
+  return entries;
+};
+
+// Parse an RIS file into normalized import entries
+export const parseRis = (content) => {
+  const entries = [];
+  let current = null;
+  let lastTag = null;
+
+  const finish = () => {
+    if (!current) return;
+
+    const date = (current.DA || current.PY || current.Y1 || [''])[0].split('/');
+    const journalName = (current.JO || current.JF || current.T2 || current.JA || [null])[0];
+    const issn = firstValidIssn((current.SN || []).join(';'));
+
+    entries.push({
+      source_key: (current.ID || [null])[0],
+      source_type: (current.TY || [''])[0].toLowerCase(),
+      title: (current.TI || current.T1 || [null])[0],
+      abstract: (current.AB || current.N2 || [null])[0],
+      keywords: (current.KW || []).flatMap(splitKeywords),
+      language: (current.LA || [null])[0],
+      doi: normalizeDoi((current.DO || [null])[0]),
+      publish_date: buildPublishDate(date[0], date[1], date[2]),
+      authors: (current.AU || current.A1 || []).map(parsePersonName),
+      journal: (journalName || issn) ? { name: journalName || '', issn } : null,
+    });
+    current = null;
+  };
+
+  content.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^([A-Z][A-Z0-9])  -( (.*))?$/);
+
+    if (!match) {
+      // Continuation of a multi-line value
+      if (current && lastTag && line.trim()) {
+        const values = current[lastTag];
+        values[values.length - 1] = `${values[values.length - 1]} ${line.trim()}`;
+      }
+      return;
+    }
+
+    const tag = match[1];
+    const value = (match[3] || '').trim();
+
+    if (tag === 'TY') {
+      finish();
+      current = {};
+    }
+    if (!current) return;
+
+    if (tag === 'ER') {
+      finish();
+      lastTag = null;
+      return;
+    }
+
+    current[tag] = current[tag] || [];
+    current[tag].push(value);
+    lastTag = tag;
+  });
+
+  // Tolerate a missing final ER line
+  finish();
+
+  return entries;
+};
+
+// Add an author (existing row or one planned by the import) to the match index
+export const addAuthorToIndex = (index, author) => {
+  const addToName = (key) => {
+    if (!key) return;
+    const list = index.byName.get(key) || [];
+    if (!list.includes(author)) list.push(author);
+    index.byName.set(key, list);
+  };
+
+  if (author.orcid_id) index.byOrcid.set(normalizeOrcid(author.orcid_id), author);
+  if (author.email) index.byEmail.set(author.email.toLowerCase(), author);
+  // Names are indexed in both orders because sources disagree on Vietnamese name order
+  addToName(normalizeName(`${author.first_name || ''} ${author.last_name || ''}`));
+  addToName(normalizeName(`${author.last_name || ''} ${author.first_name || ''}`));
+};
+
+// Index existing authors by ORCID, e-mail and normalized name for matching
+export const buildAuthorIndex = (authors = []) => {
+  const index = { byOrcid: new Map(), byEmail: new Map(), byName: new Map() };
+  authors.forEach(author => addAuthorToIndex(index, author));
+  return index;
+};
+
+// Find an existing author for an imported one: returns { action, author, candidates }
+export const matchAuthor = (index, author) => {
+  const orcid = normalizeOrcid(author.orcid_id);
+  if (orcid && index.byOrcid.has(orcid)) {
+    return { action: 'match', matched_by: 'orcid', author: index.byOrcid.get(orcid) };
+  }
+
+  if (author.email && index.byEmail.has(author.email.toLowerCase())) {
+    return { action: 'match', matched_by: 'email', author: index.byEmail.get(author.email.toLowerCase()) };
+  }
+
+  const candidates = index.byName.get(normalizeName(`${author.first_name} ${author.last_name}`)) || [];
+
+  if (candidates.length === 1) {
+    return { action: 'match', matched_by: 'name', author: candidates[0] };
+  }
+
+  if (candidates.length > 1) {
+    return { action: 'conflict', reason: 'Several existing authors share this name', candidates };
+  }
+
+  return { action: 'create' };
+};
+
+export const addJournalToIndex = (index, journal) => {
+  // Print and electronic ISSNs both identify the journal
+  [journal.issn, journal.e_issn].filter(Boolean).forEach(issn => index.byIssn.set(normalizeIssn(issn), journal));
+  if (journal.name) {
+    const key = normalizeName(journal.name);
+    index.byName.set(key, [...(index.byName.get(key) || []), journal]);
+  }
+};
+
+// Index existing journals by ISSN and normalized name for matching
+export const buildJournalIndex = (journals = []) => {
+  const index = { byIssn: new Map(), byName: new Map() };
+  journals.forEach(journal => addJournalToIndex(index, journal));
+  return index;
+};
+
+// Find an existing journal for an imported one: returns { action, journal, candidates }
+export const matchJournal = (index, journal) => {
+  const issn = normalizeIssn(journal.issn);
+  if (issn && index.byIssn.has(issn)) {
+    return { action: 'match', matched_by: 'issn', journal: index.byIssn.get(issn) };
+  }
+
+  const candidates = index.byName.get(normalizeName(journal.name)) || [];
+
+  if (candidates.length === 1) {
+    // Same name but a different ISSN is most likely a different journal
+    const candidateIssns = [candidates[0].issn, candidates[0].e_issn].filter(Boolean).map(normalizeIssn);
+    if (issn && candidateIssns.length > 0 && !candidateIssns.includes(issn)) {
+      return { action: 'conflict', reason: 'A journal with this name has a different ISSN', candidates };
+    }
+    return { action: 'match', matched_by: 'name', journal: candidates[0] };
+  }
+
+  if (candidates.length > 1) {
+    return { action: 'conflict', reason: 'Several existing journals share this name', candidates };
+  }
+
+  return { action: 'create' };
+};
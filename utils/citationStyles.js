@@ -0,0 +1,270 @@
+import { splitDate } from './normalizeText.js';
+
+export const CITATION_STYLES = ['apa', 'mla', 'ieee', 'vancouver', 'chicago'];
+
+const MONTHS_FULL = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const MONTHS_MLA = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+const MONTHS_IEEE = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'Jun.', 'Jul.', 'Aug.', 'Sep.', 'Oct.', 'Nov.', 'Dec.'];
+
+const escapeHtml = (value = '') => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// Initials of a given name: "Văn A" -> ["V.", "A."], "Jean-Paul" -> ["J.-P."]
+const initialsOf = (givenName = '') => {
+  return givenName
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(part => part.split('-').map(piece => `${piece.charAt(0).toUpperCase()}.`).join('-'));
+};
+
+const fullName = (author) => [author.first_name, author.last_name].filter(Boolean).join(' ');
+const invertedName = (author) => [author.last_name, author.first_name].filter(Boolean).join(', ');
+
+// Join names as "A, B, and C" (or with "&" for APA). `pairComma` also puts a
+// comma between exactly two names ("A, & B"), for styles listing inverted names.
+const joinNames = (names, conjunction, serialComma = true, pairComma = false) => {
+  if (names.length <= 1) return names.join('');
+  if (names.length === 2) return `${names[0]}${pairComma ? ',' : ''} ${conjunction} ${names[1]}`;
+  return `${names.slice(0, -1).join(', ')}${serialComma ? ',' : ''} ${conjunction} ${names[names.length - 1]}`;
+};
+
+const ensurePeriod = (text) => (/[.?!]$/.test(text) ? text : `${text}.`);
+
+// Each style receives the item and a `fmt` helper that renders italics and
+// escaping for the requested output (HTML or plain text)
+const STYLE_FORMATTERS = {
+  // APA 7th edition
+  apa: (item, fmt) => {
+    const names = item.authors.map(author => {
+      const initials = initialsOf(author.first_name).join(' ');
+      return [author.last_name, initials].filter(Boolean).join(', ');
+    });
+
+    // Up to 20 authors are listed; beyond that the first 19, an ellipsis and the last one
+    const authorText = names.length > 20
+      ? `${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`
+      : joinNames(names, '&', true, true);
+
+    const date = item.date ? `(${item.date.year})` : '(n.d.)';
+    const parts = [];
+
+    if (authorText) {
+      parts.push(`${fmt.text(ensurePeriod(authorText))} ${date}.`);
+    } else {
+      // Without authors the title moves to the author position
+      parts.push(`${item.type === 'book' ? fmt.italic(item.title) : fmt.text(item.title)} ${date}.`);
+    }
+
+    if (item.type === 'book') {
+      if (authorText) parts.push(`${fmt.italic(item.title)}.`);
+      if (item.publisher) parts.push(`${fmt.text(item.publisher)}.`);
+    } else {
+      if (authorText) parts.push(fmt.text(ensurePeriod(item.title)));
+      if (item.container) {
+        let source = fmt.italic(item.container);
+        if (item.volume) source += `, ${fmt.italic(item.volume)}`;
+        if (item.issue) source += `${item.volume ? '' : ', '}(${fmt.text(item.issue)})`;
+        if (item.pages) source += `, ${fmt.text(item.pages.replace('-', '–'))}`;
+        parts.push(`${source}.`);
+      }
+    }
+
+    if (item.doi) parts.push(fmt.text(`https://doi.org/${item.doi}`));
+
+    return parts.join(' ');
+  },
+
+  // MLA 9th edition
+  mla: (item, fmt) => {
+    const authors = item.authors;
+    let authorText = '';
+    if (authors.length === 1) authorText = invertedName(authors[0]);
+    if (authors.length === 2) authorText = `${invertedName(authors[0])}, and ${fullName(authors[1])}`;
+    if (authors.length > 2) authorText = `${invertedName(authors[0])}, et al`;
+
+    const parts = [];
+    if (authorText) parts.push(fmt.text(ensurePeriod(authorText)));
+
+    if (item.type === 'book') {
+      parts.push(`${fmt.italic(item.title)}.`);
+      const publication = [item.publisher, item.date ? item.date.year : null].filter(Boolean).join(', ');
+      if (publication) parts.push(`${fmt.text(publication)}.`);
+      return parts.join(' ');
+    }
+
+    parts.push(fmt.text(`“${ensurePeriod(item.title)}”`));
+
+    const container = [];
+    if (item.container) container.push(fmt.italic(item.container));
+    if (item.volume) container.push(fmt.text(`vol. ${item.volume}`));
+    if (item.issue) container.push(fmt.text(`no. ${item.issue}`));
+    if (item.date) {
+      const month = item.date.month ? `${MONTHS_MLA[item.date.month - 1]} ` : '';
+      const day = item.date.day && item.date.month ? `${item.date.day} ` : '';
+      container.push(fmt.text(`${day}${month}${item.date.year}`));
+    }
+    if (item.pages) container.push(fmt.text(`pp. ${item.pages}`));
+    if (item.doi) container.push(fmt.text(`https://doi.org/${item.doi}`));
+    if (container.length > 0) parts.push(`${container.join(', ')}.`);
+
+    return parts.join(' ');
+  },
+
+  // IEEE reference list style
+  ieee: (item, fmt) => {
+    const names = item.authors.map(author => [...initialsOf(author.first_name), author.last_name].filter(Boolean).join(' '));
+    // More than six authors: first author followed by et al.
+    const authorText = names.length > 6 ? `${names[0]} et al.` : joinNames(names, 'and', names.length > 2);
+
+    if (item.type === 'book') {
+      const parts = [];
+      if (authorText) parts.push(`${fmt.text(authorText)},`);
+      parts.push(`${fmt.italic(item.title)}.`);
+      const publication = [item.publisher, item.date ? item.date.year : null].filter(Boolean).join(', ');
+      if (publication) parts.push(`${fmt.text(publication)}.`);
+      return parts.join(' ');
+    }
+
+    const segments = [];
+    if (authorText) segments.push(fmt.text(authorText));
+    segments.push(fmt.text(`“${item.title},”`));
+
+    const details = [];
+    if (item.container) details.push(fmt.italic(item.container));
+    if (item.volume) details.push(fmt.text(`vol. ${item.volume}`));
+    if (item.issue) details.push(fmt.text(`no. ${item.issue}`));
+    if (item.pages) details.push(fmt.text(`pp. ${item.pages.replace('-', '–')}`));
+    if (item.date) {
+      const month = item.date.month ? `${MONTHS_IEEE[item.date.month - 1]} ` : '';
+      details.push(fmt.text(`${month}${item.date.year}`));
+    }
+    if (item.doi) details.push(fmt.text(`doi: ${item.doi}`));
+
+    // The title already ends with a comma inside the quotes
+    if (details.length === 0) {
+      return `${segments.join(', ').replace(/,”$/, '.”')}`;
+    }
+    return `${segments.join(', ')} ${details.join(', ')}.`;
+  },
+
+  // Vancouver (ICMJE / NLM)
+  vancouver: (item, fmt) => {
+    const names = item.authors.map(author => {
+      const initials = initialsOf(author.first_name).map(initial => initial.replace(/[.-]/g, '')).join('');
+      return [author.last_name, initials].filter(Boolean).join(' ');
+    });
+    // More than six authors: the first six followed by et al.
+    const authorText = names.length > 6 ? `${names.slice(0, 6).join(', ')}, et al.` : names.join(', ');
+
+    const parts = [];
+    if (authorText) parts.push(fmt.text(ensurePeriod(authorText)));
+    parts.push(fmt.text(ensurePeriod(item.title)));
+
+    if (item.type === 'book') {
+      const publication = [item.publisher, item.date ? item.date.year : null].filter(Boolean).join('; ');
+      if (publication) parts.push(`${fmt.text(publication)}.`);
+      return parts.join(' ');
+    }
+
+    let source = item.container ? `${fmt.text(item.container)}.` : '';
+    if (item.date) {
+      const month = item.date.month ? ` ${MONTHS_FULL[item.date.month - 1].slice(0, 3)}` : '';
+      source += ` ${item.date.year}${month}`;
+    }
+    if (item.volume) source += `;${fmt.text(item.volume)}`;
+    if (item.issue) source += `(${fmt.text(item.issue)})`;
+    if (item.pages) source += `:${fmt.text(item.pages)}`;
+    if (source.trim()) parts.push(`${source.trim()}.`);
+    if (item.doi) parts.push(fmt.text(`doi:${item.doi}`));
+
+    return parts.join(' ');
+  },
+
+  // Chicago Manual of Style, 17th edition, author-date
+  chicago: (item, fmt) => {
+    const names = item.authors.map((author, i) => (i === 0 ? invertedName(author) : fullName(author)));
+    // More than ten authors: the first seven followed by et al.
+    const authorText = names.length > 10
+      ? `${names.slice(0, 7).join(', ')}, et al`
+      : joinNames(names, 'and', true, true);
+
+    const parts = [];
+    if (authorText) parts.push(fmt.text(ensurePeriod(authorText)));
+    parts.push(item.date ? `${item.date.year}.` : 'n.d.');
+
+    if (item.type === 'book') {
+      parts.push(`${fmt.italic(item.title)}.`);
+      if (item.publisher) parts.push(`${fmt.text(item.publisher)}.`);
+      return parts.join(' ');
+    }
+
+    parts.push(fmt.text(`“${ensurePeriod(item.title)}”`));
+
+    if (item.container) {
+      let source = fmt.italic(item.container);
+      if (item.volume) source += ` ${fmt.text(item.volume)}`;
+      if (item.issue) source += ` (${fmt.text(item.issue)})`;
+      if (item.pages) source += `: ${fmt.text(item.pages.replace('-', '–'))}`;
+      parts.push(`${source}.`);
+    }
+    if (item.doi) parts.push(fmt.text(`https://doi.org/${item.doi}.`));
+
+    return parts.join(' ');
+  },
+};
+
+const OUTPUTS = {
+  html: { text: escapeHtml, italic: (value) => `<i>${escapeHtml(value)}</i>` },
+  text: { text: (value) => String(value), italic: (value) => String(value) },
+};
+
+// Build the style-neutral citation item from an article (getArticleById shape)
+export const articleToCitationItem = (article) => {
+  const journal = article.journals && article.journals[0];
+  return {
+    type: 'article',
+    title: article.title || '',
+    authors: article.authors || [],
+    container: journal ? journal.name : null,
+    volume: article.volume || null,
+    issue: article.issue || null,
+    pages: article.pages || null,
+    doi: article.doi || null,
+    date: splitDate(article.publish_date),
+  };
+};
+
+// Build the style-neutral citation item from a book (getBookById shape)
+export const bookToCitationItem = (book) => ({
+  type: 'book',
+  title: book.title || '',
+  authors: book.authors || [],
+  publisher: book.publisher || null,
+  doi: book.doi || null,
+  date: splitDate(book.publish_date),
+});
+
+// Format a citation item in one style, returning both HTML and plain text
+export const formatCitation = (item, style) => {
+  const formatter = STYLE_FORMATTERS[style];
+  if (!formatter) {
+    throw new Error(`Unsupported citation style: ${style}`);
+  }
+
+  return {
+    html: formatter(item, OUTPUTS.html),
+    text: formatter(item, OUTPUTS.text),
+  };
+};
+
+// Parse the `style` query parameter ("apa,ieee"); defaults to every style
+export const resolveCitationStyles = (style) => {
+  if (!style) return CITATION_STYLES;
+  const styles = String(style).toLowerCase().split(',').map(value => value.trim()).filter(Boolean);
+  return styles.every(value => CITATION_STYLES.includes(value)) ? styles : null;
+};
@@ -0,0 +1,171 @@
+import { el, renderXml } from './xmlBuilder.js';
+import { splitDate } from './normalizeText.js';
+import { authorInstitutions } from './affiliations.js';
+import { CROSSREF_UPDATE_TYPES } from './articleNotices.js';
+
+const CROSSREF_SCHEMA_VERSION = '5.3.1';
+const CROSSREF_NAMESPACE = `http://www.crossref.org/schema/${CROSSREF_SCHEMA_VERSION}`;
+
+// Crossref only accepts ISO 639-1 codes in the language attribute
+const languageAttr = (language) => {
+  return language && /^[a-z]{2}$/i.test(language) ? language.toLowerCase() : undefined;
+};
+
+// Crossref timestamps must increase between deposits of the same DOI
+const buildTimestamp = (date = new Date()) => {
+  return date.toISOString().replace(/[-:TZ]/g, '').slice(0, 14);
+};
+
+const buildHead = (batchId) => {
+  return el('head', {},
+    el('doi_batch_id', {}, batchId),
+    el('timestamp', {}, buildTimestamp()),
+    el('depositor', {},
+      el('depositor_name', {}, process.env.CROSSREF_DEPOSITOR_NAME || 'QuanLyBaiBao'),
+      el('email_address', {}, process.env.CROSSREF_DEPOSITOR_EMAIL || '')
+    ),
+    el('registrant', {}, process.env.CROSSREF_REGISTRANT || process.env.CROSSREF_DEPOSITOR_NAME || 'QuanLyBaiBao')
+  );
+};
+
+const buildContributors = (authors = []) => {
+  if (authors.length === 0) return null;
+
+  return el('contributors', {},
+    authors.map((author, i) => el('person_name', { sequence: i === 0 ? 'first' : 'additional', contributor_role: 'author' },
+      author.first_name ? el('given_name', {}, author.first_name) : null,
+      el('surname', {}, author.last_name || author.first_name || ''),
+      authorInstitutions(author).length > 0
+        ? el('affiliations', {},
+            authorInstitutions(author).map(institution => el('institution', {},
+              el('institution_name', {}, institution.name),
+              institution.country ? el('institution_place', {}, institution.country) : null
+            ))
+          )
+        : null,
+      author.orcid_id ? el('ORCID', {}, `https://orcid.org/${author.orcid_id}`) : null
+    ))
+  );
+};
+
+const buildPublicationDate = (value, mediaType) => {
+  const date = splitDate(value);
+  if (!date) return null;
+
+  return el('publication_date', { media_type: mediaType },
+    date.month ? el('month', {}, String(date.month).padStart(2, '0')) : null,
+    date.month && date.day ? el('day', {}, String(date.day).padStart(2, '0')) : null,
+    el('year', {}, date.year)
+  );
+};
+
+const buildDoiData = (doi, resourceUrl) => {
+  return el('doi_data', {},
+    el('doi', {}, doi),
+    el('resource', {}, resourceUrl)
+  );
+};
+
+const wrapBatch = (batchId, body) => {
+  return renderXml(el('doi_batch', {
+    version: CROSSREF_SCHEMA_VERSION,
+    xmlns: CROSSREF_NAMESPACE,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xmlns:jats': 'http://www.ncbi.nlm.nih.gov/JATS1',
+    'xsi:schemaLocation': `${CROSSREF_NAMESPACE} https://www.crossref.org/schemas/crossref${CROSSREF_SCHEMA_VERSION}.xsd`
+  },
+    buildHead(batchId),
+    el('body', {}, body)
+  ));
+};
+
+// Build a Crossref journal_article deposit from an article with `authors`
+// (including `institutions`), `journals` and its volume, issue and pages
+export const buildArticleDeposit = (article, resourceUrl) => {
+  const journal = article.journals[0];
+
+  const journalArticle = el('journal_article', { publication_type: 'full_text', language: languageAttr(article.language) },
+    el('titles', {}, el('title', {}, article.title)),
+    buildContributors(article.authors),
+    article.abstract ? el('jats:abstract', {}, el('jats:p', {}, article.abstract)) : null,
+    buildPublicationDate(article.publish_date, 'online'),
+    article.first_page
+      ? el('pages', {},
+          el('first_page', {}, article.first_page),
+          article.last_page ? el('last_page', {}, article.last_page) : null
+        )
+      : null,
+    article.article_number
+      ? el('publisher_item', {}, el('item_number', { item_number_type: 'article_number' }, article.article_number))
+      : null,
+    buildDoiData(article.doi, resourceUrl)
+  );
+
+  // Volume and issue the article is placed in
+  const journalIssue = article.volume || article.issue
+    ? el('journal_issue', {},
+        buildPublicationDate(article.issue_publication_date || article.publish_date, 'print'),
+        article.volume ? el('journal_volume', {}, el('volume', {}, article.volume)) : null,
+        article.issue ? el('issue', {}, article.issue) : null
+      )
+    : null;
+
+  return wrapBatch(`article-${article.id}-${Date.now()}`,
+    el('journal', {},
+      buildJournalMetadata(journal),
+      journalIssue,
+      journalArticle
+    )
+  );
+};
+
+// Journal metadata of the first journal an article belongs to
+const buildJournalMetadata = (journal) => {
+  return el('journal_metadata', { language: languageAttr(journal.language) },
+    el('full_title', {}, journal.name),
+    journal.issn ? el('issn', { media_type: 'print' }, journal.issn) : null,
+    journal.e_issn ? el('issn', { media_type: 'electronic' }, journal.e_issn) : null
+  );
+};
+
+// Build a Crossref deposit for a correction, erratum, expression of concern or
+// retraction notice. The Crossmark <updates> element tells Crossref which
+// article DOI the notice updates.
+export const buildNoticeDeposit = (notice, article, resourceUrl) => {
+  const journal = article.journals[0];
+  const noticeDate = String(notice.notice_date).slice(0, 10);
+
+  return wrapBatch(`notice-${notice.id}-${Date.now()}`,
+    el('journal', {},
+      buildJournalMetadata(journal),
+      el('journal_article', { publication_type: 'full_text', language: languageAttr(article.language) },
+        el('titles', {}, el('title', {}, notice.title)),
+        buildPublicationDate(noticeDate, 'online'),
+        el('crossmark', {},
+          el('crossmark_version', {}, '1'),
+          el('crossmark_policy', {}, process.env.CROSSREF_CROSSMARK_POLICY || ''),
+          el('updates', {},
+            el('update', { type: CROSSREF_UPDATE_TYPES[notice.notice_type], date: noticeDate }, article.doi)
+          )
+        ),
+        buildDoiData(notice.doi, resourceUrl)
+      )
+    )
+  );
+};
+
+// Build a Crossref book (monograph) deposit from a book with `authors`
+export const buildBookDeposit = (book, resourceUrl) => {
+  return wrapBatch(`book-${book.id}-${Date.now()}`,
+    el('book', { book_type: 'monograph' },
+      el('book_metadata', { language: languageAttr(book.language) },
+        buildContributors(book.authors),
+        el('titles', {}, el('title', {}, book.title)),
+        buildPublicationDate(book.publish_date, 'print'),
+        book.isbn ? el('isbn', { media_type: 'print' }, book.isbn) : el('noisbn', { reason: 'monograph' }),
+        el('publisher', {}, el('publisher_name', {}, book.publisher || process.env.CROSSREF_DEPOSITOR_NAME || 'QuanLyBaiBao')),
+        buildDoiData(book.doi, resourceUrl)
+      )
+    )
+  );
+};
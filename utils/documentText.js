@@ -0,0 +1,101 @@
+import fs from 'fs';
+import mammoth from 'mammoth';
+import { PDFParse } from 'pdf-parse';
+
+// Text extraction from uploaded manuscripts (Word and PDF documents)
+
+export const PDF_MIME_TYPE = 'application/pdf';
+
+// MIME types accepted for article, book and journal documents
+export const DOCUMENT_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
+  'application/msword', // .doc
+  PDF_MIME_TYPE
+];
+
+// Characters of extracted text stored as the preview of a file
+export const TEXT_PREVIEW_LENGTH = 5000;
+
+// A PDF page with fewer characters of text than this is taken for a scanned
+// image (page numbers and running heads aside, a text page has far more)
+const MIN_PAGE_TEXT_LENGTH = 50;
+
+// Share of the pages that must have text for a PDF to count as having a text layer
+const MIN_TEXT_PAGE_RATIO = 0.5;
+
+export const documentFileType = (mimetype = '') => {
+  if (mimetype === PDF_MIME_TYPE) return 'pdf';
+  if (mimetype.includes('word')) return 'docx';
+  return 'other';
+};
+
+// PDF dates are parsed by pdf.js; an unparsable date is left out
+const toIsoDate = (date) => (date instanceof Date && !isNaN(date) ? date.toISOString() : null);
+
+const cleanInfo = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+const readPdf = async (filePath) => {
+  const parser = new PDFParse({ data: await fs.promises.readFile(filePath) });
+  try {
+    // One request at a time: the parser's worker does not handle concurrent ones
+    const content = await parser.getText({ pageJoiner: '' });
+    const info = await parser.getInfo();
+
+    const pages = content.pages.map(page => page.text.trim());
+    const textPages = pages.filter(text => text.replace(/\s+/g, '').length >= MIN_PAGE_TEXT_LENGTH);
+    const dates = info.getDateNode();
+
+    return {
+      text: pages.filter(Boolean).join('\n\n') || null,
+      page_count: content.total,
+      metadata: {
+        title: cleanInfo(info.info && info.info.Title),
+        author: cleanInfo(info.info && info.info.Author),
+        creation_date: toIsoDate(dates.CreationDate) || toIsoDate(dates.XmpCreateDate),
+        producer: cleanInfo(info.info && info.info.Producer)
+      },
+      has_text_layer: content.total > 0 && textPages.length / content.total >= MIN_TEXT_PAGE_RATIO
+    };
+  } finally {
+    await parser.destroy();
+  }
+};
+
+// Text and properties of an uploaded document (a multer file): its `text`
+// (null when none can be extracted), `page_count` and `metadata` (title,
+// author, creation date and producer) of PDFs, and `has_text_layer`, false
+// for PDFs that are scanned images and need OCR before their text can be
+// searched. Never throws.
+export const readDocument = async (file) => {
+  const result = { text: null, page_count: null, metadata: null, has_text_layer: null };
+
+  try {
+    if (file.mimetype === PDF_MIME_TYPE) {
+      return { ...result, ...(await readPdf(file.path)) };
+    }
+
+    if (file.mimetype.includes('word')) {
+      const { value } = await mammoth.extractRawText({ path: file.path });
+      return { ...result, text: value || null, has_text_layer: true };
+    }
+  } catch (error) {
+    console.error('Error extracting text from document:', error);
+  }
+
+  return result;
+};
+
+// Columns of a file record describing an extracted document
+export const documentFileFields = (document) => ({
+  text_preview: document.text ? document.text.substring(0, TEXT_PREVIEW_LENGTH) : null,
+  page_count: document.page_count,
+  document_metadata: document.metadata,
+  has_text_layer: document.has_text_layer
+});
+
+// Warning shown when an uploaded PDF has no text to index
+export const documentWarning = (document) => {
+  return document.has_text_layer === false
+    ? 'This PDF appears to be a scanned image without a text layer: its text cannot be searched or previewed until it is run through OCR'
+    : null;
+};
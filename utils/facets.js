@@ -0,0 +1,101 @@
+// Facet counting for the catalog list endpoints. A record carries the values of
+// each of its facets ({ id, facets: { language: [{ value, label }], ... } }).
+// Facet filters are multi-select: values of one facet are alternatives (OR),
+// different facets must all match (AND).
+
+// Query parameter of each facet filter
+export const FACET_PARAMS = {
+  language: 'language',
+  year: 'year',
+  journal: 'journal_id',
+  institution: 'institution_id',
+  country: 'country',
+  academic_title: 'academic_title',
+  keyword: 'keyword',
+  file_type: 'file_type'
+};
+
+// Values listed per facet (selected values are always listed)
+const MAX_FACET_VALUES = 50;
+
+// Values of a multi-select filter: "a,b" or a repeated query parameter
+export const parseFacetValues = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Active facet filters of a request, as { facet: [values] }
+export const activeFacetFilters = (query, facets) => {
+  const active = {};
+  facets.forEach(facet => {
+    const values = parseFacetValues(query[FACET_PARAMS[facet]]);
+    if (values.length > 0) {
+      active[facet] = values;
+    }
+  });
+  return active;
+};
+
+// Request filters without the facet filters (the base of the facet counts)
+export const withoutFacetFilters = (query, facets) => {
+  const filters = { ...query };
+  facets.forEach(facet => {
+    delete filters[FACET_PARAMS[facet]];
+  });
+  return filters;
+};
+
+const matchesFacet = (record, facet, values) => {
+  return (record.facets[facet] || []).some(item => values.includes(String(item.value)));
+};
+
+const matchesAll = (record, active, exceptFacet = null) => {
+  return Object.entries(active).every(([facet, values]) =>
+    facet === exceptFacet || matchesFacet(record, facet, values)
+  );
+};
+
+// Value counts of each facet. The counts of a facet apply every other active
+// facet filter but not its own, so that more of its values can be selected.
+export const countFacets = (records, facets, active) => {
+  const result = {};
+
+  facets.forEach(facet => {
+    const selected = active[facet] || [];
+    const counts = new Map();
+
+    records
+      .filter(record => matchesAll(record, active, facet))
+      .forEach(record => {
+        // A record counts once per value, even when it is linked to it twice
+        const seen = new Set();
+        (record.facets[facet] || []).forEach(({ value, label }) => {
+          const key = String(value);
+          if (seen.has(key)) return;
+          seen.add(key);
+
+          const entry = counts.get(key) || { value: key, label: label || key, count: 0 };
+          entry.count++;
+          counts.set(key, entry);
+        });
+      });
+
+    // Selected values stay visible even when nothing else matches them
+    selected.forEach(value => {
+      if (!counts.has(value)) {
+        counts.set(value, { value, label: value, count: 0 });
+      }
+    });
+
+    const values = [...counts.values()]
+      .map(entry => ({ ...entry, selected: selected.includes(entry.value) }))
+      .sort((a, b) => b.count - a.count || String(a.label).localeCompare(String(b.label)));
+
+    result[facet] = values.filter((entry, index) => index < MAX_FACET_VALUES || entry.selected);
+  });
+
+  return result;
+};
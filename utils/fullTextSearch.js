@@ -0,0 +1,177 @@
+import { removeDiacritics } from './normalizeText.js';
+
+// Relative weight of a match in each article field
+const FIELD_WEIGHTS = {
+  title: 4,
+  keywords: 3,
+  abstract: 2,
+  body: 1
+};
+
+// Length of a highlighted snippet, in characters
+const SNIPPET_LENGTH = 200;
+
+const WORD_PATTERN = /[a-z0-9]+/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Lowercase text without diacritics ("Nghiên cứu" -> "nghien cuu"), as stored in
+// the search document and sent in search queries
+export const normalizeSearchText = (text = '') => removeDiacritics(String(text || '')).toLowerCase();
+
+const words = (text) => normalizeSearchText(text).match(WORD_PATTERN) || [];
+
+// Normalized fields of an article matched by full-text search, as stored in
+// the search index. The database weighs them from the title (most relevant)
+// to the document text.
+export const buildSearchDocument = ({ title, abstract, keywords, body }) => ({
+  search_title: normalizeSearchText(title),
+  search_keywords: normalizeSearchText(Array.isArray(keywords) ? keywords.join(' ') : keywords),
+  search_abstract: normalizeSearchText(abstract),
+  search_body: normalizeSearchText(body)
+});
+
+// Parse a web search style query (as websearch_to_tsquery does): "quoted text"
+// is a phrase, -word excludes a word and `or` separates alternatives. Returns
+// the normalized query for the database with the terms and phrases to rank
+// and highlight.
+export const parseSearchQuery = (query = '') => {
+  const normalized = normalizeSearchText(query).replace(/\s+/g, ' ').trim();
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+
+  const tokenPattern = /(-?)"([^"]*)"?|(\S+)/g;
+  let match;
+  while ((match = tokenPattern.exec(normalized)) !== null) {
+    if (match[2] !== undefined) {
+      const phrase = words(match[2]);
+      if (phrase.length === 0) continue;
+      if (match[1]) {
+        excluded.push(...phrase);
+      } else if (phrase.length === 1) {
+        terms.push(phrase[0]);
+      } else {
+        phrases.push(phrase);
+      }
+      continue;
+    }
+
+    const token = match[3];
+    if (token === 'or') continue;
+    if (token.startsWith('-')) {
+      excluded.push(...words(token));
+    } else {
+      terms.push(...words(token));
+    }
+  }
+
+  return {
+    query: normalized,
+    terms: [...new Set(terms)],
+    phrases,
+    excluded: [...new Set(excluded)],
+    isEmpty: terms.length === 0 && phrases.length === 0
+  };
+};
+
+// Normalize a text word by word, keeping the position of every normalized
+// word in the original text so that matches can be highlighted there
+const indexWords = (text) => {
+  const original = String(text || '').normalize('NFC');
+  const indexed = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = pattern.exec(original)) !== null) {
+    // A letter keeps its length when its diacritics are removed
+    const normalized = normalizeSearchText(match[0]);
+    const pieces = normalized.match(WORD_PATTERN) || [];
+    let offset = 0;
+    pieces.forEach(piece => {
+      const start = normalized.indexOf(piece, offset);
+      offset = start + piece.length;
+      indexed.push({ word: piece, start: match.index + start, end: match.index + offset });
+    });
+  }
+  return { original, indexed };
+};
+
+// Ranges of the original text matched by the terms and phrases of a query
+const findMatches = (indexed, parsed) => {
+  const ranges = [];
+  indexed.forEach((entry, position) => {
+    if (parsed.terms.includes(entry.word)) {
+      ranges.push({ start: entry.start, end: entry.end, phrase: false });
+    }
+    parsed.phrases.forEach(phrase => {
+      const found = phrase.every((word, k) => indexed[position + k] && indexed[position + k].word === word);
+      if (found) {
+        ranges.push({ start: entry.start, end: indexed[position + phrase.length - 1].end, phrase: true });
+      }
+    });
+  });
+  return ranges.sort((a, b) => a.start - b.start || b.end - a.end);
+};
+
+// Relevance of a record for a parsed query: weighted matches in its fields (by
+// default the title, keywords, abstract and document text of an article), with
+// phrases counting double. Repeated matches in one field add less and less.
+export const scoreSearchMatch = (fields, parsed, weights = FIELD_WEIGHTS) => {
+  let score = 0;
+  Object.entries(weights).forEach(([field, weight]) => {
+    const value = Array.isArray(fields[field]) ? fields[field].join(' ; ') : fields[field];
+    if (!value) return;
+
+    const matches = findMatches(indexWords(value).indexed, parsed);
+    const points = matches.reduce((total, range) => total + (range.phrase ? 2 : 1), 0);
+    if (points > 0) {
+      score += weight * (1 + Math.log(points));
+    }
+  });
+  return Math.round(score * 1000) / 1000;
+};
+
+// HTML snippet of a text around its first matches, with the matches wrapped in
+// <mark> (the rest of the text is escaped). Returns null when nothing matches.
+export const highlightSnippet = (text, parsed, { length = SNIPPET_LENGTH, whole = false } = {}) => {
+  const { original, indexed } = indexWords(text);
+  const matches = findMatches(indexed, parsed);
+  if (matches.length === 0) return null;
+
+  let from = 0;
+  let to = original.length;
+  if (!whole && original.length > length) {
+    // Start a little before the first match, on a word boundary
+    from = Math.max(0, matches[0].start - Math.floor(length / 4));
+    if (from > 0) {
+      from = indexed.find(entry => entry.start >= from).start;
+    }
+    to = Math.min(original.length, from + length);
+    if (to < original.length) {
+      const wordEnd = [...indexed].reverse().find(entry => entry.end <= to);
+      if (wordEnd) to = wordEnd.end;
+    }
+  }
+
+  let html = '';
+  let cursor = from;
+  matches
+    .filter(range => range.start >= from && range.end <= to)
+    .forEach(range => {
+      if (range.start < cursor) return; // overlapping match
+      html += `${escapeHtml(original.slice(cursor, range.start))}<mark>${escapeHtml(original.slice(range.start, range.end))}</mark>`;
+      cursor = range.end;
+    });
+  html += escapeHtml(original.slice(cursor, to));
+
+  html = html.replace(/\s+/g, ' ').trim();
+  return `${from > 0 ? '… ' : ''}${html}${to < original.length ? ' …' : ''}`;
+};
@@ -0,0 +1,137 @@
+// Chuẩn hóa DOI: bỏ tiền tố "https://doi.org/" hoặc "doi:", chuyển về chữ thường
+// (DOI không phân biệt hoa thường)
+export const normalizeDoi = (value) => {
+  if (!value) return null;
+
+  return String(value)
+    .trim()
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+    .replace(/^doi:\s*/i, '')
+    .toLowerCase() || null;
+};
+
+// Kiểm tra DOI hợp lệ: "10.<registrant>/<suffix>"
+export const isValidDoi = (value) => {
+  const doi = normalizeDoi(value);
+  return Boolean(doi) && /^10\.\d{4,9}(\.\d+)*\/\S+$/.test(doi);
+};
+
+// Bỏ khoảng trắng và các loại gạch nối (kể cả gạch Unicode hay gặp khi sao chép từ PDF)
+const stripSeparators = (value) => String(value).replace(/[\s\-‐-―−.]/g, '').toUpperCase();
+
+// Mẫu ILIKE khớp một mã định danh dù được lưu với cách gạch nối bất kỳ
+// ("9786041234567" khớp "978-604-123-456-7"); kết quả cần so sánh lại sau khi chuẩn hóa
+export const identifierLikePattern = (compact) => `%${String(compact).split('').join('%')}%`;
+
+// ORCID: 16 ký tự, ký tự cuối là chữ số kiểm tra ISO 7064 MOD 11-2 (có thể là "X")
+export const orcidCheckDigit = (base) => {
+  let total = 0;
+  for (const digit of base) {
+    total = (total + Number(digit)) * 2;
+  }
+  const result = (12 - (total % 11)) % 11;
+  return result === 10 ? 'X' : String(result);
+};
+
+// Chuẩn hóa ORCID về dạng "0000-0002-1825-0097": bỏ tiền tố "https://orcid.org/",
+// khoảng trắng, gạch nối; chữ "x" cuối được viết hoa
+export const normalizeOrcid = (value) => {
+  if (!value) return null;
+
+  const compact = stripSeparators(String(value).trim().replace(/^(https?:\/\/)?(www\.)?orcid\.org\//i, ''));
+  if (!/^\d{15}[\dX]$/.test(compact)) return compact || null;
+
+  return compact.match(/.{4}/g).join('-');
+};
+
+// Kiểm tra ORCID hợp lệ (định dạng và chữ số kiểm tra)
+export const isValidOrcid = (value) => {
+  const orcid = normalizeOrcid(value);
+  if (!orcid || !/^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/.test(orcid)) return false;
+
+  const compact = orcid.replace(/-/g, '');
+  return orcidCheckDigit(compact.slice(0, 15)) === compact[15];
+};
+
+// ISSN: 8 ký tự, chữ số kiểm tra theo modulo 11 với trọng số 8..2 (có thể là "X")
+export const issnCheckDigit = (base) => {
+  const total = base.split('').reduce((sum, digit, i) => sum + Number(digit) * (8 - i), 0);
+  const result = (11 - (total % 11)) % 11;
+  return result === 10 ? 'X' : String(result);
+};
+
+// Chuẩn hóa ISSN (bản in hoặc điện tử) về dạng "1234-5679"
+export const normalizeIssn = (value) => {
+  if (!value) return null;
+
+  const compact = stripSeparators(String(value).trim().replace(/^(e-?|p-?)?issn\s*:?\s*/i, ''));
+  if (!/^\d{7}[\dX]$/.test(compact)) return compact || null;
+
+  return `${compact.slice(0, 4)}-${compact.slice(4)}`;
+};
+
+// Kiểm tra ISSN hợp lệ (định dạng và chữ số kiểm tra)
+export const isValidIssn = (value) => {
+  const issn = normalizeIssn(value);
+  if (!issn || !/^\d{4}-\d{3}[\dX]$/.test(issn)) return false;
+
+  const compact = issn.replace('-', '');
+  return issnCheckDigit(compact.slice(0, 7)) === compact[7];
+};
+
+// Chữ số kiểm tra ISBN-10: modulo 11 với trọng số 10..2 (có thể là "X")
+const isbn10CheckDigit = (base) => {
+  const total = base.split('').reduce((sum, digit, i) => sum + Number(digit) * (10 - i), 0);
+  const result = (11 - (total % 11)) % 11;
+  return result === 10 ? 'X' : String(result);
+};
+
+// Chữ số kiểm tra ISBN-13: modulo 10 với trọng số xen kẽ 1 và 3
+const isbn13CheckDigit = (base) => {
+  const total = base.split('').reduce((sum, digit, i) => sum + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  return String((10 - (total % 10)) % 10);
+};
+
+// Bỏ tiền tố "ISBN", "ISBN-13:", khoảng trắng và gạch nối
+const compactIsbn = (value) => stripSeparators(String(value).trim().replace(/^isbn(-1[03])?\s*:?\s*/i, ''));
+
+export const isValidIsbn10 = (value) => {
+  const isbn = compactIsbn(value || '');
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn.slice(0, 9)) === isbn[9];
+};
+
+export const isValidIsbn13 = (value) => {
+  const isbn = compactIsbn(value || '');
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn.slice(0, 12)) === isbn[12];
+};
+
+export const isValidIsbn = (value) => isValidIsbn10(value) || isValidIsbn13(value);
+
+// Chuyển ISBN-10 sang ISBN-13 (tiền tố 978)
+export const isbn10To13 = (value) => {
+  if (!isValidIsbn10(value)) return null;
+
+  const base = `978${compactIsbn(value).slice(0, 9)}`;
+  return `${base}${isbn13CheckDigit(base)}`;
+};
+
+// Chuyển ISBN-13 sang ISBN-10; chỉ ISBN có tiền tố 978 mới có dạng ISBN-10
+export const isbn13To10 = (value) => {
+  if (!isValidIsbn13(value)) return null;
+
+  const isbn = compactIsbn(value);
+  if (!isbn.startsWith('978')) return null;
+
+  const base = isbn.slice(3, 12);
+  return `${base}${isbn10CheckDigit(base)}`;
+};
+
+// Chuẩn hóa ISBN về dạng ISBN-13 liền (không gạch nối) để ISBN-10 và ISBN-13
+// của cùng một cuốn sách trùng nhau; giá trị không hợp lệ chỉ được bỏ ký tự phân cách
+export const normalizeIsbn = (value) => {
+  if (!value) return null;
+
+  if (isValidIsbn13(value)) return compactIsbn(value);
+  if (isValidIsbn10(value)) return isbn10To13(value);
+  return compactIsbn(value) || null;
+};
@@ -0,0 +1,102 @@
+// Helpers for the institution hierarchy (university -> faculty -> department).
+// They work on a flat list of { id, parent_id } rows loaded once per request.
+
+const groupChildren = (institutions) => {
+  const children = new Map();
+  institutions.forEach(institution => {
+    if (institution.parent_id === null || institution.parent_id === undefined) return;
+    const key = String(institution.parent_id);
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(institution);
+  });
+  return children;
+};
+
+// Ids of an institution and all its sub-units. The visited set keeps a
+// corrupted (cyclic) hierarchy from looping forever.
+export const collectDescendantIds = (rootId, institutions) => {
+  const children = groupChildren(institutions);
+  const visited = new Set([String(rootId)]);
+  const queue = [String(rootId)];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    (children.get(current) || []).forEach(child => {
+      const childId = String(child.id);
+      if (visited.has(childId)) return;
+      visited.add(childId);
+      queue.push(childId);
+    });
+  }
+
+  return [...visited];
+};
+
+// Ancestors of an institution, closest first
+export const collectAncestors = (id, institutions) => {
+  const byId = new Map(institutions.map(institution => [String(institution.id), institution]));
+  const ancestors = [];
+  const visited = new Set([String(id)]);
+  let current = byId.get(String(id));
+
+  while (current && current.parent_id !== null && current.parent_id !== undefined) {
+    const parentId = String(current.parent_id);
+    if (visited.has(parentId) || !byId.has(parentId)) break;
+    visited.add(parentId);
+    current = byId.get(parentId);
+    ancestors.push(current);
+  }
+
+  return ancestors;
+};
+
+// Setting `parentId` as parent of `institutionId` creates a cycle when the
+// institution is the parent itself or one of its ancestors
+export const wouldCreateCycle = (institutionId, parentId, institutions) => {
+  if (parentId === null || parentId === undefined) return false;
+  if (String(institutionId) === String(parentId)) return true;
+
+  return collectAncestors(parentId, institutions)
+    .some(ancestor => String(ancestor.id) === String(institutionId));
+};
+
+// Nested tree below `rootId`. `countsById` maps an institution id to
+// { authorIds: Set, publicationKeys: Set }; rolled-up counts use the union of
+// the sub-tree so a publication shared by two departments counts once.
+export const buildInstitutionTree = (rootId, institutions, countsById = new Map()) => {
+  const children = groupChildren(institutions);
+  const byId = new Map(institutions.map(institution => [String(institution.id), institution]));
+  const visited = new Set();
+
+  const buildNode = (id) => {
+    visited.add(id);
+    const own = countsById.get(id) || { authorIds: new Set(), publicationKeys: new Set() };
+    const authorIds = new Set(own.authorIds);
+    const publicationKeys = new Set(own.publicationKeys);
+
+    const childNodes = (children.get(id) || [])
+      .filter(child => !visited.has(String(child.id)))
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+      .map(child => {
+        const node = buildNode(String(child.id));
+        node.authorIds.forEach(authorId => authorIds.add(authorId));
+        node.publicationKeys.forEach(key => publicationKeys.add(key));
+        return node;
+      });
+
+    return {
+      authorIds,
+      publicationKeys,
+      node: {
+        ...byId.get(id),
+        author_count: own.authorIds.size,
+        publication_count: own.publicationKeys.size,
+        total_author_count: authorIds.size,
+        total_publication_count: publicationKeys.size,
+        children: childNodes.map(child => child.node),
+      },
+    };
+  };
+
+  return byId.has(String(rootId)) ? buildNode(String(rootId)).node : null;
+};
@@ -0,0 +1,389 @@
+import { el, renderXml, checkWellFormed } from './xmlBuilder.js';
+import { splitDate } from './normalizeText.js';
+import { authorInstitutions } from './affiliations.js';
+import { CREDIT_VOCABULARY_URI, creditRole, creditRoleUri } from './articleAuthors.js';
+import { NOTICE_LABELS, JATS_RELATED_ARTICLE_TYPES, sortNotices } from './articleNotices.js';
+
+const JATS_DOCTYPE = '<!DOCTYPE article PUBLIC "-//NLM//DTD JATS (Z39.96) Journal Publishing DTD v1.3 20210610//EN" "https://jats.nlm.nih.gov/publishing/1.3/JATS-journalpublishing1-3.dtd">';
+
+const VOID_TAGS = new Set(['br', 'img', 'hr']);
+const HEADING_PATTERN = /^h([1-6])$/;
+
+// HTML inline tags produced by mammoth and their JATS equivalents
+const INLINE_TAGS = {
+  strong: 'bold',
+  b: 'bold',
+  em: 'italic',
+  i: 'italic',
+  u: 'underline',
+  s: 'strike',
+  sup: 'sup',
+  sub: 'sub',
+};
+
+const decodeHtmlEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|nbsp|#39);/gi, (match, ref) => {
+    const lower = ref.toLowerCase();
+    if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }[lower];
+  });
+};
+
+const parseAttributes = (text) => {
+  const attrs = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)'|(\S+))/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attrs[match[1].toLowerCase()] = decodeHtmlEntities(match[3] ?? match[4] ?? match[5] ?? '');
+  }
+  return attrs;
+};
+
+// Parse the (simple, well-formed) HTML generated by mammoth into a tree of
+// { tag, attrs, children } nodes and text strings
+const parseHtml = (html) => {
+  const root = { tag: 'root', attrs: {}, children: [] };
+  const stack = [root];
+
+  html.split(/(<[^>]+>)/).forEach(token => {
+    if (!token) return;
+    const current = stack[stack.length - 1];
+
+    const tag = token.match(/^<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*?)(\/?)>$/);
+    if (!tag) {
+      // Comments and stray markup are dropped, everything else is text
+      if (!token.startsWith('<')) current.children.push(decodeHtmlEntities(token));
+      return;
+    }
+
+    const [, closing, rawName, attrText, selfClosing] = tag;
+    const name = rawName.toLowerCase();
+
+    if (closing) {
+      // Tolerate unbalanced markup by closing up to the matching tag
+      const index = stack.map(node => node.tag).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+      return;
+    }
+
+    const node = { tag: name, attrs: parseAttributes(attrText), children: [] };
+    current.children.push(node);
+    if (!selfClosing && !VOID_TAGS.has(name)) stack.push(node);
+  });
+
+  return root;
+};
+
+const hasText = (nodes) => nodes.some(node => (typeof node === 'string' ? node.trim() : node.children && hasText(node.children)));
+
+// Convert HTML inline content into JATS inline content
+const convertInline = (nodes) => {
+  return nodes.flatMap(node => {
+    if (typeof node === 'string') return [node];
+    if (node.tag === 'br') return [' '];
+    if (node.tag === 'img') return [];
+
+    const children = convertInline(node.children);
+
+    if (INLINE_TAGS[node.tag]) {
+      return children.length > 0 ? [el(INLINE_TAGS[node.tag], {}, ...children)] : [];
+    }
+
+    // External links become ext-link; internal anchors (footnote markers,
+    // bookmarks) only keep their text
+    if (node.tag === 'a' && node.attrs.href && !node.attrs.href.startsWith('#')) {
+      return [el('ext-link', { 'ext-link-type': 'uri', 'xlink:href': node.attrs.href }, ...children)];
+    }
+
+    return children;
+  });
+};
+
+const trimInline = (content) => {
+  const result = [...content];
+  if (typeof result[0] === 'string') result[0] = result[0].replace(/^\s+/, '');
+  const last = result.length - 1;
+  if (typeof result[last] === 'string') result[last] = result[last].replace(/\s+$/, '');
+  return result;
+};
+
+const paragraph = (nodes) => (hasText(nodes) ? el('p', {}, ...trimInline(convertInline(nodes))) : null);
+
+// Table cells keep inline content only; paragraphs inside a cell are
+// separated with <break/>
+const convertCell = (cell) => {
+  const content = [];
+  cell.children.forEach(child => {
+    if (typeof child !== 'string' && child.tag === 'p') {
+      if (content.length > 0) content.push(el('break'));
+      content.push(...trimInline(convertInline(child.children)));
+    } else {
+      content.push(...convertInline([child]));
+    }
+  });
+
+  const attrs = {};
+  if (cell.attrs.colspan) attrs.colspan = cell.attrs.colspan;
+  if (cell.attrs.rowspan) attrs.rowspan = cell.attrs.rowspan;
+  return el(cell.tag, attrs, ...content);
+};
+
+const convertTableRows = (nodes) => {
+  return nodes.flatMap(node => {
+    if (typeof node === 'string') return [];
+    if (node.tag === 'tr') {
+      return [el('tr', {}, ...node.children
+        .filter(cell => typeof cell !== 'string' && (cell.tag === 'td' || cell.tag === 'th'))
+        .map(convertCell))];
+    }
+    if (node.tag === 'thead' || node.tag === 'tbody' || node.tag === 'tfoot') {
+      return [el(node.tag, {}, ...convertTableRows(node.children))];
+    }
+    return [];
+  });
+};
+
+// Convert block-level HTML into JATS paragraph-level elements
+const convertBlocks = (nodes) => {
+  const blocks = [];
+  let pendingInline = [];
+
+  const flushInline = () => {
+    const p = paragraph(pendingInline);
+    if (p) blocks.push(p);
+    pendingInline = [];
+  };
+
+  nodes.forEach(node => {
+    if (typeof node === 'string' || INLINE_TAGS[node.tag] || node.tag === 'a' || node.tag === 'br') {
+      pendingInline.push(node);
+      return;
+    }
+
+    flushInline();
+
+    if (node.tag === 'p' || HEADING_PATTERN.test(node.tag)) {
+      // Headings nested inside lists or tables cannot open a section
+      const p = paragraph(HEADING_PATTERN.test(node.tag) ? [{ tag: 'strong', attrs: {}, children: node.children }] : node.children);
+      if (p) blocks.push(p);
+    } else if (node.tag === 'ul' || node.tag === 'ol') {
+      const items = node.children
+        .filter(child => typeof child !== 'string' && child.tag === 'li')
+        .map(item => {
+          const content = convertBlocks(item.children);
+          return content.length > 0 ? el('list-item', {}, ...content) : null;
+        })
+        .filter(Boolean);
+      if (items.length > 0) {
+        blocks.push(el('list', { 'list-type': node.tag === 'ol' ? 'order' : 'bullet' }, ...items));
+      }
+    } else if (node.tag === 'table') {
+      const rows = convertTableRows(node.children);
+      if (rows.length > 0) blocks.push(el('table-wrap', {}, el('table', {}, ...rows)));
+    } else if (node.tag === 'blockquote') {
+      const content = convertBlocks(node.children);
+      if (content.length > 0) blocks.push(el('disp-quote', {}, ...content));
+    } else if (node.tag !== 'img' && node.tag !== 'hr') {
+      blocks.push(...convertBlocks(node.children));
+    }
+  });
+
+  flushInline();
+  return blocks;
+};
+
+// Convert mammoth HTML into a JATS <body>; headings open nested <sec> elements
+export const htmlToJatsBody = (html) => {
+  const root = parseHtml(html || '');
+  const body = el('body', {});
+  const stack = [{ level: 0, node: body }];
+  let sectionCount = 0;
+
+  root.children.forEach(node => {
+    const heading = typeof node !== 'string' && node.tag.match(HEADING_PATTERN);
+
+    if (heading && hasText(node.children)) {
+      const level = Number(heading[1]);
+      while (stack[stack.length - 1].level >= level) stack.pop();
+
+      sectionCount++;
+      const section = el('sec', { id: `sec${sectionCount}` },
+        el('title', {}, ...trimInline(convertInline(node.children)))
+      );
+      stack[stack.length - 1].node.children.push(section);
+      stack.push({ level, node: section });
+      return;
+    }
+
+    stack[stack.length - 1].node.children.push(...convertBlocks([node]));
+  });
+
+  return body.children.length > 0 ? body : null;
+};
+
+const toKeywordArray = (keywords) => {
+  if (!keywords) return [];
+  if (Array.isArray(keywords)) return keywords.filter(Boolean);
+  return String(keywords).split(',').map(k => k.trim()).filter(Boolean);
+};
+
+const languageAttr = (language) => {
+  return language && /^[a-z]{2,3}(-[a-z0-9]+)?$/i.test(language) ? language.toLowerCase() : undefined;
+};
+
+const buildContribGroup = (authors) => {
+  // One <aff> per distinct institution, referenced from each contributor
+  const affiliations = [];
+  const affiliationIds = new Map();
+
+  authors.forEach(author => {
+    authorInstitutions(author).forEach(institution => {
+      if (!affiliationIds.has(institution.id)) {
+        affiliationIds.set(institution.id, `aff${affiliationIds.size + 1}`);
+        affiliations.push(institution);
+      }
+    });
+  });
+
+  // Authors arrive in byline order, with corresponding-author, equal-contribution
+  // and CRediT role details from article_authors
+  const contribs = authors.map(author => el('contrib', {
+    'contrib-type': 'author',
+    corresp: author.is_corresponding ? 'yes' : undefined,
+    'equal-contrib': author.equal_contribution ? 'yes' : undefined
+  },
+    author.orcid_id
+      ? el('contrib-id', { 'contrib-id-type': 'orcid' }, `https://orcid.org/${author.orcid_id}`)
+      : null,
+    el('name', {},
+      el('surname', {}, author.last_name || author.first_name || ''),
+      author.last_name && author.first_name ? el('given-names', {}, author.first_name) : null
+    ),
+    (author.contributor_roles || []).map(creditRole).filter(Boolean).map(role => el('role', {
+      vocab: 'credit',
+      'vocab-identifier': CREDIT_VOCABULARY_URI,
+      'vocab-term': role.name,
+      'vocab-term-identifier': creditRoleUri(role.id)
+    }, role.name)),
+    author.email ? el('email', {}, author.email) : null,
+    authorInstitutions(author).map(institution => el('xref', { 'ref-type': 'aff', rid: affiliationIds.get(institution.id) }))
+  ));
+
+  const affs = affiliations.map(institution => el('aff', { id: affiliationIds.get(institution.id) },
+    el('institution', {}, institution.name),
+    institution.country ? el('country', {}, institution.country) : null
+  ));
+
+  return [el('contrib-group', {}, ...contribs), ...affs];
+};
+
+// Links from the article to its correction, expression of concern and retraction notices
+const buildRelatedNotices = (notices = []) => {
+  return sortNotices(notices).map(notice => el('related-article', {
+    id: `notice${notice.id}`,
+    'related-article-type': JATS_RELATED_ARTICLE_TYPES[notice.notice_type],
+    'ext-link-type': notice.doi ? 'doi' : 'uri',
+    'xlink:href': notice.doi || notice.url
+  }, notice.title || NOTICE_LABELS[notice.notice_type]));
+};
+
+const buildPubDate = (value) => {
+  const date = splitDate(value);
+  if (!date) return null;
+
+  return el('pub-date', { 'publication-format': 'electronic', 'date-type': 'pub' },
+    date.month && date.day ? el('day', {}, String(date.day).padStart(2, '0')) : null,
+    date.month ? el('month', {}, String(date.month).padStart(2, '0')) : null,
+    el('year', {}, date.year)
+  );
+};
+
+// Required elements that cannot be generated from the available data
+const findMissingElements = (article, journal, body) => {
+  const missing = [];
+  const authors = article.authors || [];
+
+  if (!journal) {
+    missing.push({ element: 'journal-meta/journal-title-group/journal-title', message: 'Article is not linked to a journal' });
+  }
+  if (!journal || (!journal.issn && !journal.e_issn)) {
+    missing.push({ element: 'journal-meta/issn', message: 'Journal has no ISSN' });
+  }
+  if (!article.title) {
+    missing.push({ element: 'article-meta/title-group/article-title', message: 'Article has no title' });
+  }
+  if (authors.length === 0) {
+    missing.push({ element: 'article-meta/contrib-group/contrib', message: 'Article has no authors' });
+  }
+  authors
+    .filter(author => authorInstitutions(author).length === 0)
+    .forEach(author => missing.push({
+      element: 'article-meta/aff',
+      message: `Author ${[author.first_name, author.last_name].filter(Boolean).join(' ')} has no institution affiliation`
+    }));
+  if (!splitDate(article.publish_date)) {
+    missing.push({ element: 'article-meta/pub-date', message: 'Article has no publish date' });
+  }
+  if (!article.abstract) {
+    missing.push({ element: 'article-meta/abstract', message: 'Article has no abstract' });
+  }
+  if (!body) {
+    missing.push({ element: 'body', message: 'No .docx document with body content is attached' });
+  }
+
+  return missing;
+};
+
+// Build a JATS 1.3 (Journal Publishing) document from an article with
+// `authors` (including `institutions`), `journals` and its volume, issue and
+// pages, plus the HTML of its .docx document when available. Returns the XML
+// together with the well-formedness errors and the required elements that are
+// missing.
+export const buildJatsArticle = (article, { documentHtml = null } = {}) => {
+  const journal = article.journals && article.journals[0];
+  const keywords = toKeywordArray(article.keywords);
+  const body = documentHtml ? htmlToJatsBody(documentHtml) : null;
+
+  const journalMeta = el('journal-meta', {},
+    journal ? el('journal-id', { 'journal-id-type': 'publisher-id' }, String(journal.id)) : null,
+    journal ? el('journal-title-group', {}, el('journal-title', {}, journal.name)) : null,
+    journal && journal.issn ? el('issn', { 'publication-format': 'print' }, journal.issn) : null,
+    journal && journal.e_issn ? el('issn', { 'publication-format': 'electronic' }, journal.e_issn) : null
+  );
+
+  const articleMeta = el('article-meta', {},
+    article.doi ? el('article-id', { 'pub-id-type': 'doi' }, article.doi) : null,
+    el('article-id', { 'pub-id-type': 'publisher-id' }, String(article.id)),
+    el('title-group', {}, el('article-title', {}, article.title || '')),
+    (article.authors || []).length > 0 ? buildContribGroup(article.authors) : null,
+    buildPubDate(article.publish_date),
+    article.volume ? el('volume', {}, article.volume) : null,
+    article.issue ? el('issue', {}, article.issue) : null,
+    article.first_page ? el('fpage', {}, article.first_page) : null,
+    article.last_page ? el('lpage', {}, article.last_page) : null,
+    article.article_number ? el('elocation-id', {}, article.article_number) : null,
+    buildRelatedNotices(article.notices),
+    article.abstract ? el('abstract', {}, el('p', {}, article.abstract)) : null,
+    keywords.length > 0
+      ? el('kwd-group', { 'kwd-group-type': 'author' }, ...keywords.map(keyword => el('kwd', {}, keyword)))
+      : null
+  );
+
+  const xml = renderXml(el('article', {
+    'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+    'xmlns:mml': 'http://www.w3.org/1998/Math/MathML',
+    'dtd-version': '1.3',
+    'article-type': 'research-article',
+    'xml:lang': languageAttr(article.language),
+  },
+    el('front', {}, journalMeta, articleMeta),
+    body
+  ), { doctype: JATS_DOCTYPE });
+
+  return {
+    xml,
+    errors: checkWellFormed(xml),
+    missing: findMissingElements(article, journal, body),
+  };
+};
@@ -0,0 +1,71 @@
+// Helpers for journal volumes, issues and the placement of articles in an issue
+
+export const ISSUE_STATUSES = ['planned', 'in_progress', 'published'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const numericPage = (page) => (/^\d+$/.test(String(page).trim()) ? Number(page) : null);
+
+// Pages are free text ("12", "e123", "xii"); a numeric range must be in order.
+// An article is located either by pages or by an article number.
+// Returns an error message or null.
+export const checkArticlePlacement = ({ first_page, last_page, article_number }) => {
+  if (isBlank(first_page) && !isBlank(last_page)) {
+    return 'last_page requires first_page';
+  }
+
+  const first = isBlank(first_page) ? null : numericPage(first_page);
+  const last = isBlank(last_page) ? null : numericPage(last_page);
+  if (first !== null && last !== null && last < first) {
+    return 'last_page must not be before first_page';
+  }
+
+  if (!isBlank(first_page) && !isBlank(article_number)) {
+    return 'Give either a page range or an article number, not both';
+  }
+
+  return null;
+};
+
+// "12-19", "12" or null
+export const formatPages = (firstPage, lastPage) => {
+  if (isBlank(firstPage)) return null;
+  if (isBlank(lastPage) || String(lastPage) === String(firstPage)) return String(firstPage);
+  return `${firstPage}-${lastPage}`;
+};
+
+// Volume, issue and pages of an article from its article_journals link (with
+// the `journal_issues` and nested `journal_volumes` relations), in the flat
+// shape used by the citation formatters and exports
+export const articlePlacement = (link) => {
+  const issue = link && link.journal_issues;
+  if (!issue) {
+    return {};
+  }
+
+  const volume = issue.journal_volumes;
+  return {
+    issue_id: issue.id,
+    volume: volume ? String(volume.volume_number) : null,
+    issue: issue.issue_number !== null && issue.issue_number !== undefined ? String(issue.issue_number) : null,
+    issue_publication_date: issue.publication_date || null,
+    first_page: link.first_page || null,
+    last_page: link.last_page || null,
+    article_number: link.article_number || null,
+    pages: formatPages(link.first_page, link.last_page)
+  };
+};
+
+// Table of contents order: explicit toc_order first, then page, then article number
+export const sortTableOfContents = (entries) => {
+  const rank = (value) => (value === null || value === undefined ? Infinity : value);
+  return [...entries].sort((a, b) => {
+    if (rank(a.toc_order) !== rank(b.toc_order)) return rank(a.toc_order) - rank(b.toc_order);
+
+    const pageA = numericPage(a.first_page ?? '');
+    const pageB = numericPage(b.first_page ?? '');
+    if (rank(pageA) !== rank(pageB)) return rank(pageA) - rank(pageB);
+
+    return String(a.article_number ?? '').localeCompare(String(b.article_number ?? ''), undefined, { numeric: true });
+  });
+};
@@ -0,0 +1,57 @@
+// Controlled keyword vocabulary: canonical terms with synonyms and an optional
+// Vietnamese/English translation pair
+
+export const KEYWORD_LANGUAGES = ['en', 'vi'];
+
+// Display form of a keyword: single spaces, no surrounding punctuation
+export const cleanKeyword = (term = '') => {
+  return String(term || '')
+    .normalize('NFC')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.,;:]+|[\s.,;:]+$/g, '');
+};
+
+// Lookup form of a keyword: "Machine  Learning" and "machine learning" are the
+// same keyword. Diacritics are kept, since they distinguish Vietnamese words.
+export const normalizeKeyword = (term = '') => cleanKeyword(term).toLowerCase();
+
+// Keywords sent as an array or a comma-separated string
+export const parseKeywordList = (keywords) => {
+  if (keywords === undefined || keywords === null) return [];
+  const list = Array.isArray(keywords) ? keywords : String(keywords).split(',');
+  return list.map(cleanKeyword).filter(Boolean);
+};
+
+// Replace each keyword by its canonical term (`vocabulary` maps the lookup form
+// of terms and synonyms to canonical terms) and drop duplicates, keeping the
+// order. Keywords outside the vocabulary are kept in their display form.
+export const canonicalizeKeywords = (keywords, vocabulary) => {
+  const seen = new Set();
+  const result = [];
+  parseKeywordList(keywords).forEach(keyword => {
+    const canonical = vocabulary.get(normalizeKeyword(keyword)) || keyword;
+    const key = normalizeKeyword(canonical);
+    if (seen.has(key)) return;
+    seen.add(key);
+    result.push(canonical);
+  });
+  return result;
+};
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+// Forms under which a keyword may be stored on articles saved before it was
+// normalized (array filters are case-sensitive): as entered, in lowercase,
+// capitalized, in title case and in uppercase
+export const storedKeywordForms = (terms) => {
+  return [...new Set(terms.flatMap(term => {
+    const lower = normalizeKeyword(term);
+    return [
+      cleanKeyword(term),
+      lower,
+      capitalize(lower),
+      lower.split(' ').map(capitalize).join(' '),
+      lower.toUpperCase()
+    ];
+  }).filter(Boolean))];
+};
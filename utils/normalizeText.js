@@ -0,0 +1,31 @@
+// Bỏ dấu tiếng Việt (và các dấu kết hợp khác), giữ nguyên chữ hoa/thường
+export const removeDiacritics = (text = '') => {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+};
+
+// Chuẩn hóa tên để so sánh: bỏ dấu, chữ thường, bỏ ký tự đặc biệt, gộp khoảng trắng
+export const normalizeName = (text = '') => {
+  return removeDiacritics(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Tách publish_date (YYYY-MM-DD hoặc ISO) thành các phần năm/tháng/ngày mà không bị lệch múi giờ
+export const splitDate = (value) => {
+  if (!value) return null;
+
+  const match = String(value).match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+  if (!match) return null;
+
+  return {
+    year: parseInt(match[1]),
+    month: match[2] ? parseInt(match[2]) : null,
+    day: match[3] ? parseInt(match[3]) : null
+  };
+};
@@ -0,0 +1,245 @@
+import { el, renderXml } from './xmlBuilder.js';
+
+export const OAI_PAGE_SIZE = 100;
+export const OAI_GRANULARITY = 'YYYY-MM-DDThh:mm:ssZ';
+
+const OAI_NAMESPACE = 'http://www.openarchives.org/OAI/2.0/';
+const OAI_DC_NAMESPACE = 'http://www.openarchives.org/OAI/2.0/oai_dc/';
+const DC_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+
+export const OAI_DC_FORMAT = {
+  metadataPrefix: 'oai_dc',
+  schema: 'http://www.openarchives.org/OAI/2.0/oai_dc.xsd',
+  metadataNamespace: OAI_DC_NAMESPACE,
+};
+
+// Allowed arguments per verb; `required` arguments may be replaced by an
+// exclusive resumptionToken on list verbs
+const VERB_ARGUMENTS = {
+  Identify: { required: [], optional: [], exclusive: null },
+  ListMetadataFormats: { required: [], optional: ['identifier'], exclusive: null },
+  ListSets: { required: [], optional: [], exclusive: 'resumptionToken' },
+  ListIdentifiers: { required: ['metadataPrefix'], optional: ['from', 'until', 'set'], exclusive: 'resumptionToken' },
+  ListRecords: { required: ['metadataPrefix'], optional: ['from', 'until', 'set'], exclusive: 'resumptionToken' },
+  GetRecord: { required: ['identifier', 'metadataPrefix'], optional: [], exclusive: null },
+};
+
+export class OaiError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'OaiError';
+    this.code = code;
+  }
+}
+
+// Validate the verb and its arguments, returning the verb on success
+export const validateOaiArguments = (args) => {
+  const { verb, ...rest } = args;
+
+  if (!verb || Array.isArray(verb) || !VERB_ARGUMENTS[verb]) {
+    throw new OaiError('badVerb', verb ? 'Illegal OAI verb' : 'Missing OAI verb');
+  }
+
+  const rules = VERB_ARGUMENTS[verb];
+  const names = Object.keys(rest);
+
+  const repeated = names.find(name => Array.isArray(rest[name]));
+  if (repeated) {
+    throw new OaiError('badArgument', `Argument "${repeated}" is repeated`);
+  }
+
+  const illegal = names.find(name => ![...rules.required, ...rules.optional, rules.exclusive].includes(name));
+  if (illegal) {
+    throw new OaiError('badArgument', `Illegal argument "${illegal}" for verb ${verb}`);
+  }
+
+  if (rules.exclusive && names.includes(rules.exclusive)) {
+    if (names.length > 1) {
+      throw new OaiError('badArgument', `${rules.exclusive} is an exclusive argument`);
+    }
+    return verb;
+  }
+
+  const missing = rules.required.find(name => !rest[name]);
+  if (missing) {
+    throw new OaiError('badArgument', `Missing required argument "${missing}"`);
+  }
+
+  return verb;
+};
+
+// Format a database timestamp with the repository granularity (seconds, UTC)
+export const formatDatestamp = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+};
+
+// Parse the from/until arguments into ISO timestamps. Day granularity
+// datestamps cover the whole day; both arguments must use the same granularity.
+export const parseDateRange = (from, until) => {
+  const parse = (value, isUntil) => {
+    if (!value) return null;
+
+    let iso;
+    let granularity;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      iso = `${value}T${isUntil ? '23:59:59.999' : '00:00:00.000'}Z`;
+      granularity = 'day';
+    } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(value)) {
+      iso = value.replace('Z', isUntil ? '.999Z' : '.000Z');
+      granularity = 'seconds';
+    } else {
+      throw new OaiError('badArgument', `Invalid datestamp "${value}"`);
+    }
+
+    const date = new Date(iso);
+    if (Number.isNaN(date.getTime()) || date.toISOString() !== iso) {
+      throw new OaiError('badArgument', `Invalid datestamp "${value}"`);
+    }
+    return { iso, granularity };
+  };
+
+  const fromDate = parse(from, false);
+  const untilDate = parse(until, true);
+
+  if (fromDate && untilDate) {
+    if (fromDate.granularity !== untilDate.granularity) {
+      throw new OaiError('badArgument', 'from and until must have the same granularity');
+    }
+    if (fromDate.iso > untilDate.iso) {
+      throw new OaiError('badArgument', 'from must be less than or equal to until');
+    }
+  }
+
+  return {
+    from: fromDate ? fromDate.iso : null,
+    until: untilDate ? untilDate.iso : null,
+  };
+};
+
+// Resumption tokens carry the full harvest state, so the server keeps none
+export const encodeResumptionToken = (state) => {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+};
+
+export const decodeResumptionToken = (token, verb) => {
+  try {
+    const state = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (!state || state.verb !== verb) throw new Error('Token issued for another verb');
+    return state;
+  } catch (error) {
+    throw new OaiError('badResumptionToken', 'The resumptionToken is invalid or expired');
+  }
+};
+
+export const repositoryIdentifier = () => {
+  if (process.env.OAI_REPOSITORY_IDENTIFIER) return process.env.OAI_REPOSITORY_IDENTIFIER;
+  try {
+    return new URL(process.env.CLIENT_URL).hostname;
+  } catch (error) {
+    return 'localhost';
+  }
+};
+
+// oai:<repository>:article/12, oai:<repository>:book/5
+export const buildOaiIdentifier = (type, id) => `oai:${repositoryIdentifier()}:${type}/${id}`;
+
+export const parseOaiIdentifier = (identifier) => {
+  const prefix = `oai:${repositoryIdentifier()}:`;
+  if (!identifier || !identifier.startsWith(prefix)) return null;
+
+  const match = identifier.slice(prefix.length).match(/^(article|book)\/(.+)$/);
+  return match ? { type: match[1], id: match[2] } : null;
+};
+
+export const buildSetSpec = (journalId) => `journal_${journalId}`;
+
+export const parseSetSpec = (setSpec) => {
+  const match = String(setSpec).match(/^journal_(.+)$/);
+  return match ? match[1] : null;
+};
+
+export const buildRecordHeader = ({ identifier, datestamp, setSpecs = [] }) => {
+  return el('header', {},
+    el('identifier', {}, identifier),
+    el('datestamp', {}, datestamp),
+    setSpecs.map(setSpec => el('setSpec', {}, setSpec))
+  );
+};
+
+const creatorName = (author) => {
+  if (author.last_name && author.first_name) return `${author.last_name}, ${author.first_name}`;
+  return author.last_name || author.first_name || '';
+};
+
+const toKeywordArray = (keywords) => {
+  if (!keywords) return [];
+  if (Array.isArray(keywords)) return keywords.filter(Boolean);
+  return String(keywords).split(',').map(k => k.trim()).filter(Boolean);
+};
+
+const dcElement = (name, value) => (value ? el(`dc:${name}`, {}, String(value)) : null);
+
+const wrapOaiDc = (...children) => {
+  return el('metadata', {},
+    el('oai_dc:dc', {
+      'xmlns:oai_dc': OAI_DC_NAMESPACE,
+      'xmlns:dc': DC_NAMESPACE,
+      'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+      'xsi:schemaLocation': `${OAI_DC_NAMESPACE} ${OAI_DC_FORMAT.schema}`,
+    }, ...children)
+  );
+};
+
+// Simple Dublin Core for an article with `authors` and `journals`
+export const articleToOaiDc = (article, landingUrl) => {
+  return wrapOaiDc(
+    dcElement('title', article.title),
+    (article.authors || []).map(author => dcElement('creator', creatorName(author))),
+    toKeywordArray(article.keywords).map(keyword => dcElement('subject', keyword)),
+    dcElement('description', article.abstract),
+    dcElement('date', article.publish_date),
+    dcElement('type', 'Text'),
+    dcElement('type', 'info:eu-repo/semantics/article'),
+    dcElement('identifier', landingUrl),
+    article.doi ? dcElement('identifier', `https://doi.org/${article.doi}`) : null,
+    (article.journals || []).map(journal => dcElement('source', journal.issn ? `${journal.name}; ISSN ${journal.issn}` : journal.name)),
+    dcElement('language', article.language)
+  );
+};
+
+// Simple Dublin Core for a book with `authors`
+export const bookToOaiDc = (book, landingUrl) => {
+  return wrapOaiDc(
+    dcElement('title', book.title),
+    (book.authors || []).map(author => dcElement('creator', creatorName(author))),
+    dcElement('publisher', book.publisher),
+    dcElement('date', book.publish_date),
+    dcElement('type', 'Text'),
+    dcElement('type', 'info:eu-repo/semantics/book'),
+    dcElement('identifier', landingUrl),
+    book.isbn ? dcElement('identifier', `urn:isbn:${book.isbn}`) : null,
+    book.doi ? dcElement('identifier', `https://doi.org/${book.doi}`) : null,
+    dcElement('language', book.language)
+  );
+};
+
+export const buildResumptionToken = (token, { completeListSize, cursor }) => {
+  return el('resumptionToken', { completeListSize, cursor }, token || '');
+};
+
+// Wrap a verb response (or an error) in the OAI-PMH envelope. The request
+// element only echoes the arguments when they were valid.
+export const buildOaiResponse = ({ baseUrl, args = {}, verb = null, content = null, error = null }) => {
+  const requestAttrs = error && (error.code === 'badVerb' || error.code === 'badArgument') ? {} : args;
+
+  return renderXml(el('OAI-PMH', {
+    xmlns: OAI_NAMESPACE,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:schemaLocation': `${OAI_NAMESPACE} http://www.openarchives.org/OAI/2.0/OAI-PMH.xsd`,
+  },
+    el('responseDate', {}, formatDatestamp()),
+    el('request', requestAttrs, baseUrl),
+    error ? el('error', { code: error.code }, error.message) : el(verb, {}, content)
+  ));
+};
@@ -0,0 +1,10 @@
+// Values written into PostgREST filter strings, such as the conditions of
+// .or(). User input is double-quoted so that commas, dots and parentheses in
+// it cannot end the condition; backslashes and quotes are escaped inside.
+export const quoteFilterValue = (value) => `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+
+// Quoted ilike pattern matching text that contains the value. LIKE wildcards
+// (% and _) in the value match literally.
+export const containsPattern = (value) => {
+  return quoteFilterValue(`%${String(value).replace(/[\\%_]/g, '\\$&')}%`);
+};
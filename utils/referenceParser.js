@@ -0,0 +1,178 @@
+import { normalizeName } from './normalizeText.js';
+import { normalizeDoi } from './identifiers.js';
+
+// Headings that open the reference section (English and Vietnamese)
+const REFERENCE_HEADING = /^\s*(?:\d+\.?\s*)?(references?|reference list|bibliography|works cited|literature cited|tài liệu tham khảo|danh mục tài liệu tham khảo|tham khảo)\s*:?\s*$/i;
+
+// Headings that end it when they follow the references
+const SECTION_AFTER_REFERENCES = /^\s*(appendix|appendices|phụ lục|acknowledg(e)?ments?|lời cảm ơn|about the authors?|thông tin tác giả)\b/i;
+
+// Numbered entries: "[12] ...", "12. ...", "12) ..."
+const NUMBERED_ENTRY = /^\s*(?:\[(\d{1,4})\]|(\d{1,4})[.)])\s+/;
+
+const DOI_PATTERN = /\b(10\.\d{4,9}(?:\.\d+)*\/[^\s"<>]+)/i;
+const YEAR_PATTERN = /\b(1[89]\d{2}|20\d{2})[a-z]?\b/;
+
+// Find the reference section in the extracted document text. The last
+// matching heading wins, so a "References" entry in a table of contents
+// does not hide the real section.
+export const extractReferenceSection = (text) => {
+  if (!text) return null;
+
+  const lines = String(text).split(/\r?\n/);
+  let start = -1;
+  lines.forEach((line, i) => {
+    if (REFERENCE_HEADING.test(line)) start = i;
+  });
+  if (start === -1) return null;
+
+  const sectionLines = [];
+  for (const line of lines.slice(start + 1)) {
+    if (SECTION_AFTER_REFERENCES.test(line) && line.trim().length < 60) break;
+    sectionLines.push(line);
+  }
+
+  const section = sectionLines.join('\n').trim();
+  return section || null;
+};
+
+// Split a reference section into one string per reference. Numbered lists
+// may wrap over several lines; unnumbered lists use one paragraph per entry.
+export const splitReferences = (section) => {
+  if (!section) return [];
+
+  const lines = section.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const numbered = lines.filter(line => NUMBERED_ENTRY.test(line)).length;
+
+  if (numbered >= Math.max(1, lines.length / 2)) {
+    const entries = [];
+    lines.forEach(line => {
+      if (NUMBERED_ENTRY.test(line) || entries.length === 0) {
+        entries.push(line.replace(NUMBERED_ENTRY, ''));
+      } else {
+        entries[entries.length - 1] += ` ${line}`;
+      }
+    });
+    return entries.map(entry => entry.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+
+  return lines.map(line => line.replace(/\s+/g, ' '));
+};
+
+const cleanPart = (value) => {
+  if (!value) return null;
+  const cleaned = value.replace(/^[\s,.;:]+|[\s,.;:]+$/g, '').trim();
+  return cleaned || null;
+};
+
+// Inverted names with initials: "Nguyen, V. A." / "Smith, J."
+const INVERTED_NAME = /^[^,]+,\s*[A-ZÀ-ỸĐ]\.?(?:[\s-]*[A-ZÀ-ỸĐ]\.?)*\s*(?:,|$)/u;
+
+const splitAuthors = (text) => {
+  if (!text) return [];
+
+  const groups = text
+    .replace(/\bet al\.?/gi, '')
+    .split(/\s*(?:,?\s*&|,?\s+and|,?\s+và)\s+/i);
+
+  return groups
+    .flatMap(group => (INVERTED_NAME.test(group.trim())
+      // "Nguyen, V. A., Tran, B." -> split after each block of initials
+      ? group.split(/(?<=[A-ZÀ-ỸĐ]\.)\s*,\s+/u)
+      // "Nguyễn Văn A, Trần Thị B" -> one name per comma
+      : group.split(/\s*,\s+/)))
+    .map(cleanPart)
+    .filter(Boolean);
+};
+
+// Best-effort parsing of one reference string into structured fields.
+// Handles the common APA-like "Authors (Year). Title. Journal, vol(issue), pages"
+// and IEEE/Vancouver-like "Authors, "Title," Journal, ..." layouts; the raw
+// text is always kept.
+export const parseReference = (rawText) => {
+  const raw = rawText.replace(/\s+/g, ' ').trim();
+  const reference = {
+    raw_text: raw,
+    authors: [],
+    title: null,
+    container: null,
+    year: null,
+    volume: null,
+    issue: null,
+    pages: null,
+    doi: null,
+  };
+
+  const doiMatch = raw.match(DOI_PATTERN);
+  if (doiMatch) {
+    reference.doi = normalizeDoi(doiMatch[1].replace(/[.,;]+$/, ''));
+  }
+
+  // Remove URLs/DOIs before looking at the other fields
+  const text = raw
+    .replace(/(?:https?:\/\/)?(?:dx\.)?doi\.org\/\S+/gi, '')
+    .replace(/\bdoi:\s*\S+/gi, '')
+    .replace(/https?:\/\/\S+/gi, '')
+    .trim();
+
+  const yearMatch = text.match(YEAR_PATTERN);
+  if (yearMatch) reference.year = parseInt(yearMatch[1]);
+
+  const volumeIssue = text.match(/\b(\d{1,4})\s*\((\d{1,4}(?:[-–]\d{1,4})?)\)/);
+  if (volumeIssue) {
+    reference.volume = volumeIssue[1];
+    reference.issue = volumeIssue[2];
+  } else {
+    const volume = text.match(/\b(?:vol\.?|volume|tập)\s*(\d{1,4})/i);
+    const issue = text.match(/\b(?:no\.?|issue|số)\s*(\d{1,4})/i);
+    if (volume) reference.volume = volume[1];
+    if (issue) reference.issue = issue[1];
+  }
+
+  const pages = text.match(/\b(?:pp?\.\s*|tr\.\s*)?(\d{1,6}\s*[-–]\s*\d{1,6})\b(?!\))/);
+  if (pages && (!reference.issue || !pages[1].startsWith(reference.issue))) {
+    reference.pages = pages[1].replace(/\s*[-–]\s*/, '-');
+  }
+
+  // Quoted title (IEEE, MLA, Chicago)
+  const quoted = text.match(/[“"]([^”"]{4,})[”"]/);
+  if (quoted) {
+    const before = text.slice(0, quoted.index);
+    const after = text.slice(quoted.index + quoted[0].length);
+    reference.authors = splitAuthors(before.replace(YEAR_PATTERN, '').replace(/\(\s*\)/g, ''));
+    reference.title = cleanPart(quoted[1]);
+    reference.container = cleanPart(after.replace(/^[\s,.]+(?:in:?\s+)?/i, '').split(',')[0]);
+    return reference;
+  }
+
+  // APA: "Authors (2020). Title. Container, ..."
+  const apa = text.match(/^(.+?)\s*\(\s*(\d{4}[a-z]?|n\.d\.)[^)]*\)\s*\.?\s*(.+)$/i);
+  if (apa) {
+    reference.authors = splitAuthors(apa[1]);
+    const [title, ...rest] = apa[3].split(/(?<=[^A-Z.][.?!])\s+(?=[A-ZÀ-ỸĐ])/u);
+    reference.title = cleanPart(title);
+    reference.container = cleanPart((rest.join(' ').split(/,\s*\d|\.\s/)[0]) || '');
+    return reference;
+  }
+
+  // Vancouver: "Authors. Title. Container. Year;vol(issue):pages." (initials
+  // carry no periods in this style)
+  const parts = text.split(/(?<=[.?!])\s+(?=[A-ZÀ-ỸĐ0-9])/u);
+  if (parts.length >= 2) {
+    reference.authors = splitAuthors(parts[0]);
+    reference.title = cleanPart(parts[1]);
+    reference.container = parts[2] ? cleanPart(parts[2].split(/[.;]\s*\d/)[0]) : null;
+  } else {
+    reference.title = cleanPart(text);
+  }
+
+  return reference;
+};
+
+// Parse the reference section of a document text into structured references
+export const parseReferencesFromText = (text) => {
+  return splitReferences(extractReferenceSection(text)).map(parseReference);
+};
+
+// Key used to compare reference titles with article titles
+export const normalizeTitle = (title) => normalizeName(title || '');
@@ -12,8 +12,17 @@ import articleRoutes from '../routes/authorManager/article.route.js';
 import journalRoutes from '../routes/authorManager/journal.route.js';
 import bookRoutes from '../routes/authorManager/book.route.js';
 import institutionRoutes from '../routes/authorManager/institution.route.js';
+import submissionRoutes from '../routes/authorManager/submission.route.js';
+import authorRequestRoutes from '../routes/authorManager/authorRequest.route.js';
+import keywordRoutes from '../routes/authorManager/keyword.route.js';
 // file route
 import fileRoutes from '../routes/file.route.js';
+// oai-pmh route
+import oaiRoutes from '../routes/oai.route.js';
+// search route
+import searchRoutes from '../routes/search.route.js';
+// cron route
+import cronRoutes from '../routes/cron.route.js';
 
 export const setupRoutes = (app) => {
   // Rate limiting để ngăn chặn lạm dụng API
@@ -49,10 +58,22 @@ export const setupRoutes = (app) => {
   app.use('/api/journals', journalRoutes);
   app.use('/api/books', bookRoutes);
   app.use('/api/institutions', institutionRoutes);
+  app.use('/api/submissions', submissionRoutes);
+  app.use('/api/author-requests', authorRequestRoutes);
+  app.use('/api/keywords', keywordRoutes);
   
   // Route cho file upload
   app.use('/api/files', fileRoutes);
 
+  // Route cho OAI-PMH (thu thập metadata)
+  app.use('/api/oai', oaiRoutes);
+
+  // Route cho tìm kiếm toàn cục
+  app.use('/api/search', searchRoutes);
+
+  // Route cho các tác vụ định kỳ (Vercel Cron)
+  app.use('/api/cron', cronRoutes);
+
   // Middleware xử lý lỗi 404
   app.use((req, res, next) => {
     res.status(404).json({
@@ -0,0 +1,69 @@
+// Editorial workflow of manuscript submissions: statuses, editor decisions,
+// reviewer recommendations and what the submitting author may see
+
+export const SUBMISSION_STATUSES = ['submitted', 'under_review', 'minor_revision', 'major_revision', 'accepted', 'rejected'];
+
+// Editor decisions and the submission status they lead to
+export const DECISION_STATUS = {
+  accept: 'accepted',
+  minor_revision: 'minor_revision',
+  major_revision: 'major_revision',
+  reject: 'rejected',
+};
+
+export const DECISIONS = Object.keys(DECISION_STATUS);
+
+// Reviewers recommend one of the editor decisions
+export const RECOMMENDATIONS = DECISIONS;
+
+// Statuses in which reviewers can be assigned and decisions recorded
+export const OPEN_STATUSES = ['submitted', 'under_review'];
+
+// Statuses in which the author can submit a revised manuscript
+export const REVISION_STATUSES = ['minor_revision', 'major_revision'];
+
+export const REVIEW_STATUSES = ['invited', 'accepted', 'declined', 'submitted', 'cancelled'];
+
+// Reviews still expected in a round
+export const PENDING_REVIEW_STATUSES = ['invited', 'accepted'];
+
+// Timeline events shown to the submitting author
+const AUTHOR_EVENTS = new Set(['submitted', 'review_started', 'review_submitted', 'decision', 'revision_submitted']);
+
+// "Reviewer 1", "Reviewer 2", ... per round, in assignment order. Labels are
+// stable within a round and reveal nothing about who the reviewer is.
+export const reviewerLabels = (reviews) => {
+  const labels = new Map();
+  const countByRound = new Map();
+  [...reviews]
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)) || Number(a.id) - Number(b.id))
+    .forEach(review => {
+      const count = (countByRound.get(review.round) || 0) + 1;
+      countByRound.set(review.round, count);
+      labels.set(String(review.id), `Reviewer ${count}`);
+    });
+  return labels;
+};
+
+// Reviews as the submitting author sees them: submitted reports only, with the
+// comments meant for the author and an anonymous label instead of the reviewer
+export const reviewsForAuthor = (reviews) => {
+  const labels = reviewerLabels(reviews);
+  return reviews
+    .filter(review => review.status === 'submitted')
+    .map(review => ({
+      id: review.id,
+      round: review.round,
+      reviewer: labels.get(String(review.id)),
+      comments_to_author: review.comments_to_author,
+      submitted_at: review.submitted_at
+    }));
+};
+
+// Timeline as the submitting author sees it: author-facing events without the
+// user who triggered review events
+export const timelineForAuthor = (events) => {
+  return events
+    .filter(event => AUTHOR_EVENTS.has(event.event_type))
+    .map(event => (event.event_type.startsWith('review_') ? { ...event, actor_id: null } : event));
+};
@@ -0,0 +1,188 @@
+// Paragraph- and word-level diff of two document texts (as extracted by mammoth)
+
+// Paragraphs above this count are compared by position only, to keep the LCS
+// table within memory
+const MAX_LCS_CELLS = 16 * 1024 * 1024;
+
+// A removed and an added paragraph count as one changed paragraph when at least
+// this share of their words is common
+const CHANGED_SIMILARITY = 0.5;
+
+const normalizeSpace = (text) => String(text).replace(/\s+/g, ' ').trim();
+
+export const splitParagraphs = (text = '') => {
+  return String(text || '')
+    .split(/\n+/)
+    .map(normalizeSpace)
+    .filter(Boolean);
+};
+
+const splitWords = (text) => normalizeSpace(text).split(' ').filter(Boolean);
+
+// Longest common subsequence of two arrays as a list of operations:
+// { type: 'equal' | 'removed' | 'added', value }
+const diffSequences = (oldItems, newItems) => {
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < oldItems.length && start < newItems.length && oldItems[start] === newItems[start]) start++;
+
+  let oldEnd = oldItems.length;
+  let newEnd = newItems.length;
+  while (oldEnd > start && newEnd > start && oldItems[oldEnd - 1] === newItems[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const oldMiddle = oldItems.slice(start, oldEnd);
+  const newMiddle = newItems.slice(start, newEnd);
+  const rows = oldMiddle.length;
+  const cols = newMiddle.length;
+  const middle = [];
+
+  if ((rows + 1) * (cols + 1) > MAX_LCS_CELLS) {
+    oldMiddle.forEach(value => middle.push({ type: 'removed', value }));
+    newMiddle.forEach(value => middle.push({ type: 'added', value }));
+  } else {
+    // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+    const lengths = new Uint32Array((rows + 1) * (cols + 1));
+    const at = (i, j) => i * (cols + 1) + j;
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[at(i, j)] = oldMiddle[i] === newMiddle[j]
+          ? lengths[at(i + 1, j + 1)] + 1
+          : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        middle.push({ type: 'equal', value: oldMiddle[i] });
+        i++;
+        j++;
+      } else if (lengths[at(i + 1, j)] >= lengths[at(i, j + 1)]) {
+        middle.push({ type: 'removed', value: oldMiddle[i++] });
+      } else {
+        middle.push({ type: 'added', value: newMiddle[j++] });
+      }
+    }
+    while (i < rows) middle.push({ type: 'removed', value: oldMiddle[i++] });
+    while (j < cols) middle.push({ type: 'added', value: newMiddle[j++] });
+  }
+
+  return [
+    ...oldItems.slice(0, start).map(value => ({ type: 'equal', value })),
+    ...middle,
+    ...oldItems.slice(oldEnd).map(value => ({ type: 'equal', value }))
+  ];
+};
+
+// Word-level diff of two paragraphs, with consecutive words of the same type merged
+export const diffWords = (oldText, newText) => {
+  const segments = [];
+  diffSequences(splitWords(oldText), splitWords(newText)).forEach(({ type, value }) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${value}`;
+    } else {
+      segments.push({ type, text: value });
+    }
+  });
+  return segments;
+};
+
+const similarity = (oldText, newText) => {
+  const oldWords = splitWords(oldText);
+  const newWords = splitWords(newText);
+  const longest = Math.max(oldWords.length, newWords.length);
+  if (longest === 0) return 1;
+  const common = diffSequences(oldWords, newWords).filter(op => op.type === 'equal').length;
+  return common / longest;
+};
+
+const countWords = (segments, type) => {
+  return segments
+    .filter(segment => segment.type === type)
+    .reduce((total, segment) => total + splitWords(segment.text).length, 0);
+};
+
+// Compare two texts. Runs of removed paragraphs followed by added ones are
+// paired up as changed paragraphs (with a word diff) when they are similar.
+// Unchanged paragraphs are only listed with `includeUnchanged`.
+export const diffDocuments = (oldText, newText, { includeUnchanged = false } = {}) => {
+  const operations = diffSequences(splitParagraphs(oldText), splitParagraphs(newText));
+  const paragraphs = [];
+  const summary = {
+    paragraphs_added: 0,
+    paragraphs_removed: 0,
+    paragraphs_changed: 0,
+    paragraphs_unchanged: 0,
+    words_added: 0,
+    words_removed: 0
+  };
+
+  let oldIndex = 0;
+  let newIndex = 0;
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const pairs = Math.min(removed.length, added.length);
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const oldParagraph = removed[k];
+      const newParagraph = added[k];
+
+      if (k < pairs && similarity(oldParagraph.text, newParagraph.text) >= CHANGED_SIMILARITY) {
+        const words = diffWords(oldParagraph.text, newParagraph.text);
+        summary.paragraphs_changed++;
+        summary.words_added += countWords(words, 'added');
+        summary.words_removed += countWords(words, 'removed');
+        paragraphs.push({
+          type: 'changed',
+          old_index: oldParagraph.index,
+          new_index: newParagraph.index,
+          old_text: oldParagraph.text,
+          new_text: newParagraph.text,
+          words
+        });
+        continue;
+      }
+
+      if (oldParagraph) {
+        summary.paragraphs_removed++;
+        summary.words_removed += splitWords(oldParagraph.text).length;
+        paragraphs.push({ type: 'removed', old_index: oldParagraph.index, text: oldParagraph.text });
+      }
+      if (newParagraph) {
+        summary.paragraphs_added++;
+        summary.words_added += splitWords(newParagraph.text).length;
+        paragraphs.push({ type: 'added', new_index: newParagraph.index, text: newParagraph.text });
+      }
+    }
+    removed = [];
+    added = [];
+  };
+
+  operations.forEach(({ type, value }) => {
+    if (type === 'removed') {
+      removed.push({ index: oldIndex++, text: value });
+      return;
+    }
+    if (type === 'added') {
+      added.push({ index: newIndex++, text: value });
+      return;
+    }
+
+    flush();
+    summary.paragraphs_unchanged++;
+    if (includeUnchanged) {
+      paragraphs.push({ type: 'unchanged', old_index: oldIndex, new_index: newIndex, text: value });
+    }
+    oldIndex++;
+    newIndex++;
+  });
+  flush();
+
+  return { summary, paragraphs };
+};
@@ -0,0 +1,141 @@
+import { normalizeSearchText } from './fullTextSearch.js';
+import { normalizeKeyword } from './keywords.js';
+
+// Content similarity between articles: TF-IDF cosine similarity of their text,
+// combined with shared keywords, shared authors and a shared journal
+
+// Weight of each signal in the combined similarity (they add up to 1)
+export const SIMILARITY_WEIGHTS = {
+  text: 0.6,
+  keywords: 0.2,
+  authors: 0.1,
+  journal: 0.1
+};
+
+// Repetitions of a word in each field of an article, as counted in its term vector
+const FIELD_BOOSTS = {
+  title: 3,
+  keywords: 3,
+  abstract: 2,
+  body: 1
+};
+
+// Terms kept in a stored term vector (the most frequent ones)
+const MAX_VECTOR_TERMS = 200;
+
+// Frequent English words and Vietnamese syllables (without diacritics) that
+// say nothing about the subject of a text
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'between', 'by', 'can', 'for', 'from',
+  'has', 'have', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the',
+  'their', 'these', 'this', 'those', 'to', 'was', 'we', 'were', 'which', 'with', 'using',
+  'also', 'based', 'results', 'study', 'paper', 'than', 'such', 'not', 'but', 'all', 'both',
+  'va', 'cua', 'cac', 'nhung', 'la', 'trong', 'cho', 'voi', 'duoc', 'mot', 'nay', 'de', 'khi',
+  'tu', 'theo', 've', 'co', 'khong', 'da', 'se', 'nhu', 'tai', 'boi', 'hay', 'hoac', 'thi',
+  'ma', 'cung', 'nen', 'vi', 'den', 'ra', 'o', 'qua', 'nhieu', 'cao', 'su', 'viec'
+]);
+
+const WORD_PATTERN = /[a-z0-9]+/g;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Words of a text that can describe its subject: no stop words, single
+// characters or plain numbers
+const contentWords = (text) => {
+  return (normalizeSearchText(text).match(WORD_PATTERN) || [])
+    .filter(word => word.length > 1 && !/^\d+$/.test(word) && !STOP_WORDS.has(word));
+};
+
+// Term frequencies of an article ({ term: count }) from its title, abstract,
+// keywords and document text, with title and keyword words boosted. Only the
+// most frequent terms are kept.
+export const buildTermVector = (fields) => {
+  const counts = new Map();
+  Object.entries(FIELD_BOOSTS).forEach(([field, boost]) => {
+    const value = Array.isArray(fields[field]) ? fields[field].join(' ') : fields[field];
+    contentWords(value).forEach(word => {
+      counts.set(word, (counts.get(word) || 0) + boost);
+    });
+  });
+
+  return Object.fromEntries(
+    [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, MAX_VECTOR_TERMS)
+  );
+};
+
+// TF-IDF weights of a term vector, as a Map with its Euclidean norm. Terms
+// found in every document weigh nothing.
+export const weighTerms = (vector, frequencies, documentCount) => {
+  const weights = new Map();
+  let sum = 0;
+  Object.entries(vector || {}).forEach(([term, count]) => {
+    const idf = Math.log((1 + documentCount) / (1 + (frequencies.get(term) || 0)));
+    const weight = (1 + Math.log(count)) * idf;
+    if (weight > 0) {
+      weights.set(term, weight);
+      sum += weight * weight;
+    }
+  });
+  return { weights, norm: Math.sqrt(sum) };
+};
+
+// Cosine similarity of two weighted term vectors (see weighTerms), from 0 to 1
+export const cosineSimilarity = (a, b) => {
+  if (a.norm === 0 || b.norm === 0) return 0;
+  const [small, large] = a.weights.size <= b.weights.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.weights.forEach((weight, term) => {
+    const other = large.weights.get(term);
+    if (other) dot += weight * other;
+  });
+  return dot / (a.norm * b.norm);
+};
+
+// Lookup forms of a keyword list, to compare keywords of different articles
+export const keywordSet = (keywords) => new Set((keywords || []).map(normalizeKeyword).filter(Boolean));
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+// Share of the smaller set found in the other one
+const overlap = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+  return shared / Math.min(a.size, b.size);
+};
+
+// Similarity of two articles, each given as { terms (see weighTerms),
+// keywords (see keywordSet), authors, journals (Sets of IDs) }. Returns the
+// combined `score` with the `details` of each signal. A shared journal alone
+// does not make articles similar.
+export const articleSimilarity = (a, b) => {
+  const details = {
+    text: cosineSimilarity(a.terms, b.terms),
+    keywords: jaccard(a.keywords, b.keywords),
+    authors: overlap(a.authors, b.authors),
+    journal: overlap(a.journals, b.journals) > 0 ? 1 : 0
+  };
+
+  if (details.text === 0 && details.keywords === 0 && details.authors === 0) {
+    return { score: 0, details };
+  }
+
+  const score = Object.entries(SIMILARITY_WEIGHTS)
+    .reduce((total, [signal, weight]) => total + weight * details[signal], 0);
+
+  return {
+    score: round(score),
+    details: Object.fromEntries(Object.entries(details).map(([signal, value]) => [signal, round(value)]))
+  };
+};
@@ -0,0 +1,185 @@
+// Escape text and attribute values for XML output
+export const escapeXml = (value = '') => {
+  return String(value)
+    // Characters that are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Create an element node. Children may be strings (escaped as text), nodes,
+// raw() fragments or arrays of those; null/undefined/false children are skipped.
+export const el = (name, attrs = {}, ...children) => ({ name, attrs, children: children.flat(Infinity) });
+
+// Pre-rendered markup that is inserted as-is
+export const raw = (markup) => ({ raw: markup });
+
+const renderAttrs = (attrs) => {
+  return Object.entries(attrs || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+};
+
+const renderInline = (node) => {
+  if (typeof node === 'string' || typeof node === 'number') return escapeXml(node);
+  if (node.raw !== undefined) return node.raw;
+
+  const children = node.children.filter(child => child !== null && child !== undefined && child !== false && child !== '');
+  const attrs = renderAttrs(node.attrs);
+
+  if (children.length === 0) return `<${node.name}${attrs}/>`;
+  return `<${node.name}${attrs}>${children.map(renderInline).join('')}</${node.name}>`;
+};
+
+const renderNode = (node, depth) => {
+  const indent = '  '.repeat(depth);
+
+  if (node.raw !== undefined) return `${indent}${node.raw}`;
+
+  const children = node.children.filter(child => child !== null && child !== undefined && child !== false && child !== '');
+  const attrs = renderAttrs(node.attrs);
+
+  if (children.length === 0) return `${indent}<${node.name}${attrs}/>`;
+
+  // Text-only and mixed-content elements stay on one line so no whitespace
+  // is added around inline markup
+  if (children.some(child => typeof child === 'string' || typeof child === 'number')) {
+    return `${indent}${renderInline(node)}`;
+  }
+
+  const inner = children
+    .map(child => (typeof child === 'object' ? renderNode(child, depth + 1) : `${'  '.repeat(depth + 1)}${escapeXml(child)}`))
+    .join('\n');
+
+  return `${indent}<${node.name}${attrs}>\n${inner}\n${indent}</${node.name}>`;
+};
+
+// Render a node tree into an XML document with declaration and optional
+// DOCTYPE line
+export const renderXml = (root, { declaration = true, doctype = null } = {}) => {
+  const body = renderNode(root, 0);
+  if (!declaration) return body;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${doctype ? `${doctype}\n` : ''}${body}\n`;
+};
+
+const XML_NAME = /^[A-Za-z_][\w.:-]*$/;
+
+// Check that a document is well-formed XML: properly nested and closed tags,
+// quoted attributes without duplicates, known entities, a single root element.
+// Returns the list of problems found (empty when the document is well-formed).
+export const checkWellFormed = (xml) => {
+  const errors = [];
+  const stack = [];
+  let rootCount = 0;
+  let pos = 0;
+
+  const lineOf = (index) => xml.slice(0, index).split('\n').length;
+
+  const checkText = (text, start) => {
+    const entityPattern = /&([^;\s&<]*);?/g;
+    let match;
+    while ((match = entityPattern.exec(text)) !== null) {
+      const ref = match[1];
+      const valid = match[0].endsWith(';') &&
+        (/^(amp|lt|gt|quot|apos)$/.test(ref) || /^#\d+$/.test(ref) || /^#x[0-9a-f]+$/i.test(ref));
+      if (!valid) {
+        errors.push(`Invalid entity reference "${match[0]}" at line ${lineOf(start + match.index)}`);
+      }
+    }
+    if (text.includes('<')) {
+      errors.push(`Unescaped "<" at line ${lineOf(start + text.indexOf('<'))}`);
+    }
+  };
+
+  while (pos < xml.length) {
+    const open = xml.indexOf('<', pos);
+    const textEnd = open === -1 ? xml.length : open;
+    const text = xml.slice(pos, textEnd);
+
+    if (text.trim()) {
+      if (stack.length === 0) {
+        errors.push(`Text outside the root element at line ${lineOf(pos)}`);
+      }
+      checkText(text, pos);
+    }
+    if (open === -1) break;
+
+    // Declarations, comments, CDATA and processing instructions
+    const special = [['<?', '?>'], ['<!--', '-->'], ['<![CDATA[', ']]>'], ['<!DOCTYPE', '>']]
+      .find(([start]) => xml.startsWith(start, open));
+    if (special) {
+      const close = xml.indexOf(special[1], open + special[0].length);
+      if (close === -1) {
+        errors.push(`Unterminated "${special[0]}" at line ${lineOf(open)}`);
+        break;
+      }
+      pos = close + special[1].length;
+      continue;
+    }
+
+    const close = xml.indexOf('>', open);
+    if (close === -1) {
+      errors.push(`Unterminated tag at line ${lineOf(open)}`);
+      break;
+    }
+
+    const tag = xml.slice(open + 1, close);
+    pos = close + 1;
+
+    if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim();
+      const expected = stack.pop();
+      if (expected !== name) {
+        errors.push(expected
+          ? `Mismatched closing tag </${name}> (expected </${expected}>) at line ${lineOf(open)}`
+          : `Unexpected closing tag </${name}> at line ${lineOf(open)}`);
+        if (expected) stack.push(expected);
+      }
+      continue;
+    }
+
+    const selfClosing = tag.endsWith('/');
+    const content = selfClosing ? tag.slice(0, -1) : tag;
+    const name = content.split(/\s/, 1)[0];
+
+    if (!XML_NAME.test(name)) {
+      errors.push(`Invalid element name "${name}" at line ${lineOf(open)}`);
+      continue;
+    }
+
+    // Attributes must be name="value" pairs with unique names
+    const attrText = content.slice(name.length);
+    const attrPattern = /\s+([^\s=]+)\s*=\s*("[^"]*"|'[^']*')/y;
+    const seen = new Set();
+    let attrPos = 0;
+    let match;
+    while ((match = attrPattern.exec(attrText)) !== null) {
+      if (seen.has(match[1])) {
+        errors.push(`Duplicate attribute "${match[1]}" on <${name}> at line ${lineOf(open)}`);
+      }
+      seen.add(match[1]);
+      checkText(match[2].slice(1, -1), open);
+      attrPos = attrPattern.lastIndex;
+    }
+    if (attrText.slice(attrPos).trim()) {
+      errors.push(`Malformed attributes on <${name}> at line ${lineOf(open)}`);
+    }
+
+    if (stack.length === 0) {
+      rootCount++;
+      if (rootCount > 1) {
+        errors.push(`Multiple root elements (<${name}>) at line ${lineOf(open)}`);
+      }
+    }
+    if (!selfClosing) stack.push(name);
+  }
+
+  stack.reverse().forEach(name => errors.push(`Unclosed element <${name}>`));
+  if (rootCount === 0) errors.push('Document has no root element');
+
+  return errors;
+};